@@ -14,6 +14,7 @@ const UUID = require('uuid')
 
 const Magic = require('./lib/magic')
 const UserList = require('./user/user')
+const GroupList = require('./user/group')
 const DocStore = require('./box/docStore')
 const BlobStore = require('./box/BlobStore')
 const BoxData = require('./box/Boxes')
@@ -21,11 +22,25 @@ const DriveList = require('./vfs/vfs')
 const Thumbnail = require('./lib/thumbnail2')
 const File = require('./vfs/file')
 const createTag = require('./tags/tags')
+const Trash = require('./trash/trash')
+const Snapshots = require('./snapshots/snapshots')
+const Versions = require('./versions/versions')
+const ACLs = require('./acls/acls')
+const SearchIndex = require('./search/search')
+const FullText = require('./search/fulltext')
+const Uploads = require('./uploads/uploads')
+const DavLocks = require('./webdav/locks')
+const Changes = require('./changes/changes')
+const Syncs = require('./syncs/syncs')
+const Backups = require('./backups/backups')
+const TaskStore = require('./tasks/store')
+const Tokens = require('./tokens/tokens')
+const Audit = require('./audit/audit')
+const Lockout = require('./lib/lockout')
+const { Limiter } = require('./lib/throttle')
 
 const Identifier = require('./lib/identifier')
 const { btrfsConcat, btrfsClone } = require('./lib/btrfs')
-const jwt = require('jwt-simple')
-const secret = require('./config/passportJwt')
 
 const extract = require('./lib/metadata')
 
@@ -41,6 +56,7 @@ const xcopy = require('./tasks/xcopy')
 const xcopyAsync = Promise.promisify(xcopy)
 
 const { readXstat, forceXstat } = require('./lib/xstat')
+const { checkName } = require('./vfs/meta')
 const SambaServer = require('./samba/samba')
 const DlnaServer = require('./samba/dlna')
 
@@ -53,6 +69,28 @@ const driveapi = require('./fruitmix/drive')
 const ndriveapi = require('./fruitmix/ndrive')
 const boxapi = require('./fruitmix/box')
 const tagapi = require('./fruitmix/tag')
+const trashapi = require('./fruitmix/trash')
+const snapshotapi = require('./fruitmix/snapshot')
+const versionapi = require('./fruitmix/version')
+const quotaapi = require('./fruitmix/quota')
+const aclapi = require('./fruitmix/acl')
+const groupapi = require('./fruitmix/group')
+const searchapi = require('./fruitmix/search')
+const archiveapi = require('./fruitmix/archive')
+const uploadapi = require('./fruitmix/upload')
+const davapi = require('./fruitmix/dav')
+const changeapi = require('./fruitmix/change')
+const deltaapi = require('./fruitmix/delta')
+const syncapi = require('./fruitmix/sync')
+const backupapi = require('./fruitmix/backup')
+const taskapi = require('./fruitmix/task')
+const tokenapi = require('./fruitmix/token')
+const totpapi = require('./fruitmix/totp')
+const authapi = require('./fruitmix/auth')
+const userapi = require('./fruitmix/user')
+
+// 30 days
+const DRIVE_RETENTION = 30 * 24 * 3600 * 1000
 
 const combineHash = (a, b) => {
   let a1 = typeof a === 'string' ? Buffer.from(a, 'hex') : a
@@ -88,6 +126,25 @@ Fruitmix is also responsible for initialize all internal modules and paths.
 @extends EventEmitter
 @mixes mixin
 @mixes driveapi
+@mixes trashapi
+@mixes snapshotapi
+@mixes versionapi
+@mixes quotaapi
+@mixes aclapi
+@mixes groupapi
+@mixes searchapi
+@mixes archiveapi
+@mixes uploadapi
+@mixes davapi
+@mixes changeapi
+@mixes deltaapi
+@mixes syncapi
+@mixes backupapi
+@mixes taskapi
+@mixes tokenapi
+@mixes totpapi
+@mixes authapi
+@mixes userapi
 */
 class Fruitmix extends EventEmitter {
 
@@ -106,22 +163,72 @@ class Fruitmix extends EventEmitter {
     let metaPath = path.join(froot, 'metadataDB.json')
     
     this.tags = createTag(froot)
+    this.trash = new Trash(froot, { retention: opt && opt.trashRetention })
 
     // this is acturally a PersistentMediaMap
     this.mediaMap = new MediaMap(metaPath, tmpDir)
 
     this.thumbnail = new Thumbnail(thumbDir, tmpDir)
     this.userList = new UserList(froot)
+    this.tokens = new Tokens(froot, {
+      accessTTL: opt && opt.accessTokenTTL,
+      refreshTTL: opt && opt.refreshTokenTTL
+    })
+
+    // pending second steps of login and last used totp counters, see totpapi
+    this.totpChallenges = new Map()
+    this.totpCounters = new Map()
+
+    // audit logs and failed password attempts of users and ips, see authapi
+    this.audit = new Audit(froot)
+    // an ip may be shared by many users, such as behind a router
+    this.userLockout = new Lockout(opt && opt.userLockout)
+    this.ipLockout = new Lockout(Object.assign({ threshold: 20 }, opt && opt.ipLockout))
+    this.groupList = new GroupList(froot)
+    this.groupList.on('GroupListChanged', () => this.updateSamba())
     this.driveList = new DriveList(froot, this.mediaMap)
     this.vfs = this.driveList
+    this.searchIndex = new SearchIndex(this.driveList)
+    this.changes = new Changes(this.driveList)
+    this.fulltext = new FullText(froot, this.driveList, tmpDir)
+    this.snapshots = new Snapshots(froot, this.driveList, {
+      interval: opt && opt.snapshotInterval,
+      keep: opt && opt.snapshotKeep
+    })
+    this.versions = new Versions(froot, this.driveList, {
+      maxVersions: opt && opt.maxVersions,
+      maxAge: opt && opt.versionMaxAge
+    })
+    this.acls = new ACLs(froot)
+    this.uploads = new Uploads(froot)
+    this.davLocks = new DavLocks()
+    this.syncs = new Syncs(froot)
+
+    // soft deleted drives are purged after retention, see driveapi
+    this.driveRetention = (opt && opt.driveRetention) || DRIVE_RETENTION
+    this.drivePurgeTimer = setInterval(() => this.purgeExpiredDrivesAsync()
+      .then(() => {})
+      .catch(e => debug('drive purge error', e)), 3600 * 1000)
+    this.drivePurgeTimer.unref()
+
+    // backup jobs are checked every 10 minutes, see backupapi
+    this.backups = new Backups(froot)
+    this.backupTimer = setInterval(() => this.scheduleBackupsAsync()
+      .then(() => {})
+      .catch(e => debug('backup schedule error', e)), 600 * 1000)
+    this.backupTimer.unref()
     this.tasks = []
+    this.taskStore = new TaskStore(froot)
+    this.taskLimiter = new Limiter(this.taskStore.settings.bandwidth)
 
+    // drives are shared after they are loaded (and converted to subvolume), see vfs
     if (!nosmb) {
       this.smbServer = new SambaServer(froot)
       this.smbServer.on('SambaServerNewAudit', audit => {
         this.driveList.audit(audit.abspath, audit.arg0, audit.arg1)
       })
-      this.smbServer.startAsync(this.userList.users, this.driveList.drives)
+      this.driveList.ready
+        .then(() => this.smbServer.startAsync(this.userList.users, this.getSambaDrives()))
         .then(() => {})
         .catch(console.error.bind(console,'smb start error'))
     }
@@ -131,7 +238,12 @@ class Fruitmix extends EventEmitter {
       .catch(console.error.bind(console,'dlna start error'))
     
     if (!noBox) this.boxData = new BoxData(this)
-    
+
+    // xcopy tasks in flight when last stopped, see taskapi
+    this.driveList.ready
+      .then(() => this.restoreTasksAsync())
+      .then(() => {})
+      .catch(e => debug('task restore error', e))
   }
 
   async startSambaAsync(user) {
@@ -141,7 +253,7 @@ class Fruitmix extends EventEmitter {
         this.driveList.audit(audit.abspath, audit.arg0, audit.arg1)
       })
     }
-    await this.smbServer.startAsync(this.userList.users, this.driveList.drives)
+    await this.smbServer.startAsync(this.userList.users, this.getSambaDrives())
   }
 
   async stopSambaAsync(user) {
@@ -161,7 +273,7 @@ class Fruitmix extends EventEmitter {
 
   updateSamba() {
     if (nosmb) return
-    this.smbServer.updateAsync(this.userList.users, this.driveList.drives)
+    this.smbServer.updateAsync(this.userList.users, this.getSambaDrives())
       .then(() => {})
       .catch(e => console.error.bind(console, 'smbServer update error:'))
   }
@@ -252,13 +364,6 @@ class Fruitmix extends EventEmitter {
     }))
   }
 
-  getToken (user) {
-    return {
-      type: 'JWT',
-      token: jwt.encode({ uuid: user.uuid }, secret)
-    }
-  }
-
   /**
   {
     uuid:         // not allowed to change
@@ -342,8 +447,8 @@ class Fruitmix extends EventEmitter {
 
     let userDrives = this.driveList.drives.filter(drv => {
       if (drv.type === 'private' && drv.owner === user.uuid) return true
-      if (drv.type === 'public' && (drv.writelist === '*' || ((drv.writelist.includes(user.uuid)) ||
-        (drv.readlist.includes(user.uuid) && user.isAdmin)))) return true
+      if (drv.type === 'public' && (this.userInList(user, drv.writelist) ||
+        (this.userInList(user, drv.readlist) && user.isAdmin))) return true
       return false
     })
 
@@ -455,7 +560,15 @@ class Fruitmix extends EventEmitter {
   async updateUserAsync (user, userUUID, body) {
     if (!this.userCanUpdate(user, userUUID, body)) { throw Object.assign(new Error(`unrecognized prop name `), { status: 400 }) }
     if (Object.getOwnPropertyNames(body).includes('password')) { throw Object.assign(new Error(`password is not allowed to change`), { status: 403 }) }
-    let u = this.userList.updateUserAsync(userUUID, body)
+    let u = await this.userList.updateUserAsync(userUUID, body)
+
+    // private drives of disabled user go through drive deletion lifecycle
+    if (body.disabled === true) {
+      await this.deleteUserDrivesAsync(userUUID)
+    } else if (body.disabled === false) {
+      await this.restoreUserDrivesAsync(userUUID)
+    }
+
     this.updateSamba()
     return u
   }
@@ -562,11 +675,21 @@ class Fruitmix extends EventEmitter {
     return subtracted
   }
 
+  /**
+  Returns true if user is in a writelist or readlist, by wildcard, user uuid or group uuid
+  */
+  userInList (user, list) {
+    if (list === '*') return true
+    if (!Array.isArray(list)) return false
+    return list.includes(user.uuid) || this.userGroups(user).some(g => list.includes(g))
+  }
+
   getDrives (user) {
     let drives = this.driveList.drives.filter(drv => {
+      if (drv.deleted) return false
       if (drv.type === 'private' && drv.owner === user.uuid) return true
       if (drv.type === 'public' &&
-        (drv.writelist === '*' || (drv.writelist.includes(user.uuid) || drv.readlist.includes(user.uuid)))) {
+        (this.userInList(user, drv.writelist) || this.userInList(user, drv.readlist))) {
         return true
       }
       return false
@@ -582,19 +705,19 @@ class Fruitmix extends EventEmitter {
 
   // internal
   userCanReadDriveMetadata (user, drive) {
+    if (drive.deleted) return false
     if (drive.type === 'private' && drive.owner === user.uuid) return true
     if (drive.type === 'public') {
       if (user.isAdmin) return true
-      if (drive.writelist === '*') return true
-      if (Array.isArray(drive.writelist) && drive.writelist.includes(user.uuid)) return true
-      if (drive.readlist === '*') return true
-      if (Array.isArray(drive.readlist) && drive.readlist.includes(user.uuid)) return true
+      if (this.userInList(user, drive.writelist)) return true
+      if (this.userInList(user, drive.readlist)) return true
     } 
     return false
   }
 
   // internal
   userCanWriteDriveMetadata (user, drive) {
+    if (drive.deleted) return false
     if (drive.type === 'private' && drive.owner === user.uuid) return true
     if (drive.type === 'public' && user.isAdmin) return true
     return false
@@ -602,22 +725,21 @@ class Fruitmix extends EventEmitter {
 
   // internal
   userCanReadDriveData (user, drive) {
+    if (drive.deleted) return false
     if (drive.type === 'private' && drive.owner === user.uuid) return true
     if (drive.type === 'public') {
-      if (drive.writelist === '*') return true
-      if (Array.isArray(drive.writelist) && drive.writelist.includes(user.uuid)) return true
-      if (drive.readlist === '*') return true
-      if (Array.isArray(drive.readlist) && drive.readlist.includes(user.uuid)) return true
+      if (this.userInList(user, drive.writelist)) return true
+      if (this.userInList(user, drive.readlist)) return true
     }
     return false
   }
 
   // internal
   userCanWriteDriveData (user, drive) {
+    if (drive.deleted) return false
     if (drive.type === 'private' && drive.owner === user.uuid) return true
     if (drive.type === 'public') {
-      if (drive.writelist === '*') return true
-      if (Array.isArray(drive.writelist) && drive.writelist.includes(user.uuid)) return true
+      if (this.userInList(user, drive.writelist)) return true
     }
     return false
   }
@@ -627,13 +749,12 @@ class Fruitmix extends EventEmitter {
   */
   getDriveList (user) {
     let drives = this.driveList.drives.filter(drv => {
+      if (drv.deleted) return false
       if (drv.type === 'private' && drv.owner === user.uuid) return true
       if (drv.type === 'public') {
         if (user.isAdmin) return true
-        if (drv.writelist === '*') return true
-        if (Array.isArray(drv.writelist) && drv.writelist.includes(user.uuid)) return true
-        if (drv.readlist === '*') return true
-        if (Array.isArray(drv.readlist) && drv.readlist.includes(user.uuid)) return true
+        if (this.userInList(user, drv.writelist)) return true
+        if (this.userInList(user, drv.readlist)) return true
       }
       return false
     })
@@ -665,7 +786,7 @@ class Fruitmix extends EventEmitter {
 
   /**
   API: Drive [GET]
-  callback version of Drive GET
+  callback version of Drive GET, drive usage is included
   @param {object} user
   @param {string} driveUUID
   @param {function} callback - `(err, drive) => {}`
@@ -679,7 +800,9 @@ class Fruitmix extends EventEmitter {
       err.status = 404
       process.nextTick(() => callback(err))
     } else {
-      process.nextTick(() => callback(null, drive))
+      this.getDriveUsage(drive, (err, usage) => err
+        ? callback(err)
+        : callback(null, Object.assign({}, drive, { usage })))
     } 
   }
 
@@ -699,7 +822,7 @@ class Fruitmix extends EventEmitter {
     }
 
     let drive = this.driveList.drives.find(drv => drv.uuid === driveUUID)
-    if (!drive) {
+    if (!drive || drive.deleted) {
       throw Object.assign(new Error(`drive ${driveUUID} not found`), { status: 404 })
     }
 
@@ -724,7 +847,7 @@ class Fruitmix extends EventEmitter {
         }
       })
 
-      let disallowed = ['uuid', 'type', 'readlist']
+      let disallowed = ['uuid', 'type']
       Object.getOwnPropertyNames(props).forEach(name => {
         if (disallowed.includes(name)) {
           throw Object.assign(new Error(`${name} is not allowed to update`), { status: 403 })
@@ -733,24 +856,26 @@ class Fruitmix extends EventEmitter {
     }
 
     // validate writelist, readlist
-    if (props.writelist) {
-      let wl = props.writelist
-      if (wl === '*') {
-      } else if (Array.isArray(wl)) {
-        if (!wl.every(uuid => !!this.userList.users.find(u => u.uuid === uuid))) {
-          let err = new Error(`not all user uuid found`) // TODO
+    for (let name of ['writelist', 'readlist']) {
+      if (!props[name]) continue
+      let list = props[name]
+      if (list === '*') {
+      } else if (Array.isArray(list)) {
+        let missing = list.filter(uuid => !this.userList.users.find(u => u.uuid === uuid) &&
+          !this.groupList.findGroup(uuid))
+        if (missing.length) {
+          let err = new Error(`user or group not found in ${name}: ${missing.join(', ')}`)
           err.code = 'EBADREQUEST'
           err.status = 400
           throw err
         }
-        props.writelist = Array.from(new Set(props.writelist)).sort()
+        props[name] = Array.from(new Set(list)).sort()
       } else {
-        let err = new Error('writelist must be either wildcard or an uuid array')
+        let err = new Error(`${name} must be either wildcard or an uuid array`)
         err.code = 'EBADREQUEST'
         err.status = 400
         throw err
       }
-
     }
 
     let nextDrive =  this.driveList.updatePublicDriveAsync(driveUUID, props)
@@ -762,6 +887,7 @@ class Fruitmix extends EventEmitter {
     // FIXME should this 401 ?
     if (!this.userCanRead(user, driveUUID)) throw Object.assign(new Error('Permission Denied'), { status: 401 })
     return this.driveList.getDriveDirs(driveUUID)
+      .filter(x => this.userCanReadDir(user, this.driveList.uuidMap.get(x.uuid)))
   }
 
   async getDriveDirAsync (user, driveUUID, dirUUID, metadata, counter) {
@@ -769,6 +895,7 @@ class Fruitmix extends EventEmitter {
     if (!this.userCanRead(user, driveUUID)) throw Object.assign(new Error('Permission Denied'), { status: 401 })
     let dir = this.driveList.getDriveDir(driveUUID, dirUUID)
     if (!dir) throw Object.assign(new Error('drive or dir not found'), { status: 404 })
+    if (!this.userCanReadDir(user, dir)) throw Object.assign(new Error('Permission Denied'), { status: 403 })
 
     let path = dir.nodepath().map(dir => ({
       uuid: dir.uuid,
@@ -776,7 +903,13 @@ class Fruitmix extends EventEmitter {
       mtime: Math.abs(dir.mtime)
     }))
 
-    let entries = await dir.readdirAsync()
+    // sub-directories without read access are hidden
+    let entries = (await dir.readdirAsync()).filter(entry => {
+      if (entry.type !== 'directory') return true
+      let sub = this.driveList.uuidMap.get(entry.uuid)
+      return !sub || this.userCanReadDir(user, sub)
+    })
+
     if (metadata) {
       entries.forEach(entry => {
         if (entry.type === 'file' && 
@@ -811,16 +944,52 @@ class Fruitmix extends EventEmitter {
 
     let dir = this.driveList.getDriveDir(driveUUID, dirUUID)
     if (!dir) throw Object.assign(new Error('not found'), { status: 404 })
+    if (!this.userCanReadDir(user, dir)) throw Object.assign(new Error('Permission Denied'), { status: 403 })
     return dir.abspath()
   }
 
-  // async or sync ??? TODO
-  getDriveFilePath (user, driveUUID, dirUUID, fileUUID, name) {
+  /**
+  Returns path and fingerprint of a file in directory, entry uuid is verified
+
+  @param {object} user
+  @param {string} driveUUID
+  @param {string} dirUUID
+  @param {string} fileUUID
+  @param {string} name - file name
+  @param {function} callback - `(err, { path, hash }) => {}`, hash may be undefined
+  */
+  getDriveFile (user, driveUUID, dirUUID, fileUUID, name, callback) {
+    if (typeof name !== 'string' || !name.length || name.includes('/') || name === '.' || name === '..') {
+      return process.nextTick(() => callback(Object.assign(new Error('invalid name'), { status: 400 })))
+    }
 
+    let dirPath
+    try {
+      dirPath = this.getDriveDirPath(user, driveUUID, dirUUID)
+    } catch (e) {
+      return process.nextTick(() => callback(e))
+    }
+
+    let filePath = path.join(dirPath, name)
+    readXstat(filePath, (err, xstat) => {
+      if (err && err.code !== 'ENOENT') return callback(err)
+      if (err || xstat.type !== 'file' || xstat.uuid !== fileUUID) {
+        return callback(Object.assign(new Error('file not found'), { status: 404 }))
+      }
+      callback(null, { path: filePath, hash: xstat.hash })
+    })
   }
 
-  getTmpDir () {
-    return path.join(this.fruitmixPath, 'tmp')
+  /**
+  Returns tmp dir. Files to be moved into a drive must be prepared in the tmp dir of that 
+  drive, see module:DriveMeta.
+
+  @param {string} [driveUUID]
+  */
+  getTmpDir (driveUUID) {
+    return driveUUID 
+      ? this.driveList.driveTmpDir(driveUUID)
+      : path.join(this.fruitmixPath, 'tmp')
   }
 
   /// ////////// media api //////////////
@@ -845,6 +1014,7 @@ class Fruitmix extends EventEmitter {
     if (!this.userCanRead(user, driveUUID)) throw Object.assign(new Error('Permission Denied'), { status: 401 })
     let dir = this.driveList.getDriveDir(driveUUID, dirUUID)
     if (!dir) throw Object.assign(new Error('dir not found'), { status: 404 })
+    if (!this.userCanReadDir(user, dir)) throw Object.assign(new Error('Permission Denied'), { status: 403 })
     let fileCount = 0, fileSize = 0, dirCount = 0, mediaCount = 0
     dir.postVisit(node => {
       if(node instanceof File) return mediaCount ++
@@ -916,37 +1086,82 @@ class Fruitmix extends EventEmitter {
   /// ////////// task api ///////////////////////////////////////////////////////
 
   /**
-  internally called by xcopy
+  internally called by xcopy, directory access (acl) is checked before delegating to vfs.
+  For cpdir and mvdir, src.dir is the directory being copied or moved. For others, src.dir
+  and dst.dir are parent directories. Files added into dst drive are checked against its
+  quota, see quotaapi.
   */
   cpdir (user, src, dst, policy, callback) {
+    let err = this.checkDirAccess(user, src.drive, src.dir, false) ||
+      this.checkDirAccess(user, dst.drive, dst.dir, true)
+    if (err) return process.nextTick(() => callback(err))
     this.vfs.cpdir(src, dst, policy, callback)  
   }
 
   cpfile (user, src, dst, policy, callback) {
-    this.vfs.cpfile(src, dst, policy, callback)
+    let err = this.checkDirAccess(user, src.drive, src.dir, false) ||
+      this.checkDirAccess(user, dst.drive, dst.dir, true)
+    if (err) return process.nextTick(() => callback(err))
+
+    let srcPath = path.join(this.driveList.getDriveDir(src.drive, src.dir).abspath(), src.name)
+    let replaced = policy[0] === 'replace' ? this.getReplacedSize(dst.drive, dst.dir, src.name) : 0
+    this.checkFileQuota(dst.drive, srcPath, replaced, err => err
+      ? callback(err)
+      : this.vfs.cpfile(src, dst, policy, callback))
   }
 
   mvdir2 (user, src, dst, policy, callback) {
+    let err = this.checkDirAccess(user, src.drive, src.dir, true) ||
+      this.checkDirAccess(user, dst.drive, dst.dir, true)
+    if (err) return process.nextTick(() => callback(err))
+
+    if (src.drive !== dst.drive) {
+      try {
+        this.assertDriveQuota(dst.drive, this.getDirSize(this.driveList.getDriveDir(src.drive, src.dir)))
+      } catch (e) {
+        return process.nextTick(() => callback(e))
+      }
+    }
     this.vfs.mvdir(src, dst, policy, callback)
   }
 
   mvfile2 (user, src, dst, policy, callback) {
-    this.vfs.mvfile(src, dst, policy, callback)
+    let err = this.checkDirAccess(user, src.drive, src.dir, true) ||
+      this.checkDirAccess(user, dst.drive, dst.dir, true)
+    if (err) return process.nextTick(() => callback(err))
+    if (src.drive === dst.drive) return this.vfs.mvfile(src, dst, policy, callback)
+
+    let srcPath = path.join(this.driveList.getDriveDir(src.drive, src.dir).abspath(), src.name)
+    let replaced = policy[0] === 'replace' ? this.getReplacedSize(dst.drive, dst.dir, src.name) : 0
+    this.checkFileQuota(dst.drive, srcPath, replaced, err => err
+      ? callback(err)
+      : this.vfs.mvfile(src, dst, policy, callback))
   } 
 
   mkdir2 (user, dst, policy, callback) {
+    let err = this.checkDirAccess(user, dst.drive, dst.dir, true)
+    if (err) return process.nextTick(() => callback(err))
     this.vfs.mkdir(dst, policy, callback)
   }
 
   mkfile (user, tmp, dst, policy, callback) {
-    this.vfs.mkfile(tmp, dst, policy, callback)
+    let err = this.checkDirAccess(user, dst.drive, dst.dir, true)
+    if (err) return process.nextTick(() => callback(err))
+    let replaced = policy[0] === 'replace' ? this.getReplacedSize(dst.drive, dst.dir, dst.name) : 0
+    this.checkFileQuota(dst.drive, tmp.path, replaced, err => err
+      ? callback(err)
+      : this.vfs.mkfile(tmp, dst, policy, callback))
   }
 
   clone (user, src, callback) {
+    let err = this.checkDirAccess(user, src.drive, src.dir, false)
+    if (err) return process.nextTick(() => callback(err))
     this.vfs.clone(src, callback)
   }
 
   readdir (user, driveUUID, dirUUID, callback) {
+    let err = this.checkDirAccess(user, driveUUID, dirUUID, false)
+    if (err) return process.nextTick(() => callback(err))
     this.vfs.readdir(driveUUID, dirUUID, callback)
   }
   
@@ -967,8 +1182,8 @@ class Fruitmix extends EventEmitter {
     }
   }
 
-  genTmpPath(user) {
-    return this.vfs.genTmpPath()
+  genTmpPath(user, driveUUID) {
+    return this.vfs.genTmpPath(driveUUID)
   }
 
   async createTaskAsync (user, props) {
@@ -1005,6 +1220,7 @@ class Fruitmix extends EventEmitter {
     let task = await xcopyAsync(this, user, props.type, policies, src, dst, entries)
     // task.user = user 
     this.tasks.push(task)
+    this.trackTask(task)
 
     // console.log(task.view())
 
@@ -1018,6 +1234,7 @@ class Fruitmix extends EventEmitter {
         callback(err)
       } else {
         this.tasks.push(task)
+        this.trackTask(task)
         callback(null, task.view())
       }
     })
@@ -1026,8 +1243,10 @@ class Fruitmix extends EventEmitter {
   deleteTask (user, taskUUID, callback) {
     let index = this.tasks.findIndex(t => t.user.uuid === user.uuid && t.uuid === taskUUID) 
     if (index !== -1) {
+      this.untrackTask(this.tasks[index])
       this.tasks[index].destroy()
       this.tasks.splice(index, 1)
+      this.rescheduleTasks()
     }
 
     process.nextTick(() => callback(null))
@@ -1068,6 +1287,9 @@ class Fruitmix extends EventEmitter {
       return process.nextTick(() => callback(err))
     }
 
+    let err = checkName(dir, name)
+    if (err) return process.nextTick(() => callback(err))
+
     let dst = path.join(dir.abspath(), name)
     mkdirp(dst, err => {
       if (err) return callback(err)
@@ -1078,26 +1300,6 @@ class Fruitmix extends EventEmitter {
     })
   }
 
-  rimraf (user, driveUUID, dirUUID, name, uuid, callback) {
-    // TODO permission check
-    let dir = this.driveList.getDriveDir(driveUUID, dirUUID)
-    if (!dir) {
-      let err = new Error('drive or dir not found')
-      err.status = 404
-      return process.nextTick(() => callback(err))
-    }
-
-    let dst = path.join(dir.abspath(), name)
-    readXstat(dst, (err, xstat) => {
-      // ENOENT treated as success
-      if (err && err.code === 'ENOENT') return callback(null)
-      if (err) return callback(err)
-      if (xstat.uuid !== uuid) { return callback(Object.assign(new Error('uuid mismatch'), { status: 403 })) }
-
-      rimraf(dst, err => callback(err))
-    })
-  }
-
   createNewFile (user, driveUUID, dirUUID, name, tmp, hash, overwrite, callback) {
     let dir = this.driveList.getDriveDir(driveUUID, dirUUID)
     if (!dir) {
@@ -1106,6 +1308,9 @@ class Fruitmix extends EventEmitter {
       return process.nextTick(() => callback(err))
     }
 
+    let err = checkName(dir, name)
+    if (err) return process.nextTick(() => callback(err))
+
     let dst = path.join(dir.abspath(), name)
     if (overwrite) {
       readXstat(dst, (err, xstat) => {
@@ -1116,13 +1321,17 @@ class Fruitmix extends EventEmitter {
           return callback(err)
         }
 
-        forceXstat(tmp, { uuid: xstat.uuid, hash }, (err, xstat) => {
+        forceXstat(tmp, { uuid: xstat.uuid, hash }, (err, xstat2) => {
           if (err) return callback(err)
           // dirty TODO similar to test 0553082f, extract metadata
-          Object.assign(xstat, { name })
-          fs.rename(tmp, dst, err => {
+          Object.assign(xstat2, { name })
+          // keep prior content if versioning enabled, see versionapi
+          this.keepFileVersion(user, driveUUID, dst, xstat, err => {
             if (err) return callback(err)
-            return callback(null, xstat)
+            fs.rename(tmp, dst, err => {
+              if (err) return callback(err)
+              return callback(null, xstat2)
+            })
           })
         })
       })
@@ -1154,6 +1363,15 @@ class Fruitmix extends EventEmitter {
       return process.nextTick(() => callback(err))
     }
 
+    let err = checkName(dir, name)
+    if (err) return process.nextTick(() => callback(err))
+
+    try {
+      this.assertDriveQuota(driveUUID, data.size)
+    } catch (e) {
+      return process.nextTick(() => callback(e))
+    }
+
     let dst = path.join(dir.abspath(), name)
     readXstat(dst, (err, xstat) => {
       if (err) return callback(err)
@@ -1161,7 +1379,7 @@ class Fruitmix extends EventEmitter {
       if (xstat.hash !== hash) { return callback(new Error(`append (target) hash mismatch, actual: ${xstat.hash}`)) }
       if (xstat.size % (1024 * 1024 * 1024) !== 0) return callback(new Error('target size must be multiple of 1G')) 
 
-      let tmp = path.join(this.getTmpDir(), UUID.v4())
+      let tmp = path.join(this.getTmpDir(driveUUID), UUID.v4())
       btrfsConcat(tmp, [dst, data.path], err => {
         if (err) return callback(err)
 
@@ -1181,9 +1399,12 @@ class Fruitmix extends EventEmitter {
             if (err) return callback(err)
             // dirty
             xstat2.name = name
-            fs.rename(tmp, dst, err => {
+            this.keepFileVersion(user, driveUUID, dst, xstat, err => {
               if (err) return callback(err)
-              callback(null, xstat2)
+              fs.rename(tmp, dst, err => {
+                if (err) return callback(err)
+                callback(null, xstat2)
+              })
             })
           })
         })
@@ -1191,6 +1412,77 @@ class Fruitmix extends EventEmitter {
     })
   }
 
+  /**
+  Create a new file by cloning an existing file with the same fingerprint (instant upload).
+
+  Only files the user can read are used as source. If none found, ENOTFOUND (404) is returned
+  and the client should upload the data.
+
+  @param {object} user
+  @param {string} driveUUID
+  @param {string} dirUUID
+  @param {string} name
+  @param {string} hash - declared fingerprint
+  @param {string} [overwrite] - uuid of the file to be overwritten
+  @param {function} callback - `(err, xstat) => {}`
+  */
+  createNewFileByFingerprint (user, driveUUID, dirUUID, name, hash, overwrite, callback) {
+    const ENoContent = () => Object.assign(new Error('no readable file with the fingerprint'), {
+      code: 'ENOTFOUND',
+      status: 404
+    })
+
+    let candidates = this.searchIndex.findByHash(hash).filter(r => {
+      let dir = this.driveList.getDriveDir(r.drive, r.dir)
+      return dir && this.userCanReadDir(user, dir)
+    })
+    if (!candidates.length) return process.nextTick(() => callback(ENoContent()))
+
+    try {
+      this.assertDriveQuota(driveUUID, candidates[0].size -
+        (overwrite ? this.getReplacedSize(driveUUID, dirUUID, name) : 0))
+    } catch (e) {
+      return process.nextTick(() => callback(e))
+    }
+
+    // a candidate may have been changed or removed since indexed, try next one
+    const next = () => {
+      let r = candidates.shift()
+      if (!r) return callback(ENoContent())
+
+      let dir = this.driveList.getDriveDir(r.drive, r.dir)
+      if (!dir) return next()
+
+      let srcPath = path.join(dir.abspath(), r.name)
+      let tmpPath = path.join(this.getTmpDir(driveUUID), UUID.v4() + path.extname(name))
+      readXstat(srcPath, (err, srcXstat) => {
+        if (err || srcXstat.type !== 'file' || srcXstat.uuid !== r.uuid || srcXstat.hash !== hash) return next()
+
+        btrfsClone(tmpPath, srcPath, err => {
+          if (err) {
+            rimraf(tmpPath, () => {})
+            return callback(err)
+          }
+
+          readXstat(srcPath, (err, xstat) => {
+            if (err || xstat.mtime !== srcXstat.mtime || xstat.hash !== hash) {
+              rimraf(tmpPath, () => {})
+              return next()
+            }
+
+            this.createNewFile(user, driveUUID, dirUUID, name, tmpPath, hash, overwrite, (err, xstat) => {
+              rimraf(tmpPath, () => {})
+              if (err) return callback(err)
+              callback(null, xstat)
+            })
+          })
+        })
+      })
+    }
+
+    next()
+  }
+
   rename (user, driveUUID, dirUUID, fromName, toName, overwrite, callback) {
     let dir = this.driveList.getDriveDir(driveUUID, dirUUID)
     if (!dir) {
@@ -1199,9 +1491,12 @@ class Fruitmix extends EventEmitter {
       return process.nextTick(() => callback(err))
     }
 
+    let err = checkName(dir, fromName) || checkName(dir, toName)
+    if (err) return process.nextTick(() => callback(err))
+
     let fromPath = path.join(dir.abspath(), fromName)
     let toPath = path.join(dir.abspath(), toName)
-    let tmpPath = path.join(this.getTmpDir(), UUID.v4())
+    let tmpPath = path.join(this.getTmpDir(driveUUID), UUID.v4())
 
     if (overwrite) {
       // if overwrite is provided, the uuid must be reserved
@@ -1279,9 +1574,12 @@ class Fruitmix extends EventEmitter {
       return process.nextTick(() => callback(err))
     }
 
+    let err = checkName(dir, fromName) || checkName(dir, toName)
+    if (err) return process.nextTick(() => callback(err))
+
     let fromPath = path.join(dir.abspath(), fromName)
     let toPath = path.join(dir.abspath(), toName)
-    let tmpPath = path.join(this.getTmpDir(), UUID.v4())
+    let tmpPath = path.join(this.getTmpDir(driveUUID), UUID.v4())
 
     readXstat(fromPath, (err, srcXstat) => {
       if (err) return callback(err)
@@ -1290,6 +1588,13 @@ class Fruitmix extends EventEmitter {
         return callback(e)
       }
 
+      try {
+        this.assertDriveQuota(driveUUID, srcXstat.size -
+          (overwrite ? this.getReplacedSize(driveUUID, dirUUID, toName) : 0))
+      } catch (e) {
+        return callback(e)
+      }
+
       btrfsClone(tmpPath, fromPath, err => {
         if (err) return callback(err)
         readXstat(fromPath, (err, xstat) => {
@@ -1454,6 +1759,17 @@ class Fruitmix extends EventEmitter {
     return callback(null, m)
   }
 
+  /**
+  Returns path and fingerprint of a hashed file by uuid, or undefined if not found or not readable
+  */
+  getFileByUUID (user, fileUUID) {
+    let fileNode = this.driveList.fileMap.get(fileUUID)
+    if (!fileNode) return
+    if (!this.userCanRead(user, fileNode.root().uuid)) return
+    if (!this.userCanReadDir(user, fileNode.parent)) return
+    return { path: fileNode.abspath(), hash: fileNode.hash }
+  }
+
   getFilePathByUUID(user, fileUUID) {
     let fileNode = this.driveList.fileMap.get(fileUUID)
     if(!fileNode) return
@@ -1469,6 +1785,25 @@ Object.assign(Fruitmix.prototype, driveapi)
 Object.assign(Fruitmix.prototype, ndriveapi)
 Object.assign(Fruitmix.prototype, boxapi)
 Object.assign(Fruitmix.prototype, tagapi)
+Object.assign(Fruitmix.prototype, trashapi)
+Object.assign(Fruitmix.prototype, snapshotapi)
+Object.assign(Fruitmix.prototype, versionapi)
+Object.assign(Fruitmix.prototype, quotaapi)
+Object.assign(Fruitmix.prototype, aclapi)
+Object.assign(Fruitmix.prototype, groupapi)
+Object.assign(Fruitmix.prototype, searchapi)
+Object.assign(Fruitmix.prototype, archiveapi)
+Object.assign(Fruitmix.prototype, uploadapi)
+Object.assign(Fruitmix.prototype, davapi)
+Object.assign(Fruitmix.prototype, changeapi)
+Object.assign(Fruitmix.prototype, deltaapi)
+Object.assign(Fruitmix.prototype, syncapi)
+Object.assign(Fruitmix.prototype, backupapi)
+Object.assign(Fruitmix.prototype, taskapi)
+Object.assign(Fruitmix.prototype, tokenapi)
+Object.assign(Fruitmix.prototype, totpapi)
+Object.assign(Fruitmix.prototype, authapi)
+Object.assign(Fruitmix.prototype, userapi)
 module.exports = Fruitmix
 
 
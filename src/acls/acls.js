@@ -0,0 +1,148 @@
+const Promise = require('bluebird')
+const path = require('path')
+const fs = require('fs')
+const deepFreeze = require('deep-freeze')
+
+const E = require('../lib/error')
+const { saveObjectAsync } = require('../lib/utils')
+
+const Debug = require('debug')
+const debug = Debug('acls')
+
+/**
+ACLs keeps per-directory access control lists.
+
+ACLs are kept in a side table (`acls.json` under fruitmix root) rather than in xattr, so
+they can be evaluated on forest nodes without touching file system, and they survive
+operations rewriting xattr (such as forceXstat).
+
+```
+ACL {
+  dir,        // directory uuid
+  drive,      // drive uuid
+  entries: [
+    { user, access },   // user uuid
+    { group, access }   // or group uuid
+  ]
+}
+```
+
+`access` is one of `write`, `read` or `none`.
+
+A directory without its own ACL inherits the one of its nearest ancestor. The evaluation is
+done in Fruitmix, see aclapi.
+
+@module ACLs
+*/
+class ACLs {
+
+  /**
+  @param {string} froot - fruitmix root
+  */
+  constructor (froot) {
+    this.filePath = path.join(froot, 'acls.json')
+    this.tmpDir = path.join(froot, 'tmp')
+
+    try {
+      this.acls = JSON.parse(fs.readFileSync(this.filePath))
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e
+      this.acls = []
+    }
+
+    deepFreeze(this.acls)
+
+    /**
+    @member {boolean} lock - internal file operation lock
+    */
+    this.lock = false
+    this.last = Promise.resolve()
+  }
+
+  /**
+  Save acls to file. This operation use opportunistic lock.
+  */
+  async commitACLsAsync (currACLs, nextACLs) {
+    if (currACLs !== this.acls) throw new E.ECOMMITFAIL()
+    if (this.lock === true) throw new E.ECOMMITFAIL()
+
+    this.lock = true
+    try {
+      await saveObjectAsync(this.filePath, this.tmpDir, nextACLs)
+      this.acls = nextACLs
+      deepFreeze(this.acls)
+    } finally {
+      this.lock = false
+    }
+  }
+
+  serialize (f) {
+    let p = this.last.then(() => f())
+    this.last = p.then(() => {}, () => {})
+    return p
+  }
+
+  findACL (dirUUID) {
+    return this.acls.find(x => x.dir === dirUUID)
+  }
+
+  /**
+  Returns all acls of given drive
+  */
+  getDriveACLs (driveUUID) {
+    return this.acls.filter(x => x.drive === driveUUID)
+  }
+
+  /**
+  Set or clear the acl of a directory
+
+  @param {string} driveUUID
+  @param {string} dirUUID
+  @param {object[]} entries - acl entries, empty array clears the acl
+  @returns {ACL} the acl, or null if cleared
+  */
+  async setAsync (driveUUID, dirUUID, entries) {
+    return this.serialize(async () => {
+      let others = this.acls.filter(x => x.dir !== dirUUID)
+      let acl = entries.length ? { dir: dirUUID, drive: driveUUID, entries } : null
+      await this.commitACLsAsync(this.acls, acl ? [...others, acl] : others)
+      debug('set', dirUUID, entries)
+      return acl
+    })
+  }
+
+  /**
+  Remove entries of given user or group from all acls, acls left empty are removed
+
+  @param {string} uuid - user or group uuid
+  */
+  async removeSubjectAsync (uuid) {
+    return this.serialize(async () => {
+      const match = x => x.user === uuid || x.group === uuid
+      if (!this.acls.find(acl => acl.entries.find(match))) return
+
+      let nextACLs = this.acls
+        .map(acl => acl.entries.find(match)
+          ? Object.assign({}, acl, { entries: acl.entries.filter(x => !match(x)) })
+          : acl)
+        .filter(acl => acl.entries.length)
+
+      await this.commitACLsAsync(this.acls, nextACLs)
+      debug('remove subject', uuid)
+    })
+  }
+
+  /**
+  Remove all acls of given drive
+  */
+  async deleteDriveAsync (driveUUID) {
+    return this.serialize(async () => {
+      if (!this.acls.find(x => x.drive === driveUUID)) return
+      await this.commitACLsAsync(this.acls, this.acls.filter(x => x.drive !== driveUUID))
+      debug('delete drive', driveUUID)
+    })
+  }
+
+}
+
+module.exports = ACLs
@@ -33,6 +33,7 @@ const storage = require('./routes/storage')
 const auth = require('./middleware/auth')
 const token = require('./routes/token')
 const users = require('./routes/users')
+const groups = require('./routes/groups')
 const drives = require('./routes/drives')
 const ndrives = require('./routes/ndrives')
 const boxes = require('./routes/boxes')
@@ -42,6 +43,13 @@ const cloudToken = require('./routes/wxtoken')
 const station = require('./station')
 const tags = require('./routes/tags')
 const files = require('./routes/files')
+const search = require('./routes/search')
+const uploads = require('./routes/uploads')
+const changes = require('./routes/changes')
+const syncs = require('./routes/syncs')
+const backups = require('./routes/backups')
+const audit = require('./routes/audit')
+const webdav = require('./webdav')
 
 /**
 This module is the entry point of the whole application.
@@ -50,6 +58,8 @@ This module is the entry point of the whole application.
 */
 app.set('json spaces', 0)
 app.use(logger('dev', { skip: (req, res) => res.nolog === true || app.nolog === true }))
+// webdav request bodies are file contents, they must not be consumed by body parsers
+app.use('/webdav', auth.init(), webdav)
 app.use(bodyParser.json())
 app.use(bodyParser.urlencoded({ extended: false }))
 app.use(auth.init())
@@ -63,6 +73,7 @@ app.use('/token', token)
 app.use('/station', station)
 app.use('/cloudToken', cloudToken)
 app.use('/users', users)
+app.use('/groups', groups)
 app.use('/drives', drives)
 app.use('/ndrives', ndrives)
 app.use('/boxes', boxes)
@@ -72,11 +83,16 @@ app.use('/features', require('./routes/features'))
 app.use('/download', require('./webtorrent'))
 app.use('/tags', tags)
 app.use('/files', files)
+app.use('/search', search)
+app.use('/uploads', uploads)
+app.use('/changes', changes)
+app.use('/syncs', syncs)
+app.use('/backups', backups)
+app.use('/audit', audit)
 
 let { NODE_ENV, NODE_PATH, LOGE } = process.env
 const isAutoTesting = NODE_ENV === 'test' && NODE_PATH !== undefined
 
-// app.use('/uploads', uploads)
 // catch 404 and forward to error handler
 app.use(function(req, res, next) {
   var err = new Error('Not Found')
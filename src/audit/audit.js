@@ -0,0 +1,164 @@
+const Promise = require('bluebird')
+const path = require('path')
+const fs = Promise.promisifyAll(require('fs'))
+const mkdirp = require('mkdirp')
+
+const Debug = require('debug')
+const debug = Debug('audit')
+
+// default max size of a log file, and number of rotated files kept
+const MAX_SIZE = 4 * 1024 * 1024
+const MAX_FILES = 4
+
+// size of chunk when reading a log file backwards
+const CHUNK_SIZE = 64 * 1024
+
+/**
+Call `f` with each line of a file, last line first, until `f` returns true.
+Lines are buffers without newline. Returns true if stopped by `f`.
+*/
+const readLinesBackwardAsync = async (filePath, f) => {
+  let fd
+  try {
+    fd = await fs.openAsync(filePath, 'r')
+  } catch (e) {
+    if (e.code === 'ENOENT') return false
+    throw e
+  }
+
+  try {
+    let position = (await fs.fstatAsync(fd)).size
+    let rest = Buffer.alloc(0)
+    while (position > 0) {
+      let length = Math.min(CHUNK_SIZE, position)
+      let buf = Buffer.alloc(length)
+      position -= length
+      await fs.readAsync(fd, buf, 0, length, position)
+      rest = Buffer.concat([buf, rest])
+
+      let i
+      while ((i = rest.lastIndexOf(0x0a)) !== -1) {
+        let line = rest.slice(i + 1)
+        rest = rest.slice(0, i)
+        if (line.length && f(line)) return true
+      }
+    }
+    return rest.length > 0 && f(rest)
+  } finally {
+    await fs.closeAsync(fd)
+  }
+}
+
+/**
+Audit keeps append-only logs, one JSON entry per line, in `audit/<category>.log` under
+fruitmix root.
+
+A log file is rotated before it grows beyond `maxSize`. Rotated files are `<category>.log.1`
+(latest) to `<category>.log.<maxFiles>` (oldest), older ones are dropped.
+
+```
+AuditEntry {
+  time,       // added when appended
+  type,
+  ...         // props of category
+}
+```
+
+@module Audit
+*/
+class Audit {
+
+  /**
+  @param {string} froot - fruitmix root
+  @param {object} [opts]
+  @param {number} [opts.maxSize] - max size of a log file, in bytes
+  @param {number} [opts.maxFiles] - number of rotated files kept for each category
+  */
+  constructor (froot, opts = {}) {
+    this.dir = path.join(froot, 'audit')
+    this.maxSize = opts.maxSize || MAX_SIZE
+    this.maxFiles = opts.maxFiles || MAX_FILES
+    mkdirp.sync(this.dir)
+    this.last = Promise.resolve()
+  }
+
+  // n is the number of rotated file, 0 or omitted for current one
+  logPath (category, n) {
+    return path.join(this.dir, n ? `${category}.log.${n}` : `${category}.log`)
+  }
+
+  /**
+  Rotate log files of category if current one can not take `size` more bytes
+  */
+  async rotateAsync (category, size) {
+    let stat
+    try {
+      stat = await fs.statAsync(this.logPath(category))
+    } catch (e) {
+      if (e.code === 'ENOENT') return
+      throw e
+    }
+
+    if (stat.size + size <= this.maxSize) return
+    for (let n = this.maxFiles; n > 0; n--) {
+      try {
+        await fs.renameAsync(this.logPath(category, n - 1), this.logPath(category, n))
+      } catch (e) {
+        if (e.code !== 'ENOENT') throw e
+      }
+    }
+    debug('rotated', category)
+  }
+
+  /**
+  Append an entry. Appends are serialized, errors are logged and never reported to caller.
+
+  @param {string} category
+  @param {object} entry
+  */
+  append (category, entry) {
+    let line = JSON.stringify(Object.assign({ time: new Date().getTime() }, entry)) + '\n'
+    this.last = this.last
+      .then(() => this.rotateAsync(category, Buffer.byteLength(line)))
+      .then(() => fs.appendFileAsync(this.logPath(category), line))
+      .catch(e => debug('audit append error', category, e.message))
+    return this.last
+  }
+
+  /**
+  Returns entries, latest first. Log files are read backwards, from current one to the oldest
+  rotated one, and reading stops once `limit` entries are found.
+
+  @param {string} category
+  @param {object} query
+  @param {number} [query.start] - min time, inclusive
+  @param {number} [query.end] - max time, exclusive
+  @param {string} [query.user] - user uuid
+  @param {number} [query.limit] - max number of entries
+  */
+  async queryAsync (category, { start, end, user, limit }) {
+    await this.last
+
+    let entries = []
+    const onLine = line => {
+      let entry
+      try {
+        entry = JSON.parse(line)
+      } catch (e) {
+        return false
+      }
+      if (start !== undefined && entry.time < start) return false
+      if (end !== undefined && entry.time >= end) return false
+      if (user !== undefined && entry.user !== user) return false
+      entries.push(entry)
+      return !!limit && entries.length >= limit
+    }
+
+    for (let n = 0; n <= this.maxFiles; n++) {
+      if (await readLinesBackwardAsync(this.logPath(category, n), onLine)) break
+    }
+    return entries
+  }
+}
+
+module.exports = Audit
@@ -0,0 +1,204 @@
+const Promise = require('bluebird')
+const path = require('path')
+const fs = Promise.promisifyAll(require('fs'))
+const UUID = require('uuid')
+const mkdirp = require('mkdirp')
+const rimraf = require('rimraf')
+const deepFreeze = require('deep-freeze')
+
+const E = require('../lib/error')
+const { saveObjectAsync } = require('../lib/utils')
+
+const Debug = require('debug')
+const debug = Debug('backups')
+
+// runs kept in history of each job
+const HISTORY_SIZE = 20
+
+/**
+Backups keeps scheduled backup jobs, which copy drives to a backup target.
+
+Jobs are saved in `backups.json`. The target is a native drive or a volume (see ndriveapi),
+identified by its file system uuid.
+
+```
+BackupJob {
+  uuid,
+  name,
+  target,     // file system uuid of target
+  drives,     // drive uuids
+  interval,   // milliseconds between scheduled runs
+  keep,       // number of generations kept on target
+  enabled,    // runs on schedule
+  ctime
+}
+```
+
+Each run creates a generation on target, which is a full copy of all drives at the time of
+the run. The state of each job is saved in `backups/<uuid>.json`, including generations on
+target, oldest first, and the history of recent runs.
+
+```
+Generation {
+  uuid,       // also the generation directory name on target
+  ctime,
+  method,     // 'btrfs' (send/receive) or 'file' (file-level export)
+  drives      // [{ drive, snapshot }], snapshot is the source snapshot sent, btrfs only
+}
+
+Run {
+  trigger,    // 'schedule' or 'manual'
+  start,
+  end,
+  status,     // 'success', 'partial' (some drives failed) or 'failed'
+  error,      // failed only, message
+  generation, // generation uuid, if created
+  method,
+  drives      // [{ drive, incremental, files, bytes, error }]
+}
+```
+
+@module Backups
+*/
+class Backups {
+
+  /**
+  @param {string} froot - fruitmix root
+  */
+  constructor (froot) {
+    this.filePath = path.join(froot, 'backups.json')
+    this.dir = path.join(froot, 'backups')
+    this.tmpDir = path.join(froot, 'tmp')
+
+    mkdirp.sync(this.dir)
+
+    try {
+      this.jobs = JSON.parse(fs.readFileSync(this.filePath))
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e
+      this.jobs = []
+    }
+
+    deepFreeze(this.jobs)
+
+    /**
+    @member {boolean} lock - internal file operation lock
+    */
+    this.lock = false
+    this.last = Promise.resolve()
+
+    /**
+    uuids of running jobs
+    */
+    this.running = new Set()
+  }
+
+  /**
+  Save jobs to file. This operation use opportunistic lock.
+  */
+  async commitJobsAsync (currJobs, nextJobs) {
+    if (currJobs !== this.jobs) throw new E.ECOMMITFAIL()
+    if (this.lock === true) throw new E.ECOMMITFAIL()
+
+    this.lock = true
+    try {
+      await saveObjectAsync(this.filePath, this.tmpDir, nextJobs)
+      this.jobs = nextJobs
+      deepFreeze(this.jobs)
+    } finally {
+      this.lock = false
+    }
+  }
+
+  serialize (f) {
+    let p = this.last.then(() => f())
+    this.last = p.then(() => {}, () => {})
+    return p
+  }
+
+  findJob (jobUUID) {
+    return this.jobs.find(x => x.uuid === jobUUID)
+  }
+
+  statePath (jobUUID) {
+    return path.join(this.dir, `${jobUUID}.json`)
+  }
+
+  /**
+  Create a job
+
+  @param {object} props - job props except uuid and ctime
+  @returns {BackupJob}
+  */
+  async createAsync (props) {
+    return this.serialize(async () => {
+      let job = Object.assign({ uuid: UUID.v4() }, props, { ctime: new Date().getTime() })
+      await this.commitJobsAsync(this.jobs, [...this.jobs, job])
+      debug('create', job)
+      return job
+    })
+  }
+
+  /**
+  Update a job
+
+  @param {string} jobUUID
+  @param {object} props
+  */
+  async updateAsync (jobUUID, props) {
+    return this.serialize(async () => {
+      let index = this.jobs.findIndex(x => x.uuid === jobUUID)
+      if (index === -1) throw new E.ENOENT('job not found')
+      let job = Object.assign({}, this.jobs[index], props)
+      await this.commitJobsAsync(this.jobs, [...this.jobs.slice(0, index), job, ...this.jobs.slice(index + 1)])
+      return job
+    })
+  }
+
+  /**
+  Delete a job and its state. Generations on target are not touched.
+  */
+  async deleteAsync (jobUUID) {
+    return this.serialize(async () => {
+      if (!this.findJob(jobUUID)) return
+      await this.commitJobsAsync(this.jobs, this.jobs.filter(x => x.uuid !== jobUUID))
+      await Promise.promisify(rimraf)(this.statePath(jobUUID))
+      debug('delete', jobUUID)
+    })
+  }
+
+  /**
+  Load job state, returns `{ generations, history }`
+  */
+  async loadStateAsync (jobUUID) {
+    try {
+      return JSON.parse(await fs.readFileAsync(this.statePath(jobUUID)))
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e
+      return { generations: [], history: [] }
+    }
+  }
+
+  /**
+  Save job state. The run is appended to history.
+
+  @param {string} jobUUID
+  @param {Run} run
+  @param {Generation[]} generations
+  */
+  async saveStateAsync (jobUUID, run, generations) {
+    let state = await this.loadStateAsync(jobUUID)
+    let history = [...state.history, run].slice(-HISTORY_SIZE)
+    await saveObjectAsync(this.statePath(jobUUID), this.tmpDir, { generations, history })
+  }
+
+  /**
+  Returns runs of a job, latest first
+  */
+  async getHistoryAsync (jobUUID) {
+    let { history } = await this.loadStateAsync(jobUUID)
+    return history.slice().reverse()
+  }
+}
+
+module.exports = Backups
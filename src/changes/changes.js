@@ -0,0 +1,191 @@
+const EventEmitter = require('events')
+const crypto = require('crypto')
+const UUID = require('uuid')
+
+const Directory = require('../vfs/directory')
+
+const Debug = require('debug')
+const debug = Debug('changes')
+
+// max number of events kept for catching up
+const CAPACITY = 10000
+
+/**
+Changes derives change events from forest and keeps the most recent ones in memory.
+
+Forest re-reads a directory whenever it is changed, either by writedir operations, fruitmix apis,
+or samba (via `VFS.audit`). Changes observes `DirEntriesUpdated`, which is emitted before the
+children of the directory are updated, and diffs entries against the children kept by forest:
+
++ `create`, an entry appears
++ `delete`, an entry disappears
++ `rename`, an entry is still there (same uuid) but with a different name
++ `modify`, a file has different hash, or a directory has different mtime
+
+Forest keeps only directories and files with interested type or tags (see `Directory.isInterested`).
+Other files are not duplicated here either. Only a hash of them is kept for each directory, and any
+change among them is reported as a `modify` of the directory itself, so the client should re-list it.
+
+An entry moved into another directory appears as `delete` in the old one and `create` in the new one.
+The first read of a directory produces no events, for there is nothing to diff against.
+
+```
+Event {
+  seq,        // sequence number, starting from 1
+  type,       // create, delete, rename or modify
+  drive,      // drive uuid
+  dir,        // parent directory uuid
+  uuid,       // entry uuid
+  name,       // entry name
+  oldName,    // rename only
+  entryType,  // 'file' or 'directory'
+  time        // timestamp
+}
+```
+
+A cursor is `<epoch>:<seq>`, where epoch is generated when Changes is constructed. A cursor from
+another epoch, or older than the oldest event kept, can not be resumed and the client should re-list.
+
+Changes emits `change` with the event and the uuids of the directory and its ancestors (the latter is
+not part of the event but used by subscribers for filtering).
+
+The events are not persisted.
+
+@module Changes
+*/
+class Changes extends EventEmitter {
+
+  /**
+  @param {Forest} forest
+  @param {object} [opts]
+  @param {number} [opts.capacity] - max number of events kept
+  */
+  constructor (forest, opts = {}) {
+    super()
+    this.setMaxListeners(0)
+
+    this.forest = forest
+    this.capacity = opts.capacity || CAPACITY
+    this.epoch = UUID.v4().slice(0, 8)
+    this.seq = 0
+
+    /**
+    events, each with ancestor uuids, oldest first
+    */
+    this.events = []
+
+    /**
+    hash of non-interested files indexed by directory uuid, also tells if the directory has been read
+    */
+    this.dirs = new Map()
+
+    this.onDirEntriesUpdated = (dir, xstats) => this.update(dir, xstats)
+    this.onDirUnindexed = dir => this.dirs.delete(dir.uuid)
+
+    forest.on('DirEntriesUpdated', this.onDirEntriesUpdated)
+    forest.on('DirUnindexed', this.onDirUnindexed)
+  }
+
+  /**
+  Returns the cursor of given sequence number, defaults to current one
+  */
+  cursor (seq = this.seq) {
+    return `${this.epoch}:${seq}`
+  }
+
+  /**
+  Returns the sequence number of cursor, or -1 if it can not be resumed
+
+  @param {string} cursor
+  */
+  parseCursor (cursor) {
+    let m = /^([0-9a-f]{8}):(\d+)$/.exec(cursor || '')
+    if (!m || m[1] !== this.epoch) return -1
+
+    let seq = parseInt(m[2])
+    if (seq > this.seq) return -1
+
+    // events after seq must be all kept
+    let oldest = this.events.length ? this.events[0].event.seq : this.seq + 1
+    if (seq < oldest - 1) return -1
+    return seq
+  }
+
+  /**
+  Returns events (with ancestors) after seq
+
+  @param {number} seq
+  */
+  since (seq) {
+    let first = this.events.length ? this.events[0].event.seq : this.seq + 1
+    return this.events.slice(Math.max(seq + 1 - first, 0))
+  }
+
+  push (ancestors, props) {
+    let event = Object.assign({ seq: ++this.seq }, props, { time: new Date().getTime() })
+    let item = { event, ancestors }
+    this.events.push(item)
+    if (this.events.length > this.capacity) this.events.shift()
+    debug(event.type, event.name)
+    this.emit('change', event, ancestors)
+  }
+
+  /**
+  Diff entries of a directory against previous read
+  */
+  update (dir, xstats) {
+    let others = xstats
+      .filter(x => !Directory.isInterested(x))
+      .map(x => `${x.uuid}/${x.name}/${x.size}/${x.mtime}`)
+      .sort()
+    let hash = crypto.createHash('sha1').update(others.join('\n')).digest('hex')
+
+    let prev = this.dirs.get(dir.uuid)
+    this.dirs.set(dir.uuid, hash)
+    if (!prev) return
+
+    let drive = dir.root().uuid
+    let ancestors = dir.nodepath().map(n => n.uuid)
+    const push = (type, uuid, entry, extra) => this.push(ancestors, Object.assign({
+      type,
+      drive,
+      dir: dir.uuid,
+      uuid,
+      name: entry.name
+    }, extra, { entryType: entry.type }))
+
+    let next = new Map(xstats.filter(Directory.isInterested).map(x => [x.uuid, x]))
+    let children = new Map(dir.children.map(c => [c.uuid, c]))
+
+    children.forEach((child, uuid) => next.has(uuid) ||
+      push('delete', uuid, { name: child.name, type: child instanceof Directory ? 'directory' : 'file' }))
+
+    next.forEach((x, uuid) => {
+      let child = children.get(uuid)
+      if (!child) return push('create', uuid, x)
+      if (child.name !== x.name) push('rename', uuid, x, { oldName: child.name })
+      if (x.type === 'directory' ? Math.abs(child.mtime) !== x.mtime : child.hash !== x.hash) {
+        push('modify', uuid, x)
+      }
+    })
+
+    if (prev !== hash) {
+      this.push(ancestors, {
+        type: 'modify',
+        drive,
+        dir: dir.parent ? dir.parent.uuid : dir.uuid,
+        uuid: dir.uuid,
+        name: dir.name,
+        entryType: 'directory'
+      })
+    }
+  }
+
+  destroy () {
+    this.forest.removeListener('DirEntriesUpdated', this.onDirEntriesUpdated)
+    this.forest.removeListener('DirUnindexed', this.onDirUnindexed)
+    this.removeAllListeners()
+  }
+}
+
+module.exports = Changes
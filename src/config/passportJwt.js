@@ -1 +0,0 @@
-module.exports = 'JsonWebTokenIsAwesome'
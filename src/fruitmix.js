@@ -1,17 +1,28 @@
 const Fruitmix = require('./Fruitmix')
 const broadcast = require('./common/broadcast')
 
+const Debug = require('debug')
+const debug = Debug('fruitmix')
+
 let fruitmix = null
 let storage = null
 
+// FruitmixStarted is emitted with an error if fruitmix fails to start
+const startError = e => {
+  debug('fruitmix start error', e)
+  broadcast.emit('FruitmixStarted', e)
+}
+
 broadcast.on('FruitmixStart', (froot, opts) => {
   try {
     fruitmix = new Fruitmix(froot, opts)
     if (storage) fruitmix.setStorage(storage)
-    // !!! guarantee to be async
-    process.nextTick(() => broadcast.emit('FruitmixStarted'))
+    // !!! guarantee to be async, drives are loaded
+    fruitmix.driveList.ready
+      .then(() => broadcast.emit('FruitmixStarted'))
+      .catch(startError)
   } catch (e) {
-    console.log(e)
+    process.nextTick(() => startError(e))
   }
 })
 
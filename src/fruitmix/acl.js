@@ -0,0 +1,239 @@
+const { isUUID } = require('../common/assertion')
+
+const forbidden = e => Object.assign(e, { code: 'EFORBIDDEN', status: 403 })
+const notFound = e => Object.assign(e, { code: 'ENOTFOUND', status: 404 })
+const badRequest = e => Object.assign(e, { code: 'EBADREQUEST', status: 400 })
+
+// ordered from the least to the most permissive
+const ACCESS = ['none', 'read', 'write']
+
+/**
+Fruitmix ACL API
+
+Directories in public drives may have an ACL, see {@link module:ACLs}. The access of a user
+to a directory is evaluated as follows:
+
+1. the drive level access (writelist/readlist) is the default. Users without drive level access
+   have no access, whatever the ACLs say.
+2. the nearest ACL, from the directory up to drive root, having entries matching the user wins.
+3. in that ACL, a user entry takes precedence over group entries. If multiple groups match,
+   the most permissive one is used.
+
+So an ACL may restrict a drive user to `read` or `none`, or elevate a reader to `write`.
+
+@mixin
+*/
+const aclapi = {
+
+  /**
+  Returns the access matching user in a single ACL, or undefined if no entry matches
+
+  @param {object} user
+  @param {ACL} acl
+  @returns {string|undefined} 'write', 'read', 'none' or undefined
+  */
+  matchACL (user, acl) {
+    let u = acl.entries.find(x => x.user === user.uuid)
+    if (u) return u.access
+
+    let groups = this.userGroups(user)
+    return acl.entries
+      .filter(x => x.group && groups.includes(x.group))
+      .reduce((a, x) => a === undefined || ACCESS.indexOf(x.access) > ACCESS.indexOf(a) ? x.access : a, undefined)
+  },
+
+  /**
+  Returns the effective access of user to a directory
+
+  @param {object} user
+  @param {Directory} dir
+  @returns {string} 'write', 'read' or 'none'
+  */
+  getDirAccess (user, dir) {
+    let root = dir.root()
+    let drive = this.driveList.drives.find(drv => drv.uuid === root.uuid)
+    if (!drive) return 'none'
+
+    let access = this.userCanWriteDriveData(user, drive)
+      ? 'write'
+      : this.userCanReadDriveData(user, drive) ? 'read' : 'none'
+
+    if (access === 'none' || drive.type !== 'public') return access
+
+    for (let node = dir; node; node = node.parent) {
+      let acl = this.acls.findACL(node.uuid)
+      if (!acl) continue
+      let matched = this.matchACL(user, acl)
+      if (matched) return matched
+    }
+
+    return access
+  },
+
+  userCanReadDir (user, dir) {
+    return this.getDirAccess(user, dir) !== 'none'
+  },
+
+  userCanWriteDir (user, dir) {
+    return this.getDirAccess(user, dir) === 'write'
+  },
+
+  /**
+  Returns an error if user has no read (or write) access to the directory, otherwise null.
+  This function is used by xcopy ctx methods.
+
+  @param {object} user
+  @param {string} driveUUID
+  @param {string} dirUUID
+  @param {boolean} write - requires write access
+  */
+  checkDirAccess (user, driveUUID, dirUUID, write) {
+    let dir = this.driveList.getDriveDir(driveUUID, dirUUID)
+    if (!dir) return notFound(new Error('drive or dir not found'))
+    if (write ? !this.userCanWriteDir(user, dir) : !this.userCanReadDir(user, dir)) {
+      return forbidden(new Error('permission denied'))
+    }
+    return null
+  },
+
+  /**
+  Returns the directory if user can update its acl, otherwise an error.
+  Only user who can update drive metadata (admin) is allowed, and only public drive has acl.
+  */
+  getACLDir (user, driveUUID, dirUUID) {
+    let drive = this.driveList.drives.find(drv => drv.uuid === driveUUID)
+    if (!drive || !this.userCanReadDriveMetadata(user, drive)) {
+      return notFound(new Error(`drive ${driveUUID} not found`))
+    }
+
+    if (!this.userCanWriteDriveMetadata(user, drive)) return forbidden(new Error('permission denied'))
+    if (drive.type !== 'public') return forbidden(new Error('acl is not supported for private drive'))
+
+    let dir = this.driveList.getDriveDir(driveUUID, dirUUID)
+    if (!dir) return notFound(new Error('drive or dir not found'))
+    return dir
+  },
+
+  /**
+  Returns the acl of a directory. `inherited` is the uuid of the ancestor the acl comes from,
+  or null if the directory has its own acl or no acl applies.
+
+  @param {object} user
+  @param {string} driveUUID
+  @param {string} dirUUID
+  @param {function} callback - `(err, { dir, drive, entries, inherited }) => {}`
+  */
+  getDirACL (user, driveUUID, dirUUID, callback) {
+    let dir = this.getACLDir(user, driveUUID, dirUUID)
+    if (dir instanceof Error) return process.nextTick(() => callback(dir))
+
+    let own = this.acls.findACL(dirUUID)
+    let inherited = null
+    if (!own) {
+      for (let node = dir.parent; node; node = node.parent) {
+        if (this.acls.findACL(node.uuid)) {
+          inherited = node.uuid
+          break
+        }
+      }
+    }
+
+    let entries = own ? own.entries : []
+    process.nextTick(() => callback(null, { dir: dirUUID, drive: driveUUID, entries, inherited }))
+  },
+
+  /**
+  Set or clear the acl of a directory. If drive root acl is changed, samba is updated.
+
+  @param {object} user
+  @param {string} driveUUID
+  @param {string} dirUUID
+  @param {object} props
+  @param {object[]} props.entries - `{ user, access }` or `{ group, access }`, empty array clears the acl.
+    User and group must exist, see {@link groupapi}.
+  @param {function} callback - `(err, { dir, drive, entries }) => {}`
+  */
+  setDirACL (user, driveUUID, dirUUID, props, callback) {
+    let dir = this.getACLDir(user, driveUUID, dirUUID)
+    if (dir instanceof Error) return process.nextTick(() => callback(dir))
+
+    let err
+    if (typeof props !== 'object' || props === null ||
+      !Object.getOwnPropertyNames(props).every(name => name === 'entries') ||
+      !Array.isArray(props.entries)) {
+      err = badRequest(new Error('entries must be an array'))
+    } else {
+      let subjects = new Set()
+      for (let x of props.entries) {
+        let names = typeof x === 'object' && x !== null ? Object.getOwnPropertyNames(x).sort() : []
+        if (!(names.length === 2 && names[0] === 'access' && (names[1] === 'group' || names[1] === 'user'))) {
+          err = badRequest(new Error('entry must have access and either user or group'))
+        } else if (!ACCESS.includes(x.access)) {
+          err = badRequest(new Error('access must be write, read or none'))
+        } else if (!isUUID(x.user || x.group)) {
+          err = badRequest(new Error('invalid user or group uuid'))
+        } else if (x.user && !this.userList.users.find(u => u.uuid === x.user)) {
+          err = badRequest(new Error(`user ${x.user} not found`))
+        } else if (x.group && !this.groupList.findGroup(x.group)) {
+          err = badRequest(new Error(`group ${x.group} not found`))
+        } else if (subjects.has(x.user || x.group)) {
+          err = badRequest(new Error('duplicate entry'))
+        }
+        if (err) break
+        subjects.add(x.user || x.group)
+      }
+    }
+
+    if (err) return process.nextTick(() => callback(err))
+
+    let entries = props.entries.map(x => x.user
+      ? { user: x.user, access: x.access }
+      : { group: x.group, access: x.access })
+
+    this.acls.setAsync(driveUUID, dirUUID, entries)
+      .then(() => {
+        if (dirUUID === driveUUID) this.updateSamba()
+        callback(null, { dir: dirUUID, drive: driveUUID, entries })
+      })
+      .catch(e => callback(e))
+  },
+
+  /**
+  Returns drives for samba. Samba share config only knows users, so for public drives:
+
+  1. group uuids in writelist and readlist are expanded to member uuids.
+  2. if drive root has an acl, writelist and readlist are replaced by the effective access of
+     each user to drive root.
+
+  ACLs on sub-directories cannot be expressed in share config and are not reflected.
+
+  @returns {Drive[]}
+  */
+  getSambaDrives () {
+    const expand = list => list === '*' ? list : Array.from(new Set(list.reduce((acc, uuid) => {
+      let group = this.groupList.findGroup(uuid)
+      return group ? [...acc, ...group.members] : [...acc, uuid]
+    }, [])))
+
+    return this.driveList.drives
+      .filter(drv => !drv.deleted)
+      .map(drive => {
+        if (drive.type !== 'public') return drive
+        let root = this.driveList.roots.get(drive.uuid)
+        if (!root || !this.acls.findACL(drive.uuid)) {
+          return Object.assign({}, drive, {
+            writelist: expand(drive.writelist),
+            readlist: expand(drive.readlist)
+          })
+        }
+
+        let users = this.userList.users.filter(u => !u.disabled)
+        return Object.assign({}, drive, {
+          writelist: users.filter(u => this.getDirAccess(u, root) === 'write').map(u => u.uuid),
+          readlist: users.filter(u => this.getDirAccess(u, root) === 'read').map(u => u.uuid)
+        })
+      })
+  }
+}
+
+module.exports = aclapi
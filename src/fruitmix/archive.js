@@ -0,0 +1,100 @@
+const path = require('path')
+
+const Archive = require('../lib/archive')
+const { isUUID } = require('../common/assertion')
+
+const notFound = e => Object.assign(e, { code: 'ENOTFOUND', status: 404 })
+const badRequest = e => Object.assign(e, { code: 'EBADREQUEST', status: 400 })
+
+/**
+Fruitmix Archive API
+
+A directory, or selected entries in it, can be downloaded as a zip or tar archive. The archive
+is streamed on the fly, see {@link module:archive}.
+
+Directories are walked via forest and entries are read by readdir. Sub-directories the user
+can not read are skipped silently.
+
+@mixin
+*/
+const archiveapi = {
+
+  /**
+  Create an archive stream. The stream is returned once the request is validated, entries are
+  appended asynchronously. If walking fails, the stream is destroyed with the error.
+
+  @param {object} user
+  @param {string} driveUUID
+  @param {string} dirUUID
+  @param {object} props
+  @param {string} [props.format] - `zip` (default) or `tar`
+  @param {string} [props.entries] - comma separated entry uuids in the directory, all if not provided
+  @param {function} callback - `(err, { name, stream }) => {}`, name is the archive file name
+  */
+  createArchive (user, driveUUID, dirUUID, props, callback) {
+    let format = props.format || 'zip'
+    if (format !== 'zip' && format !== 'tar') {
+      return process.nextTick(() => callback(badRequest(new Error('format must be zip or tar'))))
+    }
+
+    let uuids
+    if (props.entries !== undefined) {
+      uuids = String(props.entries).split(',').filter(x => x.length)
+      if (!uuids.length || !uuids.every(uuid => isUUID(uuid))) {
+        return process.nextTick(() => callback(badRequest(new Error('invalid entries'))))
+      }
+    }
+
+    let err = this.checkDirAccess(user, driveUUID, dirUUID, false)
+    if (err) return process.nextTick(() => callback(err))
+
+    let dir = this.driveList.getDriveDir(driveUUID, dirUUID)
+    dir.readdirAsync()
+      .then(xstats => {
+        if (uuids) {
+          let missing = uuids.find(uuid => !xstats.find(x => x.uuid === uuid))
+          if (missing) throw notFound(new Error(`entry ${missing} not found`))
+          xstats = xstats.filter(x => uuids.includes(x.uuid))
+        }
+
+        let drive = this.driveList.drives.find(drv => drv.uuid === driveUUID)
+        let name = dir.parent ? dir.name : (drive.label || drive.uuid)
+        // a single selected entry names the archive
+        if (uuids && xstats.length === 1) name = xstats[0].name
+
+        let archive = new Archive(format)
+        this.archiveEntriesAsync(user, archive, dir, xstats, '')
+          .then(() => archive.finalizeAsync())
+          .catch(e => archive.aborted || archive.destroy(e))
+
+        callback(null, { name: `${name}.${format}`, stream: archive })
+      })
+      .catch(e => callback(e))
+  },
+
+  /**
+  Append entries recursively, internal
+
+  @param {object} user
+  @param {Archive} archive
+  @param {Directory} dir - parent directory of entries
+  @param {xstat[]} xstats - entries
+  @param {string} prefix - relative path of dir in archive
+  */
+  async archiveEntriesAsync (user, archive, dir, xstats, prefix) {
+    let dirPath = dir.abspath()
+    for (let x of xstats) {
+      let name = prefix ? prefix + '/' + x.name : x.name
+      if (x.type === 'file') {
+        await archive.addFileAsync(name, path.join(dirPath, x.name), x.size, x.mtime)
+      } else if (x.type === 'directory') {
+        let sub = this.driveList.uuidMap.get(x.uuid)
+        if (!sub || !this.userCanReadDir(user, sub)) continue
+        await archive.addDirectoryAsync(name, x.mtime)
+        await this.archiveEntriesAsync(user, archive, sub, await sub.readdirAsync(), name)
+      }
+    }
+  }
+}
+
+module.exports = archiveapi
@@ -0,0 +1,117 @@
+const { isUUID } = require('../common/assertion')
+
+const forbidden = e => Object.assign(e, { code: 'EFORBIDDEN', status: 403 })
+const notFound = e => Object.assign(e, { code: 'ENOTFOUND', status: 404 })
+const badRequest = e => Object.assign(e, { code: 'EBADREQUEST', status: 400 })
+const locked = until => Object.assign(new Error(`too many failed attempts, retry after ${
+  Math.ceil((until - new Date().getTime()) / 1000)} seconds`), { code: 'ELOCKED', status: 429, until })
+
+const isNonNegativeInteger = x => Number.isInteger(x) && x >= 0
+
+// audit logs can be queried, see userapi for users
+const CATEGORIES = ['auth', 'users']
+
+/**
+Fruitmix Auth API
+
+Password authentication (http basic) and TOTP codes (see {@link totpapi}) are limited by failed
+attempts of both user and ip, see {@link Lockout}. Locked requests are rejected with 429 before
+password or code is checked.
+
+Authentication events are appended to `auth` audit log, see {@link module:Audit}.
+
+```
+AuthEntry {
+  time,
+  type,       // 'success', 'failure', 'lockout' or 'refresh'
+  method,     // 'basic', 'cloud', 'totp' or 'refresh'
+  user,       // user uuid, if known
+  ip,
+  session,    // session id, success and refresh only
+  until       // lockout only, time when unlocked
+}
+```
+
+Success is recorded when a token is issued, rather than on each request with password (such
+as webdav), so the log is not flooded.
+
+@mixin
+*/
+const authapi = {
+
+  /**
+  Append an entry to auth audit log
+  */
+  recordAuth (type, props) {
+    this.audit.append('auth', Object.assign({ type }, props))
+  },
+
+  /**
+  Verify password with lockout, used by basic auth
+
+  @param {string} userUUID
+  @param {string} password
+  @param {string} ip
+  @param {function} done - `(err, user) => {}`, user is false if password mismatch
+  */
+  authenticate (userUUID, password, ip, done) {
+    let until = Math.max(this.userLockout.lockedUntil(userUUID), this.ipLockout.lockedUntil(ip))
+    if (until) return process.nextTick(() => done(locked(until)))
+
+    this.userList.verifyPassword(userUUID, password, (err, user) => {
+      if (user) {
+        this.userLockout.succeed(userUUID)
+        return done(null, user)
+      }
+
+      // unknown user counts for ip only
+      let known = !!this.userList.findUser(userUUID)
+      until = Math.max(known ? this.userLockout.fail(userUUID) : 0, this.ipLockout.fail(ip))
+      this.recordAuth('failure', { method: 'basic', user: userUUID, ip })
+      if (until) this.recordAuth('lockout', { method: 'basic', user: userUUID, ip, until })
+      done(err || null, false)
+    })
+  },
+
+  /**
+  Query an audit log. Only admin is allowed.
+
+  @param {object} user
+  @param {string} category - `auth` or `users`
+  @param {object} query - query string
+  @param {string} [query.start] - min time in milliseconds, inclusive
+  @param {string} [query.end] - max time in milliseconds, exclusive
+  @param {string} [query.user] - user uuid
+  @param {string} [query.limit] - max number of entries
+  @param {function} callback - `(err, entries) => {}`, latest first
+  */
+  getAudit (user, category, query, callback) {
+    if (!user.isAdmin) {
+      return process.nextTick(() => callback(forbidden(new Error('requires admin priviledge'))))
+    }
+
+    if (!CATEGORIES.includes(category)) {
+      return process.nextTick(() => callback(notFound(new Error(`audit log ${category} not found`))))
+    }
+
+    let q = {}
+    for (let key of ['start', 'end', 'limit']) {
+      if (query[key] === undefined) continue
+      q[key] = Number(query[key])
+      if (!isNonNegativeInteger(q[key])) {
+        return process.nextTick(() => callback(badRequest(new Error(`invalid ${key}`))))
+      }
+    }
+
+    if (query.user !== undefined) {
+      if (!isUUID(query.user)) return process.nextTick(() => callback(badRequest(new Error('invalid user'))))
+      q.user = query.user
+    }
+
+    this.audit.queryAsync(category, q)
+      .then(entries => callback(null, entries))
+      .catch(e => callback(e))
+  }
+}
+
+module.exports = authapi
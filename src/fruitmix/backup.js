@@ -0,0 +1,494 @@
+const Promise = require('bluebird')
+const path = require('path')
+const fs = Promise.promisifyAll(require('fs'))
+const UUID = require('uuid')
+const mkdirp = require('mkdirp')
+const rimraf = require('rimraf')
+
+const { isUUID } = require('../common/assertion')
+const { btrfsSendReceive, btrfsSubvolumeDelete } = require('../lib/btrfs')
+const { META } = require('../vfs/meta')
+
+const mkdirpAsync = Promise.promisify(mkdirp)
+const rimrafAsync = Promise.promisify(rimraf)
+const btrfsSendReceiveAsync = Promise.promisify(btrfsSendReceive)
+const btrfsSubvolumeDeleteAsync = Promise.promisify(btrfsSubvolumeDelete)
+
+const Debug = require('debug')
+const debug = Debug('backup')
+
+const forbidden = e => Object.assign(e, { code: 'EFORBIDDEN', status: 403 })
+const notFound = e => Object.assign(e, { code: 'ENOTFOUND', status: 404 })
+const badRequest = e => Object.assign(e, { code: 'EBADREQUEST', status: 400 })
+const conflict = e => Object.assign(e, { code: 'ECONFLICT', status: 409 })
+
+// directory on target holding generations of all jobs
+const BACKUP_DIR = 'wisnuc-backups'
+
+// 24 hours
+const DEFAULT_INTERVAL = 24 * 3600 * 1000
+
+// keep 7 generations
+const DEFAULT_KEEP = 7
+
+const copyFileAsync = (src, dst) => new Promise((resolve, reject) => {
+  let rs = fs.createReadStream(src)
+  let ws = fs.createWriteStream(dst)
+  rs.on('error', err => {
+    ws.destroy()
+    reject(err)
+  })
+  ws.on('error', err => {
+    rs.destroy()
+    reject(err)
+  })
+  ws.on('finish', () => resolve())
+  rs.pipe(ws)
+})
+
+const lstatOrNullAsync = async target => {
+  try {
+    return await fs.lstatAsync(target)
+  } catch (e) {
+    if (e.code === 'ENOENT' || e.code === 'ENOTDIR') return null
+    throw e
+  }
+}
+
+const isPositiveInteger = x => Number.isInteger(x) && x > 0
+
+/**
+Copy a directory tree for file-level backup. Files unchanged since previous generation (same
+size and mtime) are hard linked to it, others are copied with their mtime. If the target file
+system does not support hard links, all files are copied.
+
+@param {string} src - source directory
+@param {string} dst - target directory, must not exist
+@param {string} [prev] - the same directory in previous generation
+@returns {object} `{ files, bytes }`, files and bytes copied (not linked)
+*/
+const copyBackupTreeAsync = async (src, dst, prev) => {
+  let result = { files: 0, bytes: 0 }
+  let queue = ['']
+  await mkdirpAsync(dst)
+  while (queue.length) {
+    let rel = queue.shift()
+    let names = await fs.readdirAsync(path.join(src, rel))
+    for (let name of names) {
+      // tmp and trash of drive are not backed up
+      if (rel === '' && name === META) continue
+      let r = path.join(rel, name)
+      let stat = await lstatOrNullAsync(path.join(src, r))
+      if (!stat) continue
+
+      if (stat.isDirectory()) {
+        await fs.mkdirAsync(path.join(dst, r))
+        queue.push(r)
+      } else if (stat.isFile()) {
+        if (prev) {
+          let old = await lstatOrNullAsync(path.join(prev, r))
+          if (old && old.isFile() && old.size === stat.size && old.mtime.getTime() === stat.mtime.getTime()) {
+            try {
+              await fs.linkAsync(path.join(prev, r), path.join(dst, r))
+              continue
+            } catch (e) {
+              if (e.code !== 'EPERM' && e.code !== 'ENOTSUP' && e.code !== 'EMLINK') throw e
+            }
+          }
+        }
+
+        await copyFileAsync(path.join(src, r), path.join(dst, r))
+        await fs.utimesAsync(path.join(dst, r), stat.atime, stat.mtime)
+        result.files++
+        result.bytes += stat.size
+      }
+    }
+  }
+  return result
+}
+
+/**
+Fruitmix Backup API
+
+A backup job copies a set of drives to a backup target on schedule, see {@link module:Backups}.
+The target is a native drive or a volume other than the one hosting fruitmix. Generations are
+stored in `wisnuc-backups/<jobUUID>/<generationUUID>/<driveUUID>` on target.
+
+Each drive is copied from a read-only snapshot (tagged `backup`, see {@link module:Snapshots}),
+so the copy is consistent. If target is btrfs, the snapshot is sent by btrfs send/receive,
+incrementally against the snapshot sent last time, which is kept on source until the next
+successful run. Otherwise, the snapshot is exported file by file, and unchanged files are hard
+linked to previous generation.
+
+Only admin can manage backup jobs.
+
+@mixin
+*/
+const backupapi = {
+
+  /**
+  Returns the mounted native drive or volume with given file system uuid
+  */
+  findBackupTarget (fileSystemUUID) {
+    return this.ndrives.find(ndrv => ndrv.fileSystemUUID === fileSystemUUID)
+  },
+
+  // returns job props for clients
+  backupJobView (job) {
+    return Object.assign({}, job, {
+      attached: !!this.findBackupTarget(job.target),
+      running: this.backups.running.has(job.uuid)
+    })
+  },
+
+  // returns the job if user is admin, otherwise an error
+  getAdminBackupJob (user, jobUUID) {
+    if (!user.isAdmin) return forbidden(new Error('requires admin priviledge'))
+    let job = this.backups.findJob(jobUUID)
+    if (!job) return notFound(new Error(`backup job ${jobUUID} not found`))
+    return job
+  },
+
+  // validate drives, returns an error or null
+  checkBackupDrives (drives) {
+    if (!Array.isArray(drives) || !drives.length || !drives.every(isUUID) ||
+      new Set(drives).size !== drives.length) {
+      return badRequest(new Error('drives must be a non-empty array of distinct drive uuids'))
+    }
+
+    let missing = drives.find(uuid => !this.driveList.drives.find(drv => drv.uuid === uuid && !drv.deleted))
+    if (missing) return notFound(new Error(`drive ${missing} not found`))
+    return null
+  },
+
+  /**
+  Delete a generation on target, and source snapshots kept for it
+  */
+  async deleteBackupGenerationAsync (root, generation) {
+    let genDir = path.join(root, generation.uuid)
+    if (generation.method === 'btrfs') {
+      await Promise.mapSeries(generation.drives, ({ drive }) =>
+        btrfsSubvolumeDeleteAsync(path.join(genDir, drive)).catch(() => {}))
+    }
+    await rimrafAsync(genDir)
+    await this.snapshots.deleteSnapshotsAsync(generation.drives.filter(x => x.snapshot).map(x => x.snapshot))
+  },
+
+  /**
+  Copy a drive into generation directory
+
+  @param {object} ctx - `{ method, genDir, root, generations }`
+  @param {string} driveUUID
+  @returns {object} `{ entry, result }`, entry goes into generation, result goes into run
+  */
+  async backupDriveAsync (ctx, driveUUID) {
+    let { method, genDir, root, generations } = ctx
+    let snapshot = await this.snapshots.createSnapshotAsync(driveUUID, 'backup')
+    let snapshotPath = this.snapshots.snapshotPath(snapshot)
+
+    // latest generation having this drive, with the same method
+    let prev = generations.slice().reverse()
+      .find(gen => gen.method === method && gen.drives.find(x => x.drive === driveUUID))
+    let prevDir = prev && path.join(root, prev.uuid, driveUUID)
+    if (prevDir && !await lstatOrNullAsync(prevDir)) prevDir = undefined
+
+    let dst = path.join(genDir, driveUUID)
+    if (method === 'btrfs') {
+      let parent = prevDir && prev.drives.find(x => x.drive === driveUUID).snapshot
+      let parentSnapshot = parent && this.snapshots.findSnapshot(parent)
+      try {
+        await btrfsSendReceiveAsync(snapshotPath,
+          parentSnapshot ? this.snapshots.snapshotPath(parentSnapshot) : null, genDir)
+        await fs.renameAsync(path.join(genDir, snapshot.uuid), dst)
+      } catch (e) {
+        await btrfsSubvolumeDeleteAsync(path.join(genDir, snapshot.uuid)).catch(() => {})
+        await this.snapshots.deleteSnapshotsAsync([snapshot.uuid])
+        throw e
+      }
+
+      // only the latest sent snapshot is needed as parent
+      let old = []
+      generations.forEach(gen => gen.drives
+        .filter(x => x.drive === driveUUID && x.snapshot)
+        .forEach(x => old.push(x.snapshot)))
+      await this.snapshots.deleteSnapshotsAsync(old)
+
+      return {
+        entry: { drive: driveUUID, snapshot: snapshot.uuid },
+        result: { drive: driveUUID, incremental: !!parentSnapshot }
+      }
+    } else {
+      try {
+        let { files, bytes } = await copyBackupTreeAsync(snapshotPath, dst, prevDir)
+        return {
+          entry: { drive: driveUUID },
+          result: { drive: driveUUID, incremental: !!prevDir, files, bytes }
+        }
+      } finally {
+        await this.snapshots.deleteSnapshotsAsync([snapshot.uuid])
+      }
+    }
+  },
+
+  /**
+  Run a backup job, creating a new generation on target and pruning old ones
+
+  @param {BackupJob} job
+  @param {string} trigger - 'schedule' or 'manual'
+  @returns {Run}
+  */
+  async runBackupJobAsync (job, trigger) {
+    if (this.backups.running.has(job.uuid)) return
+    this.backups.running.add(job.uuid)
+
+    let run = { trigger, start: new Date().getTime(), drives: [] }
+    let state = await this.backups.loadStateAsync(job.uuid)
+      .catch(() => ({ generations: [], history: [] }))
+    let generations = state.generations
+
+    try {
+      let ndrv = this.findBackupTarget(job.target)
+      if (!ndrv) throw new Error('target not attached')
+
+      let method = ndrv.fileSystemType === 'btrfs' ? 'btrfs' : 'file'
+      let root = path.join(ndrv.mountpoint, BACKUP_DIR, job.uuid)
+      let generation = { uuid: UUID.v4(), ctime: run.start, method, drives: [] }
+      let genDir = path.join(root, generation.uuid)
+      await mkdirpAsync(genDir)
+
+      run.method = method
+      let ctx = { method, genDir, root, generations }
+      for (let driveUUID of job.drives) {
+        try {
+          if (!this.driveList.roots.has(driveUUID)) throw new Error('drive not found')
+          let { entry, result } = await this.backupDriveAsync(ctx, driveUUID)
+          generation.drives.push(entry)
+          run.drives.push(result)
+        } catch (e) {
+          run.drives.push({ drive: driveUUID, error: e.message })
+        }
+      }
+
+      if (!generation.drives.length) {
+        await rimrafAsync(genDir).catch(() => {})
+        throw new Error('no drive backed up')
+      }
+
+      generations = [...generations, generation]
+      run.generation = generation.uuid
+      while (generations.length > job.keep) {
+        await this.deleteBackupGenerationAsync(root, generations[0])
+        generations = generations.slice(1)
+      }
+
+      run.status = generation.drives.length === job.drives.length ? 'success' : 'partial'
+    } catch (e) {
+      run.status = 'failed'
+      run.error = e.message
+    }
+
+    run.end = new Date().getTime()
+    try {
+      await this.backups.saveStateAsync(job.uuid, run, generations)
+    } catch (e) {
+      debug('failed to save backup job state', job.uuid, e.message)
+    }
+
+    this.backups.running.delete(job.uuid)
+    return run
+  },
+
+  /**
+  Run enabled jobs which are due and whose target is attached, called by timer
+  */
+  async scheduleBackupsAsync (now = new Date().getTime()) {
+    let jobs = this.backups.jobs.filter(job => job.enabled &&
+      this.findBackupTarget(job.target) &&
+      !this.backups.running.has(job.uuid))
+
+    for (let job of jobs) {
+      let { history } = await this.backups.loadStateAsync(job.uuid)
+      let last = history[history.length - 1]
+      if (last && now - last.start < job.interval) continue
+      await this.runBackupJobAsync(job, 'schedule')
+    }
+  },
+
+  /**
+  Returns all backup jobs. Only admin is allowed.
+
+  @param {object} user
+  @param {function} callback - `(err, jobs) => {}`
+  */
+  getBackupJobs (user, callback) {
+    if (!user.isAdmin) {
+      return process.nextTick(() => callback(forbidden(new Error('requires admin priviledge'))))
+    }
+    process.nextTick(() => callback(null, this.backups.jobs.map(job => this.backupJobView(job))))
+  },
+
+  /**
+  Create a backup job. Only admin is allowed.
+
+  @param {object} user
+  @param {object} props
+  @param {string} [props.name]
+  @param {string} props.target - file system uuid of an attached native drive or volume
+  @param {string[]} props.drives - drive uuids
+  @param {number} [props.interval] - milliseconds between scheduled runs, defaults to 24 hours
+  @param {number} [props.keep] - generations kept on target, defaults to 7
+  @param {boolean} [props.enabled] - defaults to true
+  @param {function} callback - `(err, job) => {}`
+  */
+  createBackupJob (user, props, callback) {
+    if (!user.isAdmin) {
+      return process.nextTick(() => callback(forbidden(new Error('requires admin priviledge'))))
+    }
+
+    let { name = '', target, drives, interval = DEFAULT_INTERVAL, keep = DEFAULT_KEEP, enabled = true } = props
+    let err
+    if (typeof name !== 'string') {
+      err = badRequest(new Error('invalid name'))
+    } else if (typeof target !== 'string' || !target) {
+      err = badRequest(new Error('invalid target'))
+    } else if (!isPositiveInteger(interval)) {
+      err = badRequest(new Error('interval must be a positive integer'))
+    } else if (!isPositiveInteger(keep)) {
+      err = badRequest(new Error('keep must be a positive integer'))
+    } else if (typeof enabled !== 'boolean') {
+      err = badRequest(new Error('enabled must be a boolean'))
+    } else {
+      err = this.checkBackupDrives(drives)
+    }
+
+    if (!err && !this.findBackupTarget(target)) err = notFound(new Error('target not found'))
+    if (err) return process.nextTick(() => callback(err))
+
+    this.backups.createAsync({ name, target, drives, interval, keep, enabled })
+      .then(job => callback(null, this.backupJobView(job)))
+      .catch(e => callback(e))
+  },
+
+  /**
+  Returns a backup job, with its generations and last run
+
+  @param {object} user
+  @param {string} jobUUID
+  @param {function} callback - `(err, job) => {}`
+  */
+  getBackupJob (user, jobUUID, callback) {
+    let job = this.getAdminBackupJob(user, jobUUID)
+    if (job instanceof Error) return process.nextTick(() => callback(job))
+
+    this.backups.loadStateAsync(jobUUID)
+      .then(({ generations, history }) => callback(null, Object.assign(this.backupJobView(job), {
+        generations,
+        last: history[history.length - 1] || null
+      })))
+      .catch(e => callback(e))
+  },
+
+  /**
+  Update a backup job
+
+  @param {object} user
+  @param {string} jobUUID
+  @param {object} props - name, drives, interval, keep or enabled
+  @param {function} callback - `(err, job) => {}`
+  */
+  updateBackupJob (user, jobUUID, props, callback) {
+    let job = this.getAdminBackupJob(user, jobUUID)
+    if (job instanceof Error) return process.nextTick(() => callback(job))
+
+    let update = {}
+    let err
+    Object.keys(props).forEach(key => {
+      let value = props[key]
+      if (err) return
+      if (key === 'name' && typeof value === 'string') {
+        update.name = value
+      } else if (key === 'drives') {
+        err = this.checkBackupDrives(value)
+        update.drives = value
+      } else if ((key === 'interval' || key === 'keep') && isPositiveInteger(value)) {
+        update[key] = value
+      } else if (key === 'enabled' && typeof value === 'boolean') {
+        update.enabled = value
+      } else {
+        err = badRequest(new Error(`invalid ${key}`))
+      }
+    })
+
+    if (err) return process.nextTick(() => callback(err))
+
+    this.backups.updateAsync(jobUUID, update)
+      .then(job => callback(null, this.backupJobView(job)))
+      .catch(e => callback(e))
+  },
+
+  /**
+  Delete a backup job, 409 if it is running. Generations on target are kept, but source
+  snapshots kept for incremental send are deleted.
+
+  @param {object} user
+  @param {string} jobUUID
+  @param {function} callback - `err => {}`
+  */
+  deleteBackupJob (user, jobUUID, callback) {
+    let job = this.getAdminBackupJob(user, jobUUID)
+    if (job instanceof Error) return process.nextTick(() => callback(job))
+    if (this.backups.running.has(jobUUID)) {
+      return process.nextTick(() => callback(conflict(new Error('backup job is running'))))
+    }
+
+    const f = async () => {
+      let { generations } = await this.backups.loadStateAsync(jobUUID)
+      await this.backups.deleteAsync(jobUUID)
+      let snapshots = []
+      generations.forEach(gen => gen.drives.filter(x => x.snapshot).forEach(x => snapshots.push(x.snapshot)))
+      await this.snapshots.deleteSnapshotsAsync(snapshots)
+    }
+
+    f().then(() => callback(null), e => callback(e))
+  },
+
+  /**
+  Start a run manually. The job is returned once the run is started.
+
+  @param {object} user
+  @param {string} jobUUID
+  @param {function} callback - `(err, job) => {}`
+  */
+  runBackupJob (user, jobUUID, callback) {
+    let job = this.getAdminBackupJob(user, jobUUID)
+    if (job instanceof Error) return process.nextTick(() => callback(job))
+    if (this.backups.running.has(jobUUID)) {
+      return process.nextTick(() => callback(conflict(new Error('backup job is running'))))
+    }
+    if (!this.findBackupTarget(job.target)) {
+      return process.nextTick(() => callback(conflict(new Error('target not attached'))))
+    }
+
+    this.runBackupJobAsync(job, 'manual')
+      .then(() => {})
+      .catch(e => debug('backup job error', e))
+    process.nextTick(() => callback(null, this.backupJobView(job)))
+  },
+
+  /**
+  Returns recent runs of a backup job, latest first
+
+  @param {object} user
+  @param {string} jobUUID
+  @param {function} callback - `(err, runs) => {}`
+  */
+  getBackupJobHistory (user, jobUUID, callback) {
+    let job = this.getAdminBackupJob(user, jobUUID)
+    if (job instanceof Error) return process.nextTick(() => callback(job))
+    this.backups.getHistoryAsync(jobUUID)
+      .then(runs => callback(null, runs))
+      .catch(e => callback(e))
+  }
+}
+
+module.exports = backupapi
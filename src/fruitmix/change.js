@@ -0,0 +1,127 @@
+const { isUUID } = require('../common/assertion')
+
+const notFound = e => Object.assign(e, { code: 'ENOTFOUND', status: 404 })
+const badRequest = e => Object.assign(e, { code: 'EBADREQUEST', status: 400 })
+
+const splitList = s => s.split(',').map(x => x.trim()).filter(x => x.length)
+
+/**
+Fruitmix Change API
+
+Clients subscribe to drives or directories and receive change events derived from forest,
+see {@link module:Changes}. A subscription to a directory covers the whole subtree.
+
+Events are filtered by read access at the time they are delivered. If the directory of an
+event has gone, its nearest existing ancestor is checked instead.
+
+@mixin
+*/
+const changeapi = {
+
+  /**
+  Returns a predicate for events, or throws
+
+  @param {object} user
+  @param {object} props
+  @param {string} [props.drives] - comma separated drive uuids
+  @param {string} [props.dirs] - comma separated directory uuids
+  */
+  changeFilter (user, props) {
+    let drives, dirs
+
+    if (props.drives !== undefined) {
+      drives = new Set(splitList(props.drives))
+      drives.forEach(uuid => {
+        if (!isUUID(uuid)) throw badRequest(new Error(`invalid drive uuid ${uuid}`))
+        let drive = this.driveList.drives.find(drv => drv.uuid === uuid)
+        if (!drive || !this.userCanReadDriveData(user, drive)) {
+          throw notFound(new Error(`drive ${uuid} not found`))
+        }
+      })
+    }
+
+    if (props.dirs !== undefined) {
+      dirs = new Set(splitList(props.dirs))
+      dirs.forEach(uuid => {
+        if (!isUUID(uuid)) throw badRequest(new Error(`invalid dir uuid ${uuid}`))
+        let dir = this.driveList.uuidMap.get(uuid)
+        if (!dir || !this.userCanReadDir(user, dir)) throw notFound(new Error(`dir ${uuid} not found`))
+      })
+    }
+
+    return (event, ancestors) => {
+      if (drives || dirs) {
+        let subscribed = (drives && drives.has(event.drive)) ||
+          (dirs && ancestors.some(uuid => dirs.has(uuid)))
+        if (!subscribed) return false
+      }
+
+      let drive = this.driveList.drives.find(drv => drv.uuid === event.drive)
+      if (!drive || !this.userCanReadDriveData(user, drive)) return false
+
+      for (let i = ancestors.length - 1; i >= 0; i--) {
+        let dir = this.driveList.uuidMap.get(ancestors[i])
+        if (dir) return this.userCanReadDir(user, dir)
+      }
+      return false
+    }
+  },
+
+  /**
+  Subscribe to changes. Throws if props are invalid.
+
+  If cursor is provided and can be resumed, missed events are returned. Otherwise `reset` is
+  true if cursor is provided, meaning the client should re-list.
+
+  @param {object} user
+  @param {object} props - see `changeFilter`
+  @param {string} [props.cursor]
+  @param {function} listener - `event => {}`, called with events after the returned cursor
+  @returns {object} `{ cursor, reset, events, unwatch }`
+  */
+  watchChanges (user, props, listener) {
+    let filter = this.changeFilter(user, props)
+    let { events, reset } = this.changesSince(props.cursor, filter)
+    let onChange = (event, ancestors) => filter(event, ancestors) && listener(event)
+    this.changes.on('change', onChange)
+    return {
+      cursor: this.changes.cursor(),
+      reset,
+      events,
+      unwatch: () => this.changes.removeListener('change', onChange)
+    }
+  },
+
+  // internal
+  changesSince (cursor, filter) {
+    if (cursor === undefined) return { events: [], reset: false }
+    let seq = this.changes.parseCursor(cursor)
+    if (seq === -1) return { events: [], reset: true }
+    let events = this.changes.since(seq)
+      .filter(({ event, ancestors }) => filter(event, ancestors))
+      .map(({ event }) => event)
+    return { events, reset: false }
+  },
+
+  /**
+  Returns events after cursor
+
+  @param {object} user
+  @param {object} props - see `watchChanges`
+  @param {function} callback - `(err, { cursor, reset, events }) => {}`
+  */
+  getChanges (user, props, callback) {
+    let filter
+    try {
+      filter = this.changeFilter(user, props)
+    } catch (e) {
+      return process.nextTick(() => callback(e))
+    }
+
+    let { events, reset } = this.changesSince(props.cursor, filter)
+    let cursor = this.changes.cursor()
+    process.nextTick(() => callback(null, { cursor, reset, events }))
+  }
+}
+
+module.exports = changeapi
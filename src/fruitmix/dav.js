@@ -0,0 +1,365 @@
+const Promise = require('bluebird')
+const path = require('path')
+const fs = require('fs')
+const UUID = require('uuid')
+const rimraf = require('rimraf')
+const sanitize = require('sanitize-filename')
+
+const Directory = require('../vfs/directory')
+const Fingerprint = require('../lib/fingerprint2')
+const { readXstat } = require('../lib/xstat')
+const { btrfsClone } = require('../lib/btrfs')
+const { META } = require('../vfs/meta')
+
+const readXstatAsync = Promise.promisify(readXstat)
+const btrfsCloneAsync = Promise.promisify(btrfsClone)
+const renameAsync = Promise.promisify(fs.rename)
+
+const forbidden = e => Object.assign(e, { code: 'EFORBIDDEN', status: 403 })
+const notFound = e => Object.assign(e, { code: 'ENOTFOUND', status: 404 })
+const conflict = e => Object.assign(e, { code: 'ECONFLICT', status: 409 })
+
+const fingerprintAsync = filePath => new Promise((resolve, reject) => {
+  let fp = new Fingerprint(filePath)
+  fp.on('error', reject)
+  fp.on('data', data => data instanceof Error ? reject(data) : resolve(data))
+})
+
+/**
+Fruitmix WebDAV API
+
+WebDAV paths are mapped onto drives and directories. The first path segment is a drive the user
+can see, `home` for the private drive without label, the label for other drives, or the drive
+uuid if the label is missing, invalid or duplicate. The rest segments are walked by name. The hidden meta dir in drive root (see {@link module:DriveMeta})
+can not be reached, any request to or under it is rejected with 403.
+
+A resolved path is a target:
+
+```
+Target {
+  root,       // true for the top-level collection listing drives
+  drive,      // drive object
+  parent,     // parent Directory, null for drive root
+  name,       // entry name, or drive name for drive root
+  xstat,      // null if entry does not exist
+  dir         // Directory, if the entry is a directory
+}
+```
+
+Mutations are done by Fruitmix methods (mkdirp, createNewFile, trashEntry, etc.) or in the
+same way, then parent directories are re-read so forest stays consistent. Deleted entries
+go to trash.
+
+@mixin
+*/
+const davapi = {
+
+  /**
+  Returns drives as top-level collections, `[{ name, drive }]`
+  */
+  getDavDrives (user) {
+    let named = this.getDrives(user).map(drive => ({
+      name: drive.label || (drive.type === 'private' ? 'home' : drive.uuid),
+      drive
+    }))
+
+    return named.map(x => x.name !== sanitize(x.name) || named.filter(y => y.name === x.name).length > 1
+      ? { name: x.drive.uuid, drive: x.drive }
+      : x)
+  },
+
+  // walk directory names from dir, each directory must be readable
+  async davWalkAsync (user, dir, names) {
+    for (let name of names) {
+      const find = () => dir.children.find(c => c instanceof Directory && c.name === name)
+      let child = find()
+      if (!child) {
+        await dir.readdirAsync()
+        child = find()
+      }
+
+      if (!child) throw conflict(new Error('parent collection not found'))
+      if (!this.userCanReadDir(user, child)) throw forbidden(new Error('permission denied'))
+      dir = child
+    }
+    return dir
+  },
+
+  async resolveDavAsync (user, names) {
+    if (names.length === 0) return { root: true }
+    if (!names.every(name => name === sanitize(name))) throw notFound(new Error('invalid name'))
+    if (names[1] === META) throw forbidden(new Error(`${META} is reserved in drive root`))
+
+    let named = this.getDavDrives(user).find(x => x.name === names[0] || x.drive.uuid === names[0])
+    if (!named) throw notFound(new Error('drive not found'))
+
+    let drive = named.drive
+    let root = this.driveList.getDriveDir(drive.uuid, drive.uuid)
+    if (!root) throw notFound(new Error('drive not found'))
+    if (!this.userCanReadDir(user, root)) throw forbidden(new Error('permission denied'))
+
+    if (names.length === 1) {
+      let xstat = { uuid: root.uuid, type: 'directory', name: named.name, mtime: Math.abs(root.mtime) }
+      return { drive, parent: null, name: named.name, xstat, dir: root }
+    }
+
+    let parent = await this.davWalkAsync(user, root, names.slice(1, -1))
+    let name = names[names.length - 1]
+    let xstat = (await parent.readdirAsync()).find(x => x.name === name) || null
+    let dir = xstat && xstat.type === 'directory'
+      ? this.driveList.getDriveDir(drive.uuid, xstat.uuid)
+      : undefined
+    return { drive, parent, name, xstat, dir }
+  },
+
+  /**
+  Resolve path names into a target. 409 is returned if an intermediate directory is missing.
+
+  @param {object} user
+  @param {string[]} names - decoded path segments
+  @param {function} callback - `(err, target) => {}`
+  */
+  resolveDav (user, names, callback) {
+    this.resolveDavAsync(user, names)
+      .then(target => callback(null, target))
+      .catch(e => callback(e))
+  },
+
+  /**
+  List a collection, drives are listed as directory xstats for the root
+
+  @param {object} user
+  @param {Target} target
+  @param {function} callback - `(err, [{ name, xstat }]) => {}`
+  */
+  davReaddir (user, target, callback) {
+    if (target.root) {
+      let entries = this.getDavDrives(user)
+        .map(({ name, drive }) => {
+          let root = this.driveList.getDriveDir(drive.uuid, drive.uuid)
+          return root && {
+            name,
+            xstat: { uuid: root.uuid, type: 'directory', name, mtime: Math.abs(root.mtime) }
+          }
+        })
+        .filter(x => !!x)
+      return process.nextTick(() => callback(null, entries))
+    }
+
+    target.dir.readdirAsync()
+      .then(xstats => callback(null, xstats.map(xstat => ({ name: xstat.name, xstat }))))
+      .catch(e => callback(e))
+  },
+
+  // throws if user can not write target entry, drive root is not writable
+  davAssertWritable (user, target) {
+    if (target.root || !target.parent) throw forbidden(new Error('drive root can not be modified'))
+    if (!this.userCanWriteDir(user, target.parent)) throw forbidden(new Error('permission denied'))
+  },
+
+  // move entry into trash and re-read parent, nothing happens if entry does not exist
+  async davTrashAsync (user, target) {
+    if (!target.xstat) return
+    await Promise.promisify(this.trashEntry, { context: this })(user, target.drive.uuid,
+      target.parent.uuid, target.name, target.xstat.uuid)
+    await target.parent.readdirAsync()
+  },
+
+  /**
+  Create or overwrite a file with a tmp file. The tmp file is consumed.
+
+  @param {object} user
+  @param {Target} target
+  @param {string} tmpPath
+  @param {function} callback - `(err, xstat) => {}`
+  */
+  davPutFile (user, target, tmpPath, callback) {
+    const f = async () => {
+      this.davAssertWritable(user, target)
+      if (target.xstat && target.xstat.type !== 'file') {
+        throw Object.assign(new Error('target is a collection'), { status: 405 })
+      }
+
+      let stat = await Promise.promisify(fs.lstat)(tmpPath)
+      this.assertDriveQuota(target.drive.uuid, stat.size - (target.xstat ? target.xstat.size : 0))
+
+      let hash = await fingerprintAsync(tmpPath)
+      let overwrite = target.xstat ? target.xstat.uuid : undefined
+      return Promise.promisify(this.createNewFile, { context: this })(user, target.drive.uuid,
+        target.parent.uuid, target.name, tmpPath, hash, overwrite)
+    }
+
+    f()
+      .then(xstat => {
+        rimraf(tmpPath, () => {})
+        callback(null, xstat)
+      })
+      .catch(e => {
+        rimraf(tmpPath, () => {})
+        callback(e)
+      })
+  },
+
+  /**
+  Create a collection
+
+  @param {object} user
+  @param {Target} target - must not exist
+  @param {function} callback - `(err, xstat) => {}`
+  */
+  davMkcol (user, target, callback) {
+    try {
+      this.davAssertWritable(user, target)
+      if (target.xstat) throw Object.assign(new Error('target exists'), { status: 405 })
+    } catch (e) {
+      return process.nextTick(() => callback(e))
+    }
+
+    this.mkdirp(user, target.drive.uuid, target.parent.uuid, target.name, (err, xstat) => {
+      if (err) return callback(err)
+      target.parent.read(err => err ? callback(err) : callback(null, xstat))
+    })
+  },
+
+  /**
+  Delete an entry, the entry is moved into trash
+
+  @param {object} user
+  @param {Target} target
+  @param {function} callback - `err => {}`
+  */
+  davDelete (user, target, callback) {
+    try {
+      this.davAssertWritable(user, target)
+      if (!target.xstat) throw notFound(new Error('not found'))
+    } catch (e) {
+      return process.nextTick(() => callback(e))
+    }
+
+    this.davTrashAsync(user, target)
+      .then(() => callback(null))
+      .catch(e => callback(e))
+  },
+
+  // copy a file or directory into dst parent with dst name
+  async davCopyEntryAsync (user, src, dstDrive, dstParent, dstName, depth) {
+    let srcPath = path.join(src.parent.abspath(), src.name)
+
+    if (src.xstat.type === 'file') {
+      this.assertDriveQuota(dstDrive.uuid, src.xstat.size)
+      let tmpPath = path.join(this.getTmpDir(dstDrive.uuid), UUID.v4() + path.extname(dstName))
+      try {
+        await btrfsCloneAsync(tmpPath, srcPath)
+        let xstat = await readXstatAsync(srcPath)
+        if (xstat.uuid !== src.xstat.uuid || xstat.mtime !== src.xstat.mtime) {
+          throw conflict(new Error('source changed during copy'))
+        }
+        await Promise.promisify(this.createNewFile, { context: this })(user, dstDrive.uuid,
+          dstParent.uuid, dstName, tmpPath, xstat.hash)
+      } finally {
+        rimraf(tmpPath, () => {})
+      }
+      return
+    }
+
+    let xstat = await Promise.promisify(this.mkdirp, { context: this })(user, dstDrive.uuid,
+      dstParent.uuid, dstName)
+    await dstParent.readdirAsync()
+    if (depth === 0) return
+
+    let dir = this.driveList.getDriveDir(dstDrive.uuid, xstat.uuid)
+    if (!dir) throw conflict(new Error('failed to find newly created directory'))
+
+    let xstats = await src.dir.readdirAsync()
+    for (let x of xstats) {
+      let child = {
+        drive: src.drive,
+        parent: src.dir,
+        name: x.name,
+        xstat: x,
+        dir: x.type === 'directory' ? this.driveList.getDriveDir(src.drive.uuid, x.uuid) : undefined
+      }
+
+      // skip sub-directories the user can not read
+      if (x.type === 'directory' && (!child.dir || !this.userCanReadDir(user, child.dir))) continue
+      await this.davCopyEntryAsync(user, child, dstDrive, dir, x.name, depth)
+    }
+  },
+
+  // check destination and remove it if overwrite, returns true if destination existed
+  async davPrepareDestAsync (user, src, dst, overwrite) {
+    this.davAssertWritable(user, dst)
+    if (src.dir && dst.parent.nodepath().includes(src.dir)) {
+      throw forbidden(new Error('destination is inside source'))
+    }
+
+    if (!dst.xstat) return false
+    if (dst.xstat.uuid === src.xstat.uuid) throw forbidden(new Error('source and destination are the same'))
+    if (!overwrite) throw Object.assign(new Error('destination exists'), { status: 412 })
+    await this.davTrashAsync(user, dst)
+    return true
+  },
+
+  /**
+  Copy an entry. Files are cloned, directories are copied recursively unless depth is 0.
+
+  @param {object} user
+  @param {Target} src
+  @param {Target} dst
+  @param {object} props
+  @param {boolean} props.overwrite - existing destination is moved into trash
+  @param {number} [props.depth] - 0 or Infinity (default)
+  @param {function} callback - `(err, existed) => {}`
+  */
+  davCopy (user, src, dst, props, callback) {
+    const f = async () => {
+      if (src.root || !src.xstat) throw notFound(new Error('not found'))
+      let existed = await this.davPrepareDestAsync(user, src, dst, props.overwrite)
+      await this.davCopyEntryAsync(user, src, dst.drive, dst.parent, dst.name, props.depth)
+      return existed
+    }
+
+    f()
+      .then(existed => callback(null, existed))
+      .catch(e => callback(e))
+  },
+
+  /**
+  Move an entry. Entries are renamed in the same drive, or copied then trashed across drives.
+
+  @param {object} user
+  @param {Target} src
+  @param {Target} dst
+  @param {object} props
+  @param {boolean} props.overwrite - existing destination is moved into trash
+  @param {function} callback - `(err, existed) => {}`
+  */
+  davMove (user, src, dst, props, callback) {
+    const f = async () => {
+      if (src.root || !src.xstat) throw notFound(new Error('not found'))
+      this.davAssertWritable(user, src)
+      let existed = await this.davPrepareDestAsync(user, src, dst, props.overwrite)
+
+      if (src.drive.uuid !== dst.drive.uuid) {
+        await this.davCopyEntryAsync(user, src, dst.drive, dst.parent, dst.name)
+        await this.davTrashAsync(user, src)
+        return existed
+      }
+
+      let srcPath = path.join(src.parent.abspath(), src.name)
+      let xstat = await readXstatAsync(srcPath)
+      if (xstat.uuid !== src.xstat.uuid) throw conflict(new Error('source changed'))
+
+      await renameAsync(srcPath, path.join(dst.parent.abspath(), dst.name))
+      await src.parent.readdirAsync()
+      if (dst.parent !== src.parent) await dst.parent.readdirAsync()
+      return existed
+    }
+
+    f()
+      .then(existed => callback(null, existed))
+      .catch(e => callback(e))
+  }
+}
+
+module.exports = davapi
@@ -0,0 +1,121 @@
+const {
+  createFlatIBF,
+  flatInsert,
+  flatSubtract,
+  flatDecode
+} = require('../lib/iblt')
+
+const { ELEMENT_LENGTH, encodeElement, decodeElement } = require('../lib/delta')
+
+const badRequest = e => Object.assign(e, { code: 'EBADREQUEST', status: 400 })
+
+/**
+Fruitmix Delta API
+
+Sync clients reconcile a directory subtree with invertible Bloom filters (IBF), see `lib/iblt`.
+The client encodes an element (see `lib/delta`) for every entry in its copy of the subtree, excluding
+the directory itself, and sends the serialized IBF. The server encodes its own entries with the same
+parameters, subtracts the client IBF and decodes the difference. The cost is proportional to the size
+of the difference, not the size of the tree.
+
+Entries are taken from {@link module:SearchIndex}. Sub-directories the user can not read are skipped.
+
+If the difference can not be decoded, the client should retry with a larger IBF. The number of server
+entries is returned for estimating the size.
+
+The server IBF is a flat one (see `createFlatIBF`), the client IBF is subtracted from it in place
+without being deserialized, and elements are encoded into a single buffer. Memory is proportional
+to the size of the request body, which is limited by the route.
+
+@mixin
+*/
+const deltaapi = {
+
+  /**
+  Returns entries of a directory subtree the user can read, as search index records
+  */
+  getSubtreeRecords (user, dir) {
+    let records = []
+    let queue = [dir.uuid]
+    while (queue.length) {
+      let uuids = this.searchIndex.dirs.get(queue.shift())
+      if (!uuids) continue
+      uuids.forEach(uuid => {
+        let record = this.searchIndex.records.get(uuid)
+        if (!record) return
+        if (record.type === 'directory') {
+          let sub = this.driveList.uuidMap.get(uuid)
+          if (!sub || !this.userCanReadDir(user, sub)) return
+          queue.push(uuid)
+        }
+        records.push(record)
+      })
+    }
+    return records
+  },
+
+  /**
+  Decode the difference between server and client copies of a directory subtree
+
+  `changed` are server entries not in the client set, including new and modified ones. `removed`
+  are client elements not in the server set, excluding old versions of changed entries.
+
+  @param {object} user
+  @param {string} driveUUID
+  @param {string} dirUUID
+  @param {object} props
+  @param {number} props.k - number of hash functions, 2 to 8
+  @param {number} props.seed - uint32
+  @param {Buffer} props.ibf - serialized client IBF
+  @param {function} callback - `(err, { decoded, count, changed, removed }) => {}`
+  */
+  getDirDelta (user, driveUUID, dirUUID, props, callback) {
+    let k = Number(props.k)
+    let seed = Number(props.seed)
+    if (!Number.isInteger(k) || k < 2 || k > 8) {
+      return process.nextTick(() => callback(badRequest(new Error('k must be an integer between 2 and 8'))))
+    }
+
+    if (!Number.isInteger(seed) || seed < 0 || seed > 0xffffffff) {
+      return process.nextTick(() => callback(badRequest(new Error('seed must be an uint32'))))
+    }
+
+    // number of cells, each is element, hashSum and count, see IBFSerialize
+    let n = Buffer.isBuffer(props.ibf) ? props.ibf.length / (ELEMENT_LENGTH + 8) : 0
+    if (!Number.isInteger(n) || n < 16 || (n & (n - 1)) !== 0) {
+      return process.nextTick(() => callback(badRequest(new Error('invalid ibf'))))
+    }
+
+    let err = this.checkDirAccess(user, driveUUID, dirUUID, false)
+    if (err) return process.nextTick(() => callback(err))
+
+    let dir = this.driveList.getDriveDir(driveUUID, dirUUID)
+    let records = this.getSubtreeRecords(user, dir)
+
+    let diff = createFlatIBF(n, ELEMENT_LENGTH, k, seed)
+    let element = Buffer.alloc(ELEMENT_LENGTH)
+    records.forEach(r => flatInsert(diff, encodeElement(r.uuid, r.hash, r.mtime, element)))
+    flatSubtract(diff, props.ibf)
+
+    if (!flatDecode(diff)) {
+      return process.nextTick(() => callback(null, { decoded: false, count: records.length }))
+    }
+
+    // positive elements are encoded from server records
+    let changed = diff.decode.positive
+      .map(buf => this.searchIndex.records.get(decodeElement(buf).uuid))
+      .filter(r => !!r)
+      .map(r => r.type === 'file'
+        ? { uuid: r.uuid, type: 'file', name: r.name, dir: r.dir, size: r.size, mtime: r.mtime, hash: r.hash }
+        : { uuid: r.uuid, type: 'directory', name: r.name, dir: r.dir, mtime: r.mtime })
+
+    let uuids = new Set(changed.map(r => r.uuid))
+    let removed = diff.decode.negative
+      .map(buf => decodeElement(buf))
+      .filter(x => !uuids.has(x.uuid))
+
+    process.nextTick(() => callback(null, { decoded: true, count: records.length, changed, removed }))
+  }
+}
+
+module.exports = deltaapi
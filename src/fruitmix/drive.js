@@ -39,6 +39,178 @@ const driveapi = {
     }
 
     // this.driveList.createPublicDriveAsync
+  },
+
+  /**
+  Returns a list of soft deleted drives. Only admin is allowed.
+
+  @param {object} user
+  @param {function} callback - `(err, list) => {}`
+  */
+  getDeletedDriveList (user, callback) {
+    if (!user.isAdmin) {
+      return process.nextTick(() => callback(forbidden(new Error('requires admin priviledge'))))
+    }
+
+    let list = this.driveList.drives.filter(drv => !!drv.deleted)
+    process.nextTick(() => callback(null, list))
+  },
+
+  /**
+  Soft delete a public drive. Only admin is allowed, and built-in drive cannot be deleted.
+
+  The drive is detached from forest and removed from samba shares. Its data are kept
+  for `driveRetention` and can be restored during this period. Private drives are
+  disposed along with their owners, see `deleteUserDrivesAsync` and `updateUserAsync`.
+
+  @param {object} user
+  @param {string} driveUUID
+  @param {function} callback - `(err, drive) => {}`
+  */
+  deleteDrive (user, driveUUID, callback) {
+    let drive = this.driveList.drives.find(drv => drv.uuid === driveUUID)
+    if (!drive || drive.deleted || !this.userCanReadDriveMetadata(user, drive)) {
+      return process.nextTick(() => callback(notFound(new Error(`drive ${driveUUID} not found`))))
+    }
+
+    let err
+    if (!user.isAdmin) {
+      err = forbidden(new Error('requires admin priviledge'))
+    } else if (drive.type === 'private') {
+      err = forbidden(new Error('private drive is deleted along with its owner'))
+    } else if (drive.tag === 'built-in') {
+      err = forbidden(new Error('built-in drive cannot be deleted'))
+    }
+
+    if (err) return process.nextTick(() => callback(err))
+
+    this.softDeleteDriveAsync(driveUUID)
+      .then(drive => callback(null, drive))
+      .catch(e => callback(e))
+  },
+
+  /**
+  Restore a soft deleted drive. Only admin is allowed. Private drive can be restored
+  only if its owner exists and is not disabled.
+
+  @param {object} user
+  @param {string} driveUUID
+  @param {function} callback - `(err, drive) => {}`
+  */
+  restoreDrive (user, driveUUID, callback) {
+    if (!user.isAdmin) {
+      return process.nextTick(() => callback(forbidden(new Error('requires admin priviledge'))))
+    }
+
+    let drive = this.driveList.drives.find(drv => drv.uuid === driveUUID)
+    if (!drive || !drive.deleted) {
+      return process.nextTick(() => callback(notFound(new Error(`deleted drive ${driveUUID} not found`))))
+    }
+
+    if (drive.type === 'private') {
+      let owner = this.userList.users.find(u => u.uuid === drive.owner)
+      if (!owner || owner.disabled) {
+        let err = forbidden(new Error('owner of private drive not found or disabled'))
+        return process.nextTick(() => callback(err))
+      }
+    }
+
+    this.driveList.restoreDriveAsync(driveUUID)
+      .then(drive => {
+        this.updateSamba()
+        callback(null, drive)
+      })
+      .catch(e => callback(e))
+  },
+
+  /**
+  Permanently remove a soft deleted drive, before its retention expires. Only admin is allowed.
+
+  @param {object} user
+  @param {string} driveUUID
+  @param {function} callback - `err => {}`
+  */
+  purgeDrive (user, driveUUID, callback) {
+    if (!user.isAdmin) {
+      return process.nextTick(() => callback(forbidden(new Error('requires admin priviledge'))))
+    }
+
+    let drive = this.driveList.drives.find(drv => drv.uuid === driveUUID)
+    if (!drive || !drive.deleted) {
+      return process.nextTick(() => callback(notFound(new Error(`deleted drive ${driveUUID} not found`))))
+    }
+
+    this.purgeDriveAsync(driveUUID)
+      .then(() => callback(null))
+      .catch(e => callback(e))
+  },
+
+  /**
+  Soft delete a drive, internal
+
+  @param {string} driveUUID
+  @returns {Drive}
+  */
+  async softDeleteDriveAsync (driveUUID) {
+    let drive = await this.driveList.softDeleteDriveAsync(driveUUID)
+    this.updateSamba()
+    return drive
+  },
+
+  /**
+  Permanently remove a drive, along with its snapshots, trash items, file versions and acls, internal
+
+  @param {string} driveUUID
+  */
+  async purgeDriveAsync (driveUUID) {
+    await this.snapshots.deleteSnapshotsAsync(this.snapshots.getSnapshots(driveUUID).map(x => x.uuid))
+    await this.trash.purgeAsync(this.trash.getItems(driveUUID).map(x => x.uuid))
+    await this.versions.deleteAsync(this.versions.versions
+      .filter(x => x.drive === driveUUID)
+      .map(x => x.uuid))
+    await this.acls.deleteDriveAsync(driveUUID)
+    await this.driveList.purgeDriveAsync(driveUUID)
+  },
+
+  /**
+  Purge soft deleted drives older than `driveRetention`
+
+  @param {number} [now]
+  */
+  async purgeExpiredDrivesAsync (now = new Date().getTime()) {
+    let expired = this.driveList.drives
+      .filter(drv => drv.deleted && now - drv.deleted > this.driveRetention)
+    for (let drive of expired) {
+      await this.purgeDriveAsync(drive.uuid)
+    }
+  },
+
+  /**
+  Soft delete all private drives of a user, when the user is disabled
+
+  @param {string} userUUID
+  */
+  async deleteUserDrivesAsync (userUUID) {
+    let drives = this.driveList.drives
+      .filter(drv => drv.type === 'private' && drv.owner === userUUID && !drv.deleted)
+    for (let drive of drives) {
+      await this.driveList.softDeleteDriveAsync(drive.uuid)
+    }
+    if (drives.length) this.updateSamba()
+  },
+
+  /**
+  Restore all soft deleted private drives of a user, when the user is enabled again
+
+  @param {string} userUUID
+  */
+  async restoreUserDrivesAsync (userUUID) {
+    let drives = this.driveList.drives
+      .filter(drv => drv.type === 'private' && drv.owner === userUUID && drv.deleted)
+    for (let drive of drives) {
+      await this.driveList.restoreDriveAsync(drive.uuid)
+    }
+    if (drives.length) this.updateSamba()
   }
 }
 
@@ -52,8 +224,9 @@ A uuid string (version 4, random)
 @typedef {Object} PublicDrive
 @prop {UUID} uuid - drive uuid
 @prop {'public'} type
-@prop {UUID[] | '*'} writelist 
-@prop {UUID[] | '*'} readlist - not used, read-only
+@prop {UUID[] | '*'} writelist - user or group uuids
+@prop {UUID[] | '*'} readlist - user or group uuids, read-only
+@prop {number} [deleted] - timestamp when the drive is soft deleted
 */
 
 /**
@@ -61,6 +234,7 @@ A uuid string (version 4, random)
 @prop {UUID} uuid - drive uuid
 @prop {'private'} type
 @prop {UUID} owner - user uuid
+@prop {number} [deleted] - timestamp when the drive is soft deleted
 */
 
 /**
@@ -0,0 +1,187 @@
+const { isUUID } = require('../common/assertion')
+
+const forbidden = e => Object.assign(e, { code: 'EFORBIDDEN', status: 403 })
+const notFound = e => Object.assign(e, { code: 'ENOTFOUND', status: 404 })
+const badRequest = e => Object.assign(e, { code: 'EBADREQUEST', status: 400 })
+
+/**
+Fruitmix Group API
+
+Groups are managed by admin. Group uuid can be put into public drive `writelist` and `readlist`,
+or used in directory acls. See {@link module:Group}.
+
+Samba config is regenerated whenever group list changes, see Fruitmix constructor.
+
+@mixin
+*/
+const groupapi = {
+
+  /**
+  Returns uuids of groups the user belongs to
+
+  @param {object} user
+  @returns {string[]}
+  */
+  userGroups (user) {
+    return this.groupList.userGroups(user.uuid)
+  },
+
+  /**
+  Validate group props, returns an error or null
+
+  @param {object} props
+  @param {string} [groupUUID] - the group being updated, if any
+  */
+  validateGroupProps (props, groupUUID) {
+    let recognized = ['name', 'members']
+    if (typeof props !== 'object' || props === null) return badRequest(new Error('invalid props'))
+    if (!Object.getOwnPropertyNames(props).every(name => recognized.includes(name))) {
+      return badRequest(new Error('unrecognized prop name'))
+    }
+
+    if (props.hasOwnProperty('name')) {
+      if (typeof props.name !== 'string' || !props.name.length) {
+        return badRequest(new Error('name must be a non-empty string'))
+      }
+      if (this.groupList.groups.find(g => g.name === props.name && g.uuid !== groupUUID)) {
+        return badRequest(new Error('group name already exists'))
+      }
+    }
+
+    if (props.hasOwnProperty('members')) {
+      if (!Array.isArray(props.members) || !props.members.every(uuid => isUUID(uuid))) {
+        return badRequest(new Error('members must be an uuid array'))
+      }
+      if (!props.members.every(uuid => this.userList.users.find(u => u.uuid === uuid))) {
+        return badRequest(new Error('not all user uuid found'))
+      }
+    }
+
+    return null
+  },
+
+  /**
+  Returns groups. Admin gets all groups, others get the ones they belong to.
+
+  @param {object} user
+  @param {function} callback - `(err, groups) => {}`
+  */
+  getGroups (user, callback) {
+    let groups = user.isAdmin
+      ? this.groupList.groups
+      : this.groupList.groups.filter(g => g.members.includes(user.uuid))
+    process.nextTick(() => callback(null, groups))
+  },
+
+  /**
+  Returns a group
+
+  @param {object} user
+  @param {string} groupUUID
+  @param {function} callback - `(err, group) => {}`
+  */
+  getGroup (user, groupUUID, callback) {
+    let group = this.groupList.findGroup(groupUUID)
+    if (!group || (!user.isAdmin && !group.members.includes(user.uuid))) {
+      return process.nextTick(() => callback(notFound(new Error('group not found'))))
+    }
+    process.nextTick(() => callback(null, group))
+  },
+
+  /**
+  Create a group, admin only
+
+  @param {object} user
+  @param {object} props
+  @param {string} props.name
+  @param {string[]} [props.members]
+  @param {function} callback - `(err, group) => {}`
+  */
+  createGroup (user, props, callback) {
+    if (!user.isAdmin) {
+      return process.nextTick(() => callback(forbidden(new Error('requires admin priviledge'))))
+    }
+
+    let err = this.validateGroupProps(props) ||
+      (props.hasOwnProperty('name') ? null : badRequest(new Error('name must be a non-empty string')))
+    if (err) return process.nextTick(() => callback(err))
+
+    this.groupList.createGroupAsync(props)
+      .then(group => callback(null, group))
+      .catch(e => callback(e))
+  },
+
+  /**
+  Update group name or members, admin only
+
+  @param {object} user
+  @param {string} groupUUID
+  @param {object} props
+  @param {string} [props.name]
+  @param {string[]} [props.members] - replaces existing members
+  @param {function} callback - `(err, group) => {}`
+  */
+  updateGroup (user, groupUUID, props, callback) {
+    if (!user.isAdmin) {
+      return process.nextTick(() => callback(forbidden(new Error('requires admin priviledge'))))
+    }
+
+    if (!this.groupList.findGroup(groupUUID)) {
+      return process.nextTick(() => callback(notFound(new Error('group not found'))))
+    }
+
+    let err = this.validateGroupProps(props, groupUUID)
+    if (err) return process.nextTick(() => callback(err))
+
+    this.groupList.updateGroupAsync(groupUUID, props)
+      .then(group => callback(null, group))
+      .catch(e => callback(e))
+  },
+
+  /**
+  Delete a group, admin only. The group is removed from drive writelist, readlist and acls.
+
+  @param {object} user
+  @param {string} groupUUID
+  @param {function} callback - `err => {}`
+  */
+  deleteGroup (user, groupUUID, callback) {
+    if (!user.isAdmin) {
+      return process.nextTick(() => callback(forbidden(new Error('requires admin priviledge'))))
+    }
+
+    if (!this.groupList.findGroup(groupUUID)) {
+      return process.nextTick(() => callback(notFound(new Error('group not found'))))
+    }
+
+    this.deleteGroupAsync(groupUUID)
+      .then(() => callback(null))
+      .catch(e => callback(e))
+  },
+
+  /**
+  Remove group from drives and acls, then delete it, internal
+
+  @param {string} groupUUID
+  */
+  async deleteGroupAsync (groupUUID) {
+    const drop = list => Array.isArray(list) && list.includes(groupUUID)
+      ? list.filter(uuid => uuid !== groupUUID)
+      : list
+
+    let drives = this.driveList.drives.filter(drv => drv.type === 'public' &&
+      (drop(drv.writelist) !== drv.writelist || drop(drv.readlist) !== drv.readlist))
+
+    for (let drive of drives) {
+      await this.driveList.updateDriveAsync(drive.uuid, {
+        writelist: drop(drive.writelist),
+        readlist: drop(drive.readlist)
+      })
+    }
+
+    await this.acls.removeSubjectAsync(groupUUID)
+    await this.groupList.deleteGroupAsync(groupUUID)
+  }
+}
+
+module.exports = groupapi
@@ -26,6 +26,7 @@ const ndriveapi = {
         mountpoint: vol.mountpoint
       }))
 
+    let prev = this.ndrives.map(ndrv => ndrv.fileSystemUUID)
     this.ndrives = [...blocks, ...volumes].filter(ndrv => {
       // remove rootfs
       if (ndrv.mountpoint === '/') return false   
@@ -34,6 +35,9 @@ const ndriveapi = {
 
       return true
     })
+
+    // sync jobs run when native drive is attached, see syncapi
+    this.runAttachedSyncJobs(prev)
   },
 
   /**
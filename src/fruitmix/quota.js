@@ -0,0 +1,182 @@
+const path = require('path')
+const fs = require('fs')
+
+const { btrfsQuotaEnable, btrfsQgroupLimit } = require('../lib/btrfs')
+
+const Debug = require('debug')
+const debug = Debug('quota')
+
+const forbidden = e => Object.assign(e, { code: 'EFORBIDDEN', status: 403 })
+const notFound = e => Object.assign(e, { code: 'ENOTFOUND', status: 404 })
+
+/**
+Fruitmix Quota API
+
+A drive may have a `quota` in bytes. Quota is enforced in two ways:
+
+1. writes through fruitmix (writedir, append, dup, instant upload, upload sessions, webdav,
+   sync and xcopy) are rejected if the added size exceeds the available space of the drive.
+   Overwriting a file is charged the difference in size only.
+2. a btrfs qgroup limit is set on drive subvolume, so writes bypassing fruitmix (eg. samba) are limited as well.
+
+The latter is best-effort. If qgroup is not supported, only the former works.
+
+The used size in the former is the total size of files maintained by forest, which is updated
+on directory reads rather than computed on each check. The same size is reported as drive usage.
+
+@mixin
+*/
+const quotaapi = {
+
+  /**
+  Set or clear the quota of a drive. Only admin is allowed.
+
+  @param {object} user
+  @param {string} driveUUID
+  @param {object} props
+  @param {number|null} props.quota - quota in bytes, null for unlimited
+  @param {function} callback - `(err, drive) => {}`
+  */
+  setDriveQuota (user, driveUUID, props, callback) {
+    let drive = this.driveList.drives.find(drv => drv.uuid === driveUUID)
+    if (!drive || !this.userCanReadDriveMetadata(user, drive)) {
+      return process.nextTick(() => callback(notFound(new Error(`drive ${driveUUID} not found`))))
+    }
+
+    if (!user.isAdmin) {
+      return process.nextTick(() => callback(forbidden(new Error('requires admin priviledge'))))
+    }
+
+    if (typeof props !== 'object' || props === null ||
+      !Object.getOwnPropertyNames(props).every(name => name === 'quota') ||
+      !(props.quota === null || (Number.isInteger(props.quota) && props.quota > 0))) {
+      let err = Object.assign(new Error('quota must be null or a positive integer'), {
+        code: 'EBADREQUEST',
+        status: 400
+      })
+      return process.nextTick(() => callback(err))
+    }
+
+    this.driveList.updateDriveAsync(driveUUID, { quota: props.quota })
+      .then(drive => this.applyDriveQuota(drive, () => callback(null, drive)))
+      .catch(e => callback(e))
+  },
+
+  /**
+  Apply drive quota to btrfs qgroup. Errors are logged but not returned.
+
+  @param {Drive} drive
+  @param {function} callback - `() => {}`
+  */
+  applyDriveQuota (drive, callback) {
+    let dirPath = path.join(this.driveList.dir, drive.uuid)
+    btrfsQuotaEnable(dirPath, err => {
+      if (err) {
+        debug('failed to enable btrfs quota', err.message)
+        return callback()
+      }
+
+      btrfsQgroupLimit(dirPath, drive.quota, err => {
+        if (err) debug('failed to set qgroup limit for drive', drive.uuid, err.message)
+        callback()
+      })
+    })
+  },
+
+  /**
+  Returns the total size of files in a drive, as maintained by forest.
+
+  @param {string} driveUUID
+  @returns {number} size in bytes
+  */
+  getDriveSize (driveUUID) {
+    return this.driveList.getDriveFileSize(driveUUID)
+  },
+
+  /**
+  Returns the total size of files in a directory and its sub-directories, as maintained by forest.
+
+  @param {Directory} dir
+  @returns {number} size in bytes
+  */
+  getDirSize (dir) {
+    let size = 0
+    dir.preVisit(node => {
+      if (typeof node.fileSize === 'number') size += node.fileSize
+    })
+    return size
+  },
+
+  /**
+  Returns the size of an existing file to be overwritten, or 0 if not found.
+
+  @param {string} driveUUID
+  @param {string} dirUUID
+  @param {string} name
+  @returns {number} size in bytes
+  */
+  getReplacedSize (driveUUID, dirUUID, name) {
+    let dir = this.driveList.getDriveDir(driveUUID, dirUUID)
+    if (!dir) return 0
+    try {
+      let stat = fs.lstatSync(path.join(dir.abspath(), name))
+      return stat.isFile() ? stat.size : 0
+    } catch (e) {
+      return 0
+    }
+  },
+
+  /**
+  Throws if `size` bytes cannot be added to drive without exceeding its quota.
+
+  @param {string} driveUUID
+  @param {number} size - bytes to be added
+  @throws EDQUOT
+  */
+  assertDriveQuota (driveUUID, size) {
+    let drive = this.driveList.drives.find(drv => drv.uuid === driveUUID)
+    if (!drive || !drive.quota) return
+    if (this.getDriveSize(driveUUID) + size > drive.quota) {
+      throw Object.assign(new Error('drive quota exceeded'), { code: 'EDQUOT', status: 403 })
+    }
+  },
+
+  /**
+  Callback version of `assertDriveQuota`, the size to be added is the size of given file,
+  less the size of the file it replaces.
+
+  @param {string} driveUUID
+  @param {string} filePath - file to be added into drive
+  @param {number} replaced - size of the file to be overwritten, 0 if none
+  @param {function} callback - `err => {}`
+  */
+  checkFileQuota (driveUUID, filePath, replaced, callback) {
+    let drive = this.driveList.drives.find(drv => drv.uuid === driveUUID)
+    if (!drive || !drive.quota) return process.nextTick(() => callback(null))
+    fs.lstat(filePath, (err, stat) => {
+      if (err) return callback(err)
+      try {
+        this.assertDriveQuota(driveUUID, stat.size - replaced)
+      } catch (e) {
+        return callback(e)
+      }
+      callback(null)
+    })
+  },
+
+  /**
+  Returns the usage of a drive, which is the size checked by `assertDriveQuota`.
+
+  @param {Drive} drive
+  @param {function} callback - `(err, { used, available }) => {}`, available is null if no quota
+  */
+  getDriveUsage (drive, callback) {
+    let used = this.driveList.roots.has(drive.uuid) ? this.getDriveSize(drive.uuid) : 0
+    process.nextTick(() => callback(null, {
+      used,
+      available: drive.quota ? Math.max(drive.quota - used, 0) : null
+    }))
+  }
+}
+
+module.exports = quotaapi
@@ -0,0 +1,191 @@
+const { isUUID } = require('../common/assertion')
+
+const badRequest = e => Object.assign(e, { code: 'EBADREQUEST', status: 400 })
+
+const DEFAULT_LIMIT = 1000
+
+const escape = s => s.replace(/[.+^${}()|[\]\\]/g, '\\$&')
+
+/**
+Converts a glob pattern (`*` and `?`) to a case-insensitive, anchored regex
+*/
+const globToRegExp = glob =>
+  new RegExp('^' + escape(glob).replace(/\*/g, '.*').replace(/\?/g, '.') + '$', 'i')
+
+/**
+Normalizes exif date (`2017:06:01 12:00:00`) or iso date (`2017-06-01`) for string comparison
+*/
+const normalizeDate = s => s.slice(0, 10).replace(/-/g, ':') + s.slice(10).replace('T', ' ')
+
+const splitList = s => s.split(',').map(x => x.trim()).filter(x => x.length)
+
+/**
+Fruitmix Search API
+
+Entries are searched in {@link module:SearchIndex}, which is maintained from forest events.
+Document contents are searched in {@link module:FullText}.
+
+@mixin
+*/
+const searchapi = {
+
+  /**
+  Parse and validate search query, returns parsed query or an error.
+
+  All props are strings, as in url query.
+
+  @param {object} query
+  @param {string} [query.name] - name substring, or glob pattern if containing `*` or `?`
+  @param {string} [query.type] - `file` or `directory`
+  @param {string} [query.magic] - comma separated magic list, eg. `JPEG,PNG`
+  @param {string} [query.minSize] - min file size in bytes
+  @param {string} [query.maxSize] - max file size in bytes
+  @param {string} [query.minMtime] - min mtime in milliseconds
+  @param {string} [query.maxMtime] - max mtime in milliseconds
+  @param {string} [query.tags] - comma separated tag ids, all must present
+  @param {string} [query.make] - camera make substring, in media metadata
+  @param {string} [query.model] - camera model substring, in media metadata
+  @param {string} [query.dateFrom] - min date taken, `YYYY-MM-DD` or exif format
+  @param {string} [query.dateTo] - max date taken, `YYYY-MM-DD` or exif format
+  @param {string} [query.text] - words in document content, all must present
+  @param {string} [query.drives] - comma separated drive uuids to search in
+  @param {string} [query.offset]
+  @param {string} [query.limit] - defaults to 1000
+  */
+  parseSearchQuery (query) {
+    const int = (name, min) => {
+      if (!query.hasOwnProperty(name)) return
+      let n = Number(query[name])
+      if (!Number.isInteger(n) || n < min) throw badRequest(new Error(`${name} must be an integer not less than ${min}`))
+      return n
+    }
+
+    let q = {}
+    try {
+      if (query.name !== undefined) {
+        if (typeof query.name !== 'string' || !query.name.length) throw badRequest(new Error('invalid name'))
+        q.name = /[*?]/.test(query.name)
+          ? globToRegExp(query.name)
+          : query.name.toLowerCase()
+      }
+
+      if (query.type !== undefined) {
+        if (query.type !== 'file' && query.type !== 'directory') {
+          throw badRequest(new Error('type must be file or directory'))
+        }
+        q.type = query.type
+      }
+
+      if (query.magic !== undefined) q.magic = splitList(query.magic)
+
+      q.minSize = int('minSize', 0)
+      q.maxSize = int('maxSize', 0)
+      q.minMtime = int('minMtime', 0)
+      q.maxMtime = int('maxMtime', 0)
+
+      if (query.tags !== undefined) {
+        q.tags = splitList(query.tags).map(Number)
+        if (!q.tags.every(t => Number.isInteger(t) && t >= 0)) throw badRequest(new Error('invalid tags'))
+      }
+
+      if (query.make !== undefined) q.make = String(query.make).toLowerCase()
+      if (query.model !== undefined) q.model = String(query.model).toLowerCase()
+      if (query.dateFrom !== undefined) q.dateFrom = normalizeDate(String(query.dateFrom))
+      if (query.dateTo !== undefined) q.dateTo = normalizeDate(String(query.dateTo))
+
+      if (query.text !== undefined) {
+        if (typeof query.text !== 'string' || !query.text.trim().length) throw badRequest(new Error('invalid text'))
+        q.text = query.text
+      }
+
+      if (query.drives !== undefined) {
+        q.drives = splitList(query.drives)
+        if (!q.drives.every(uuid => isUUID(uuid))) throw badRequest(new Error('invalid drives'))
+      }
+
+      q.offset = int('offset', 0) || 0
+      q.limit = int('limit', 1) || DEFAULT_LIMIT
+    } catch (e) {
+      return e
+    }
+
+    return q
+  },
+
+  /**
+  Search entries in drives (and directories) the user can read.
+
+  Results are sorted by mtime, latest first. Media metadata is included for media file.
+  If `text` is given, only document files containing the words are returned.
+
+  @param {object} user
+  @param {object} query - see `parseSearchQuery`
+  @param {function} callback - `(err, records) => {}`
+  */
+  search (user, query, callback) {
+    let q = this.parseSearchQuery(query || {})
+    if (q instanceof Error) return process.nextTick(() => callback(q))
+
+    let drives = new Set(this.getDrives(user)
+      .map(drv => drv.uuid)
+      .filter(uuid => !q.drives || q.drives.includes(uuid)))
+
+    // directory access is evaluated once per directory
+    let dirs = new Map()
+    const readable = dirUUID => {
+      if (!dirs.has(dirUUID)) {
+        let dir = this.driveList.uuidMap.get(dirUUID)
+        dirs.set(dirUUID, !!dir && this.userCanReadDir(user, dir))
+      }
+      return dirs.get(dirUUID)
+    }
+
+    const hasMetaQuery = q.make !== undefined || q.model !== undefined ||
+      q.dateFrom !== undefined || q.dateTo !== undefined
+
+    // fingerprints of matching documents
+    let docs = q.text !== undefined ? this.fulltext.search(q.text) : null
+
+    const match = r => {
+      if (!drives.has(r.drive)) return false
+      if (docs && !(r.hash && docs.has(r.hash))) return false
+      if (q.type && r.type !== q.type) return false
+      if (q.name !== undefined) {
+        if (typeof q.name === 'string'
+          ? !r.name.toLowerCase().includes(q.name)
+          : !q.name.test(r.name)) return false
+      }
+      if (q.magic && !q.magic.includes(String(r.magic))) return false
+      if (q.minSize !== undefined && !(r.size >= q.minSize)) return false
+      if (q.maxSize !== undefined && !(r.size <= q.maxSize)) return false
+      if (q.minMtime !== undefined && r.mtime < q.minMtime) return false
+      if (q.maxMtime !== undefined && r.mtime > q.maxMtime) return false
+      if (q.tags && !(Array.isArray(r.tags) && q.tags.every(t => r.tags.includes(t)))) return false
+
+      if (hasMetaQuery) {
+        let meta = r.hash && this.mediaMap.getMetadata(r.hash)
+        if (!meta) return false
+        if (q.make !== undefined && !(meta.make && meta.make.toLowerCase().includes(q.make))) return false
+        if (q.model !== undefined && !(meta.model && meta.model.toLowerCase().includes(q.model))) return false
+        let date = meta.date || meta.datec
+        if (q.dateFrom !== undefined && !(date && normalizeDate(date) >= q.dateFrom)) return false
+        // dateTo is inclusive for the whole day if only date is given
+        if (q.dateTo !== undefined && !(date && normalizeDate(date).slice(0, q.dateTo.length) <= q.dateTo)) return false
+      }
+
+      return readable(r.dir)
+    }
+
+    let results = this.searchIndex.filter(match)
+      .sort((a, b) => b.mtime - a.mtime || a.name.localeCompare(b.name))
+      .slice(q.offset, q.offset + q.limit)
+      .map(r => {
+        let metadata = r.hash && this.mediaMap.getMetadata(r.hash)
+        return metadata ? Object.assign({}, r, { metadata }) : Object.assign({}, r)
+      })
+
+    process.nextTick(() => callback(null, results))
+  }
+}
+
+module.exports = searchapi
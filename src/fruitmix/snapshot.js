@@ -0,0 +1,304 @@
+const Promise = require('bluebird')
+const path = require('path')
+const fs = Promise.promisifyAll(require('fs'))
+
+const { peekXstat } = require('../lib/xstat')
+const { META } = require('../vfs/meta')
+const peekXstatAsync = Promise.promisify(peekXstat)
+
+const forbidden = e => Object.assign(e, { code: 'EFORBIDDEN', status: 403 })
+const notFound = e => Object.assign(e, { code: 'ENOTFOUND', status: 404 })
+
+// returns xstat or null, snapshot is read-only and may contain anything not managed by fruitmix
+const peekAsync = async target => {
+  try {
+    return await peekXstatAsync(target)
+  } catch (e) {
+    return null
+  }
+}
+
+/**
+Fruitmix Snapshot API
+
+Snapshots are read-only btrfs snapshots of drive subvolume. See {@link module:Snapshots}.
+
+Directories and files in snapshot keep the uuid they had in drive when the snapshot is taken.
+Since snapshot is read-only, they are not loaded into forest, and xattr are never updated.
+
+@mixin
+*/
+const snapshotapi = {
+
+  /**
+  Returns the drive if user can read (or write) its data, otherwise an error
+
+  @param {object} user
+  @param {string} driveUUID
+  @param {boolean} write - requires write permission
+  */
+  getSnapshotDrive (user, driveUUID, write) {
+    let drive = this.driveList.drives.find(drv => drv.uuid === driveUUID)
+    if (!drive || !this.userCanReadDriveMetadata(user, drive)) {
+      return notFound(new Error(`drive ${driveUUID} not found`))
+    }
+
+    if (write ? !this.userCanWriteDriveData(user, drive) : !this.userCanReadDriveData(user, drive)) {
+      return forbidden(new Error('permission denied'))
+    }
+
+    return drive
+  },
+
+  /**
+  Returns snapshot of given drive, or an error
+
+  @param {object} user
+  @param {string} driveUUID
+  @param {string} snapshotUUID
+  @param {boolean} write - requires write permission
+  */
+  getDriveSnapshot (user, driveUUID, snapshotUUID, write) {
+    let drive = this.getSnapshotDrive(user, driveUUID, write)
+    if (drive instanceof Error) return drive
+
+    let snapshot = this.snapshots.findSnapshot(snapshotUUID)
+    if (!snapshot || snapshot.drive !== driveUUID) return notFound(new Error('snapshot not found'))
+    return snapshot
+  },
+
+  /**
+  Returns snapshots of given drive, latest first
+
+  @param {object} user
+  @param {string} driveUUID
+  @param {function} callback - `(err, snapshots) => {}`
+  */
+  getSnapshots (user, driveUUID, callback) {
+    let drive = this.getSnapshotDrive(user, driveUUID, false)
+    if (drive instanceof Error) return process.nextTick(() => callback(drive))
+    process.nextTick(() => callback(null, this.snapshots.getSnapshots(driveUUID)))
+  },
+
+  /**
+  Take a manual snapshot of given drive
+
+  @param {object} user
+  @param {string} driveUUID
+  @param {function} callback - `(err, snapshot) => {}`
+  */
+  createSnapshot (user, driveUUID, callback) {
+    let drive = this.getSnapshotDrive(user, driveUUID, true)
+    if (drive instanceof Error) return process.nextTick(() => callback(drive))
+
+    this.snapshots.createSnapshotAsync(driveUUID, 'manual')
+      .then(snapshot => callback(null, snapshot))
+      .catch(e => callback(e))
+  },
+
+  /**
+  Delete a snapshot. Only user who can update drive (drive owner, or admin for public drive)
+  is allowed.
+
+  @param {object} user
+  @param {string} driveUUID
+  @param {string} snapshotUUID
+  @param {function} callback - `err => {}`
+  */
+  deleteSnapshot (user, driveUUID, snapshotUUID, callback) {
+    let snapshot = this.getDriveSnapshot(user, driveUUID, snapshotUUID, false)
+    if (snapshot instanceof Error) return process.nextTick(() => callback(snapshot))
+
+    let drive = this.driveList.drives.find(drv => drv.uuid === driveUUID)
+    if (!this.userCanWriteDriveMetadata(user, drive)) {
+      return process.nextTick(() => callback(forbidden(new Error('permission denied'))))
+    }
+
+    this.snapshots.deleteSnapshotsAsync([snapshotUUID])
+      .then(() => callback(null))
+      .catch(e => callback(e))
+  },
+
+  /**
+  Resolve a directory in snapshot.
+
+  The path of the directory in live drive is tried first, since most directories are
+  not moved after snapshot is taken. Otherwise the snapshot is searched breadth first.
+
+  @param {Snapshot} snapshot
+  @param {string} dirUUID
+  @returns {object[]} `[{ uuid, name, mtime, abspath }]`, from root to the directory, or null if not found
+  */
+  async resolveSnapshotDirAsync (snapshot, dirUUID) {
+    let root = this.driveList.roots.get(snapshot.drive)
+    let rootPath = this.snapshots.snapshotPath(snapshot)
+    let rootXstat = await peekAsync(rootPath)
+    if (!rootXstat) return null
+
+    let nodepath = [{
+      uuid: rootXstat.uuid,
+      name: root ? root.name : snapshot.drive,
+      mtime: rootXstat.mtime,
+      abspath: rootPath
+    }]
+
+    if (dirUUID === rootXstat.uuid) return nodepath
+
+    // try live path
+    let dir = this.driveList.getDriveDir(snapshot.drive, dirUUID)
+    if (dir) {
+      let names = dir.nodepath().slice(1).map(n => n.name)
+      let candidate = [...nodepath]
+      for (let i = 0; i < names.length; i++) {
+        let abspath = path.join(rootPath, ...names.slice(0, i + 1))
+        let xstat = await peekAsync(abspath)
+        if (!xstat || xstat.type !== 'directory') break
+        candidate.push({ uuid: xstat.uuid, name: xstat.name, mtime: xstat.mtime, abspath })
+      }
+      let last = candidate[candidate.length - 1]
+      if (last.uuid === dirUUID) return candidate
+    }
+
+    // breadth first search
+    let queue = [nodepath]
+    while (queue.length) {
+      let curr = queue.shift()
+      let parent = curr[curr.length - 1]
+      let names
+      try {
+        names = await fs.readdirAsync(parent.abspath)
+      } catch (e) {
+        continue
+      }
+
+      for (let name of names) {
+        if (curr.length === 1 && name === META) continue
+        let abspath = path.join(parent.abspath, name)
+        let xstat = await peekAsync(abspath)
+        if (!xstat || xstat.type !== 'directory') continue
+        let next = [...curr, { uuid: xstat.uuid, name, mtime: xstat.mtime, abspath }]
+        if (xstat.uuid === dirUUID) return next
+        queue.push(next)
+      }
+    }
+
+    return null
+  },
+
+  /**
+  Returns true if user can read every directory on a resolved snapshot nodepath.
+
+  Acls of live directories apply to their snapshot counterparts. A directory no longer in
+  drive falls back to its nearest live ancestor on the nodepath, which is checked anyway.
+  If no directory on the nodepath is live, there is no acl to tell and access is denied.
+
+  @param {object} user
+  @param {string} driveUUID
+  @param {object[]} nodepath - as returned by `resolveSnapshotDirAsync`
+  */
+  userCanReadSnapshotPath (user, driveUUID, nodepath) {
+    let lives = nodepath
+      .map(node => this.driveList.getDriveDir(driveUUID, node.uuid))
+      .filter(dir => !!dir)
+    return lives.length > 0 && lives.every(dir => this.userCanReadDir(user, dir))
+  },
+
+  /**
+  List a directory in snapshot, in the same format as drive directory.
+
+  @param {object} user
+  @param {string} driveUUID
+  @param {string} snapshotUUID
+  @param {string} dirUUID
+  @returns {object} `{ path, entries }`
+  */
+  async getSnapshotDirAsync (user, driveUUID, snapshotUUID, dirUUID) {
+    let snapshot = this.getDriveSnapshot(user, driveUUID, snapshotUUID, false)
+    if (snapshot instanceof Error) throw snapshot
+
+    let nodepath = await this.resolveSnapshotDirAsync(snapshot, dirUUID)
+    if (!nodepath) throw notFound(new Error('dir not found in snapshot'))
+
+    if (!this.userCanReadSnapshotPath(user, driveUUID, nodepath)) {
+      throw forbidden(new Error('permission denied'))
+    }
+
+    let dirPath = nodepath[nodepath.length - 1].abspath
+    let names = (await fs.readdirAsync(dirPath))
+      .filter(name => nodepath.length > 1 || name !== META)
+    let entries = (await Promise.mapSeries(names, name => peekAsync(path.join(dirPath, name))))
+      .filter(x => !!x)
+
+    return {
+      path: nodepath.map(({ uuid, name, mtime }) => ({ uuid, name, mtime })),
+      entries
+    }
+  },
+
+  getSnapshotDir (user, driveUUID, snapshotUUID, dirUUID, callback) {
+    this.getSnapshotDirAsync(user, driveUUID, snapshotUUID, dirUUID)
+      .then(dir => callback(null, dir))
+      .catch(e => callback(e))
+  },
+
+  /**
+  Restore entries in a snapshot directory into drive, by creating an `import` task.
+
+  @param {object} user
+  @param {string} driveUUID
+  @param {string} snapshotUUID
+  @param {object} props
+  @param {string} props.dir - directory uuid in snapshot
+  @param {string[]} props.entries - entry names in snapshot directory
+  @param {object} [props.dst] - `{ drive, dir }`, defaults to the same directory in drive
+  @param {object} [props.policies] - xcopy policies
+  @param {function} callback - `(err, task) => {}`
+  */
+  restoreFromSnapshot (user, driveUUID, snapshotUUID, props, callback) {
+    let snapshot = this.getDriveSnapshot(user, driveUUID, snapshotUUID, false)
+    if (snapshot instanceof Error) return process.nextTick(() => callback(snapshot))
+
+    if (typeof props !== 'object' || props === null ||
+      typeof props.dir !== 'string' ||
+      !Array.isArray(props.entries) ||
+      !props.entries.length ||
+      !props.entries.every(name => typeof name === 'string')) {
+      let err = Object.assign(new Error('invalid props'), { status: 400 })
+      return process.nextTick(() => callback(err))
+    }
+
+    let dst = Object.assign({ drive: driveUUID, dir: props.dir }, props.dst)
+    if (!this.driveList.getDriveDir(dst.drive, dst.dir)) {
+      return process.nextTick(() => callback(notFound(new Error('dst dir not found'))))
+    }
+
+    let dstDrive = this.getSnapshotDrive(user, dst.drive, true)
+    if (dstDrive instanceof Error) return process.nextTick(() => callback(dstDrive))
+
+    this.resolveSnapshotDirAsync(snapshot, props.dir)
+      .then(nodepath => {
+        if (!nodepath) return callback(notFound(new Error('dir not found in snapshot')))
+        if (!this.userCanReadSnapshotPath(user, driveUUID, nodepath)) {
+          return callback(forbidden(new Error('permission denied')))
+        }
+        this.createTask(user, {
+          type: 'import',
+          policies: props.policies,
+          src: { path: nodepath[nodepath.length - 1].abspath },
+          dst,
+          entries: props.entries
+        }, callback)
+      })
+      .catch(e => callback(e))
+  }
+}
+
+/**
+@typedef {Object} Snapshot
+@prop {UUID} uuid - snapshot uuid
+@prop {UUID} drive - drive uuid
+@prop {'scheduled'|'manual'|'backup'} tag
+@prop {number} ctime - when the snapshot is taken
+*/
+
+module.exports = snapshotapi
@@ -0,0 +1,539 @@
+const Promise = require('bluebird')
+const path = require('path')
+const fs = Promise.promisifyAll(require('fs'))
+const UUID = require('uuid')
+const mkdirp = require('mkdirp')
+const rimraf = require('rimraf')
+const sanitize = require('sanitize-filename')
+
+const Fingerprint = require('../lib/fingerprint2')
+const { isUUID } = require('../common/assertion')
+const { reconcile, POLICIES } = require('../syncs/reconcile')
+
+const mkdirpAsync = Promise.promisify(mkdirp)
+const rimrafAsync = Promise.promisify(rimraf)
+
+const Debug = require('debug')
+const debug = Debug('sync')
+
+const forbidden = e => Object.assign(e, { code: 'EFORBIDDEN', status: 403 })
+const notFound = e => Object.assign(e, { code: 'ENOTFOUND', status: 404 })
+const badRequest = e => Object.assign(e, { code: 'EBADREQUEST', status: 400 })
+const conflict = e => Object.assign(e, { code: 'ECONFLICT', status: 409 })
+
+// temporary files on native drive, created when exporting
+const TMP_SUFFIX = '.fruitmix-sync'
+
+const fingerprintAsync = filePath => new Promise((resolve, reject) => {
+  let fp = new Fingerprint(filePath)
+  fp.on('error', reject)
+  fp.on('data', data => data instanceof Error ? reject(data) : resolve(data))
+})
+
+const copyFileAsync = (src, dst) => new Promise((resolve, reject) => {
+  let rs = fs.createReadStream(src)
+  let ws = fs.createWriteStream(dst)
+  rs.on('error', err => {
+    ws.destroy()
+    reject(err)
+  })
+  ws.on('error', err => {
+    rs.destroy()
+    reject(err)
+  })
+  ws.on('finish', () => resolve())
+  rs.pipe(ws)
+})
+
+const join = (rel, name) => rel ? `${rel}/${name}` : name
+
+const parentOf = p => {
+  let i = p.lastIndexOf('/')
+  return i === -1 ? '' : p.slice(0, i)
+}
+
+/**
+Fruitmix Sync API
+
+A sync job pairs a directory on a native drive (usb disk, see ndriveapi) with a drive directory,
+see {@link module:Syncs}. Enabled jobs run when the native drive is attached (`setStorage`),
+and can be run manually.
+
+A run walks both trees, reconciles them against the baseline of last run (see {@link module:reconcile}),
+then applies the actions. Files are copied to drive as new files or new versions of existing
+ones, and deleted drive entries go to trash. Native entries are changed in place.
+
+The job runs as its owner. Drive sub-directories the owner can not read, and native entries with
+names not allowed in drive, are excluded on both sides. A run fails without any change if either
+root directory is missing, so an unmounted disk is never taken as deleted.
+
+@mixin
+*/
+const syncapi = {
+
+  /**
+  Returns the mounted native drive with given file system uuid
+  */
+  findSyncNativeDrive (fileSystemUUID) {
+    return this.ndrives.find(ndrv => ndrv.fileSystemUUID === fileSystemUUID)
+  },
+
+  // returns job props for clients
+  syncJobView (job) {
+    return Object.assign({}, job, {
+      attached: !!this.findSyncNativeDrive(job.ndrive),
+      running: this.syncs.running.has(job.uuid)
+    })
+  },
+
+  // returns the job if it belongs to user, otherwise an error
+  getUserSyncJob (user, jobUUID) {
+    let job = this.syncs.findJob(jobUUID)
+    if (!job || job.user !== user.uuid) return notFound(new Error(`sync job ${jobUUID} not found`))
+    return job
+  },
+
+  /**
+  Returns a Map of relative path to `{ type, size, mtime }`
+  */
+  async walkSyncNativeAsync (root) {
+    let tree = new Map()
+    let queue = ['']
+    while (queue.length) {
+      let rel = queue.shift()
+      let names = await fs.readdirAsync(path.join(root, rel))
+      for (let name of names) {
+        if (name !== sanitize(name) || name.endsWith(TMP_SUFFIX)) continue
+        let p = join(rel, name)
+        let stat
+        try {
+          stat = await fs.lstatAsync(path.join(root, p))
+        } catch (e) {
+          if (e.code === 'ENOENT') continue
+          throw e
+        }
+
+        if (stat.isDirectory()) {
+          tree.set(p, { type: 'directory', mtime: stat.mtime.getTime() })
+          queue.push(p)
+        } else if (stat.isFile()) {
+          tree.set(p, { type: 'file', size: stat.size, mtime: stat.mtime.getTime() })
+        }
+      }
+    }
+    return tree
+  },
+
+  /**
+  Returns `{ tree, dirs, excluded }`. Tree is a Map of relative path to `{ type, uuid, size, mtime, hash }`,
+  dirs is a Map of relative path to Directory, excluded are paths of directories user can not read.
+  */
+  async walkSyncDriveAsync (user, root) {
+    let tree = new Map()
+    let dirs = new Map([['', root]])
+    let excluded = []
+    let queue = ['']
+    while (queue.length) {
+      let rel = queue.shift()
+      let xstats = await dirs.get(rel).readdirAsync()
+      for (let x of xstats) {
+        let p = join(rel, x.name)
+        if (x.type === 'directory') {
+          let dir = this.driveList.uuidMap.get(x.uuid)
+          if (!dir || !this.userCanReadDir(user, dir)) {
+            excluded.push(p)
+            continue
+          }
+          tree.set(p, { type: 'directory', uuid: x.uuid, mtime: x.mtime })
+          dirs.set(p, dir)
+          queue.push(p)
+        } else {
+          tree.set(p, { type: 'file', uuid: x.uuid, size: x.size, mtime: x.mtime, hash: x.hash })
+        }
+      }
+    }
+    return { tree, dirs, excluded }
+  },
+
+  // returns native root and drive root directory of job, throws if missing
+  async syncRootsAsync (user, job) {
+    let ndrv = this.findSyncNativeDrive(job.ndrive)
+    if (!ndrv) throw conflict(new Error('native drive not attached'))
+
+    let nroot = path.join(ndrv.mountpoint, job.path)
+    let stat = await fs.lstatAsync(nroot)
+    if (!stat.isDirectory()) throw conflict(new Error('native path is not a directory'))
+
+    let err = this.checkDirAccess(user, job.drive, job.dir, true)
+    if (err) throw err
+    return { nroot, root: this.driveList.getDriveDir(job.drive, job.dir) }
+  },
+
+  // walk both trees, excluded entries are removed from both
+  async walkSyncTreesAsync (user, nroot, root) {
+    let native = await this.walkSyncNativeAsync(nroot)
+    let { tree: drive, dirs, excluded } = await this.walkSyncDriveAsync(user, root)
+    excluded.forEach(x => Array.from(native.keys())
+      .filter(p => p === x || p.startsWith(x + '/'))
+      .forEach(p => native.delete(p)))
+    return { native, drive, dirs }
+  },
+
+  /**
+  Apply an action, internal
+
+  @param {object} user
+  @param {SyncJob} job
+  @param {object} ctx - `{ nroot, native, drive, dirs, touched }`, touched is a Set of drive directories to re-read
+  @param {Action} action
+  */
+  async applySyncActionAsync (user, job, ctx, action) {
+    let { nroot, drive, dirs, touched } = ctx
+    let p = action.path
+    let name = path.basename(p)
+    let parent = dirs.get(parentOf(p))
+
+    const writableParent = () => {
+      if (!parent) throw notFound(new Error('parent directory not found'))
+      if (!this.userCanWriteDir(user, parent)) throw forbidden(new Error('permission denied'))
+      return parent
+    }
+
+    switch (action.op) {
+      case 'import': {
+        let dir = writableParent()
+        let D = drive.get(p)
+        let tmp = path.join(this.getTmpDir(job.drive), UUID.v4())
+        try {
+          await copyFileAsync(path.join(nroot, p), tmp)
+          let stat = await fs.lstatAsync(tmp)
+          this.assertDriveQuota(job.drive, stat.size - (D && D.type === 'file' ? D.size : 0))
+          let hash = await fingerprintAsync(tmp)
+          let overwrite = D && D.type === 'file' ? D.uuid : undefined
+          await Promise.promisify(this.createNewFile, { context: this })(user, job.drive, dir.uuid,
+            name, tmp, hash, overwrite)
+        } finally {
+          await rimrafAsync(tmp)
+        }
+        touched.add(dir)
+        break
+      }
+
+      case 'export': {
+        if (!parent) throw notFound(new Error('parent directory not found'))
+        let D = drive.get(p)
+        let dst = path.join(nroot, p)
+        let tmp = path.join(path.dirname(dst), `.${UUID.v4()}${TMP_SUFFIX}`)
+        try {
+          await copyFileAsync(path.join(parent.abspath(), name), tmp)
+          await fs.utimesAsync(tmp, new Date(), new Date(D.mtime))
+          await fs.renameAsync(tmp, dst)
+        } finally {
+          await rimrafAsync(tmp)
+        }
+        break
+      }
+
+      case 'mkdir-drive': {
+        let dir = writableParent()
+        let xstat = await Promise.promisify(this.mkdirp, { context: this })(user, job.drive, dir.uuid, name)
+        await dir.readdirAsync()
+        let created = this.driveList.getDriveDir(job.drive, xstat.uuid)
+        if (!created) throw notFound(new Error('created directory not found'))
+        dirs.set(p, created)
+        break
+      }
+
+      case 'mkdir-native':
+        await mkdirpAsync(path.join(nroot, p))
+        break
+
+      case 'delete-drive': {
+        let dir = writableParent()
+        await Promise.promisify(this.trashEntry, { context: this })(user, job.drive, dir.uuid, name,
+          drive.get(p).uuid)
+        touched.add(dir)
+        break
+      }
+
+      case 'delete-native':
+        await rimrafAsync(path.join(nroot, p))
+        break
+
+      case 'rename-native':
+        await fs.renameAsync(path.join(nroot, p), path.join(nroot, action.to))
+        break
+
+      default:
+        throw new Error(`unknown action ${action.op}`)
+    }
+  },
+
+  /**
+  Run a sync job, resolves with the run record. Failure is recorded in the run, not thrown,
+  except that the job is already running.
+
+  @param {SyncJob} job
+  @param {string} trigger - 'attach' or 'manual'
+  */
+  async runSyncJobAsync (job, trigger) {
+    if (this.syncs.running.has(job.uuid)) throw conflict(new Error('sync job is running'))
+    this.syncs.running.add(job.uuid)
+
+    let run = {
+      trigger,
+      start: new Date().getTime(),
+      imported: 0,
+      exported: 0,
+      deleted: 0,
+      conflicts: [],
+      errors: []
+    }
+
+    let baseline
+    try {
+      let user = this.userList.users.find(u => u.uuid === job.user)
+      if (!user) throw notFound(new Error('user not found'))
+
+      let { nroot, root } = await this.syncRootsAsync(user, job)
+      let state = await this.syncs.loadStateAsync(job.uuid)
+      let { native, drive, dirs } = await this.walkSyncTreesAsync(user, nroot, root)
+      let { actions, conflicts } = reconcile(native, drive, state.baseline, job.policy)
+      run.conflicts = conflicts
+
+      let ctx = { nroot, native, drive, dirs, touched: new Set() }
+      for (let action of actions) {
+        try {
+          await this.applySyncActionAsync(user, job, ctx, action)
+          if (action.op === 'import') run.imported++
+          if (action.op === 'export') run.exported++
+          if (action.op.startsWith('delete')) run.deleted++
+        } catch (e) {
+          run.errors.push({ op: action.op, path: action.path, message: e.message })
+        }
+      }
+
+      await Promise.mapSeries(Array.from(ctx.touched), dir => dir.readdirAsync().catch(() => {}))
+
+      // new baseline, entries existing on both sides
+      let after = await this.walkSyncTreesAsync(user, nroot, root)
+      baseline = new Map()
+      after.native.forEach((N, p) => {
+        let D = after.drive.get(p)
+        if (!D || D.type !== N.type) return
+        baseline.set(p, N.type === 'file'
+          ? { type: 'file', native: { size: N.size, mtime: N.mtime }, drive: { uuid: D.uuid, size: D.size, mtime: D.mtime } }
+          : { type: 'directory', native: {}, drive: { uuid: D.uuid } })
+      })
+
+      run.status = run.errors.length ? 'partial' : 'success'
+    } catch (e) {
+      run.status = 'failed'
+      run.error = e.message
+    }
+
+    run.end = new Date().getTime()
+    try {
+      await this.syncs.saveStateAsync(job.uuid, run, baseline)
+    } catch (e) {
+      debug('failed to save sync job state', job.uuid, e.message)
+    }
+
+    this.syncs.running.delete(job.uuid)
+    return run
+  },
+
+  /**
+  Run enabled jobs of native drives which are not attached before, called by `setStorage`
+
+  @param {string[]} prev - file system uuids of native drives attached before
+  */
+  runAttachedSyncJobs (prev) {
+    if (!this.syncs) return
+    let jobs = this.syncs.jobs.filter(job => job.enabled &&
+      !prev.includes(job.ndrive) &&
+      this.findSyncNativeDrive(job.ndrive) &&
+      !this.syncs.running.has(job.uuid))
+
+    Promise.mapSeries(jobs, job => this.runSyncJobAsync(job, 'attach'))
+      .then(() => {})
+      .catch(e => debug('sync on attach error', e))
+  },
+
+  /**
+  Returns sync jobs of user
+
+  @param {object} user
+  @param {function} callback - `(err, jobs) => {}`
+  */
+  getSyncJobs (user, callback) {
+    let jobs = this.syncs.jobs.filter(job => job.user === user.uuid).map(job => this.syncJobView(job))
+    process.nextTick(() => callback(null, jobs))
+  },
+
+  /**
+  Create a sync job
+
+  @param {object} user
+  @param {object} props
+  @param {string} [props.name]
+  @param {string} props.ndrive - file system uuid of an attached native drive
+  @param {string} [props.path] - relative path of an existing directory on native drive
+  @param {string} props.driveUUID
+  @param {string} props.dirUUID
+  @param {string} [props.policy] - conflict policy, defaults to `newer`
+  @param {boolean} [props.enabled] - defaults to true
+  @param {function} callback - `(err, job) => {}`
+  */
+  createSyncJob (user, props, callback) {
+    const f = async () => {
+      let { name = '', ndrive, path: relpath = '', driveUUID, dirUUID, policy = 'newer', enabled = true } = props
+      if (typeof name !== 'string') throw badRequest(new Error('invalid name'))
+      if (typeof ndrive !== 'string' || !ndrive) throw badRequest(new Error('invalid ndrive'))
+      if (typeof relpath !== 'string' || relpath.startsWith('/') ||
+        relpath.split('/').some(x => x === '..' || x === '.')) {
+        throw badRequest(new Error('invalid path'))
+      }
+      if (!isUUID(driveUUID)) throw badRequest(new Error('invalid drive uuid'))
+      if (!isUUID(dirUUID)) throw badRequest(new Error('invalid dir uuid'))
+      if (!POLICIES.includes(policy)) throw badRequest(new Error(`policy must be one of ${POLICIES.join(', ')}`))
+      if (typeof enabled !== 'boolean') throw badRequest(new Error('enabled must be a boolean'))
+
+      let ndrv = this.findSyncNativeDrive(ndrive)
+      if (!ndrv) throw notFound(new Error('native drive not found'))
+
+      relpath = relpath.split('/').filter(x => x.length).join('/')
+      let stat
+      try {
+        stat = await fs.lstatAsync(path.join(ndrv.mountpoint, relpath))
+      } catch (e) {
+        if (e.code === 'ENOENT' || e.code === 'ENOTDIR') throw notFound(new Error('native path not found'))
+        throw e
+      }
+      if (!stat.isDirectory()) throw badRequest(new Error('native path is not a directory'))
+
+      let err = this.checkDirAccess(user, driveUUID, dirUUID, true)
+      if (err) throw err
+
+      let job = await this.syncs.createAsync({
+        user: user.uuid,
+        name,
+        ndrive,
+        path: relpath,
+        drive: driveUUID,
+        dir: dirUUID,
+        policy,
+        enabled
+      })
+      return this.syncJobView(job)
+    }
+
+    f().then(job => callback(null, job), e => callback(e))
+  },
+
+  /**
+  Returns a sync job
+
+  @param {object} user
+  @param {string} jobUUID
+  @param {function} callback - `(err, job) => {}`
+  */
+  getSyncJob (user, jobUUID, callback) {
+    let job = this.getUserSyncJob(user, jobUUID)
+    if (job instanceof Error) return process.nextTick(() => callback(job))
+    process.nextTick(() => callback(null, this.syncJobView(job)))
+  },
+
+  /**
+  Update a sync job
+
+  @param {object} user
+  @param {string} jobUUID
+  @param {object} props - name, policy or enabled
+  @param {function} callback - `(err, job) => {}`
+  */
+  updateSyncJob (user, jobUUID, props, callback) {
+    let job = this.getUserSyncJob(user, jobUUID)
+    if (job instanceof Error) return process.nextTick(() => callback(job))
+
+    let update = {}
+    let invalid
+    Object.keys(props).forEach(key => {
+      let value = props[key]
+      if (key === 'name' && typeof value === 'string') {
+        update.name = value
+      } else if (key === 'policy' && POLICIES.includes(value)) {
+        update.policy = value
+      } else if (key === 'enabled' && typeof value === 'boolean') {
+        update.enabled = value
+      } else {
+        invalid = invalid || key
+      }
+    })
+
+    if (invalid) return process.nextTick(() => callback(badRequest(new Error(`invalid ${invalid}`))))
+
+    this.syncs.updateAsync(jobUUID, update)
+      .then(job => callback(null, this.syncJobView(job)))
+      .catch(e => callback(e))
+  },
+
+  /**
+  Delete a sync job, 409 if it is running
+
+  @param {object} user
+  @param {string} jobUUID
+  @param {function} callback - `err => {}`
+  */
+  deleteSyncJob (user, jobUUID, callback) {
+    let job = this.getUserSyncJob(user, jobUUID)
+    if (job instanceof Error) return process.nextTick(() => callback(job))
+    if (this.syncs.running.has(jobUUID)) {
+      return process.nextTick(() => callback(conflict(new Error('sync job is running'))))
+    }
+
+    this.syncs.deleteAsync(jobUUID)
+      .then(() => callback(null))
+      .catch(e => callback(e))
+  },
+
+  /**
+  Start a run manually. The job is returned once the run is started.
+
+  @param {object} user
+  @param {string} jobUUID
+  @param {function} callback - `(err, job) => {}`
+  */
+  runSyncJob (user, jobUUID, callback) {
+    let job = this.getUserSyncJob(user, jobUUID)
+    if (job instanceof Error) return process.nextTick(() => callback(job))
+    if (this.syncs.running.has(jobUUID)) {
+      return process.nextTick(() => callback(conflict(new Error('sync job is running'))))
+    }
+    if (!this.findSyncNativeDrive(job.ndrive)) {
+      return process.nextTick(() => callback(conflict(new Error('native drive not attached'))))
+    }
+
+    this.runSyncJobAsync(job, 'manual')
+      .then(() => {})
+      .catch(e => debug('sync job error', e))
+    process.nextTick(() => callback(null, this.syncJobView(job)))
+  },
+
+  /**
+  Returns recent runs of a sync job, latest first
+
+  @param {object} user
+  @param {string} jobUUID
+  @param {function} callback - `(err, runs) => {}`
+  */
+  getSyncJobHistory (user, jobUUID, callback) {
+    let job = this.getUserSyncJob(user, jobUUID)
+    if (job instanceof Error) return process.nextTick(() => callback(job))
+    this.syncs.getHistoryAsync(jobUUID)
+      .then(runs => callback(null, runs))
+      .catch(e => callback(e))
+  }
+}
+
+module.exports = syncapi
@@ -0,0 +1,202 @@
+const Promise = require('bluebird')
+
+const xcopy = require('../tasks/xcopy')
+const xcopyAsync = Promise.promisify(xcopy)
+
+const Debug = require('debug')
+const debug = Debug('task')
+
+const forbidden = e => Object.assign(e, { code: 'EFORBIDDEN', status: 403 })
+const notFound = e => Object.assign(e, { code: 'ENOTFOUND', status: 404 })
+const badRequest = e => Object.assign(e, { code: 'EBADREQUEST', status: 400 })
+
+const isNonNegativeInteger = x => Number.isInteger(x) && x >= 0
+
+// progress of a task is saved at most once in this interval (ms)
+const PERSIST_INTERVAL = 200
+
+/**
+Fruitmix Task API
+
+Xcopy tasks are persisted by {@link module:TaskStore} when created and as they make progress,
+and removed when all entries are finished or the task is deleted. Progress is saved at most once
+in `PERSIST_INTERVAL`, rather than once per file.
+
+When fruitmix starts, persisted tasks are restored with the same uuid. Source entries already
+finished are skipped, and destination directories already created are merged into. Restored
+tasks have `resumed` status until finished.
+
+Tasks can be paused and resumed, and limited in bandwidth. Task settings limit the total
+bandwidth of all tasks, and the number of running tasks. Tasks exceeding the limit are
+`queued` in the order they are created.
+
+@mixin
+*/
+const taskapi = {
+
+  // returns the persisted record of task
+  taskRecord (task) {
+    return {
+      uuid: task.uuid,
+      user: task.user.uuid,
+      type: task.mode,
+      policies: task.policies,
+      src: task.src,
+      dst: task.dst,
+      entries: task.entries.map(x => ({ uuid: x.uuid, name: x.name })),
+      finished: task.finishedPaths(),
+      started: Array.from(task.started),
+      paused: task.paused,
+      bandwidth: task.bandwidth,
+      ctime: task.ctime
+    }
+  },
+
+  /**
+  Persist a task and its progress
+  */
+  trackTask (task) {
+    task.ctime = task.ctime || new Date().getTime()
+    task.persist = () => {
+      if (task.isFinishedAll()) {
+        clearTimeout(task.persistTimer)
+        task.persistTimer = null
+        this.taskStore.remove(task.uuid)
+      } else if (!task.persistTimer) {
+        task.persistTimer = setTimeout(() => {
+          task.persistTimer = null
+          this.taskStore.save(this.taskRecord(task))
+        }, PERSIST_INTERVAL)
+        task.persistTimer.unref()
+      }
+    }
+    task.on('progress', task.persist)
+    this.taskStore.save(this.taskRecord(task))
+
+    // a task with nothing left to run frees its slot
+    task.on('stopped', () => task.hasWork() || this.rescheduleTasks())
+  },
+
+  /**
+  Stop persisting a task and remove its record
+  */
+  untrackTask (task) {
+    if (task.persist) task.removeListener('progress', task.persist)
+    clearTimeout(task.persistTimer)
+    this.taskStore.remove(task.uuid)
+  },
+
+  /**
+  Restore persisted tasks, called when fruitmix starts
+  */
+  async restoreTasksAsync () {
+    let records = await this.taskStore.loadAllAsync()
+    for (let record of records) {
+      let user = this.findUserByUUID(record.user)
+      let entries = record.entries
+        .filter(x => !record.finished.includes(x.name))
+        .map(x => record.type === 'import' ? x.name : x.uuid)
+
+      if (!user || user.disabled || !entries.length) {
+        this.taskStore.remove(record.uuid)
+        continue
+      }
+
+      try {
+        let { uuid, finished, started, paused, bandwidth } = record
+        let task = await xcopyAsync(this, user, record.type, record.policies,
+          record.src, record.dst, entries, { uuid, finished, started, paused, bandwidth })
+        task.ctime = record.ctime
+        this.tasks.push(task)
+        this.trackTask(task)
+      } catch (e) {
+        debug('failed to restore task', record.uuid, e.message)
+        this.taskStore.remove(record.uuid)
+      }
+    }
+  },
+
+  /**
+  Returns true if task is among the first `concurrency` tasks which are not paused and have
+  sub-tasks to run, called by task scheduler
+  */
+  isTaskAdmitted (task) {
+    let limit = this.taskStore.settings.concurrency
+    if (!limit) return true
+    let index = this.tasks.filter(t => !t.paused && t.hasWork()).indexOf(task)
+    return index < limit
+  },
+
+  /**
+  Request scheduling of tasks waiting for a slot
+  */
+  rescheduleTasks () {
+    this.tasks.filter(t => !t.paused && t.hasWork()).forEach(t => t.reqSched())
+  },
+
+  /**
+  Pause, resume or limit bandwidth of a task
+
+  @param {object} user
+  @param {string} taskUUID
+  @param {object} props
+  @param {boolean} [props.paused]
+  @param {number} [props.bandwidth] - bytes per second, 0 for unlimited
+  @param {function} callback - `(err, task) => {}`
+  */
+  updateTask (user, taskUUID, props, callback) {
+    let task = this.tasks.find(t => t.user.uuid === user.uuid && t.uuid === taskUUID)
+    if (!task) return process.nextTick(() => callback(notFound(new Error(`task ${taskUUID} not found`))))
+
+    let invalid = Object.keys(props).find(key => !(
+      (key === 'paused' && typeof props.paused === 'boolean') ||
+      (key === 'bandwidth' && isNonNegativeInteger(props.bandwidth))))
+    if (invalid) return process.nextTick(() => callback(badRequest(new Error(`invalid ${invalid}`))))
+
+    if (props.hasOwnProperty('bandwidth')) task.setBandwidth(props.bandwidth)
+    if (props.paused === true) task.pause()
+    if (props.paused === false) task.resume()
+    this.rescheduleTasks()
+    process.nextTick(() => callback(null, task.view()))
+  },
+
+  /**
+  Returns task settings
+
+  @param {object} user
+  @param {function} callback - `(err, settings) => {}`
+  */
+  getTaskSettings (user, callback) {
+    process.nextTick(() => callback(null, this.taskStore.settings))
+  },
+
+  /**
+  Update task settings. Only admin is allowed.
+
+  @param {object} user
+  @param {object} props
+  @param {number} [props.bandwidth] - total bytes per second of all tasks, 0 for unlimited
+  @param {number} [props.concurrency] - max number of running tasks, 0 for unlimited
+  @param {function} callback - `(err, settings) => {}`
+  */
+  updateTaskSettings (user, props, callback) {
+    if (!user.isAdmin) {
+      return process.nextTick(() => callback(forbidden(new Error('requires admin priviledge'))))
+    }
+
+    let invalid = Object.keys(props).find(key =>
+      !['bandwidth', 'concurrency'].includes(key) || !isNonNegativeInteger(props[key]))
+    if (invalid) return process.nextTick(() => callback(badRequest(new Error(`invalid ${invalid}`))))
+
+    let settings = Object.assign({}, this.taskStore.settings, props)
+    this.taskStore.saveSettingsAsync(settings)
+      .then(() => {
+        this.taskLimiter.setRate(settings.bandwidth)
+        this.rescheduleTasks()
+        callback(null, settings)
+      })
+      .catch(e => callback(e))
+  }
+}
+
+module.exports = taskapi
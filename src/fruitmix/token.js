@@ -0,0 +1,222 @@
+const jwt = require('jwt-simple')
+
+const forbidden = e => Object.assign(e, { code: 'EFORBIDDEN', status: 403 })
+const notFound = e => Object.assign(e, { code: 'ENOTFOUND', status: 404 })
+const badRequest = e => Object.assign(e, { code: 'EBADREQUEST', status: 400 })
+const unauthorized = e => Object.assign(e, { code: 'EUNAUTHORIZED', status: 401 })
+
+const isOptionalString = x => x === undefined || typeof x === 'string'
+
+/**
+Fruitmix Token API
+
+Access tokens are short-lived JWTs signed with the per-installation secret, see {@link module:Tokens}.
+Each token belongs to a session, which holds the refresh token of a device. An access token
+is rejected once it expires, or its session is revoked (logout) or expires, or the user is
+disabled.
+
+```
+Token {
+  type: 'JWT',
+  token,          // access token
+  expires,        // access token expires, in milliseconds
+  refreshToken
+}
+```
+
+Users can list and revoke their own sessions, admin can list and revoke sessions of all users.
+
+```
+SessionView {
+  id,
+  user,
+  device,         // { id, name, type }
+  via,            // 'basic' or 'cloud'
+  ip,             // last seen ip
+  ctime,
+  atime,          // last seen
+  expires,
+  current         // true if it is the session of requesting token
+}
+```
+
+@mixin
+*/
+const tokenapi = {
+
+  // returns a token of session, without refresh token
+  signToken (session) {
+    let iat = Math.floor(new Date().getTime() / 1000)
+    let exp = iat + Math.floor(this.tokens.accessTTL / 1000)
+    return {
+      type: 'JWT',
+      token: jwt.encode({ uuid: session.user, sid: session.id, iat, exp }, this.tokens.secret),
+      expires: exp * 1000
+    }
+  },
+
+  /**
+  Create a session and returns its token
+
+  @param {object} user
+  @param {object} props
+  @param {object} [props.device] - `{ id, name, type }`, all strings
+  @param {string} props.via - `basic` or `cloud`
+  @param {string} [props.ip]
+  @returns {Token}
+  */
+  async createTokenAsync (user, { device = {}, via, ip }) {
+    if (typeof device !== 'object' || device === null ||
+      !isOptionalString(device.id) || !isOptionalString(device.name) || !isOptionalString(device.type)) {
+      throw badRequest(new Error('invalid device'))
+    }
+
+    device = { id: device.id, name: device.name, type: device.type }
+    let { session, refreshToken } = await this.tokens.createAsync(user.uuid, { device, via, ip })
+    this.recordAuth('success', { method: via, user: user.uuid, ip, session: session.id })
+    return Object.assign(this.signToken(session), { refreshToken })
+  },
+
+  /**
+  Login, see totpapi for two-factor authentication
+
+  @param {object} user
+  @param {object} props - see createTokenAsync
+  @param {function} callback - `(err, token) => {}`, token may be a challenge
+  */
+  getToken (user, props, callback) {
+    this.loginAsync(user, props)
+      .then(token => callback(null, token))
+      .catch(e => callback(e))
+  },
+
+  /**
+  Exchange a refresh token for a new token. The refresh token is rotated.
+
+  @param {object} props
+  @param {string} props.refreshToken
+  @param {string} [props.ip]
+  @param {function} callback - `(err, token) => {}`
+  */
+  refreshToken (props, callback) {
+    if (typeof props.refreshToken !== 'string') {
+      return process.nextTick(() => callback(badRequest(new Error('invalid refreshToken'))))
+    }
+
+    this.tokens.refreshAsync(props.refreshToken, props.ip)
+      .then(x => {
+        let user = x && this.findUserByUUID(x.session.user)
+        if (!user || user.disabled) {
+          this.recordAuth('failure', { method: 'refresh', user: x && x.session.user, ip: props.ip })
+          throw unauthorized(new Error('invalid or expired refresh token'))
+        }
+        this.recordAuth('refresh', { method: 'refresh', user: user.uuid, ip: props.ip, session: x.session.id })
+        callback(null, Object.assign(this.signToken(x.session), { refreshToken: x.refreshToken }))
+      })
+      .catch(e => callback(e))
+  },
+
+  /**
+  Revoke the session of current token (logout), or all sessions of user (sign out everywhere)
+
+  @param {object} user
+  @param {string} sid - session id of current token
+  @param {object} props
+  @param {boolean} [props.all] - revoke all sessions of user
+  @param {function} callback - `err => {}`
+  */
+  revokeToken (user, sid, props, callback) {
+    let all = props.all === true || props.all === 'true'
+    this.tokens.revokeAsync(s => s.user === user.uuid && (all || s.id === sid))
+      .then(() => callback(null))
+      .catch(e => callback(e))
+  },
+
+  /**
+  Returns the user of a decoded access token, or undefined if its session is revoked or
+  expired, or the user is disabled. The use of session is recorded.
+
+  @param {object} payload
+  @param {string} [ip]
+  */
+  tokenUser (payload, ip) {
+    let session = this.tokens.findSession(payload.sid)
+    if (!session || session.user !== payload.uuid) return
+    let user = this.findUserByUUID(payload.uuid)
+    if (!user || user.disabled) return
+    this.tokens.touch(session.id, ip || session.ip)
+    return user
+  },
+
+  /**
+  List sessions of a user
+
+  @param {object} user
+  @param {string} userUUID
+  @param {string} sid - session id of requesting token
+  @param {function} callback - `(err, sessions) => {}`
+  */
+  getSessions (user, userUUID, sid, callback) {
+    if (user.uuid !== userUUID && !user.isAdmin) {
+      return process.nextTick(() => callback(forbidden(new Error('requires admin priviledge'))))
+    }
+
+    if (!this.findUserByUUID(userUUID)) {
+      return process.nextTick(() => callback(notFound(new Error('user not found'))))
+    }
+
+    let sessions = this.tokens.list(s => s.user === userUUID)
+      .sort((a, b) => b.atime - a.atime)
+      .map(s => ({
+        id: s.id,
+        user: s.user,
+        device: s.device,
+        via: s.via,
+        ip: s.ip,
+        ctime: s.ctime,
+        atime: s.atime,
+        expires: s.expires,
+        current: s.id === sid
+      }))
+    process.nextTick(() => callback(null, sessions))
+  },
+
+  /**
+  Revoke a session of a user
+
+  @param {object} user
+  @param {string} userUUID
+  @param {string} sessionId
+  @param {function} callback - `err => {}`
+  */
+  deleteSession (user, userUUID, sessionId, callback) {
+    if (user.uuid !== userUUID && !user.isAdmin) {
+      return process.nextTick(() => callback(forbidden(new Error('requires admin priviledge'))))
+    }
+
+    let session = this.tokens.findSession(sessionId)
+    if (!session || session.user !== userUUID) {
+      return process.nextTick(() => callback(notFound(new Error('session not found'))))
+    }
+
+    this.tokens.revokeAsync(s => s.id === sessionId)
+      .then(() => callback(null))
+      .catch(e => callback(e))
+  },
+
+  /**
+  Decode and verify an access token, returns the user or undefined
+  */
+  verifyToken (token) {
+    let payload
+    try {
+      payload = jwt.decode(token, this.tokens.secret)
+    } catch (e) {
+      return
+    }
+    if (!payload.exp || payload.exp * 1000 < new Date().getTime()) return
+    return this.tokenUser(payload)
+  }
+}
+
+module.exports = tokenapi
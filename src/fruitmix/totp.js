@@ -0,0 +1,282 @@
+const crypto = require('crypto')
+
+const totp = require('../lib/totp')
+
+const forbidden = e => Object.assign(e, { code: 'EFORBIDDEN', status: 403 })
+const notFound = e => Object.assign(e, { code: 'ENOTFOUND', status: 404 })
+const badRequest = e => Object.assign(e, { code: 'EBADREQUEST', status: 400 })
+const unauthorized = e => Object.assign(e, { code: 'EUNAUTHORIZED', status: 401 })
+const conflict = e => Object.assign(e, { code: 'ECONFLICT', status: 409 })
+const locked = until => Object.assign(new Error(`too many failed attempts, retry after ${
+  Math.ceil((until - new Date().getTime()) / 1000)} seconds`), { code: 'ELOCKED', status: 429, until })
+
+// second step of login expires in 5 minutes, and allows 5 attempts
+const CHALLENGE_TTL = 5 * 60 * 1000
+const CHALLENGE_ATTEMPTS = 5
+
+const RECOVERY_CODES = 10
+const ISSUER = 'WISNUC'
+
+const sha256 = text => crypto.createHash('sha256').update(text).digest('hex')
+const normalize = code => code.toLowerCase().replace(/[\s-]/g, '')
+
+/**
+Fruitmix TOTP API
+
+Users may enroll two-factor authentication with an authenticator app. Enrollment creates a
+pending secret, which is enabled once a code is verified. Recovery codes are returned when
+enabled, each can be used once instead of a code. Only sha256 of recovery codes is saved in
+users.json, see {@link module:User}.
+
+For users with two-factor authentication enabled, `GET /token` returns a challenge instead of
+a token, which is exchanged for a token with a code in the second step.
+
+```
+Challenge {
+  type: 'TOTP',
+  challenge,
+  expires
+}
+```
+
+If policy `adminTOTP` is set, admins without two-factor authentication can not get token, but
+they can still enroll with password.
+
+Codes already used and pending challenges are kept in memory.
+
+Failed codes are limited by user and ip across challenges, like password, see {@link authapi}.
+They are counted for user separately, so a correct password does not reset them.
+
+@mixin
+*/
+const totpapi = {
+
+  /**
+  Verify a code or a recovery code of user, a used recovery code is removed.
+
+  @returns {boolean}
+  */
+  async checkTOTPAsync (userUUID, code) {
+    let t = this.userList.getTOTP(userUUID)
+    if (!t || !t.enabled || typeof code !== 'string') return false
+
+    let counter = totp.verify(t.secret, code)
+    if (counter !== -1) {
+      // a code can not be used twice
+      if (this.totpCounters.has(userUUID) && counter <= this.totpCounters.get(userUUID)) return false
+      this.totpCounters.set(userUUID, counter)
+      return true
+    }
+
+    let hash = sha256(normalize(code))
+    if (!t.recoveryCodes.includes(hash)) return false
+    let recoveryCodes = t.recoveryCodes.filter(x => x !== hash)
+    await this.userList.updateUserAsync(userUUID, { totp: Object.assign({}, t, { recoveryCodes }) })
+    return true
+  },
+
+  /**
+  Returns the status of two-factor authentication of a user
+
+  @param {object} user
+  @param {string} userUUID
+  @param {function} callback - `(err, status) => {}`, status is `{ enabled, recoveryCodes }`,
+  recoveryCodes is the number of unused recovery codes
+  */
+  getTOTP (user, userUUID, callback) {
+    if (user.uuid !== userUUID && !user.isAdmin) {
+      return process.nextTick(() => callback(forbidden(new Error('requires admin priviledge'))))
+    }
+
+    if (!this.findUserByUUID(userUUID)) {
+      return process.nextTick(() => callback(notFound(new Error('user not found'))))
+    }
+
+    let t = this.userList.getTOTP(userUUID)
+    let enabled = !!(t && t.enabled)
+    process.nextTick(() => callback(null, { enabled, recoveryCodes: enabled ? t.recoveryCodes.length : 0 }))
+  },
+
+  /**
+  Create a pending secret for user himself
+
+  @param {object} user
+  @param {string} userUUID
+  @returns `{ secret, uri }`, uri is the provisioning uri for QR code
+  */
+  async createTOTPAsync (user, userUUID) {
+    if (user.uuid !== userUUID) throw forbidden(new Error('only user himself can enroll'))
+
+    let t = this.userList.getTOTP(userUUID)
+    if (t && t.enabled) throw conflict(new Error('already enabled'))
+
+    let secret = totp.generateSecret()
+    await this.userList.updateUserAsync(userUUID, { totp: { secret, enabled: false, recoveryCodes: [] } })
+    return { secret, uri: totp.provisioningUri(secret, user.username, ISSUER) }
+  },
+
+  /**
+  Enable the pending secret with a code
+
+  @param {object} user
+  @param {string} userUUID
+  @param {object} props
+  @param {string} props.code
+  @returns `{ recoveryCodes }`, recovery codes in plain text, only returned here
+  */
+  async enableTOTPAsync (user, userUUID, props) {
+    if (user.uuid !== userUUID) throw forbidden(new Error('only user himself can enroll'))
+
+    let t = this.userList.getTOTP(userUUID)
+    if (!t) throw notFound(new Error('totp not created'))
+    if (t.enabled) throw conflict(new Error('already enabled'))
+
+    let counter = totp.verify(t.secret, props.code)
+    if (counter === -1) throw forbidden(new Error('invalid code'))
+    this.totpCounters.set(userUUID, counter)
+
+    let recoveryCodes = Array.from({ length: RECOVERY_CODES }, () => crypto.randomBytes(5).toString('hex'))
+    await this.userList.updateUserAsync(userUUID, {
+      totp: { secret: t.secret, enabled: true, recoveryCodes: recoveryCodes.map(x => sha256(x)) }
+    })
+    return { recoveryCodes }
+  },
+
+  /**
+  Disable two-factor authentication. User himself must provide a code or a recovery code if
+  enabled. Admin can disable it for other users without code.
+
+  @param {object} user
+  @param {string} userUUID
+  @param {object} props
+  @param {string} [props.code]
+  */
+  async deleteTOTPAsync (user, userUUID, props) {
+    if (user.uuid !== userUUID && !user.isAdmin) throw forbidden(new Error('requires admin priviledge'))
+    if (!this.findUserByUUID(userUUID)) throw notFound(new Error('user not found'))
+
+    let t = this.userList.getTOTP(userUUID)
+    if (!t) return
+    if (user.uuid === userUUID && t.enabled && !await this.checkTOTPAsync(userUUID, props.code)) {
+      throw forbidden(new Error('invalid code'))
+    }
+
+    await this.userList.updateUserAsync(userUUID, { totp: null })
+    this.totpCounters.delete(userUUID)
+  },
+
+  /**
+  Returns true if user enabled two-factor authentication. Password alone (http basic) is not
+  accepted for such users other than login, see auth middleware.
+
+  @param {string} userUUID
+  @returns {boolean}
+  */
+  isTOTPEnabled (userUUID) {
+    let t = this.userList.getTOTP(userUUID)
+    return !!(t && t.enabled)
+  },
+
+  /**
+  First step of login, returns a token, or a challenge if user enabled two-factor authentication
+
+  @param {object} user - authenticated by password
+  @param {object} props - see createTokenAsync
+  @returns {(Token|Challenge)}
+  */
+  async loginAsync (user, props) {
+    let now = new Date().getTime()
+    this.totpChallenges.forEach((c, key) => c.expires < now && this.totpChallenges.delete(key))
+
+    if (this.isTOTPEnabled(user.uuid)) {
+      let challenge = crypto.randomBytes(16).toString('hex')
+      let expires = now + CHALLENGE_TTL
+      this.totpChallenges.set(challenge, { user: user.uuid, props, expires, attempts: 0 })
+      return { type: 'TOTP', challenge, expires }
+    }
+
+    if (user.isAdmin && this.tokens.policy.adminTOTP) {
+      throw forbidden(new Error('two-factor authentication is required for admin'))
+    }
+
+    return this.createTokenAsync(user, props)
+  },
+
+  /**
+  Second step of login, exchange a challenge and a code for a token
+
+  @param {object} props
+  @param {string} props.challenge
+  @param {string} props.code - code or recovery code
+  @param {string} [props.ip]
+  @returns {Token}
+  */
+  async verifyChallengeAsync (props) {
+    let { challenge, code, ip } = props
+    if (typeof challenge !== 'string' || typeof code !== 'string') {
+      throw badRequest(new Error('challenge and code must be string'))
+    }
+
+    let c = this.totpChallenges.get(challenge)
+    if (!c || c.expires < new Date().getTime()) {
+      this.totpChallenges.delete(challenge)
+      throw unauthorized(new Error('invalid or expired challenge'))
+    }
+
+    let user = this.findUserByUUID(c.user)
+    if (!user || user.disabled) {
+      this.totpChallenges.delete(challenge)
+      throw unauthorized(new Error('user not found'))
+    }
+
+    let key = `${c.user}:totp`
+    let until = Math.max(this.userLockout.lockedUntil(key), this.ipLockout.lockedUntil(ip))
+    if (until) throw locked(until)
+
+    if (!await this.checkTOTPAsync(c.user, code)) {
+      until = Math.max(this.userLockout.fail(key), this.ipLockout.fail(ip))
+      this.recordAuth('failure', { method: 'totp', user: c.user, ip })
+      if (until) this.recordAuth('lockout', { method: 'totp', user: c.user, ip, until })
+      if (++c.attempts >= CHALLENGE_ATTEMPTS) this.totpChallenges.delete(challenge)
+      throw unauthorized(new Error('invalid code'))
+    }
+
+    this.userLockout.succeed(key)
+    this.totpChallenges.delete(challenge)
+    return this.createTokenAsync(user, c.props)
+  },
+
+  /**
+  Returns token policy
+
+  @param {object} user
+  @param {function} callback - `(err, policy) => {}`
+  */
+  getTokenPolicy (user, callback) {
+    process.nextTick(() => callback(null, this.tokens.policy))
+  },
+
+  /**
+  Update token policy. Only admin is allowed.
+
+  @param {object} user
+  @param {object} props
+  @param {boolean} [props.adminTOTP] - require admins to use two-factor authentication
+  @param {function} callback - `(err, policy) => {}`
+  */
+  updateTokenPolicy (user, props, callback) {
+    if (!user.isAdmin) {
+      return process.nextTick(() => callback(forbidden(new Error('requires admin priviledge'))))
+    }
+
+    let invalid = Object.keys(props).find(key => key !== 'adminTOTP' || typeof props[key] !== 'boolean')
+    if (invalid) return process.nextTick(() => callback(badRequest(new Error(`invalid ${invalid}`))))
+
+    let policy = Object.assign({}, this.tokens.policy, props)
+    this.tokens.savePolicyAsync(policy)
+      .then(() => callback(null, policy))
+      .catch(e => callback(e))
+  }
+}
+
+module.exports = totpapi
@@ -0,0 +1,215 @@
+const path = require('path')
+const fs = require('fs')
+
+const autoname = require('../lib/autoname')
+const { readXstat } = require('../lib/xstat')
+const Directory = require('../vfs/directory')
+const { checkName } = require('../vfs/meta')
+
+const forbidden = e => Object.assign(e, { code: 'EFORBIDDEN', status: 403 })
+const notFound = e => Object.assign(e, { code: 'ENOTFOUND', status: 404 })
+
+/**
+Fruitmix Trash API
+
+Entries removed by writedir `remove` op are moved into trash. See {@link module:Trash}.
+
+@mixin
+*/
+const trashapi = {
+
+  /**
+  Returns the drive if user can read (or write) its data, otherwise an error
+
+  @param {object} user
+  @param {string} driveUUID
+  @param {boolean} write - requires write permission
+  */
+  getTrashDrive (user, driveUUID, write) {
+    let drive = this.driveList.drives.find(drv => drv.uuid === driveUUID)
+    if (!drive || !this.userCanReadDriveMetadata(user, drive)) {
+      return notFound(new Error(`drive ${driveUUID} not found`))
+    }
+
+    if (write ? !this.userCanWriteDriveData(user, drive) : !this.userCanReadDriveData(user, drive)) {
+      return forbidden(new Error('permission denied'))
+    }
+
+    return drive
+  },
+
+  /**
+  Returns trash items of given drive
+
+  @param {object} user
+  @param {string} driveUUID
+  @param {function} callback - `(err, items) => {}`
+  */
+  getTrash (user, driveUUID, callback) {
+    let drive = this.getTrashDrive(user, driveUUID, false)
+    if (drive instanceof Error) return process.nextTick(() => callback(drive))
+    // items removed from directories the user can not read are hidden
+    let items = this.trash.getItems(driveUUID).filter(item => {
+      let dir = this.driveList.getDriveDir(driveUUID, item.dir)
+      return !dir || this.userCanReadDir(user, dir)
+    })
+    process.nextTick(() => callback(null, items))
+  },
+
+  /**
+  Move a file or directory into trash. The entry uuid must match.
+
+  User must have write permission on the directory, and on the removed directory and all its
+  sub-directories, if the entry is a directory.
+
+  @param {object} user
+  @param {string} driveUUID
+  @param {string} dirUUID
+  @param {string} name - entry name
+  @param {string} uuid - entry uuid
+  @param {function} callback - `(err, item) => {}`, item is null if entry does not exist
+  */
+  trashEntry (user, driveUUID, dirUUID, name, uuid, callback) {
+    let dir = this.driveList.getDriveDir(driveUUID, dirUUID)
+    if (!dir) {
+      let err = new Error('drive or dir not found')
+      err.status = 404
+      return process.nextTick(() => callback(err))
+    }
+
+    if (!this.userCanWriteDir(user, dir)) {
+      return process.nextTick(() => callback(forbidden(new Error('permission denied'))))
+    }
+
+    let err = checkName(dir, name)
+    if (err) return process.nextTick(() => callback(err))
+
+    let entryPath = path.join(dir.abspath(), name)
+    readXstat(entryPath, (err, xstat) => {
+      // ENOENT treated as success
+      if (err && err.code === 'ENOENT') return callback(null, null)
+      if (err) return callback(err)
+      if (xstat.uuid !== uuid) { return callback(Object.assign(new Error('uuid mismatch'), { status: 403 })) }
+
+      let sub = xstat.type === 'directory' && this.driveList.getDriveDir(driveUUID, xstat.uuid)
+      if (sub && !sub.linearize()
+        .filter(node => node instanceof Directory)
+        .every(d => this.userCanWriteDir(user, d))) {
+        return callback(forbidden(new Error('permission denied')))
+      }
+
+      let props = {
+        drive: driveUUID,
+        dir: dirUUID,
+        name,
+        entry: xstat.uuid,
+        type: xstat.type,
+        size: xstat.size,
+        user: user.uuid
+      }
+
+      this.trash.putAsync(entryPath, props)
+        .then(item => callback(null, item))
+        .catch(e => callback(e))
+    })
+  },
+
+  /**
+  Restore a trash item into its original directory.
+
+  If the original directory no longer exists, the item is restored into drive root.
+  If the name is taken, the item is renamed automatically. An item named as the reserved
+  meta dir can not be restored into drive root, see {@link module:DriveMeta}.
+
+  @param {object} user
+  @param {string} driveUUID
+  @param {string} itemUUID - trash item uuid
+  @param {function} callback - `(err, { dir, xstat }) => {}`
+  */
+  restoreTrashItem (user, driveUUID, itemUUID, callback) {
+    let drive = this.getTrashDrive(user, driveUUID, true)
+    if (drive instanceof Error) return process.nextTick(() => callback(drive))
+
+    let item = this.trash.findItem(itemUUID)
+    if (!item || item.drive !== driveUUID) {
+      return process.nextTick(() => callback(notFound(new Error('trash item not found'))))
+    }
+
+    let dir = this.driveList.getDriveDir(driveUUID, item.dir) || this.driveList.roots.get(driveUUID)
+    if (!dir) return process.nextTick(() => callback(notFound(new Error('drive not found'))))
+    if (!this.userCanWriteDir(user, dir)) {
+      return process.nextTick(() => callback(forbidden(new Error('permission denied'))))
+    }
+
+    let err = checkName(dir, item.name)
+    if (err) return process.nextTick(() => callback(err))
+
+    let dirPath = dir.abspath()
+    fs.readdir(dirPath, (err, names) => {
+      if (err) return callback(err)
+
+      let target = path.join(dirPath, autoname(item.name, names))
+      this.trash.restoreAsync(itemUUID, target)
+        .then(() => dir.read(err => {
+          if (err) return callback(err)
+          readXstat(target, (err, xstat) => err
+            ? callback(err)
+            : callback(null, { dir: dir.uuid, xstat }))
+        }))
+        .catch(e => callback(e))
+    })
+  },
+
+  /**
+  Permanently remove a trash item
+
+  @param {object} user
+  @param {string} driveUUID
+  @param {string} itemUUID - trash item uuid
+  @param {function} callback - `err => {}`
+  */
+  purgeTrashItem (user, driveUUID, itemUUID, callback) {
+    let drive = this.getTrashDrive(user, driveUUID, true)
+    if (drive instanceof Error) return process.nextTick(() => callback(drive))
+
+    let item = this.trash.findItem(itemUUID)
+    if (!item || item.drive !== driveUUID) {
+      return process.nextTick(() => callback(notFound(new Error('trash item not found'))))
+    }
+
+    this.trash.purgeAsync([itemUUID])
+      .then(() => callback(null))
+      .catch(e => callback(e))
+  },
+
+  /**
+  Permanently remove all trash items of given drive
+
+  @param {object} user
+  @param {string} driveUUID
+  @param {function} callback - `err => {}`
+  */
+  emptyTrash (user, driveUUID, callback) {
+    let drive = this.getTrashDrive(user, driveUUID, true)
+    if (drive instanceof Error) return process.nextTick(() => callback(drive))
+
+    this.trash.purgeAsync(this.trash.getItems(driveUUID).map(x => x.uuid))
+      .then(() => callback(null))
+      .catch(e => callback(e))
+  }
+}
+
+/**
+@typedef {Object} TrashItem
+@prop {UUID} uuid - trash item uuid
+@prop {UUID} drive - original drive uuid
+@prop {UUID} dir - original parent directory uuid
+@prop {string} name - original name
+@prop {UUID} entry - file or directory uuid
+@prop {'file'|'directory'} type
+@prop {number} size - file size, 0 for directory
+@prop {UUID} user - who removed the entry
+@prop {number} ctime - when the entry is removed
+*/
+
+module.exports = trashapi
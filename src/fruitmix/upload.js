@@ -0,0 +1,201 @@
+const rimraf = require('rimraf')
+const sanitize = require('sanitize-filename')
+
+const { isUUID, isSHA256 } = require('../common/assertion')
+
+const notFound = e => Object.assign(e, { code: 'ENOTFOUND', status: 404 })
+const badRequest = e => Object.assign(e, { code: 'EBADREQUEST', status: 400 })
+
+const EMPTY_SHA256_HEX = 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855'
+
+/**
+Fruitmix Upload API
+
+Large files are uploaded in resumable sessions. Chunks can be sent at any offset in any order,
+and the session survives client disconnect and server restart. See {@link module:Uploads}.
+
+A session belongs to the user who created it. Write access and drive quota are checked both
+when the session is created and when it is committed.
+
+@mixin
+*/
+const uploadapi = {
+
+  /**
+  Returns the session if it exists and belongs to user, otherwise an error
+  */
+  getUserUpload (user, uploadUUID) {
+    let upload = this.uploads.findUpload(uploadUUID)
+    if (!upload || upload.user !== user.uuid) return notFound(new Error(`upload ${uploadUUID} not found`))
+    return upload
+  },
+
+  /**
+  Create an upload session
+
+  @param {object} user
+  @param {object} props
+  @param {string} props.driveUUID
+  @param {string} props.dirUUID
+  @param {string} props.name - target file name
+  @param {number} props.size - file size
+  @param {string} props.sha256 - file fingerprint
+  @param {string} [props.overwrite] - uuid of the file to be overwritten
+  @param {function} callback - `(err, upload) => {}`
+  */
+  createUpload (user, props, callback) {
+    let recognized = ['driveUUID', 'dirUUID', 'name', 'size', 'sha256', 'overwrite']
+    let err
+    if (typeof props !== 'object' || props === null) {
+      err = badRequest(new Error('invalid props'))
+    } else if (!Object.getOwnPropertyNames(props).every(name => recognized.includes(name))) {
+      err = badRequest(new Error('unrecognized prop name'))
+    } else if (!isUUID(props.driveUUID) || !isUUID(props.dirUUID)) {
+      err = badRequest(new Error('invalid driveUUID or dirUUID'))
+    } else if (typeof props.name !== 'string' || !props.name || props.name !== sanitize(props.name)) {
+      err = badRequest(new Error('invalid name'))
+    } else if (!Number.isInteger(props.size) || props.size < 0) {
+      err = badRequest(new Error('size must be a non-negative integer'))
+    } else if (props.size !== 0 && !isSHA256(props.sha256)) {
+      err = badRequest(new Error('invalid sha256'))
+    } else if (props.hasOwnProperty('overwrite') && !isUUID(props.overwrite)) {
+      err = badRequest(new Error('overwrite is not a valid uuid string'))
+    }
+
+    err = err || this.checkDirAccess(user, props.driveUUID, props.dirUUID, true)
+    if (err) return process.nextTick(() => callback(err))
+
+    try {
+      this.assertDriveQuota(props.driveUUID, props.size -
+        (props.overwrite ? this.getReplacedSize(props.driveUUID, props.dirUUID, props.name) : 0))
+    } catch (e) {
+      return process.nextTick(() => callback(e))
+    }
+
+    let upload = {
+      user: user.uuid,
+      drive: props.driveUUID,
+      dir: props.dirUUID,
+      name: props.name,
+      size: props.size,
+      sha256: props.size === 0 ? EMPTY_SHA256_HEX : props.sha256
+    }
+    if (props.overwrite) upload.overwrite = props.overwrite
+
+    this.uploads.createAsync(upload)
+      .then(upload => callback(null, upload))
+      .catch(e => callback(e))
+  },
+
+  /**
+  List upload sessions of user
+
+  @param {object} user
+  @param {function} callback - `(err, uploads) => {}`
+  */
+  getUploads (user, callback) {
+    let uploads = this.uploads.uploads.filter(x => x.user === user.uuid)
+    process.nextTick(() => callback(null, uploads))
+  },
+
+  /**
+  Get an upload session, `ranges` are the received byte ranges, end exclusive
+
+  @param {object} user
+  @param {string} uploadUUID
+  @param {function} callback - `(err, upload) => {}`
+  */
+  getUpload (user, uploadUUID, callback) {
+    let upload = this.getUserUpload(user, uploadUUID)
+    if (upload instanceof Error) return process.nextTick(() => callback(upload))
+    process.nextTick(() => callback(null, upload))
+  },
+
+  /**
+  Write a chunk into session. Bytes received before a broken stream are kept.
+
+  @param {object} user
+  @param {string} uploadUUID
+  @param {object} props
+  @param {number} props.offset - chunk offset in file
+  @param {number} props.length - chunk length
+  @param {stream.Readable} props.stream - chunk data
+  @param {function} callback - `(err, upload) => {}`
+  */
+  writeUpload (user, uploadUUID, props, callback) {
+    let upload = this.getUserUpload(user, uploadUUID)
+    if (upload instanceof Error) return process.nextTick(() => callback(upload))
+
+    let { offset, length, stream } = props
+    if (!Number.isInteger(offset) || offset < 0) {
+      return process.nextTick(() => callback(badRequest(new Error('offset must be a non-negative integer'))))
+    }
+
+    if (!Number.isInteger(length) || length < 1) {
+      return process.nextTick(() => callback(badRequest(new Error('length must be a positive integer'))))
+    }
+
+    this.uploads.writeAsync(uploadUUID, offset, length, stream)
+      .then(upload => callback(null, upload))
+      .catch(e => callback(e))
+  },
+
+  /**
+  Commit an upload session. The fingerprint is verified and the file is created (or overwritten)
+  in target directory. The session is removed on success.
+
+  @param {object} user
+  @param {string} uploadUUID
+  @param {function} callback - `(err, xstat) => {}`
+  */
+  commitUpload (user, uploadUUID, callback) {
+    let upload = this.getUserUpload(user, uploadUUID)
+    if (upload instanceof Error) return process.nextTick(() => callback(upload))
+
+    let err = this.checkDirAccess(user, upload.drive, upload.dir, true)
+    if (err) return process.nextTick(() => callback(err))
+
+    try {
+      this.assertDriveQuota(upload.drive, upload.size -
+        (upload.overwrite ? this.getReplacedSize(upload.drive, upload.dir, upload.name) : 0))
+    } catch (e) {
+      return process.nextTick(() => callback(e))
+    }
+
+    let { drive, dir, name, sha256, overwrite } = upload
+    this.uploads.commitAsync(uploadUUID, this.getTmpDir(drive))
+      .then(tmp => this.createNewFile(user, drive, dir, name, tmp, sha256, overwrite, (err, xstat) => {
+        rimraf(tmp, () => {})
+        if (err) {
+          this.uploads.release(uploadUUID)
+          return callback(err)
+        }
+        this.uploads.deleteAsync(uploadUUID)
+          .then(() => callback(null, xstat))
+          .catch(e => callback(e))
+      }), e => callback(e))
+  },
+
+  /**
+  Cancel an upload session
+
+  @param {object} user
+  @param {string} uploadUUID
+  @param {function} callback - `err => {}`
+  */
+  deleteUpload (user, uploadUUID, callback) {
+    let upload = this.getUserUpload(user, uploadUUID)
+    if (upload instanceof Error) return process.nextTick(() => callback(upload))
+
+    if (this.uploads.committing.has(uploadUUID)) {
+      let err = Object.assign(new Error('upload is being committed'), { status: 409 })
+      return process.nextTick(() => callback(err))
+    }
+
+    this.uploads.deleteAsync(uploadUUID)
+      .then(() => callback(null))
+      .catch(e => callback(e))
+  }
+}
+
+module.exports = uploadapi
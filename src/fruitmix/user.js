@@ -0,0 +1,163 @@
+const forbidden = e => Object.assign(e, { code: 'EFORBIDDEN', status: 403 })
+const notFound = e => Object.assign(e, { code: 'ENOTFOUND', status: 404 })
+const badRequest = e => Object.assign(e, { code: 'EBADREQUEST', status: 400 })
+const conflict = e => Object.assign(e, { code: 'ECONFLICT', status: 409 })
+
+const DISPOSITIONS = ['transfer', 'public', 'trash']
+
+/**
+Fruitmix User API
+
+@mixin
+*/
+const userapi = {
+
+  /**
+  Delete a user, admin only. First user and admin himself can not be deleted, and only first
+  user can delete other admins.
+
+  Private drives of user, including those soft deleted when the user was disabled, are
+  disposed as given:
+
+  + `transfer`, owned by user `to` as private drives, labelled with the username
+  + `public`, converted to public drives, writable by the admin, labelled with the username
+  + `trash`, soft deleted and purged after `driveRetention`, see driveapi
+
+  The user is also removed from public drive writelist and readlist, groups, acls and boxes
+  (boxes owned by the user are deleted), sync jobs and tasks of the user are deleted, and
+  sessions revoked. Samba users are updated (`processUsersAsync`). The operation is recorded
+  in `users` audit log.
+
+  @param {object} user
+  @param {string} userUUID
+  @param {object} props
+  @param {string} props.drive - `transfer`, `public` or `trash`
+  @param {string} [props.to] - user uuid, transfer only
+  @param {function} callback - `err => {}`
+  */
+  deleteUser (user, userUUID, props, callback) {
+    if (!user.isAdmin) {
+      return process.nextTick(() => callback(forbidden(new Error('requires admin priviledge'))))
+    }
+
+    let target = this.findUserByUUID(userUUID)
+    if (!target) return process.nextTick(() => callback(notFound(new Error('user not found'))))
+
+    let err
+    if (target.uuid === user.uuid) {
+      err = forbidden(new Error('can not delete yourself'))
+    } else if (target.isFirstUser) {
+      err = forbidden(new Error('first user can not be deleted'))
+    } else if (target.isAdmin && !user.isFirstUser) {
+      err = forbidden(new Error('only first user can delete admin'))
+    } else if (!DISPOSITIONS.includes(props.drive)) {
+      err = badRequest(new Error('drive must be transfer, public or trash'))
+    } else if (props.drive === 'transfer') {
+      let to = this.findUserByUUID(props.to)
+      if (!to || to.disabled || to.uuid === userUUID) {
+        err = badRequest(new Error('invalid to'))
+      }
+    } else if (props.to !== undefined) {
+      err = badRequest(new Error('to is allowed for transfer only'))
+    }
+
+    if (!err && this.syncs.jobs.find(job => job.user === userUUID && this.syncs.running.has(job.uuid))) {
+      err = conflict(new Error('sync job of user is running'))
+    }
+
+    if (err) return process.nextTick(() => callback(err))
+
+    this.deleteUserAsync(user, target, props)
+      .then(() => callback(null))
+      .catch(e => callback(e))
+  },
+
+  /**
+  Dispose data of user and delete it, internal. Each step skips what is already done, so a
+  failed deletion can be retried.
+
+  @param {object} user - operator
+  @param {object} target - user to be deleted
+  @param {object} props - see deleteUser
+  */
+  async deleteUserAsync (user, target, props) {
+    let userUUID = target.uuid
+
+    // private drives
+    let privates = this.driveList.drives
+      .filter(drv => drv.type === 'private' && drv.owner === userUUID)
+    for (let drive of privates) {
+      if (props.drive === 'trash') {
+        if (!drive.deleted) await this.driveList.softDeleteDriveAsync(drive.uuid)
+        continue
+      }
+
+      if (drive.deleted) await this.driveList.restoreDriveAsync(drive.uuid)
+      if (props.drive === 'transfer') {
+        await this.driveList.updateDriveAsync(drive.uuid, { owner: props.to, tag: 'transferred', label: target.username })
+      } else {
+        await this.driveList.convertToPublicDriveAsync(drive.uuid, { writelist: [user.uuid], label: target.username })
+      }
+    }
+
+    // public drives
+    const drop = list => Array.isArray(list) && list.includes(userUUID)
+      ? list.filter(uuid => uuid !== userUUID)
+      : list
+
+    let publics = this.driveList.drives.filter(drv => drv.type === 'public' &&
+      (drop(drv.writelist) !== drv.writelist || drop(drv.readlist) !== drv.readlist))
+    for (let drive of publics) {
+      await this.driveList.updateDriveAsync(drive.uuid, {
+        writelist: drop(drive.writelist),
+        readlist: drop(drive.readlist)
+      })
+    }
+
+    await this.acls.removeSubjectAsync(userUUID)
+    await this.groupList.removeMemberAsync(userUUID)
+
+    // boxes are shared by global id
+    if (this.boxData && target.global) {
+      let guid = target.global.id
+      for (let box of [...this.boxData.boxes.values()]) {
+        if (box.doc.owner === guid) {
+          await this.boxData.deleteBoxAsync(box.doc.uuid)
+        } else if (box.doc.users.includes(guid)) {
+          await this.boxData.updateBoxAsync({ users: { op: 'delete', value: [guid] } }, box.doc.uuid)
+        }
+      }
+    }
+
+    for (let job of this.syncs.jobs.filter(job => job.user === userUUID)) {
+      await this.syncs.deleteAsync(job.uuid)
+    }
+
+    this.tasks
+      .filter(t => t.user.uuid === userUUID)
+      .forEach(t => {
+        this.untrackTask(t)
+        t.destroy()
+        this.tasks.splice(this.tasks.indexOf(t), 1)
+      })
+    this.rescheduleTasks()
+
+    await this.tokens.revokeAsync(s => s.user === userUUID)
+    this.totpCounters.delete(userUUID)
+
+    await this.userList.deleteUserAsync(userUUID)
+    this.updateSamba()
+
+    this.audit.append('users', {
+      type: 'delete',
+      user: userUUID,
+      username: target.username,
+      operator: user.uuid,
+      drive: props.drive,
+      to: props.to,
+      drives: privates.map(drv => drv.uuid)
+    })
+  }
+}
+
+module.exports = userapi
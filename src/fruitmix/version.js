@@ -0,0 +1,231 @@
+const path = require('path')
+const fs = require('fs')
+const UUID = require('uuid')
+const rimraf = require('rimraf')
+
+const { forceXstat } = require('../lib/xstat')
+const { btrfsClone } = require('../lib/btrfs')
+const xfingerprint = require('../lib/xfingerprint')
+
+const forbidden = e => Object.assign(e, { code: 'EFORBIDDEN', status: 403 })
+const notFound = e => Object.assign(e, { code: 'ENOTFOUND', status: 404 })
+const badRequest = e => Object.assign(e, { code: 'EBADREQUEST', status: 400 })
+
+const isPositiveInteger = x => Number.isInteger(x) && x > 0
+
+/**
+Fruitmix Version API
+
+Prior contents of overwritten files are kept as versions if versioning is enabled
+for the drive. See {@link module:Versions}.
+
+@mixin
+*/
+const versionapi = {
+
+  /**
+  Update versioning policy of a drive
+
+  @param {object} user
+  @param {string} driveUUID
+  @param {object} props
+  @param {boolean} props.enabled
+  @param {number} [props.maxVersions] - max versions kept for each file
+  @param {number} [props.maxAge] - max age of versions in milliseconds
+  @param {function} callback - `(err, drive) => {}`
+  */
+  setDriveVersioning (user, driveUUID, props, callback) {
+    let drive = this.driveList.drives.find(drv => drv.uuid === driveUUID)
+    if (!drive || !this.userCanReadDriveMetadata(user, drive)) {
+      return process.nextTick(() => callback(notFound(new Error(`drive ${driveUUID} not found`))))
+    }
+
+    if (!this.userCanWriteDriveMetadata(user, drive)) {
+      return process.nextTick(() => callback(forbidden(new Error('permission denied'))))
+    }
+
+    let recognized = ['enabled', 'maxVersions', 'maxAge']
+    let err
+    if (typeof props !== 'object' || props === null) {
+      err = badRequest(new Error('invalid props'))
+    } else if (!Object.getOwnPropertyNames(props).every(name => recognized.includes(name))) {
+      err = badRequest(new Error('unrecognized prop name'))
+    } else if (typeof props.enabled !== 'boolean') {
+      err = badRequest(new Error('enabled must be a boolean'))
+    } else if (props.hasOwnProperty('maxVersions') && !isPositiveInteger(props.maxVersions)) {
+      err = badRequest(new Error('maxVersions must be a positive integer'))
+    } else if (props.hasOwnProperty('maxAge') && !isPositiveInteger(props.maxAge)) {
+      err = badRequest(new Error('maxAge must be a positive integer'))
+    }
+
+    if (err) return process.nextTick(() => callback(err))
+
+    let versioning = Object.assign({}, drive.versioning, props)
+    this.driveList.updateDriveAsync(driveUUID, { versioning })
+      .then(drive => callback(null, drive))
+      .catch(e => callback(e))
+  },
+
+  /**
+  Keep the current content of a file as a version, before it is overwritten.
+  If the file has not been fingerprinted yet, the fingerprint is calculated first.
+
+  This function does nothing if versioning is not enabled for the drive.
+
+  @param {object} user
+  @param {string} driveUUID
+  @param {string} filePath - absolute path of the file
+  @param {xstat} xstat - xstat of the file
+  @param {function} callback - `(err, version) => {}`
+  */
+  keepFileVersion (user, driveUUID, filePath, xstat, callback) {
+    if (!this.versions.policy(driveUUID) || xstat.type !== 'file') {
+      return process.nextTick(() => callback(null, null))
+    }
+
+    const put = xstat => this.versions.putAsync(filePath, {
+      drive: driveUUID,
+      file: xstat.uuid,
+      name: xstat.name,
+      hash: xstat.hash,
+      size: xstat.size,
+      mtime: xstat.mtime,
+      user: user.uuid
+    })
+      .then(version => callback(null, version))
+      .catch(e => callback(e))
+
+    if (xstat.hash) return put(xstat)
+    xfingerprint(filePath, xstat.uuid, (err, xstat2) => err
+      ? callback(err)
+      : put(Object.assign(xstat2, { name: xstat.name })))
+  },
+
+  /**
+  Returns the drive directory if user can read (or write) its data, otherwise an error
+  */
+  getVersionDir (user, driveUUID, dirUUID, write) {
+    let drive = this.driveList.drives.find(drv => drv.uuid === driveUUID)
+    if (!drive || !this.userCanReadDriveMetadata(user, drive)) {
+      return notFound(new Error(`drive ${driveUUID} not found`))
+    }
+
+    if (write ? !this.userCanWriteDriveData(user, drive) : !this.userCanReadDriveData(user, drive)) {
+      return forbidden(new Error('permission denied'))
+    }
+
+    let dir = this.driveList.getDriveDir(driveUUID, dirUUID)
+    if (!dir) return notFound(new Error('drive or dir not found'))
+    if (write ? !this.userCanWriteDir(user, dir) : !this.userCanReadDir(user, dir)) {
+      return forbidden(new Error('permission denied'))
+    }
+    return dir
+  },
+
+  /**
+  Returns versions of a file, latest first
+
+  @param {object} user
+  @param {string} driveUUID
+  @param {string} dirUUID
+  @param {string} fileUUID
+  @param {function} callback - `(err, versions) => {}`
+  */
+  getFileVersions (user, driveUUID, dirUUID, fileUUID, callback) {
+    let dir = this.getVersionDir(user, driveUUID, dirUUID, false)
+    if (dir instanceof Error) return process.nextTick(() => callback(dir))
+
+    let versions = this.versions.getVersions(fileUUID).filter(x => x.drive === driveUUID)
+    process.nextTick(() => callback(null, versions))
+  },
+
+  /**
+  Returns the file path of a version, for downloading
+
+  @param {object} user
+  @param {string} driveUUID
+  @param {string} dirUUID
+  @param {string} fileUUID
+  @param {string} versionUUID
+  @param {function} callback - `(err, { path, version }) => {}`
+  */
+  getFileVersionPath (user, driveUUID, dirUUID, fileUUID, versionUUID, callback) {
+    let dir = this.getVersionDir(user, driveUUID, dirUUID, false)
+    if (dir instanceof Error) return process.nextTick(() => callback(dir))
+
+    let version = this.versions.findVersion(versionUUID)
+    if (!version || version.drive !== driveUUID || version.file !== fileUUID) {
+      return process.nextTick(() => callback(notFound(new Error('version not found'))))
+    }
+
+    process.nextTick(() => callback(null, { path: this.versions.versionPath(version), version }))
+  },
+
+  /**
+  Restore a version. The file keeps its uuid and name. The current content is kept
+  as a new version.
+
+  @param {object} user
+  @param {string} driveUUID
+  @param {string} dirUUID
+  @param {string} fileUUID
+  @param {string} versionUUID
+  @param {function} callback - `(err, xstat) => {}`
+  */
+  restoreFileVersion (user, driveUUID, dirUUID, fileUUID, versionUUID, callback) {
+    let dir = this.getVersionDir(user, driveUUID, dirUUID, true)
+    if (dir instanceof Error) return process.nextTick(() => callback(dir))
+
+    let version = this.versions.findVersion(versionUUID)
+    if (!version || version.drive !== driveUUID || version.file !== fileUUID) {
+      return process.nextTick(() => callback(notFound(new Error('version not found'))))
+    }
+
+    dir.read((err, xstats) => {
+      if (err) return callback(err)
+      let xstat = xstats.find(x => x.uuid === fileUUID)
+      if (!xstat || xstat.type !== 'file') return callback(notFound(new Error('file not found')))
+
+      let dst = path.join(dir.abspath(), xstat.name)
+      let tmp = path.join(this.getTmpDir(driveUUID), UUID.v4())
+      btrfsClone(tmp, this.versions.versionPath(version), err => {
+        if (err) return rimraf(tmp, () => callback(err))
+        forceXstat(tmp, { uuid: fileUUID, hash: version.hash }, (err, xstat2) => {
+          if (err) return rimraf(tmp, () => callback(err))
+          this.keepFileVersion(user, driveUUID, dst, xstat, err => {
+            if (err) return rimraf(tmp, () => callback(err))
+            fs.lstat(dst, (err, stat) => {
+              if (err) return rimraf(tmp, () => callback(err))
+              if (stat.mtime.getTime() !== xstat.mtime) {
+                let err = new Error('race detected')
+                err.code = 'ERACE'
+                return rimraf(tmp, () => callback(err))
+              }
+
+              fs.rename(tmp, dst, err => {
+                if (err) return rimraf(tmp, () => callback(err))
+                dir.read()
+                callback(null, Object.assign(xstat2, { name: xstat.name }))
+              })
+            })
+          })
+        })
+      })
+    })
+  }
+}
+
+/**
+@typedef {Object} Version
+@prop {UUID} uuid - version uuid
+@prop {UUID} drive - drive uuid
+@prop {UUID} file - file uuid
+@prop {string} name - file name when the version is created
+@prop {string} hash - sha256 fingerprint
+@prop {number} size - file size
+@prop {number} mtime - file mtime of this version
+@prop {UUID} user - who overwrites the file
+@prop {number} ctime - when the version is created
+*/
+
+module.exports = versionapi
@@ -0,0 +1,372 @@
+const fs = require('fs')
+const stream = require('stream')
+
+/**
+Archive streams a zip or tar archive on the fly, without temporary file.
+
+Entries are appended one by one by `addFileAsync` and `addDirectoryAsync`, then the archive
+is ended by `finalizeAsync`. Backpressure is respected, each method resolves when the data
+is accepted by the stream.
+
+Zip entries are stored (no compression) with crc and sizes in data descriptor. Zip64 extra
+fields and end records are used when sizes, offsets or entry count exceed the limits of
+zip format, so archives larger than 4GB are supported.
+
+Tar entries are in ustar format. PAX extended header is used for long or non-ascii names
+and sizes larger than 8GB.
+
+File size is determined by the caller (from xstat). If the file is changed during archiving,
+the content is truncated or zero-padded to the given size.
+
+@module archive
+*/
+
+const CRC_TABLE = (() => {
+  let table = new Int32Array(256)
+  for (let n = 0; n < 256; n++) {
+    let c = n
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+    table[n] = c
+  }
+  return table
+})()
+
+// crc is the bitwise complement of crc32, starting with 0xffffffff
+const crc32 = (crc, buf) => {
+  for (let i = 0; i < buf.length; i++) crc = CRC_TABLE[(crc ^ buf[i]) & 0xff] ^ (crc >>> 8)
+  return crc
+}
+
+const MAX32 = 0xffffffff
+const MAX16 = 0xffff
+
+const writeUInt64LE = (buf, n, offset) => {
+  buf.writeUInt32LE(n % 0x100000000, offset)
+  buf.writeUInt32LE(Math.floor(n / 0x100000000), offset + 4)
+}
+
+// dos date and time in local time
+const dosDateTime = mtime => {
+  let d = new Date(mtime)
+  let year = d.getFullYear()
+  if (year < 1980) return { date: (1 << 5) | 1, time: 0 }
+  return {
+    date: ((year - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate(),
+    time: (d.getHours() << 11) | (d.getMinutes() << 5) | (d.getSeconds() >> 1)
+  }
+}
+
+// zip64 extra field, with given 64-bit values
+const zip64Extra = values => {
+  let buf = Buffer.alloc(4 + values.length * 8)
+  buf.writeUInt16LE(0x0001, 0)
+  buf.writeUInt16LE(values.length * 8, 2)
+  values.forEach((v, i) => writeUInt64LE(buf, v, 4 + i * 8))
+  return buf
+}
+
+// tar header field in octal, null terminated
+const octal = (n, len) => {
+  let s = n.toString(8)
+  return '0'.repeat(len - 1 - s.length) + s + '\0'
+}
+
+// pax record, length including itself
+const paxRecord = (key, value) => {
+  let body = ` ${key}=${value}\n`
+  let len = Buffer.byteLength(body)
+  let total = len + String(len).length
+  if (String(total).length !== String(len).length) total++
+  return total + body
+}
+
+const isAscii = s => /^[\x20-\x7e]*$/.test(s)
+
+class Archive extends stream.PassThrough {
+
+  /**
+  @param {string} format - `zip` or `tar`
+  */
+  constructor (format) {
+    super()
+    if (format !== 'zip' && format !== 'tar') throw new Error('format must be zip or tar')
+    this.format = format
+    this.offset = 0
+    this.central = []
+    this.finalized = false
+  }
+
+  _destroy (err, callback) {
+    this.aborted = true
+    super._destroy(err, callback)
+  }
+
+  // write buf and wait for drain if needed, rejects if archive is destroyed before drain
+  async pushAsync (buf) {
+    if (this.aborted) throw new Error('archive destroyed')
+    this.offset += buf.length
+    if (this.write(buf)) return
+
+    await new Promise((resolve, reject) => {
+      const onDrain = () => {
+        cleanup()
+        resolve()
+      }
+      const onClose = () => {
+        cleanup()
+        reject(new Error('archive destroyed'))
+      }
+      const onError = err => {
+        cleanup()
+        reject(err)
+      }
+      const cleanup = () => {
+        this.removeListener('drain', onDrain)
+        this.removeListener('close', onClose)
+        this.removeListener('error', onError)
+      }
+      this.on('drain', onDrain)
+      this.on('close', onClose)
+      this.on('error', onError)
+    })
+  }
+
+  /**
+  Append a directory entry
+
+  @param {string} name - relative path, without trailing slash
+  @param {number} mtime
+  */
+  async addDirectoryAsync (name, mtime) {
+    if (this.format === 'zip') {
+      await this.pushAsync(this.zipLocalHeader(name + '/', mtime, 0, true))
+    } else {
+      await this.pushAsync(this.tarHeader(name + '/', mtime, 0, true))
+    }
+  }
+
+  /**
+  Append a file entry
+
+  @param {string} name - relative path
+  @param {string} filePath - absolute path
+  @param {number} size - file size
+  @param {number} mtime
+  */
+  async addFileAsync (name, filePath, size, mtime) {
+    if (this.format === 'zip') {
+      let header = this.zipLocalHeader(name, mtime, size, false)
+      let entry = this.central[this.central.length - 1]
+      await this.pushAsync(header)
+      let { crc, length } = await this.pipeFileAsync(filePath, size)
+      entry.crc = (crc ^ -1) >>> 0
+      entry.size = length
+      await this.pushAsync(this.zipDataDescriptor(entry))
+    } else {
+      await this.pushAsync(this.tarHeader(name, mtime, size, false))
+      let { length } = await this.pipeFileAsync(filePath, size)
+      if (length < size) await this.padAsync(size - length)
+      if (size % 512) await this.pushAsync(Buffer.alloc(512 - size % 512))
+    }
+  }
+
+  /**
+  End the archive
+  */
+  async finalizeAsync () {
+    if (this.format === 'zip') {
+      await this.pushAsync(this.zipCentralDirectory())
+    } else {
+      await this.pushAsync(Buffer.alloc(1024))
+    }
+    this.finalized = true
+    this.end()
+  }
+
+  // pipe at most size bytes of file into archive, returns crc and length
+  pipeFileAsync (filePath, size) {
+    return new Promise((resolve, reject) => {
+      let crc = -1
+      let length = 0
+      if (size === 0) return resolve({ crc, length })
+
+      let rs = fs.createReadStream(filePath, { end: size - 1 })
+      const onClose = () => {
+        rs.destroy()
+        reject(new Error('archive destroyed'))
+      }
+
+      rs.on('data', data => {
+        if (this.format === 'zip') crc = crc32(crc, data)
+        length += data.length
+        this.offset += data.length
+        if (!this.write(data)) {
+          rs.pause()
+          this.once('drain', () => rs.resume())
+        }
+      })
+      rs.on('error', err => {
+        this.removeListener('close', onClose)
+        reject(err)
+      })
+      rs.on('end', () => {
+        this.removeListener('close', onClose)
+        resolve({ crc, length })
+      })
+      this.once('close', onClose)
+    })
+  }
+
+  async padAsync (length) {
+    while (length > 0) {
+      let len = Math.min(length, 65536)
+      await this.pushAsync(Buffer.alloc(len))
+      length -= len
+    }
+  }
+
+  zipLocalHeader (name, mtime, size, isDir) {
+    let nameBuf = Buffer.from(name)
+    let { date, time } = dosDateTime(mtime)
+    let zip64 = !isDir && size >= MAX32
+    let extra = zip64 ? zip64Extra([0, 0]) : Buffer.alloc(0)
+    // data descriptor for file, utf8 name
+    let flags = isDir ? 0x0800 : 0x0808
+
+    this.central.push({ nameBuf, date, time, flags, isDir, zip64, offset: this.offset, crc: 0, size: 0 })
+
+    let buf = Buffer.alloc(30)
+    buf.writeUInt32LE(0x04034b50, 0)
+    buf.writeUInt16LE(zip64 ? 45 : 20, 4)
+    buf.writeUInt16LE(flags, 6)
+    buf.writeUInt16LE(0, 8)                     // stored
+    buf.writeUInt16LE(time, 10)
+    buf.writeUInt16LE(date, 12)
+    buf.writeUInt32LE(0, 14)                    // crc, in data descriptor
+    buf.writeUInt32LE(zip64 ? MAX32 : 0, 18)
+    buf.writeUInt32LE(zip64 ? MAX32 : 0, 22)
+    buf.writeUInt16LE(nameBuf.length, 26)
+    buf.writeUInt16LE(extra.length, 28)
+    return Buffer.concat([buf, nameBuf, extra])
+  }
+
+  zipDataDescriptor (entry) {
+    let buf = Buffer.alloc(entry.zip64 ? 24 : 16)
+    buf.writeUInt32LE(0x08074b50, 0)
+    buf.writeUInt32LE(entry.crc, 4)
+    if (entry.zip64) {
+      writeUInt64LE(buf, entry.size, 8)
+      writeUInt64LE(buf, entry.size, 16)
+    } else {
+      buf.writeUInt32LE(entry.size, 8)
+      buf.writeUInt32LE(entry.size, 12)
+    }
+    return buf
+  }
+
+  zipCentralDirectory () {
+    let start = this.offset
+    let bufs = this.central.map(entry => {
+      let values = []
+      if (entry.size >= MAX32) values.push(entry.size, entry.size)
+      if (entry.offset >= MAX32) values.push(entry.offset)
+      let extra = values.length ? zip64Extra(values) : Buffer.alloc(0)
+      let zip64 = entry.zip64 || values.length
+
+      let buf = Buffer.alloc(46)
+      buf.writeUInt32LE(0x02014b50, 0)
+      buf.writeUInt16LE((3 << 8) | 45, 4)      // unix, 4.5
+      buf.writeUInt16LE(zip64 ? 45 : 20, 6)
+      buf.writeUInt16LE(entry.flags, 8)
+      buf.writeUInt16LE(0, 10)
+      buf.writeUInt16LE(entry.time, 12)
+      buf.writeUInt16LE(entry.date, 14)
+      buf.writeUInt32LE(entry.crc, 16)
+      buf.writeUInt32LE(entry.size >= MAX32 ? MAX32 : entry.size, 20)
+      buf.writeUInt32LE(entry.size >= MAX32 ? MAX32 : entry.size, 24)
+      buf.writeUInt16LE(entry.nameBuf.length, 28)
+      buf.writeUInt16LE(extra.length, 30)
+      buf.writeUInt16LE(0, 32)                  // comment
+      buf.writeUInt16LE(0, 34)                  // disk
+      buf.writeUInt16LE(0, 36)                  // internal attributes
+      buf.writeUInt32LE(entry.isDir            // external attributes, unix mode and dos dir flag
+        ? ((0o40755 << 16) | 0x10) >>> 0
+        : (0o100644 << 16) >>> 0, 38)
+      buf.writeUInt32LE(entry.offset >= MAX32 ? MAX32 : entry.offset, 42)
+      return Buffer.concat([buf, entry.nameBuf, extra])
+    })
+
+    let size = bufs.reduce((sum, buf) => sum + buf.length, 0)
+    let count = this.central.length
+    let end = Buffer.alloc(22)
+
+    if (count >= MAX16 || size >= MAX32 || start >= MAX32) {
+      // zip64 end of central directory record and locator
+      let end64 = Buffer.alloc(56)
+      end64.writeUInt32LE(0x06064b50, 0)
+      writeUInt64LE(end64, 44, 4)
+      end64.writeUInt16LE((3 << 8) | 45, 12)
+      end64.writeUInt16LE(45, 14)
+      writeUInt64LE(end64, count, 24)
+      writeUInt64LE(end64, count, 32)
+      writeUInt64LE(end64, size, 40)
+      writeUInt64LE(end64, start, 48)
+
+      let locator = Buffer.alloc(20)
+      locator.writeUInt32LE(0x07064b50, 0)
+      writeUInt64LE(locator, start + size, 8)
+      locator.writeUInt32LE(1, 16)
+      bufs.push(end64, locator)
+    }
+
+    end.writeUInt32LE(0x06054b50, 0)
+    end.writeUInt16LE(Math.min(count, MAX16), 8)
+    end.writeUInt16LE(Math.min(count, MAX16), 10)
+    end.writeUInt32LE(Math.min(size, MAX32), 12)
+    end.writeUInt32LE(Math.min(start, MAX32), 16)
+    bufs.push(end)
+    return Buffer.concat(bufs)
+  }
+
+  tarHeader (name, mtime, size, isDir) {
+    let bufs = []
+    let mtimeSec = Math.floor(mtime / 1000)
+    let pax = ''
+    if (Buffer.byteLength(name) > 100 || !isAscii(name)) pax += paxRecord('path', name)
+    if (size > 0o77777777777) pax += paxRecord('size', size)
+
+    if (pax.length) {
+      let paxBuf = Buffer.from(pax)
+      bufs.push(this.ustarHeader('PaxHeader', mtimeSec, paxBuf.length, 'x'))
+      bufs.push(paxBuf)
+      if (paxBuf.length % 512) bufs.push(Buffer.alloc(512 - paxBuf.length % 512))
+      // ascii fallback name, truncated
+      name = name.replace(/[^\x20-\x7e]/g, '_').slice(-100)
+    }
+
+    bufs.push(this.ustarHeader(name, mtimeSec, isDir ? 0 : Math.min(size, 0o77777777777), isDir ? '5' : '0'))
+    return Buffer.concat(bufs)
+  }
+
+  ustarHeader (name, mtime, size, type) {
+    let buf = Buffer.alloc(512)
+    buf.write(name, 0, 100)
+    buf.write(octal(type === '5' ? 0o755 : 0o644, 8), 100)
+    buf.write(octal(0, 8), 108)
+    buf.write(octal(0, 8), 116)
+    buf.write(octal(size, 12), 124)
+    buf.write(octal(mtime, 12), 136)
+    buf.write('        ', 148)                  // checksum placeholder
+    buf.write(type, 156)
+    buf.write('ustar\0', 257)
+    buf.write('00', 263)
+    let sum = 0
+    for (let i = 0; i < 512; i++) sum += buf[i]
+    buf.write(octal(sum, 7) + ' ', 148)
+    return buf
+  }
+}
+
+Archive.crc32 = (buf) => (crc32(-1, buf) ^ -1) >>> 0
+
+module.exports = Archive
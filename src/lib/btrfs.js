@@ -138,11 +138,128 @@ const btrfsClone2 = (src, dst, callback) =>
     })
   })
 
+// run a command without shell, paths are passed as arguments as is, callback `(err, stdout) => {}`
+const spawnCommand = (command, args, callback) => {
+  let stdout = ''
+  let stderr = ''
+  let finished = false
+  const finish = (err, stdout) => {
+    if (finished) return
+    finished = true
+    callback(err, stdout)
+  }
+
+  let c = child.spawn(command, args)
+  c.stdout.on('data', data => { stdout += data })
+  c.stderr.on('data', data => { stderr += data })
+  c.on('error', finish)
+  c.on('close', code => code === 0
+    ? finish(null, stdout)
+    : finish(new Error(stderr.trim() || `${command} exited with code ${code}`)))
+}
+
+// create a subvolume at target, target must not exist
+const btrfsSubvolumeCreate = (target, callback) => 
+  spawnCommand('btrfs', ['subvolume', 'create', target], callback)
+
+// create a read-only snapshot of src subvolume at target
+const btrfsSnapshot = (src, target, callback) => 
+  spawnCommand('btrfs', ['subvolume', 'snapshot', '-r', src, target], callback)
+
+// delete a subvolume or snapshot
+const btrfsSubvolumeDelete = (target, callback) => 
+  spawnCommand('btrfs', ['subvolume', 'delete', target], callback)
+
+/**
+copy src to dst recursively by reflink, keeping mode, timestamps and xattr. Data are shared
+with src, so it works only on the same btrfs volume (across subvolumes). If src ends with 
+`/.`, the content of src is copied into existing dst directory.
+*/
+const reflinkCopy = (src, dst, callback) => 
+  spawnCommand('cp', ['-a', '--reflink=always', src, dst], callback)
+
+/**
+send a read-only snapshot into directory dir, on another btrfs volume. If parent is provided,
+it must be a read-only snapshot already received on the other side, and only the difference
+is sent. The received subvolume is named after src.
+*/
+const btrfsSendReceive = (src, parent, dir, callback) => {
+  let args = parent ? ['send', '-q', '-p', parent, src] : ['send', '-q', src]
+  let send = child.spawn('btrfs', args)
+  let receive = child.spawn('btrfs', ['receive', dir])
+  let codes = []
+  let stderr = ''
+  let finished = false
+
+  const finish = err => {
+    if (finished) return
+    if (err) {
+      finished = true
+      send.kill()
+      receive.kill()
+      return callback(err)
+    }
+    if (codes.length < 2) return
+    finished = true
+    if (codes.every(code => code === 0)) return callback(null)
+    callback(new Error(stderr.trim() || 'btrfs send/receive failed'))
+  }
+
+  const onClose = code => {
+    codes.push(code)
+    finish()
+  }
+
+  send.stderr.on('data', data => { stderr += data })
+  receive.stderr.on('data', data => { stderr += data })
+  send.on('error', finish)
+  receive.on('error', finish)
+  send.on('close', onClose)
+  receive.on('close', onClose)
+  receive.stdin.on('error', () => {})
+  send.stdout.pipe(receive.stdin)
+}
+
+// the root directory of a btrfs subvolume always has inode number 256
+const isBtrfsSubvolume = (target, callback) => 
+  fs.lstat(target, (err, stat) => err 
+    ? callback(err) 
+    : callback(null, stat.isDirectory() && stat.ino === 256))
+
+// enable quota on the btrfs volume where target resides
+const btrfsQuotaEnable = (target, callback) => 
+  spawnCommand('btrfs', ['quota', 'enable', target], err => callback(err))
+
+// set (or clear, if size is falsy) referenced size limit of subvolume qgroup
+const btrfsQgroupLimit = (target, size, callback) => 
+  spawnCommand('btrfs', ['qgroup', 'limit', size ? String(size) : 'none', target], err => callback(err))
+
+// returns { referenced, exclusive } in bytes of subvolume qgroup
+const btrfsQgroupShow = (target, callback) => 
+  spawnCommand('btrfs', ['qgroup', 'show', '-f', '--raw', target], (err, stdout) => {
+    if (err) return callback(err)
+    let line = stdout.split('\n')
+      .map(l => l.trim())
+      .find(l => /^\d+\/\d+\s/.test(l))
+    if (!line) return callback(new Error('qgroup not found'))
+    let cols = line.split(/\s+/)
+    callback(null, { referenced: parseInt(cols[1]), exclusive: parseInt(cols[2]) })
+  })
+
 module.exports = { 
   btrfsConcat, 
   btrfsClone, 
   btrfsClone2, 
-  clone: btrfsClone2
+  clone: btrfsClone2,
+  btrfsSubvolumeCreate,
+  btrfsSnapshot,
+  btrfsSubvolumeDelete,
+  reflinkCopy,
+  btrfsSendReceive,
+  isBtrfsSubvolume,
+  btrfsQuotaEnable,
+  btrfsQgroupLimit,
+  btrfsQgroupShow
 }
 
 
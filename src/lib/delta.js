@@ -0,0 +1,39 @@
+/**
+IBF element encoding for delta sync, shared by server and clients.
+
+@module delta
+*/
+
+/**
+Element length in bytes, uuid (16), hash (32) and mtime (8)
+*/
+const ELEMENT_LENGTH = 56
+
+/**
+Encode an entry as IBF element. Hash is zero-filled for directories and files not fingerprinted yet.
+Mtime is an unsigned 64-bit big-endian integer in milliseconds.
+
+If buf is provided, the element is written into it (and returned) rather than a new buffer.
+*/
+const encodeElement = (uuid, hash, mtime, buf) => {
+  buf = buf ? buf.fill(0, 0, ELEMENT_LENGTH) : Buffer.alloc(ELEMENT_LENGTH)
+  buf.write(uuid.replace(/-/g, ''), 0, 16, 'hex')
+  if (hash) buf.write(hash, 16, 32, 'hex')
+  buf.writeUInt32BE(Math.floor(mtime / 0x100000000), 48)
+  buf.writeUInt32BE(mtime % 0x100000000, 52)
+  return buf
+}
+
+const decodeElement = buf => {
+  let hex = buf.toString('hex', 0, 16)
+  let uuid = [hex.slice(0, 8), hex.slice(8, 12), hex.slice(12, 16), hex.slice(16, 20), hex.slice(20)].join('-')
+  let hash = buf.slice(16, 48).every(x => x === 0) ? undefined : buf.toString('hex', 16, 48)
+  let mtime = buf.readUInt32BE(48) * 0x100000000 + buf.readUInt32BE(52)
+  return { uuid, hash, mtime }
+}
+
+module.exports = {
+  ELEMENT_LENGTH,
+  encodeElement,
+  decodeElement
+}
@@ -47,6 +47,7 @@ define('ENOENT', 'no entry')
 define('ELOCK', 'lock error')
 define('EPARSE', 'parse error')
 define('EHEAD', 'head mismatch')
+define('ECOMMITFAIL', 'commit failed')
 
 define('ENODENOTFOUND', 'node not found')     // be different from ENOENT, which is easily confused with fs error, TODO not sure if this is the right design
 define('ENODEDETACHED', 'node is detached')   // 
@@ -154,6 +154,128 @@ const IBFDecode = (ibf) => {
   return isZero(ibf) 
 }
 
+/**
+Serialize cells into a buffer. Each cell is idSum, hashSum (4 bytes) and count (int32 big-endian).
+*/
+const IBFSerialize = (ibf) => {
+
+  let { n, length, B } = ibf
+  let size = length + 8
+  let buf = Buffer.alloc(n * size)
+
+  for (let i = 0; i < n; i++) {
+    B[i].idSum.copy(buf, i * size)
+    B[i].hashSum.copy(buf, i * size + length)
+    buf.writeInt32BE(B[i].count, i * size + length + 4)
+  }
+
+  return buf
+}
+
+/**
+Deserialize cells from a buffer, the number of cells is derived from buffer length.
+Returns null if buffer length does not match a power of 2 cells.
+*/
+const IBFDeserialize = (buf, length, k, seed) => {
+
+  let size = length + 8
+  let n = buf.length / size
+  if (!Number.isInteger(n) || n < 1 || (n & (n - 1)) !== 0) return null
+
+  let ibf = createIBF(Math.log2(n), length, k, seed)
+  for (let i = 0; i < n; i++) {
+    buf.copy(ibf.B[i].idSum, 0, i * size, i * size + length)
+    buf.copy(ibf.B[i].hashSum, 0, i * size + length, i * size + length + 4)
+    ibf.B[i].count = buf.readInt32BE(i * size + length + 4)
+  }
+
+  return ibf
+}
+
+/**
+Flat IBF, for large filters on server side. Cells are kept in typed arrays rather than an object
+(and two buffers) per cell: `ids` holds n idSums, `sums` holds n hashSums and `counts` holds n counts.
+Hashing is the same as above, so flat and object IBFs are interchangeable via serialization.
+*/
+const createFlatIBF = (n, length, k, seed) => ({
+  n, length, k, seed,
+  ids: Buffer.alloc(n * length),
+  sums: Buffer.alloc(n * 4),
+  counts: new Int32Array(n)
+})
+
+// xor id and its hash into cell i, count is not touched
+const flatToggle = (ibf, i, id, sum) => {
+  let { length, ids, sums } = ibf
+  let m, offset = i * length
+  for (m = 0; m < length; m++) ids[offset + m] ^= id[m]
+  for (m = 0; m < 4; m++) sums[i * 4 + m] ^= sum[m]
+}
+
+const flatInsert = (ibf, id) => {
+  xxhash.hash(id, ibf.seed, hashpad)
+  hashToDistinctIndices(id, ibf.k, ibf.n, ibf.seed).forEach(j => {
+    flatToggle(ibf, j, id, hashpad)
+    ibf.counts[j] += 1
+  })
+}
+
+/**
+Subtract a serialized IBF (see `IBFSerialize`) in place. Returns false if buffer length mismatches.
+*/
+const flatSubtract = (ibf, buf) => {
+  let { n, length, ids, sums, counts } = ibf
+  let size = length + 8
+  if (buf.length !== n * size) return false
+
+  let m
+  for (let i = 0; i < n; i++) {
+    for (m = 0; m < length; m++) ids[i * length + m] ^= buf[i * size + m]
+    for (m = 0; m < 4; m++) sums[i * 4 + m] ^= buf[i * size + length + m]
+    counts[i] -= buf.readInt32BE(i * size + length + 4)
+  }
+  return true
+}
+
+const flatIsPure = (ibf, i) => {
+  let { length, ids, sums, counts, seed } = ibf
+  if (counts[i] !== 1 && counts[i] !== -1) return false
+  xxhash.hash(ids.subarray(i * length, (i + 1) * length), seed, hashpad)
+  return hashpad.equals(sums.subarray(i * 4, i * 4 + 4))
+}
+
+/**
+Decode in place, sets `ibf.decode` as `IBFDecode` does and returns true if fully decoded
+*/
+const flatDecode = ibf => {
+  let { n, length, k, seed, ids, sums, counts } = ibf
+  let DAB = [], DBA = []
+  let pureList = []
+
+  for (let i = 0; i < n; i++) if (flatIsPure(ibf, i)) pureList.push(i)
+
+  while (pureList.length) {
+    let i = pureList.shift()
+    if (!flatIsPure(ibf, i)) continue
+
+    // keep a copy !
+    let id = Buffer.from(ids.subarray(i * length, (i + 1) * length))
+    let sum = Buffer.from(sums.subarray(i * 4, i * 4 + 4))
+    let c = counts[i]
+
+    c > 0 ? DAB.push(id) : DBA.push(id)
+
+    hashToDistinctIndices(id, k, n, seed).forEach(j => {
+      flatToggle(ibf, j, id, sum)
+      counts[j] -= c
+      if (flatIsPure(ibf, j)) pureList.push(j)
+    })
+  }
+
+  ibf.decode = { positive: DAB, negative: DBA }
+  return counts.every(c => c === 0) && ids.every(x => x === 0) && sums.every(x => x === 0)
+}
+
 module.exports = {
   createIBF,
   hashToDistinctIndices,
@@ -163,7 +285,13 @@ module.exports = {
   IBFEncode,
   IBFDecode,
   IBFSubtract,
-  isZero
+  IBFSerialize,
+  IBFDeserialize,
+  isZero,
+  createFlatIBF,
+  flatInsert,
+  flatSubtract,
+  flatDecode
 }
 
 
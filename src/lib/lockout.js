@@ -0,0 +1,68 @@
+/**
+Failed attempt counters with exponential lockout, kept in memory.
+
+Each key (such as a user uuid or an ip) is locked after `threshold` consecutive failures, for
+`base` milliseconds, doubled on each further failure, up to `max`. Failures are forgotten after
+`max` without failure, or on success.
+*/
+class Lockout {
+
+  /**
+  @param {object} [opts]
+  @param {number} [opts.threshold] - failures before locked
+  @param {number} [opts.base] - first lock time, in milliseconds
+  @param {number} [opts.max] - max lock time, in milliseconds
+  */
+  constructor (opts = {}) {
+    this.threshold = opts.threshold || 5
+    this.base = opts.base || 30 * 1000
+    this.max = opts.max || 3600 * 1000
+
+    /**
+    key -> { failures, last, until }
+    */
+    this.map = new Map()
+  }
+
+  entry (key, now) {
+    let e = this.map.get(key)
+    if (e && now - e.last > this.max && e.until < now) {
+      this.map.delete(key)
+      return
+    }
+    return e
+  }
+
+  /**
+  Returns the time when the key is unlocked, in milliseconds, or 0 if not locked
+  */
+  lockedUntil (key) {
+    let now = new Date().getTime()
+    let e = this.entry(key, now)
+    return e && e.until > now ? e.until : 0
+  }
+
+  /**
+  Record a failure, returns the time when the key is unlocked if it becomes locked, or 0
+  */
+  fail (key) {
+    let now = new Date().getTime()
+    let e = this.entry(key, now) || { failures: 0, last: now, until: 0 }
+    e.failures++
+    e.last = now
+    if (e.failures >= this.threshold) {
+      e.until = now + Math.min(this.base * Math.pow(2, e.failures - this.threshold), this.max)
+    }
+    this.map.set(key, e)
+    return e.failures >= this.threshold ? e.until : 0
+  }
+
+  /**
+  Forget failures of key
+  */
+  succeed (key) {
+    this.map.delete(key)
+  }
+}
+
+module.exports = Lockout
@@ -1,15 +1,40 @@
+const path = require('path')
+
 /** @constant {number} MAGICVER - bump version for magic **/
-const MAGICVER = 2
+const MAGICVER = 3
+
+const mediaMagics = ['JPEG', 'PNG', 'GIF', '3GP', 'MP4', 'MOV']
+const docMagics = ['PDF', 'TXT', 'MD', 'DOCX', 'XLSX', 'PPTX', 'ODT', 'ODS', 'ODP']
+const allMagics = [...mediaMagics, ...docMagics]
+
+// office documents may be reported as plain zip archive, decided by extension
+const zipExts = {
+  '.docx': 'DOCX',
+  '.xlsx': 'XLSX',
+  '.pptx': 'PPTX',
+  '.odt': 'ODT',
+  '.ods': 'ODS',
+  '.odp': 'ODP'
+}
 
-const allMagics = ['JPEG', 'PNG', 'GIF', '3GP', 'MP4', 'MOV']
+// plain text is only regarded as document if named so
+const textExts = {
+  '.txt': 'TXT',
+  '.text': 'TXT',
+  '.md': 'MD',
+  '.markdown': 'MD'
+}
 
 /**
 Parse file magic from libmagic/file string
+
 @func parse
 @param {string} text
+@param {string} [name] - file name or path, used as a hint for zip archive and plain text
 @returns {(string|number)}
 */
-const parse = text => {
+const parse = (text, name) => {
+  let ext = name ? path.extname(name).toLowerCase() : ''
   if (text.startsWith('JPEG image data')) {
     return 'JPEG'
   } else if (text.startsWith('PNG image data')) {
@@ -22,6 +47,24 @@ const parse = text => {
     return 'MP4'
   } else if (text.startsWith('ISO Media, Apple QuickTime movie, Apple QuickTime (.MOV/QT)')) {
     return 'MOV'
+  } else if (text.startsWith('PDF document')) {
+    return 'PDF'
+  } else if (text.startsWith('Microsoft Word 2007+')) {
+    return 'DOCX'
+  } else if (text.startsWith('Microsoft Excel 2007+')) {
+    return 'XLSX'
+  } else if (text.startsWith('Microsoft PowerPoint 2007+')) {
+    return 'PPTX'
+  } else if (text.startsWith('OpenDocument Text')) {
+    return 'ODT'
+  } else if (text.startsWith('OpenDocument Spreadsheet')) {
+    return 'ODS'
+  } else if (text.startsWith('OpenDocument Presentation')) {
+    return 'ODP'
+  } else if (text.startsWith('Zip archive data') && zipExts[ext]) {
+    return zipExts[ext]
+  } else if (/^(ASCII|UTF-8 Unicode|Unicode|ISO-8859|Non-ISO extended-ASCII) text/.test(text) && textExts[ext]) {
+    return textExts[ext]
   } else {
     return MAGICVER
   }
@@ -45,8 +88,16 @@ const isMedia = magic =>
   magic === 'MOV'
 
 /** documents **/
-// TODO
-const isDoc = magic => false
+const isPDF = magic => magic === 'PDF'
+const isText = magic => magic === 'TXT' || magic === 'MD'
+const isOffice = magic =>
+  magic === 'DOCX' ||
+  magic === 'XLSX' ||
+  magic === 'PPTX' ||
+  magic === 'ODT' ||
+  magic === 'ODS' ||
+  magic === 'ODP'
+const isDoc = magic => docMagics.includes(magic)
 
 module.exports = {
   parse,
@@ -57,6 +108,9 @@ module.exports = {
   isImage,
   isVideo, 
   isMedia,
+  isPDF,
+  isText,
+  isOffice,
   isDoc
 }
 
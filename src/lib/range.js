@@ -0,0 +1,233 @@
+const fs = require('fs')
+const crypto = require('crypto')
+
+/**
+HTTP conditional and range request evaluation for file download, see RFC 7232 and RFC 7233.
+
+Only strong ETag is supported, which is the quoted sha256 fingerprint of file content.
+This module is independent of http framework. It is used by express routes as well as station pipe.
+
+@module range
+*/
+
+/**
+Returns strong etag for fingerprint, or undefined
+
+@param {string} [fingerprint]
+*/
+const etagOf = fingerprint => fingerprint ? `"${fingerprint}"` : undefined
+
+// parse etag list, `*` or `"a", W/"b"`
+const parseETags = value => value.split(',').map(x => x.trim()).filter(x => x.length)
+
+// strong comparison, weak etags never match
+const strongMatch = (list, etag) => !!etag && list.some(x => x === '*' || x === etag)
+
+// weak comparison, W/ prefix ignored
+const weakMatch = (list, etag) => !!etag && list.some(x => x === '*' || x.replace(/^W\//, '') === etag)
+
+// max number of ranges in a request, more are ignored as a whole, see RFC 7233 section 6.1
+const MAX_RANGES = 16
+
+/**
+Sort ranges and merge the overlapping or adjacent ones, so no byte is sent more than once
+*/
+const coalesce = ranges => ranges
+  .sort((a, b) => a.start - b.start)
+  .reduce((acc, r) => {
+    let last = acc[acc.length - 1]
+    if (last && r.start <= last.end + 1) {
+      last.end = Math.max(last.end, r.end)
+    } else {
+      acc.push({ start: r.start, end: r.end })
+    }
+    return acc
+  }, [])
+
+/**
+Parse `Range` header, returns an array of `{ start, end }` (inclusive), null if the header is
+invalid, not bytes unit or has too many ranges (to be ignored), or empty array if not satisfiable.
+
+Overlapping and adjacent ranges are coalesced, in ascending order.
+
+@param {string} value
+@param {number} size
+*/
+const parseRange = (value, size) => {
+  let m = /^\s*bytes\s*=\s*(.+)$/.exec(value)
+  if (!m) return null
+
+  let ranges = []
+  let specs = m[1].split(',').map(x => x.trim()).filter(x => x.length)
+  if (!specs.length || specs.length > MAX_RANGES) return null
+
+  for (let spec of specs) {
+    let r = /^(\d*)-(\d*)$/.exec(spec)
+    if (!r || (r[1] === '' && r[2] === '')) return null
+
+    let start, end
+    if (r[1] === '') {
+      // suffix range
+      let suffix = parseInt(r[2])
+      if (suffix === 0) continue
+      start = Math.max(size - suffix, 0)
+      end = size - 1
+    } else {
+      start = parseInt(r[1])
+      end = r[2] === '' ? size - 1 : Math.min(parseInt(r[2]), size - 1)
+      if (r[2] !== '' && parseInt(r[2]) < start) return null
+    }
+
+    if (start < size) ranges.push({ start, end })
+  }
+
+  return coalesce(ranges)
+}
+
+/**
+Evaluate conditional and range headers of a GET or HEAD request
+
+Returns `{ status, ranges }`:
++ 200, whole content
++ 206, partial content, `ranges` is non-empty
++ 304, not modified
++ 412, precondition failed
++ 416, range not satisfiable
+
+@param {object} headers - request headers, lowercase names
+@param {number} size - file size
+@param {string} [etag] - strong etag of file
+@returns {object}
+*/
+const evaluate = (headers, size, etag) => {
+  let ifMatch = headers['if-match']
+  if (ifMatch && !strongMatch(parseETags(ifMatch), etag)) return { status: 412 }
+
+  let ifNoneMatch = headers['if-none-match']
+  if (ifNoneMatch && weakMatch(parseETags(ifNoneMatch), etag)) return { status: 304 }
+
+  let range = headers['range']
+  if (!range) return { status: 200 }
+
+  // range is ignored if if-range does not match, date is not supported
+  let ifRange = headers['if-range']
+  if (ifRange && !(etag && ifRange.trim() === etag)) return { status: 200 }
+
+  let ranges = parseRange(range, size)
+  if (ranges === null) return { status: 200 }
+  if (ranges.length === 0) return { status: 416 }
+  return { status: 206, ranges }
+}
+
+/**
+Returns part headers of a multipart/byteranges body
+
+@param {string} boundary
+@param {string} type - content type
+@param {object} range - `{ start, end }`
+@param {number} size - file size
+@param {boolean} first - if this is the first part
+*/
+const partHeader = (boundary, type, range, size, first) =>
+  `${first ? '' : '\r\n'}--${boundary}\r\n` +
+  `Content-Type: ${type}\r\n` +
+  `Content-Range: bytes ${range.start}-${range.end}/${size}\r\n\r\n`
+
+const partTrailer = boundary => `\r\n--${boundary}--\r\n`
+
+/**
+Returns content length of a multipart/byteranges body
+*/
+const multipartLength = (boundary, type, ranges, size) => ranges.reduce((sum, range, i) =>
+  sum + Buffer.byteLength(partHeader(boundary, type, range, size, i === 0)) + range.end - range.start + 1,
+  Buffer.byteLength(partTrailer(boundary)))
+
+/**
+Returns body headers and a body descriptor for a 200 or 206 response
+
+@param {number} status - 200 or 206
+@param {object[]} [ranges] - for 206
+@param {number} size - file size
+@param {string} type - content type of file
+@returns {object} `{ headers, body }`, body is passed to `pipeBody`
+*/
+const prepareBody = (status, ranges, size, type) => {
+  if (status === 200) {
+    return {
+      headers: { 'Content-Type': type, 'Content-Length': size },
+      body: { ranges: size ? [{ start: 0, end: size - 1 }] : [] }
+    }
+  } else if (ranges.length === 1) {
+    let { start, end } = ranges[0]
+    return {
+      headers: {
+        'Content-Type': type,
+        'Content-Length': end - start + 1,
+        'Content-Range': `bytes ${start}-${end}/${size}`
+      },
+      body: { ranges }
+    }
+  } else {
+    let boundary = crypto.randomBytes(12).toString('hex')
+    return {
+      headers: {
+        'Content-Type': `multipart/byteranges; boundary=${boundary}`,
+        'Content-Length': multipartLength(boundary, type, ranges, size)
+      },
+      body: { ranges, boundary, type, size }
+    }
+  }
+}
+
+// pipe a byte range of file into ws without ending it, err race
+const pipeRange = (filePath, range, ws, callback) => {
+  let rs = fs.createReadStream(filePath, { start: range.start, end: range.end })
+  const onClose = () => {
+    rs.destroy()
+    callback(new Error('stream closed'))
+    callback = () => {}
+  }
+  rs.on('error', err => {
+    ws.removeListener('close', onClose)
+    callback(err)
+  })
+  rs.on('end', () => {
+    ws.removeListener('close', onClose)
+    callback(null)
+  })
+  ws.on('close', onClose)
+  rs.pipe(ws, { end: false })
+}
+
+/**
+Write body into a writable stream and end it. Multiple ranges are written as multipart/byteranges.
+
+@param {string} filePath
+@param {object} body - from `prepareBody`
+@param {stream.Writable} ws
+@param {function} callback - `err => {}`, ws is not ended on error
+*/
+const pipeBody = (filePath, body, ws, callback) => {
+  let { ranges, boundary, type, size } = body
+  let i = 0
+  const loop = err => {
+    if (err) return callback(err)
+    if (i === ranges.length) {
+      ws.end(boundary ? partTrailer(boundary) : undefined)
+      return callback(null)
+    }
+    let range = ranges[i]
+    if (boundary) ws.write(partHeader(boundary, type, range, size, i === 0))
+    i++
+    pipeRange(filePath, range, ws, loop)
+  }
+  loop()
+}
+
+module.exports = {
+  etagOf,
+  parseRange,
+  evaluate,
+  prepareBody,
+  pipeBody
+}
@@ -0,0 +1,236 @@
+const fs = require('fs')
+const child = require('child_process')
+const EventEmitter = require('events')
+
+const debug = require('debug')('textract')
+
+const Magic = require('./magic')
+const { readXstat } = require('./xstat')
+
+/**
+Textract is a worker pool extracting plain text from document files, for full-text search.
+
++ PDF, by `pdftotext` (poppler-utils)
++ TXT and MD, read directly
++ DOCX, XLSX, PPTX and ODF, by `unzip -p` the content xml then strip tags
+
+Extracted text is truncated to `MAX_TEXT` bytes. Jobs are deduplicated by fingerprint.
+
+@module textract
+*/
+
+/** @constant {number} MAX_TEXT - max bytes of extracted text **/
+const MAX_TEXT = 1024 * 1024
+
+// xml entries containing text in office documents
+const xmlEntries = {
+  DOCX: ['word/document.xml'],
+  XLSX: ['xl/sharedStrings.xml'],
+  PPTX: ['ppt/slides/slide*.xml'],
+  ODT: ['content.xml'],
+  ODS: ['content.xml'],
+  ODP: ['content.xml']
+}
+
+const entities = { lt: '<', gt: '>', amp: '&', quot: '"', apos: '\'' }
+
+const decodeEntity = (m, e) => {
+  if (e[0] !== '#') return entities[e] || m
+  let cp = e[1] === 'x' ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10)
+  return cp <= 0x10ffff ? String.fromCodePoint(cp) : m
+}
+
+// strip xml tags and decode entities
+const stripXml = xml => xml
+  .replace(/<[^>]*>/g, ' ')
+  .replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[a-z]+);/g, decodeEntity)
+  .replace(/\s+/g, ' ')
+  .trim()
+
+// spawn a command and collect stdout up to MAX_TEXT, err race
+// `ok` lists exit codes other than 0 regarded as success
+const run = (cmd, args, ok, callback) => {
+  let bufs = []
+  let length = 0
+  let finished = false
+
+  let spawn = child.spawn(cmd, args)
+  spawn.stdout.on('data', data => {
+    if (length >= MAX_TEXT) return
+    bufs.push(data)
+    length += data.length
+    if (length >= MAX_TEXT) spawn.kill()
+  })
+
+  spawn.on('error', err => {
+    if (finished) return
+    finished = true
+    callback(err)
+  })
+
+  spawn.on('close', (code, signal) => {
+    if (finished) return
+    finished = true
+    if (length >= MAX_TEXT) {
+      callback(null, Buffer.concat(bufs).slice(0, MAX_TEXT))
+    } else if (signal) {
+      callback(new Error(`exit signal ${signal}`))
+    } else if (code && !ok.includes(code)) {
+      callback(new Error(`exit code ${code}`))
+    } else {
+      callback(null, Buffer.concat(bufs))
+    }
+  })
+
+  return spawn
+}
+
+// read file head up to MAX_TEXT, err race
+const readHead = (file, callback) => {
+  let bufs = []
+  let finished = false
+  const finish = (err, buf) => {
+    if (finished) return
+    finished = true
+    callback(err, buf)
+  }
+
+  let rs = fs.createReadStream(file, { end: MAX_TEXT - 1 })
+  rs.on('data', data => bufs.push(data))
+  rs.on('error', err => finish(err))
+  rs.on('end', () => finish(null, Buffer.concat(bufs)))
+  return {
+    kill: () => {
+      rs.destroy()
+      finish(new Error('killed'))
+    }
+  }
+}
+
+// a truncated buffer may end with a partial utf8 char
+const toText = buf => buf.toString('utf8').replace(/\ufffd$/, '')
+
+/**
+Extract text from file according to magic, returns a worker with `kill` method
+
+@param {string} file - absolute path
+@param {string} magic - doc magic
+@param {function} callback - `(err, text) => {}`
+*/
+const extractText = (file, magic, callback) => {
+  if (Magic.isPDF(magic)) {
+    return run('pdftotext', ['-q', '-enc', 'UTF-8', file, '-'], [], (err, buf) => err
+      ? callback(err)
+      : callback(null, toText(buf).replace(/\s+/g, ' ').trim()))
+  } else if (Magic.isText(magic)) {
+    return readHead(file, (err, buf) => err
+      ? callback(err)
+      : callback(null, toText(buf)))
+  } else if (Magic.isOffice(magic)) {
+    // unzip exits with 11 if no matching entry, eg. xlsx without shared strings
+    return run('unzip', ['-p', file, ...xmlEntries[magic]], [11], (err, buf) => err
+      ? callback(err)
+      : callback(null, stripXml(toText(buf))))
+  } else {
+    process.nextTick(() => callback(new Error('magic is not a supported document type')))
+    return { kill: () => {} }
+  }
+}
+
+// pipeline pattern, emit step
+class Textract extends EventEmitter {
+
+  constructor (concurrency) {
+    super()
+
+    this.pending = []
+    this.extracting = []
+
+    this.concurrency = concurrency || 2
+    this.destroyed = false
+  }
+
+  // { fingerprint, magic, uuid, file, worker, cbs }
+  push (x) {
+    this.pending.push(x)
+    this.schedule()
+  }
+
+  schedule () {
+    if (this.destroyed) return
+
+    // drop cancelled jobs, then sort pending, the more callbacks, the higher priority
+    this.pending = this.pending.filter(x => x.cbs.length)
+    this.pending.sort((a, b) => b.cbs.length - a.cbs.length)
+
+    while (this.extracting.length < this.concurrency && this.pending.length) {
+      // pending -> extracting
+      let x = this.pending.shift()
+      this.extracting.push(x)
+
+      const done = (err, text) => {
+        // extracting -> 0
+        this.extracting.splice(this.extracting.indexOf(x), 1)
+        delete x.worker
+        x.cbs.forEach(cb => err ? cb(err) : cb(null, text))
+        x.cbs = []
+
+        if (err) debug('extract failed', x.file, err.message)
+        this.schedule()
+        this.emit('step', 'extract', x)
+      }
+
+      // the file may be changed since queued
+      readXstat(x.file, (err, xstat) => {
+        if (this.destroyed || !x.cbs.length) return done(new Error('cancelled'))
+        if (err) return done(err)
+        if (xstat.type !== 'file') return done(new Error('not a file'))
+        if (xstat.uuid !== x.uuid) return done(new Error('uuid mismatch'))
+        if (xstat.hash !== x.fingerprint) return done(new Error('fingerprint mismatch'))
+        x.worker = extractText(x.file, x.magic, done)
+      })
+    }
+  }
+
+  /**
+  Extract text from a document file, returns a function to cancel the request
+
+  @param {object} props
+  @param {string} props.fingerprint
+  @param {string} props.magic - doc magic
+  @param {string} props.uuid - file uuid
+  @param {string} file - absolute path
+  @param {function} callback - `(err, text) => {}`
+  */
+  extract (props, file, callback) {
+    // find existing job by fingerprint
+    let job = [
+      ...this.pending,
+      ...this.extracting
+    ].find(j => j.fingerprint === props.fingerprint)
+
+    if (job) {
+      job.cbs.push(callback)
+    } else {
+      job = Object.assign({}, props, { file, cbs: [callback] })
+      this.push(job)
+    }
+
+    return () => {
+      let index = job.cbs.indexOf(callback)
+      if (index !== -1) job.cbs.splice(index, 1)
+      if (job.cbs.length === 0 && job.worker) job.worker.kill()
+    }
+  }
+
+  destroy () {
+    this.destroyed = true
+    this.extracting.forEach(x => x.worker && x.worker.kill())
+    this.pending = []
+  }
+}
+
+Textract.MAX_TEXT = MAX_TEXT
+Textract.extractText = extractText
+
+module.exports = Textract
@@ -0,0 +1,67 @@
+const { Transform } = require('stream')
+
+/**
+Token bucket rate limiter, shared by any number of streams.
+
+Tokens are bytes, refilled at `rate` per second, up to one second of burst. A consumer taking
+more tokens than available goes into debt and is called back when the debt is paid off, so
+the total rate of all consumers is limited.
+*/
+class Limiter {
+
+  /**
+  @param {number} [rate] - bytes per second, falsy for unlimited
+  */
+  constructor (rate) {
+    this.setRate(rate)
+  }
+
+  setRate (rate) {
+    this.rate = rate || 0
+    this.tokens = this.rate
+    this.last = new Date().getTime()
+  }
+
+  /**
+  Take n tokens
+
+  @param {number} n
+  @param {function} callback - `() => {}`
+  */
+  take (n, callback) {
+    if (!this.rate) return process.nextTick(() => callback())
+
+    let now = new Date().getTime()
+    this.tokens = Math.min(this.rate, this.tokens + (now - this.last) * this.rate / 1000)
+    this.last = now
+    this.tokens -= n
+
+    if (this.tokens >= 0) return process.nextTick(() => callback())
+    setTimeout(() => callback(), Math.ceil(-this.tokens * 1000 / this.rate))
+  }
+}
+
+/**
+A pass-through stream, each chunk goes through gates in order before it is pushed.
+
+A gate is a function `(length, callback) => {}`, calling back with an error destroys the stream.
+*/
+class Throttle extends Transform {
+
+  constructor (gates) {
+    super()
+    this.gates = gates
+  }
+
+  _transform (chunk, encoding, callback) {
+    let gates = [...this.gates]
+    const next = err => {
+      if (err) return callback(err)
+      if (!gates.length) return callback(null, chunk)
+      gates.shift()(chunk.length, next)
+    }
+    next()
+  }
+}
+
+module.exports = { Limiter, Throttle }
@@ -0,0 +1,118 @@
+const crypto = require('crypto')
+
+/**
+Time-based one-time password (RFC 6238), compatible with authenticator apps.
+
+HMAC-SHA1, 30 seconds step, 6 digits. Secrets are base32 encoded (RFC 4648, no padding).
+
+@module totp
+*/
+
+const ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567'
+const STEP = 30
+const DIGITS = 6
+
+/**
+Encode a buffer to base32 string
+*/
+const base32Encode = buf => {
+  let bits = 0
+  let value = 0
+  let output = ''
+  for (let i = 0; i < buf.length; i++) {
+    value = (value << 8) | buf[i]
+    bits += 8
+    while (bits >= 5) {
+      output += ALPHABET[(value >>> (bits - 5)) & 31]
+      bits -= 5
+    }
+  }
+  if (bits > 0) output += ALPHABET[(value << (5 - bits)) & 31]
+  return output
+}
+
+/**
+Decode a base32 string to buffer, case and padding insensitive
+*/
+const base32Decode = str => {
+  let bits = 0
+  let value = 0
+  let bytes = []
+  for (let c of str.toUpperCase().replace(/=+$/, '')) {
+    let index = ALPHABET.indexOf(c)
+    if (index === -1) throw new Error('invalid base32 character')
+    value = (value << 5) | index
+    bits += 5
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255)
+      bits -= 8
+    }
+  }
+  return Buffer.from(bytes)
+}
+
+/**
+Generate a random secret, base32 encoded
+*/
+const generateSecret = () => base32Encode(crypto.randomBytes(20))
+
+/**
+Returns the code of given counter (HOTP, RFC 4226)
+
+@param {string} secret - base32 encoded
+@param {number} counter
+*/
+const hotp = (secret, counter) => {
+  let buf = Buffer.alloc(8)
+  buf.writeUInt32BE(Math.floor(counter / 0x100000000), 0)
+  buf.writeUInt32BE(counter % 0x100000000, 4)
+  let hmac = crypto.createHmac('sha1', base32Decode(secret)).update(buf).digest()
+  let offset = hmac[hmac.length - 1] & 0xf
+  let code = (hmac.readUInt32BE(offset) & 0x7fffffff) % Math.pow(10, DIGITS)
+  return code.toString().padStart(DIGITS, '0')
+}
+
+/**
+Returns the counter of given time
+
+@param {number} [time] - milliseconds, defaults to now
+*/
+const counterOf = (time = new Date().getTime()) => Math.floor(time / 1000 / STEP)
+
+/**
+Verify a code, codes of adjacent steps are accepted for clock drift.
+
+@param {string} secret - base32 encoded
+@param {string} code
+@param {number} [time] - milliseconds, defaults to now
+@returns {number} the matched counter, or -1
+*/
+const verify = (secret, code, time) => {
+  if (typeof code !== 'string' || !/^[0-9]{6}$/.test(code)) return -1
+  let counter = counterOf(time)
+  for (let c of [counter, counter - 1, counter + 1]) {
+    if (crypto.timingSafeEqual(Buffer.from(hotp(secret, c)), Buffer.from(code))) return c
+  }
+  return -1
+}
+
+/**
+Returns the provisioning uri, usually rendered as QR code by client
+
+@param {string} secret - base32 encoded
+@param {string} account - account name
+@param {string} issuer
+*/
+const provisioningUri = (secret, account, issuer) =>
+  `otpauth://totp/${encodeURIComponent(issuer)}:${encodeURIComponent(account)}` +
+  `?secret=${secret}&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=${DIGITS}&period=${STEP}`
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  hotp,
+  counterOf,
+  verify,
+  provisioningUri
+}
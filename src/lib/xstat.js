@@ -110,7 +110,7 @@ const fileMagic1 = (target, callback) =>
     if (err) {
       callback(err)
     } else {
-      callback(null, Magic.parse(stdout.toString()))
+      callback(null, Magic.parse(stdout.toString(), target))
     }
   })
 
@@ -160,7 +160,7 @@ const fileMagic4 = (target, callback) =>
     if (err) {
       fileMagic1(target, callback)
     } else {
-      callback(null, Magic.parse(str))
+      callback(null, Magic.parse(str, target))
     }
   })
 
@@ -525,6 +525,27 @@ const readXstatAlt = (target, callback) =>
 
 const readXstat = readXstatAlt
 
+/**
+Read xstat object from target without updating xattr. This is used for read-only
+file system, such as btrfs snapshots.
+
+@func peekXstat
+@param {string} target - absolute path for file or dir
+@param {function} callback - `(err, xstat) => {}`, xstat is null if target has no valid xattr
+*/
+const peekXstat = (target, callback) => 
+  fs.lstat(target, (err, stats) => {
+    if (err) {
+      callback(err)
+    } else if (!stats.isDirectory() && !stats.isFile()) {
+      callback(EUnsupported(stats))
+    } else {
+      readXattr(target, stats, (err, attr) => err
+        ? callback(err)
+        : callback(null, attr ? createXstat(target, stats, attr) : null))
+    }
+  })
+
 /**
 Update file hash
 @func updateFileHashAsync
@@ -709,6 +730,7 @@ const updateFileTagsAsync = async (target, uuid, tags, time) => {
 module.exports = { 
   readXstat,
   readXstatAsync,
+  peekXstat,
   updateFileHash,
   updateFileHashAsync,
   updateFileTagsAsync,
@@ -3,7 +3,6 @@ const bcrypt = require('bcrypt')
 const BasicStrategy = require('passport-http').BasicStrategy
 const JwtStrategy = require('passport-jwt').Strategy
 const ExtractJwt = require('passport-jwt').ExtractJwt
-const secret = require('../config/passportJwt')
 const getFruit = require('../fruitmix')
 
 /*
@@ -23,28 +22,57 @@ let EFruitUnavail = new Error('fruitmix unavailable')
 
 // passport.use(new BasicStrategy(Fruit.verifyUserPassword.bind(Fruit)))
 
-passport.use(new BasicStrategy((userUUID, password, done) => {
+// failed attempts are limited and audited, see authapi
+passport.use(new BasicStrategy({ passReqToCallback: true }, (req, userUUID, password, done) => {
   let fruit = getFruit()
   if (!fruit) return done(EFruitUnavail) 
-  fruit.verifyUserPassword(userUUID, password, done)
+  fruit.authenticate(userUUID, password, req.ip, done)
 }))
 
+// secret is generated for each installation, see Tokens
 passport.use(new JwtStrategy({
-    secretOrKey: secret,
-    jwtFromRequest: ExtractJwt.fromAuthHeaderWithScheme('jwt')
+    secretOrKeyProvider: (req, rawJwtToken, done) => {
+      let fruit = getFruit()
+      fruit ? done(null, fruit.tokens.secret) : done(EFruitUnavail)
+    },
+    jwtFromRequest: ExtractJwt.fromAuthHeaderWithScheme('jwt'),
+    passReqToCallback: true
   }, 
-  (jwt_payload, done) => {
+  (req, jwt_payload, done) => {
 
     let fruit = getFruit()
     if (!fruit) return done(EFruitUnavail, false)
 
-    let user = fruit.findUserByUUID(jwt_payload.uuid)    
-    user ? (user.disabled ? done(null, false) : done(null, user)) : done(null, false)
+    // rejected if session revoked or expired, or user disabled
+    let user = fruit.tokenUser(jwt_payload, req.ip)
+    user ? done(null, user, { sid: jwt_payload.sid }) : done(null, false)
 }))
 
+const basic = () => passport.authenticate('basic', { session: false })
+const jwt = () => passport.authenticate('jwt', { session: false })
+
+// password alone is not enough for users with two-factor authentication, see totpapi
+const rejectTOTP = (req, res, next) => getFruit().isTOTPEnabled(req.user.uuid)
+  ? next(Object.assign(new Error('two-factor authentication enabled, use token instead'), 
+    { code: 'EFORBIDDEN', status: 403 }))
+  : next()
+
+/**
+JWT, or basic for users without two-factor authentication, chosen by Authorization scheme.
+For resources other than login (such as webdav).
+*/
+const jwtOrBasic = () => {
+  let j = jwt()
+  let b = basic()
+  return (req, res, next) => /^JWT /i.test(req.get('Authorization') || '')
+    ? j(req, res, next)
+    : b(req, res, err => err ? next(err) : rejectTOTP(req, res, next))
+}
+
 module.exports = {
   init: () => passport.initialize(),
-  basic: () => passport.authenticate('basic', { session: false }),
-  jwt: () => passport.authenticate('jwt', { session: false })
+  basic,
+  jwt,
+  jwtOrBasic
 }
 
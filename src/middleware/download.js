@@ -0,0 +1,53 @@
+const path = require('path')
+const fs = require('fs')
+
+const { etagOf, evaluate, prepareBody, pipeBody } = require('../lib/range')
+
+/**
+Send a file with strong etag, conditional and range requests support.
+
+Unlike `res.sendFile`, etag is the sha256 fingerprint of file content, which is stable
+across rename, copy and host. Without fingerprint, no etag is sent, then If-Match always
+fails and If-None-Match never matches.
+
+Multiple ranges are sent as `multipart/byteranges`. See {@link module:range}.
+
+@param {object} req
+@param {object} res
+@param {function} next
+@param {string} filePath - absolute path
+@param {string} [fingerprint] - file hash
+*/
+const sendFile = (req, res, next, filePath, fingerprint) =>
+  fs.stat(filePath, (err, stat) => {
+    if (err) {
+      if (err.code === 'ENOENT') err.status = 404
+      return next(err)
+    }
+
+    if (!stat.isFile()) return next(Object.assign(new Error('not a file'), { status: 404 }))
+
+    let etag = etagOf(fingerprint)
+    let { status, ranges } = evaluate(req.headers, stat.size, etag)
+
+    res.set('Accept-Ranges', 'bytes')
+    res.set('Last-Modified', stat.mtime.toUTCString())
+    if (etag) res.set('ETag', etag)
+
+    if (status === 304 || status === 412) return res.status(status).end()
+    if (status === 416) {
+      res.set('Content-Range', `bytes */${stat.size}`)
+      return res.status(416).end()
+    }
+
+    res.type(path.extname(filePath) || 'application/octet-stream')
+    let { headers, body } = prepareBody(status, ranges, stat.size, res.get('Content-Type'))
+    res.set(headers)
+    res.status(status)
+    if (req.method === 'HEAD') return res.end()
+
+    // headers are sent, abort the response on error
+    pipeBody(filePath, body, res, err => err && res.destroy())
+  })
+
+module.exports = { sendFile }
@@ -0,0 +1,21 @@
+const router = require('express').Router()
+const auth = require('../middleware/auth')
+const getFruit = require('../fruitmix')
+
+const fruit = (req, res, next) => {
+  req.fruit = getFruit()
+  if (req.fruit) {
+    next()
+  } else {
+    res.status(503).json({ message: 'fruitmix not available' })
+  }
+}
+
+/**
+Audit log GET, admin only, category is auth or users, query: start, end, user, limit
+*/
+router.get('/:category', fruit, auth.jwt(), (req, res, next) =>
+  req.fruit.getAudit(req.user, req.params.category, req.query, (err, entries) =>
+    err ? next(err) : res.status(200).json(entries)))
+
+module.exports = router
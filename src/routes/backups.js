@@ -0,0 +1,67 @@
+const router = require('express').Router()
+const auth = require('../middleware/auth')
+const getFruit = require('../fruitmix')
+
+const fruit = (req, res, next) => {
+  req.fruit = getFruit()
+  if (req.fruit) {
+    next()
+  } else {
+    res.status(503).json({ message: 'fruitmix not available' })
+  }
+}
+
+/**
+Backup jobs GET, admin only
+*/
+router.get('/', fruit, auth.jwt(), (req, res, next) =>
+  req.fruit.getBackupJobs(req.user, (err, jobs) =>
+    err ? next(err) : res.status(200).json(jobs)))
+
+/**
+Backup jobs POST, create a backup job, admin only
+
+body: name, target (file system uuid), drives, interval, keep, enabled
+*/
+router.post('/', fruit, auth.jwt(), (req, res, next) =>
+  req.fruit.createBackupJob(req.user, req.body, (err, job) =>
+    err ? next(err) : res.status(200).json(job)))
+
+/**
+Backup job GET, with generations and last run
+*/
+router.get('/:jobUUID', fruit, auth.jwt(), (req, res, next) =>
+  req.fruit.getBackupJob(req.user, req.params.jobUUID, (err, job) =>
+    err ? next(err) : res.status(200).json(job)))
+
+/**
+Backup job PATCH
+
+body: name, drives, interval, keep, enabled
+*/
+router.patch('/:jobUUID', fruit, auth.jwt(), (req, res, next) =>
+  req.fruit.updateBackupJob(req.user, req.params.jobUUID, req.body, (err, job) =>
+    err ? next(err) : res.status(200).json(job)))
+
+/**
+Backup job DELETE, 409 if the job is running. Generations on target are kept.
+*/
+router.delete('/:jobUUID', fruit, auth.jwt(), (req, res, next) =>
+  req.fruit.deleteBackupJob(req.user, req.params.jobUUID, err =>
+    err ? next(err) : res.status(200).end()))
+
+/**
+Backup job run POST, start a run. 409 if the job is running or target is not attached
+*/
+router.post('/:jobUUID/run', fruit, auth.jwt(), (req, res, next) =>
+  req.fruit.runBackupJob(req.user, req.params.jobUUID, (err, job) =>
+    err ? next(err) : res.status(200).json(job)))
+
+/**
+Backup job history GET, recent runs, latest first
+*/
+router.get('/:jobUUID/history', fruit, auth.jwt(), (req, res, next) =>
+  req.fruit.getBackupJobHistory(req.user, req.params.jobUUID, (err, runs) =>
+    err ? next(err) : res.status(200).json(runs)))
+
+module.exports = router
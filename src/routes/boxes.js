@@ -13,7 +13,6 @@ const sanitize = require('sanitize-filename')
 const crypto = require('crypto')
 
 const btrfs = require('../lib/btrfs')
-const secret = require('../config/passportJwt')
 const Fingerprint = require('../lib/fingerprint2')
 const { isSHA256 } = require('../lib/assertion')
 const getFruit = require('../fruitmix')
@@ -47,7 +46,7 @@ const auth = (req, res, next) => {
   let cloud
   // ensure token is valid(length)
   try {
-    cloud = jwt.decode(split[1], secret) 
+    cloud = jwt.decode(split[1], getFruit().tokens.secret) 
   } catch(e) {
     e.status = 401
     return next(e)
@@ -70,15 +69,8 @@ const auth = (req, res, next) => {
     return next()
   }
 
-  let local
-  try {
-    local = jwt.decode(split[2], secret)
-  } catch(e) {
-    e.status = 401
-    return next(e)
-  }
-  let user = getFruit().findUserByUUID(local.uuid)
-  if (!user || user.global.id !== cloud.global.id)
+  let user = getFruit().verifyToken(split[2])
+  if (!user || !user.global || user.global.id !== cloud.global.id)
     return res.status(401).end()
   req.user = user
   next()
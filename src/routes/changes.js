@@ -0,0 +1,68 @@
+const router = require('express').Router()
+const auth = require('../middleware/auth')
+const getFruit = require('../fruitmix')
+
+// heartbeat interval for event stream
+const HEARTBEAT = 30 * 1000
+
+const fruit = (req, res, next) => {
+  req.fruit = getFruit()
+  if (req.fruit) {
+    next()
+  } else {
+    res.status(503).json({ message: 'fruitmix not available' })
+  }
+}
+
+/**
+Changes GET
+
+query: drives, dirs, cursor
+
+If `Accept` is `text/event-stream`, Server-Sent Events are streamed:
+
++ missed events if cursor (query or `Last-Event-ID` header) can be resumed, or a `reset` event if not
++ a `ready` event with current cursor
++ change events as they happen, with cursor as event id
+
+Otherwise returns `{ cursor, reset, events }` for polling.
+*/
+router.get('/', fruit, auth.jwt(), (req, res, next) => {
+  let props = Object.assign({}, req.query)
+  if (props.cursor === undefined && req.get('Last-Event-ID')) props.cursor = req.get('Last-Event-ID')
+
+  if (!/text\/event-stream/.test(req.get('Accept') || '')) {
+    return req.fruit.getChanges(req.user, props, (err, changes) =>
+      err ? next(err) : res.status(200).json(changes))
+  }
+
+  let changes = req.fruit.changes
+  const send = (event, id, data) => res.write(
+    (id ? `id: ${id}\n` : '') + (event ? `event: ${event}\n` : '') + `data: ${JSON.stringify(data)}\n\n`)
+
+  let watch
+  try {
+    watch = req.fruit.watchChanges(req.user, props, event => send(null, changes.cursor(event.seq), event))
+  } catch (e) {
+    return next(e)
+  }
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  })
+  res.flushHeaders()
+
+  if (watch.reset) send('reset', null, { cursor: watch.cursor })
+  watch.events.forEach(event => send(null, changes.cursor(event.seq), event))
+  send('ready', watch.cursor, { cursor: watch.cursor })
+
+  let timer = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT)
+  req.on('close', () => {
+    clearInterval(timer)
+    watch.unwatch()
+  })
+})
+
+module.exports = router
@@ -6,6 +6,7 @@ const crypto = require('crypto')
 const rimraf = require('rimraf')
 const mkdirp = require('mkdirp')
 const router = require('express').Router()
+const bodyParser = require('body-parser')
 const auth = require('../middleware/auth')
 const sanitize = require('sanitize-filename')
 const UUID = require('uuid')
@@ -13,6 +14,8 @@ const { isSHA256, isUUID } = require('../lib/assertion')
 const Dicer = require('dicer')
 const getFruit = require('../fruitmix')
 const HashStream = require('../lib/hash-stream')
+const { sendFile } = require('../middleware/download')
+const { checkName } = require('../vfs/meta')
 
 const Debug = require('debug')
 const debug = Debug('writedir')
@@ -24,6 +27,9 @@ const fruitless = (req, res, next) => getFruit() ? next() : next(EFruitUnavail)
 
 const EMPTY_SHA256_HEX = crypto.createHash('sha256').digest('hex')
 
+// max size of serialized IBF in delta request
+const DELTA_LIMIT = '1mb'
+
 const fruit = (req, res, next) => {
   req.fruit = getFruit()
   if (req.fruit) {
@@ -40,8 +46,10 @@ DriveList GET
 router.get('/', fruitless, auth.jwt(), (req, res) => 
   res.status(200).json(getFruit().getDriveList(req.user)))
 **/
-router.get('/', fruit, auth.jwt(), (req, res, next) => 
-  req.fruit.getDriveList2(req.user, (err, list) => 
+router.get('/', fruit, auth.jwt(), (req, res, next) => req.query.deleted === 'true'
+  ? req.fruit.getDeletedDriveList(req.user, (err, list) =>
+    err ? next(err) : res.status(200).json(list))
+  : req.fruit.getDriveList2(req.user, (err, list) => 
     err ? next(err) : res.status(200).json(list)))
 
 /**
@@ -72,9 +80,128 @@ router.patch('/:driveUUID', fruitless, auth.jwt(), (req, res, next) => {
 
 /**
 Delete a public drive
+
+The drive is soft deleted and can be restored before it is purged. If `purge=true` 
+is provided in query string, a soft deleted drive is purged immediately.
+*/
+router.delete('/:driveUUID', fruit, auth.jwt(), (req, res, next) => req.query.purge === 'true'
+  ? req.fruit.purgeDrive(req.user, req.params.driveUUID, err =>
+    err ? next(err) : res.status(200).end())
+  : req.fruit.deleteDrive(req.user, req.params.driveUUID, (err, drive) =>
+    err ? next(err) : res.status(200).json(drive)))
+
+/**
+Restore a soft deleted drive
+*/
+router.post('/:driveUUID/restore', fruit, auth.jwt(), (req, res, next) =>
+  req.fruit.restoreDrive(req.user, req.params.driveUUID, (err, drive) =>
+    err ? next(err) : res.status(200).json(drive)))
+
+/**
+Quota PUT, set or clear drive quota, admin only
+
+body: { quota }, quota in bytes or null
+*/
+router.put('/:driveUUID/quota', fruit, auth.jwt(), (req, res, next) =>
+  req.fruit.setDriveQuota(req.user, req.params.driveUUID, req.body, (err, drive) =>
+    err ? next(err) : res.status(200).json(drive)))
+
+/**
+Versioning PUT, update versioning policy of drive
+
+body: { enabled, maxVersions, maxAge }
+*/
+router.put('/:driveUUID/versioning', fruit, auth.jwt(), (req, res, next) =>
+  req.fruit.setDriveVersioning(req.user, req.params.driveUUID, req.body, (err, drive) =>
+    err ? next(err) : res.status(200).json(drive)))
+
+/**
+Trash GET, list removed entries
+*/
+router.get('/:driveUUID/trash', fruit, auth.jwt(), (req, res, next) =>
+  req.fruit.getTrash(req.user, req.params.driveUUID, (err, items) =>
+    err ? next(err) : res.status(200).json(items)))
+
+/**
+Trash DELETE, purge all removed entries
+*/
+router.delete('/:driveUUID/trash', fruit, auth.jwt(), (req, res, next) =>
+  req.fruit.emptyTrash(req.user, req.params.driveUUID, err =>
+    err ? next(err) : res.status(200).end()))
+
+/**
+Trash item DELETE, purge a single removed entry
 */
-router.delete('/:driveUUID', fruitless, auth.jwt(), (req, res, next) => {
-  res.status(403).json({ message: 'not implemented yet' })
+router.delete('/:driveUUID/trash/:itemUUID', fruit, auth.jwt(), (req, res, next) =>
+  req.fruit.purgeTrashItem(req.user, req.params.driveUUID, req.params.itemUUID, err =>
+    err ? next(err) : res.status(200).end()))
+
+/**
+Trash item restore, move the entry back to its original directory
+*/
+router.post('/:driveUUID/trash/:itemUUID/restore', fruit, auth.jwt(), (req, res, next) =>
+  req.fruit.restoreTrashItem(req.user, req.params.driveUUID, req.params.itemUUID, (err, data) =>
+    err ? next(err) : res.status(200).json(data)))
+
+/**
+Snapshots GET, list snapshots of drive, latest first
+*/
+router.get('/:driveUUID/snapshots', fruit, auth.jwt(), (req, res, next) =>
+  req.fruit.getSnapshots(req.user, req.params.driveUUID, (err, snapshots) =>
+    err ? next(err) : res.status(200).json(snapshots)))
+
+/**
+Snapshots POST, take a manual snapshot
+*/
+router.post('/:driveUUID/snapshots', fruit, auth.jwt(), (req, res, next) =>
+  req.fruit.createSnapshot(req.user, req.params.driveUUID, (err, snapshot) =>
+    err ? next(err) : res.status(200).json(snapshot)))
+
+/**
+Snapshot DELETE
+*/
+router.delete('/:driveUUID/snapshots/:snapshotUUID', fruit, auth.jwt(), (req, res, next) =>
+  req.fruit.deleteSnapshot(req.user, req.params.driveUUID, req.params.snapshotUUID, err =>
+    err ? next(err) : res.status(200).end()))
+
+/**
+Snapshot dir GET, list a directory in snapshot
+*/
+router.get('/:driveUUID/snapshots/:snapshotUUID/dirs/:dirUUID', fruit, auth.jwt(), (req, res, next) => {
+  let { driveUUID, snapshotUUID, dirUUID } = req.params
+  req.fruit.getSnapshotDir(req.user, driveUUID, snapshotUUID, dirUUID, (err, dir) =>
+    err ? next(err) : res.status(200).json(dir))
+})
+
+/**
+Snapshot restore, copy entries in snapshot back to drive, returns an import task
+
+body: { dir, entries, dst, policies }
+*/
+router.post('/:driveUUID/snapshots/:snapshotUUID/restore', fruit, auth.jwt(), (req, res, next) => {
+  let { driveUUID, snapshotUUID } = req.params
+  req.fruit.restoreFromSnapshot(req.user, driveUUID, snapshotUUID, req.body, (err, task) =>
+    err ? next(err) : res.status(200).json(task))
+})
+
+/**
+ACL GET, returns the acl of a directory, admin only
+*/
+router.get('/:driveUUID/dirs/:dirUUID/acl', fruit, auth.jwt(), (req, res, next) => {
+  let { driveUUID, dirUUID } = req.params
+  req.fruit.getDirACL(req.user, driveUUID, dirUUID, (err, acl) =>
+    err ? next(err) : res.status(200).json(acl))
+})
+
+/**
+ACL PUT, set or clear (with empty entries) the acl of a directory, admin only
+
+body: { entries: [{ user, access } | { group, access }] }, access is write, read or none
+*/
+router.put('/:driveUUID/dirs/:dirUUID/acl', fruit, auth.jwt(), (req, res, next) => {
+  let { driveUUID, dirUUID } = req.params
+  req.fruit.setDirACL(req.user, driveUUID, dirUUID, req.body, (err, acl) =>
+    err ? next(err) : res.status(200).json(acl))
 })
 
 /**
@@ -161,9 +288,16 @@ router.post('/:driveUUID/dirs/:dirUUID/entries', fruitless, auth.jwt(), (req, re
     return res.status(404).end()
   }
 
+  if (!fruit.userCanWriteDir(user, dir)) {
+    return res.status(403).json({ code: 'EFORBIDDEN', message: 'permission denied' })
+  }
+
   // set dicer to null to indicate all parts have been generated. 
   let dicer
 
+  // total declared size of accepted files in this request, for quota check
+  let reserved = 0
+
   /**
   parts (new) -> [ parser | parsers_ ) -> execute
         (new) -> | -> ( pipes  | pipes_ )  -> | -> execute
@@ -468,6 +602,8 @@ router.post('/:driveUUID/dirs/:dirUUID/entries', fruitless, auth.jwt(), (req, re
       let props
       try {
         props = parseHeader(header)
+        let err = checkName(dir, props.fromName) || checkName(dir, props.toName)
+        if (err) throw err
       } catch (e) {
         x.part.on('error', () => {})
         e.status = 400
@@ -517,8 +653,18 @@ router.post('/:driveUUID/dirs/:dirUUID/entries', fruitless, auth.jwt(), (req, re
       return error(x, e)
     }
 
+    // reject before streaming if declared size exceeds drive quota, overwrite is charged the difference
+    let added = x.size - (x.overwrite ? fruit.getReplacedSize(driveUUID, dirUUID, x.toName) : 0)
+    try {
+      fruit.assertDriveQuota(driveUUID, reserved + added)
+    } catch (e) {
+      return error(x, e)
+    }
+    reserved += added
+
     pipes.push(x) 
-    x.tmp = path.join(getFruit().getTmpDir(), UUID.v4())
+    // keep extension, file magic of plain text and zip documents depends on it
+    x.tmp = path.join(getFruit().getTmpDir(driveUUID), UUID.v4() + path.extname(x.toName))
 
     let aggressive = !(req.socket.bytesRead + x.size > parseInt(req.header('content-length')))
     x.hs = HashStream.createStream(x.part, x.tmp, x.size, x.sha256, aggressive)
@@ -583,6 +729,16 @@ router.post('/:driveUUID/dirs/:dirUUID/entries', fruitless, auth.jwt(), (req, re
               throw new Error('overwrite must be valid uuid if provided')
             break
 
+          // instant upload, the file is cloned from an existing one with the same fingerprint
+          case 'newfile':
+            if (x.fromName !== x.toName)
+              throw new Error('newfile requires a single name')
+            if (!isSHA256(x.sha256))
+              throw new Error('invalid sha256')
+            if (x.hasOwnProperty('overwrite') && !isUUID(x.overwrite))
+              throw new Error('overwrite must be valid uuid if provided')
+            break
+
           case 'rename':
             if (x.fromName === x.toName)
               throw new Error('rename requires two distinct names')
@@ -662,7 +818,8 @@ router.post('/:driveUUID/dirs/:dirUUID/entries', fruitless, auth.jwt(), (req, re
           })
           break
         case 'remove':
-          getFruit().rimraf(user, driveUUID, dirUUID, x.toName, x.uuid, err => {
+          // removed entry is moved into trash, see trashapi
+          getFruit().trashEntry(user, driveUUID, dirUUID, x.toName, x.uuid, err => {
             executions.splice(executions.indexOf(x), 1)
             if (err) {
               error(x, err)
@@ -681,6 +838,16 @@ router.post('/:driveUUID/dirs/:dirUUID/entries', fruitless, auth.jwt(), (req, re
             }
           })
           break
+        case 'newfile':
+          getFruit().createNewFileByFingerprint(user, driveUUID, dirUUID, x.toName, x.sha256, x.overwrite, (err, xstat) => {
+            executions.splice(executions.indexOf(x), 1)
+            if (err) {
+              error(x, err)
+            } else {
+              success(x, xstat)
+            }
+          })
+          break
         case 'dup':
           getFruit().dup(user, driveUUID, dirUUID, x.fromName, x.toName, x.overwrite, (err, xstat) => {
             executions.splice(executions.indexOf(x), 1)
@@ -784,22 +951,75 @@ router.post('/:driveUUID/dirs/:dirUUID/entries', fruitless, auth.jwt(), (req, re
 })
 
 /**
-040 GET a single entry (download a file)
+Archive GET, download a directory, or selected entries in it, as a zip or tar archive
+
+query: format (`zip` or `tar`), entries (comma separated entry uuids)
 */
-router.get('/:driveUUID/dirs/:dirUUID/entries/:entryUUID', fruitless, auth.jwt(), 
-  (req, res) => {
-    let user = req.user
+router.get('/:driveUUID/dirs/:dirUUID/archive', fruit, auth.jwt(), (req, res, next) => {
+  let { driveUUID, dirUUID } = req.params
+  req.fruit.createArchive(req.user, driveUUID, dirUUID, req.query, (err, archive) => {
+    if (err) return next(err)
+    // headers are sent, abort the response if archiving fails
+    archive.stream.on('error', () => res.destroy())
+    res.on('close', () => archive.stream.destroy())
+    res.status(200).attachment(archive.name)
+    archive.stream.pipe(res)
+  })
+})
+
+/**
+Delta POST, decode the difference between server and client copies of a directory subtree
+
+query: k, seed
+
+body: serialized client IBF, `application/octet-stream`
+*/
+router.post('/:driveUUID/dirs/:dirUUID/delta', fruit, auth.jwt(),
+  bodyParser.raw({ type: 'application/octet-stream', limit: DELTA_LIMIT }), (req, res, next) => {
     let { driveUUID, dirUUID } = req.params
-    let { name } = req.query
-    // let dir = Forest.getDriveDir(driveUUID, dirUUID)
-    let dirPath = getFruit().getDriveDirPath(user, driveUUID, dirUUID)
-    let filePath = path.join(dirPath, name)
+    let props = Object.assign({}, req.query, { ibf: req.body })
+    req.fruit.getDirDelta(req.user, driveUUID, dirUUID, props, (err, delta) =>
+      err ? next(err) : res.status(200).json(delta))
+  })
 
-    // let xstat = await readXstatAsync(filePath)
-    // confirm fileUUID TODO
-    // move to fruitmix TODO
+/**
+040 GET a single entry (download a file)
 
-    res.status(200).sendFile(filePath)
+Strong etag, conditional and range requests are supported, see download middleware.
+*/
+router.get('/:driveUUID/dirs/:dirUUID/entries/:entryUUID', fruitless, auth.jwt(), (req, res, next) => {
+  let { driveUUID, dirUUID, entryUUID } = req.params
+  getFruit().getDriveFile(req.user, driveUUID, dirUUID, entryUUID, req.query.name, (err, file) =>
+    err ? next(err) : sendFile(req, res, next, file.path, file.hash))
+})
+
+/**
+Versions GET, list prior versions of a file, latest first
+*/
+router.get('/:driveUUID/dirs/:dirUUID/entries/:entryUUID/versions', fruit, auth.jwt(), (req, res, next) => {
+  let { driveUUID, dirUUID, entryUUID } = req.params
+  req.fruit.getFileVersions(req.user, driveUUID, dirUUID, entryUUID, (err, versions) =>
+    err ? next(err) : res.status(200).json(versions))
+})
+
+/**
+Version GET, download a prior version of a file
+*/
+router.get('/:driveUUID/dirs/:dirUUID/entries/:entryUUID/versions/:versionUUID', fruit, auth.jwt(), 
+  (req, res, next) => {
+    let { driveUUID, dirUUID, entryUUID, versionUUID } = req.params
+    req.fruit.getFileVersionPath(req.user, driveUUID, dirUUID, entryUUID, versionUUID, (err, data) =>
+      err ? next(err) : res.status(200).sendFile(data.path))
+  })
+
+/**
+Version restore, replace file content with a prior version
+*/
+router.post('/:driveUUID/dirs/:dirUUID/entries/:entryUUID/versions/:versionUUID/restore', fruit, auth.jwt(), 
+  (req, res, next) => {
+    let { driveUUID, dirUUID, entryUUID, versionUUID } = req.params
+    req.fruit.restoreFileVersion(req.user, driveUUID, dirUUID, entryUUID, versionUUID, (err, xstat) =>
+      err ? next(err) : res.status(200).json(xstat))
   })
 
 module.exports = router
@@ -6,6 +6,7 @@ const auth = require('../middleware/auth')
 const UUID = require('uuid')
 const { isSHA256, isUUID } = require('../lib/assertion')
 const getFruit = require('../fruitmix')
+const { sendFile } = require('../middleware/download')
 const Debug = require('debug')
 const debug = Debug('Tags')
 
@@ -33,8 +34,8 @@ router.get('/', auth.jwt(), fruitless, (req, res, next) => {
 })
 
 router.get('/:fileUUID', auth.jwt(), fruitless, (req, res, next) => {
-  let filepath = getFruit().getFilePathByUUID(req.user, req.params.fileUUID)
-  if(filepath) return res.status(200).sendFile(filepath)
+  let file = getFruit().getFileByUUID(req.user, req.params.fileUUID)
+  if(file) return sendFile(req, res, next, file.path, file.hash)
   res.status(404).json({ message: 'file not found' })
 })
 
@@ -0,0 +1,53 @@
+const router = require('express').Router()
+const auth = require('../middleware/auth')
+const getFruit = require('../fruitmix')
+
+const fruit = (req, res, next) => {
+  req.fruit = getFruit()
+  if (req.fruit) {
+    next()
+  } else {
+    res.status(503).json({ message: 'fruitmix not available' })
+  }
+}
+
+/**
+Group List GET, admin gets all groups, others get the groups they belong to
+*/
+router.get('/', fruit, auth.jwt(), (req, res, next) =>
+  req.fruit.getGroups(req.user, (err, groups) =>
+    err ? next(err) : res.status(200).json(groups)))
+
+/**
+Group List POST, create a group, admin only
+
+body: { name, members }
+*/
+router.post('/', fruit, auth.jwt(), (req, res, next) =>
+  req.fruit.createGroup(req.user, req.body, (err, group) =>
+    err ? next(err) : res.status(200).json(group)))
+
+/**
+Group GET
+*/
+router.get('/:groupUUID', fruit, auth.jwt(), (req, res, next) =>
+  req.fruit.getGroup(req.user, req.params.groupUUID, (err, group) =>
+    err ? next(err) : res.status(200).json(group)))
+
+/**
+Group PATCH, update name or members, admin only
+
+body: { name, members }, members replaces existing ones
+*/
+router.patch('/:groupUUID', fruit, auth.jwt(), (req, res, next) =>
+  req.fruit.updateGroup(req.user, req.params.groupUUID, req.body, (err, group) =>
+    err ? next(err) : res.status(200).json(group)))
+
+/**
+Group DELETE, admin only, the group is also removed from drives and acls
+*/
+router.delete('/:groupUUID', fruit, auth.jwt(), (req, res, next) =>
+  req.fruit.deleteGroup(req.user, req.params.groupUUID, err =>
+    err ? next(err) : res.status(200).end()))
+
+module.exports = router
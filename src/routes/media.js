@@ -4,6 +4,7 @@ const auth = require('../middleware/auth')
 
 const broadcast = require('../common/broadcast')
 const getFruit = require('../fruitmix')
+const { sendFile } = require('../middleware/download')
 const UUID = require('uuid')
 
 // return meta data of all I can view
@@ -83,14 +84,14 @@ router.get('/:fingerprint', auth.jwt(), (req, res, next) => {
     if(query.boxUUID) {
       try{
         let fp = getFruit().getBoxFilepath(user, query.boxUUID, fingerprint)
-        return res.status(200).sendFile(fp)
+        return sendFile(req, res, next, fp, fingerprint)
       }
       catch(e) { return next(e) }
     }
     let files = getFruit().getFilesByFingerprint(user, fingerprint)
 
     if (files.length) {
-      res.status(200).sendFile(files[0])
+      sendFile(req, res, next, files[0], fingerprint)
     } else {
       res.status(404).end()
     }
@@ -0,0 +1,24 @@
+const router = require('express').Router()
+const auth = require('../middleware/auth')
+const getFruit = require('../fruitmix')
+
+const fruit = (req, res, next) => {
+  req.fruit = getFruit()
+  if (req.fruit) {
+    next()
+  } else {
+    res.status(503).json({ message: 'fruitmix not available' })
+  }
+}
+
+/**
+Search GET, search entries in drives the user can read
+
+query: name, type, magic, minSize, maxSize, minMtime, maxMtime, tags, make, model,
+dateFrom, dateTo, text, drives, offset, limit
+*/
+router.get('/', fruit, auth.jwt(), (req, res, next) =>
+  req.fruit.search(req.user, req.query, (err, results) =>
+    err ? next(err) : res.status(200).json(results)))
+
+module.exports = router
@@ -0,0 +1,67 @@
+const router = require('express').Router()
+const auth = require('../middleware/auth')
+const getFruit = require('../fruitmix')
+
+const fruit = (req, res, next) => {
+  req.fruit = getFruit()
+  if (req.fruit) {
+    next()
+  } else {
+    res.status(503).json({ message: 'fruitmix not available' })
+  }
+}
+
+/**
+Sync jobs GET, list sync jobs of user
+*/
+router.get('/', fruit, auth.jwt(), (req, res, next) =>
+  req.fruit.getSyncJobs(req.user, (err, jobs) =>
+    err ? next(err) : res.status(200).json(jobs)))
+
+/**
+Sync jobs POST, create a sync job between a native drive directory and a drive directory
+
+body: name, ndrive (file system uuid), path, driveUUID, dirUUID, policy, enabled
+*/
+router.post('/', fruit, auth.jwt(), (req, res, next) =>
+  req.fruit.createSyncJob(req.user, req.body, (err, job) =>
+    err ? next(err) : res.status(200).json(job)))
+
+/**
+Sync job GET
+*/
+router.get('/:jobUUID', fruit, auth.jwt(), (req, res, next) =>
+  req.fruit.getSyncJob(req.user, req.params.jobUUID, (err, job) =>
+    err ? next(err) : res.status(200).json(job)))
+
+/**
+Sync job PATCH
+
+body: name, policy, enabled
+*/
+router.patch('/:jobUUID', fruit, auth.jwt(), (req, res, next) =>
+  req.fruit.updateSyncJob(req.user, req.params.jobUUID, req.body, (err, job) =>
+    err ? next(err) : res.status(200).json(job)))
+
+/**
+Sync job DELETE, 409 if the job is running
+*/
+router.delete('/:jobUUID', fruit, auth.jwt(), (req, res, next) =>
+  req.fruit.deleteSyncJob(req.user, req.params.jobUUID, err =>
+    err ? next(err) : res.status(200).end()))
+
+/**
+Sync job run POST, start a run. 409 if the job is running or native drive is not attached
+*/
+router.post('/:jobUUID/run', fruit, auth.jwt(), (req, res, next) =>
+  req.fruit.runSyncJob(req.user, req.params.jobUUID, (err, job) =>
+    err ? next(err) : res.status(200).json(job)))
+
+/**
+Sync job history GET, recent runs, latest first
+*/
+router.get('/:jobUUID/history', fruit, auth.jwt(), (req, res, next) =>
+  req.fruit.getSyncJobHistory(req.user, req.params.jobUUID, (err, runs) =>
+    err ? next(err) : res.status(200).json(runs)))
+
+module.exports = router
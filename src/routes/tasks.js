@@ -13,11 +13,26 @@ router.post('/', auth.jwt(), (req, res, next) =>
   getFruit().createTask(req.user, req.body, (err, task) => 
     err ? next(err) : res.status(200).json(task)))
 
+// Get task settings
+router.get('/settings', auth.jwt(), (req, res, next) =>
+  getFruit().getTaskSettings(req.user, (err, settings) =>
+    err ? next(err) : res.status(200).json(settings)))
+
+// Update task settings, bandwidth and concurrency, admin only
+router.patch('/settings', auth.jwt(), (req, res, next) =>
+  getFruit().updateTaskSettings(req.user, req.body, (err, settings) =>
+    err ? next(err) : res.status(200).json(settings)))
+
 // Get single task
 router.get('/:taskUUID', auth.jwt(), (req, res) => 
   getFruit().getTask(req.user, req.params.taskUUID, (err, task) => 
     err ? next(err) : res.status(200).json(task)))
 
+// Update single task, pause, resume or set bandwidth
+router.patch('/:taskUUID', auth.jwt(), (req, res, next) =>
+  getFruit().updateTask(req.user, req.params.taskUUID, req.body, (err, task) =>
+    err ? next(err) : res.status(200).json(task)))
+
 // Delete single task (Can be used as abort)
 router.delete('/:taskUUID', auth.jwt(), (req, res) => 
   getFruit().deleteTask(req.user, req.params.taskUUID, (err, task) =>
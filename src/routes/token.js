@@ -6,10 +6,37 @@ const getFruit = require('../fruitmix')
 const EUnavail = Object.assign(new Error('fruitmix unavailable'), { status: 503 })
 const fruitless = (req, res, next) => getFruit() ? next() : next(EUnavail)
 
-router.get('/', fruitless, auth.basic(), (req, res) => 
-  res.status(200).json(getFruit().getToken(req.user))) 
+const device = query => ({ id: query.deviceId, name: query.deviceName, type: query.deviceType })
+
+router.get('/', fruitless, auth.basic(), (req, res, next) => 
+  getFruit().getToken(req.user, { device: device(req.query), via: 'basic', ip: req.ip }, (err, token) => 
+    err ? next(err) : res.status(200).json(token)))
 
 router.get('/verify', auth.jwt(), (req, res) => res.status(200).end())
 
+// second step of login, { challenge, code }
+router.post('/totp', fruitless, (req, res, next) => 
+  getFruit().verifyChallengeAsync(Object.assign({}, req.body, { ip: req.ip }))
+    .then(token => res.status(200).json(token))
+    .catch(next))
+
+router.get('/policy', fruitless, auth.jwt(), (req, res, next) => 
+  getFruit().getTokenPolicy(req.user, (err, policy) => 
+    err ? next(err) : res.status(200).json(policy)))
+
+router.patch('/policy', fruitless, auth.jwt(), (req, res, next) => 
+  getFruit().updateTokenPolicy(req.user, req.body, (err, policy) => 
+    err ? next(err) : res.status(200).json(policy)))
+
+// { refreshToken }
+router.post('/refresh', fruitless, (req, res, next) => 
+  getFruit().refreshToken(Object.assign({}, req.body, { ip: req.ip }), (err, token) => 
+    err ? next(err) : res.status(200).json(token)))
+
+// logout, or sign out everywhere with all=true
+router.delete('/', fruitless, auth.jwt(), (req, res, next) => 
+  getFruit().revokeToken(req.user, req.authInfo.sid, Object.assign({}, req.query, req.body), err => 
+    err ? next(err) : res.status(200).end()))
+
 module.exports = router
 
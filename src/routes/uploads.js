@@ -0,0 +1,76 @@
+const router = require('express').Router()
+const auth = require('../middleware/auth')
+const getFruit = require('../fruitmix')
+
+const fruit = (req, res, next) => {
+  req.fruit = getFruit()
+  if (req.fruit) {
+    next()
+  } else {
+    res.status(503).json({ message: 'fruitmix not available' })
+  }
+}
+
+const toInteger = x => /^\d+$/.test(x) ? parseInt(x) : NaN
+
+/**
+Upload sessions GET, list sessions of user
+*/
+router.get('/', fruit, auth.jwt(), (req, res, next) =>
+  req.fruit.getUploads(req.user, (err, uploads) =>
+    err ? next(err) : res.status(200).json(uploads)))
+
+/**
+Upload sessions POST, create a session
+
+body: driveUUID, dirUUID, name, size, sha256, overwrite (optional)
+*/
+router.post('/', fruit, auth.jwt(), (req, res, next) =>
+  req.fruit.createUpload(req.user, req.body, (err, upload) =>
+    err ? next(err) : res.status(200).json(upload)))
+
+/**
+Upload session GET, `ranges` are received byte ranges, end exclusive
+*/
+router.get('/:uploadUUID', fruit, auth.jwt(), (req, res, next) =>
+  req.fruit.getUpload(req.user, req.params.uploadUUID, (err, upload) =>
+    err ? next(err) : res.status(200).json(upload)))
+
+/**
+Upload session data PUT, write raw request body at `offset` (query). Content-Length is required.
+
+Bytes received before the connection breaks are kept, the client should query the session
+and resend missing ranges.
+*/
+router.put('/:uploadUUID/data', fruit, auth.jwt(), (req, res, next) => {
+  let props = {
+    offset: toInteger(req.query.offset),
+    length: toInteger(req.get('Content-Length')),
+    stream: req
+  }
+
+  req.fruit.writeUpload(req.user, req.params.uploadUUID, props, (err, upload) => {
+    if (err) {
+      // discard the rest of request body
+      req.resume()
+      return next(err)
+    }
+    res.status(200).json(upload)
+  })
+})
+
+/**
+Upload session commit POST, verify fingerprint and create the file, returns xstat
+*/
+router.post('/:uploadUUID/commit', fruit, auth.jwt(), (req, res, next) =>
+  req.fruit.commitUpload(req.user, req.params.uploadUUID, (err, xstat) =>
+    err ? next(err) : res.status(200).json(xstat)))
+
+/**
+Upload session DELETE, cancel the session
+*/
+router.delete('/:uploadUUID', fruit, auth.jwt(), (req, res, next) =>
+  req.fruit.deleteUpload(req.user, req.params.uploadUUID, err =>
+    err ? next(err) : res.status(200).end()))
+
+module.exports = router
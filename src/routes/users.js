@@ -72,8 +72,13 @@ router.patch('/:userUUID', fruitless, auth.jwt(), (req, res, next) => {
     .catch(next)
 })
 
-// update (own) password
-router.put('/:uuid/password', auth.basic(), (req, res, next) => {
+// delete user with { drive, to }, admin only
+router.delete('/:userUUID', fruitless, auth.jwt(), (req, res, next) => 
+  getFruit().deleteUser(req.user, req.params.userUUID, req.body, err => 
+    err ? next(err) : res.status(200).end()))
+
+// update (own) password, users with two-factor authentication must use token
+router.put('/:uuid/password', auth.jwtOrBasic(), (req, res, next) => {
   getFruit().updateUserPasswordAsync(req.user, req.params.uuid, req.body)
     .then(() => res.status(200).end())
     .catch(next)
@@ -103,5 +108,38 @@ router.delete('/:userUUID/media-blacklist', auth.jwt(), (req, res, next) => {
     .catch(next)
 })
 
+// two-factor authentication status
+router.get('/:userUUID/totp', fruitless, auth.jwt(), (req, res, next) => 
+  getFruit().getTOTP(req.user, req.params.userUUID, (err, status) => 
+    err ? next(err) : res.status(200).json(status)))
+
+// enroll, returns pending secret, password required
+router.post('/:userUUID/totp', fruitless, auth.basic(), (req, res, next) => 
+  getFruit().createTOTPAsync(req.user, req.params.userUUID)
+    .then(x => res.status(200).json(x))
+    .catch(next))
+
+// enable pending secret with { code }, returns recovery codes, password required
+router.put('/:userUUID/totp', fruitless, auth.basic(), (req, res, next) => 
+  getFruit().enableTOTPAsync(req.user, req.params.userUUID, req.body)
+    .then(x => res.status(200).json(x))
+    .catch(next))
+
+// disable, with { code } for user himself
+router.delete('/:userUUID/totp', fruitless, auth.jwt(), (req, res, next) => 
+  getFruit().deleteTOTPAsync(req.user, req.params.userUUID, req.body)
+    .then(() => res.status(200).end())
+    .catch(next))
+
+// list sessions (logged in devices) of user
+router.get('/:userUUID/sessions', fruitless, auth.jwt(), (req, res, next) => 
+  getFruit().getSessions(req.user, req.params.userUUID, req.authInfo.sid, (err, sessions) => 
+    err ? next(err) : res.status(200).json(sessions)))
+
+// revoke a session
+router.delete('/:userUUID/sessions/:sessionId', fruitless, auth.jwt(), (req, res, next) => 
+  getFruit().deleteSession(req.user, req.params.userUUID, req.params.sessionId, err => 
+    err ? next(err) : res.status(200).end()))
+
 module.exports = router
 
@@ -1,24 +1,19 @@
 const router = require('express').Router()
 const jwt = require('jwt-simple')
-const secret = require('../config/passportJwt')
 const auth = require('../middleware/auth')
 const getFruit = require('../fruitmix')
 
+const EUnavail = Object.assign(new Error('fruitmix unavailable'), { status: 503 })
+const fruitless = (req, res, next) => getFruit() ? next() : next(EUnavail)
+
 const userInfo = (req, res, next) => {
   let guid = req.query.guid
   let text = req.get('Authorization')
   if (text) {
     let split = text.split(' ')
-    let local
-    try {
-      local = jwt.decode(split[1], secret)
-    } catch(e) {
-      e.status = 401
-      return next(e)
-    }
-    let user = getFruit().findUserByUUID(local.uuid)
+    let user = getFruit().verifyToken(split[1])
 
-    if (!user || user.global.id !== guid)
+    if (!user || !user.global || user.global.id !== guid)
       return res.status(401).end()
     req.user = { global: {id: user.global.id} }
     next()
@@ -31,22 +26,22 @@ const userInfo = (req, res, next) => {
   }
 }
 
-router.get('/', userInfo, (req, res) => {
+router.get('/', fruitless, userInfo, (req, res) => {
   let user = req.user
   if (user.global) {
     let token = {
       global: user.global,
       deadline: new Date().getTime() + 4 * 60 * 60 * 1000
     }
-    res.status(200).json({ type: 'JWT', token: jwt.encode(token, secret) })
+    res.status(200).json({ type: 'JWT', token: jwt.encode(token, getFruit().tokens.secret) })
   } else {
     res.status(404).end()
   }
 })
 
 // { token: xxxxx }
-router.post('/decode', (req, res) => {
-  let decoded = jwt.decode(req.body.token, secret)
+router.post('/decode', fruitless, (req, res) => {
+  let decoded = jwt.decode(req.body.token, getFruit().tokens.secret)
   res.status(200).json(decoded)
 })
 
@@ -7,6 +7,8 @@ const child = Promise.promisifyAll(require('child_process'))
 const mkdirpAsync = Promise.promisify(require('mkdirp'))
 const rimrafAsync = Promise.promisify(require('rimraf'))
 
+const { META } = require('../vfs/meta')
+
 const debug = require('debug')('samba')
 
 const rsyslogPath = '/etc/rsyslog.d/99-smbaudit.conf'
@@ -187,6 +189,7 @@ const privateShare = (froot, users, drive) => {
   guest ok = no
   force user = root
   force group = root
+  veto files = /${META}/
   write list = ${owner.unixName}
   valid users = ${owner.unixName}
   vfs objects = full_audit
@@ -217,6 +220,7 @@ const publicShare = (froot, users, drive) => {
   guest ok = no
   force user = root
   force group = root
+  veto files = /${META}/
   write list = ${writelist.join(', ')}
   valid users = ${readlist.join(', ')}
   vfs objects = full_audit
@@ -0,0 +1,217 @@
+const path = require('path')
+const fs = require('fs')
+const UUID = require('uuid')
+const mkdirp = require('mkdirp')
+
+const Debug = require('debug')
+const debug = Debug('fulltext')
+
+const Magic = require('../lib/magic')
+const Textract = require('../lib/textract')
+
+// 1 hour
+const PRUNE_INTERVAL = 3600 * 1000
+
+// separators: whitespace, ascii punctuations, general punctuations, cjk and fullwidth punctuations
+const SEPARATOR = /[\s!-/:-@[-`{-~\u00a0-\u00bf\u2000-\u206f\u3000-\u303f\uff00-\uff0f\uff1a-\uff20\uff3b-\uff40\uff5b-\uff65]+/
+
+// kana, cjk ideographs and hangul
+const CJK = /[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uac00-\ud7af\uf900-\ufaff]+/g
+
+/**
+Split text into a set of lowercase tokens.
+
+Words are split by separators. CJK runs have no separators, so each char and each bigram
+is a token.
+
+@param {string} text
+@returns {Set<string>}
+*/
+const tokenize = text => {
+  let tokens = new Set()
+  text.toLowerCase().split(SEPARATOR).forEach(word => {
+    if (!word.length) return
+    word.replace(CJK, run => {
+      for (let i = 0; i < run.length; i++) {
+        tokens.add(run[i])
+        if (i + 1 < run.length) tokens.add(run.slice(i, i + 2))
+      }
+      return ' '
+    }).split(' ').forEach(w => w.length && tokens.add(w))
+  })
+  return tokens
+}
+
+/**
+FullText maintains an inverted index from token to document fingerprints.
+
+Document files (see `Magic.isDoc`) are observed from forest events:
+
++ `FileEnterHashed`, text is retrieved from cache, or extracted by {@link module:textract},
+  then indexed.
++ `FileExitHashed`, if no file with the same fingerprint left, the text is unindexed.
+
+Extracted text is cached in `<froot>/text` directory, one file per fingerprint, and read
+back when indexed or unindexed. So only the inverted index is kept in memory, which is not
+persisted. Cached text of fingerprints no longer in forest is pruned periodically.
+
+@module FullText
+*/
+class FullText {
+
+  /**
+  @param {string} froot - fruitmix root
+  @param {Forest} forest
+  @param {string} tmpDir
+  @param {object} [opts]
+  @param {number} [opts.concurrency] - extraction concurrency, defaults to 2
+  */
+  constructor (froot, forest, tmpDir, opts) {
+    this.forest = forest
+    this.dir = path.join(froot, 'text')
+    this.tmpDir = tmpDir
+    this.textract = new Textract(opts && opts.concurrency)
+
+    mkdirp.sync(this.dir)
+
+    /**
+    fingerprints indexed by token
+    */
+    this.postings = new Map()
+
+    /**
+    number of document files indexed by fingerprint
+    */
+    this.refs = new Map()
+
+    /**
+    cancel functions of ongoing extractions, indexed by fingerprint
+    */
+    this.cancels = new Map()
+
+    this.onFileEnterHashed = file => Magic.isDoc(file.magic) && this.addFile(file)
+    this.onFileExitHashed = file => Magic.isDoc(file.magic) && this.removeFile(file)
+
+    forest.on('FileEnterHashed', this.onFileEnterHashed)
+    forest.on('FileExitHashed', this.onFileExitHashed)
+
+    this.timer = setInterval(() => this.prune(), PRUNE_INTERVAL)
+    this.timer.unref()
+  }
+
+  textPath (fingerprint) {
+    return path.join(this.dir, fingerprint)
+  }
+
+  /**
+  Save text of fingerprint, via tmp file
+  */
+  saveText (fingerprint, text, callback) {
+    let tmp = path.join(this.tmpDir, UUID.v4())
+    fs.writeFile(tmp, text, err => err
+      ? callback(err)
+      : fs.rename(tmp, this.textPath(fingerprint), err => err
+        ? fs.unlink(tmp, () => callback(err))
+        : callback(null)))
+  }
+
+  // file may be removed (and added again) before cached text is read, refs is checked in callback
+  addFile (file) {
+    let fingerprint = file.hash
+    let count = this.refs.get(fingerprint) || 0
+    this.refs.set(fingerprint, count + 1)
+    if (count) return
+
+    fs.readFile(this.textPath(fingerprint), 'utf8', (err, text) => {
+      if (!this.refs.has(fingerprint)) return
+      if (!err) return this.index(fingerprint, text)
+      if (this.cancels.has(fingerprint)) return
+
+      let props = { fingerprint, magic: file.magic, uuid: file.uuid }
+      // indexed after saved, so it can be read back when unindexed
+      this.cancels.set(fingerprint, this.textract.extract(props, file.abspath(), (err, text) => {
+        if (err) return this.cancels.delete(fingerprint)
+        this.saveText(fingerprint, text, err => {
+          if (err) debug('failed to save text', fingerprint, err.message)
+          this.cancels.delete(fingerprint)
+          if (this.refs.has(fingerprint)) this.index(fingerprint, text)
+        })
+      }))
+    })
+  }
+
+  removeFile (file) {
+    let fingerprint = file.hash
+    let count = this.refs.get(fingerprint)
+    if (!count) return
+    if (count > 1) return this.refs.set(fingerprint, count - 1)
+
+    this.refs.delete(fingerprint)
+    let cancel = this.cancels.get(fingerprint)
+    if (cancel) {
+      this.cancels.delete(fingerprint)
+      cancel()
+    } else {
+      fs.readFile(this.textPath(fingerprint), 'utf8', (err, text) =>
+        !err && !this.refs.has(fingerprint) && this.unindex(fingerprint, text))
+    }
+  }
+
+  /**
+  Remove cached text of fingerprints not in forest. Text of files not yet hashed (such as
+  during startup) may be removed, and will be extracted again.
+  */
+  prune () {
+    fs.readdir(this.dir, (err, names) => {
+      if (err) return debug('prune error', err.message)
+      names
+        .filter(name => !this.refs.has(name) && !this.cancels.has(name))
+        .forEach(name => fs.unlink(this.textPath(name), () => {}))
+    })
+  }
+
+  index (fingerprint, text) {
+    tokenize(text).forEach(token => {
+      let set = this.postings.get(token)
+      if (!set) this.postings.set(token, (set = new Set()))
+      set.add(fingerprint)
+    })
+    debug('index', fingerprint.slice(0, 8))
+  }
+
+  unindex (fingerprint, text) {
+    tokenize(text).forEach(token => {
+      let set = this.postings.get(token)
+      if (!set) return
+      set.delete(fingerprint)
+      if (!set.size) this.postings.delete(token)
+    })
+    debug('unindex', fingerprint.slice(0, 8))
+  }
+
+  /**
+  Returns fingerprints of documents containing all tokens in query text
+
+  @param {string} text
+  @returns {Set<string>}
+  */
+  search (text) {
+    let sets = Array.from(tokenize(text))
+      .map(token => this.postings.get(token))
+
+    if (!sets.length || sets.some(set => !set)) return new Set()
+    sets.sort((a, b) => a.size - b.size)
+    return new Set(Array.from(sets[0]).filter(fp => sets.every(set => set.has(fp))))
+  }
+
+  destroy () {
+    clearInterval(this.timer)
+    this.forest.removeListener('FileEnterHashed', this.onFileEnterHashed)
+    this.forest.removeListener('FileExitHashed', this.onFileExitHashed)
+    this.textract.destroy()
+  }
+}
+
+FullText.tokenize = tokenize
+
+module.exports = FullText
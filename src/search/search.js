@@ -0,0 +1,184 @@
+const Debug = require('debug')
+const debug = Debug('search')
+
+/**
+SearchIndex maintains an in-memory index of all entries in forest, for searching.
+
+Forest only keeps directories and interested files (media or tagged) in memory. SearchIndex
+observes forest events and keeps a record for every entry:
+
++ `DirEntriesUpdated`, all entries of a directory are (re-)read. Records of the directory are replaced.
++ `DirUnindexed`, a directory is destroyed. Records of its entries are dropped.
++ `FileEnterHashed`, a file got its fingerprint. The hash of the record is updated.
+
+```
+Record {
+  uuid,       // entry uuid
+  name,
+  drive,      // drive uuid
+  dir,        // parent directory uuid
+  type,       // 'file' or 'directory'
+  size,       // file only
+  mtime,
+  magic,      // file only, string or number
+  hash,       // file only, may be undefined
+  tags        // file only, may be undefined
+}
+```
+
+File records are also indexed by fingerprint, which is used by instant upload.
+
+The index is not persisted. It is rebuilt when forest is (re-)loaded.
+
+@module SearchIndex
+*/
+class SearchIndex {
+
+  /**
+  @param {Forest} forest
+  */
+  constructor (forest) {
+    this.forest = forest
+
+    /**
+    records indexed by entry uuid
+    */
+    this.records = new Map()
+
+    /**
+    entry uuids indexed by parent directory uuid
+    */
+    this.dirs = new Map()
+
+    /**
+    file uuids indexed by fingerprint
+    */
+    this.hashes = new Map()
+
+    this.onDirEntriesUpdated = (dir, xstats) => this.update(dir, xstats)
+    this.onDirUnindexed = dir => this.drop(dir.uuid)
+    this.onFileEnterHashed = file => {
+      let record = this.records.get(file.uuid)
+      if (record) {
+        this.unindexHash(record)
+        record.hash = file.hash
+        this.indexHash(record)
+      }
+    }
+
+    forest.on('DirEntriesUpdated', this.onDirEntriesUpdated)
+    forest.on('DirUnindexed', this.onDirUnindexed)
+    forest.on('FileEnterHashed', this.onFileEnterHashed)
+  }
+
+  indexHash (record) {
+    if (!record.hash) return
+    let uuids = this.hashes.get(record.hash)
+    if (!uuids) this.hashes.set(record.hash, uuids = new Set())
+    uuids.add(record.uuid)
+  }
+
+  unindexHash (record) {
+    if (!record.hash) return
+    let uuids = this.hashes.get(record.hash)
+    if (!uuids) return
+    uuids.delete(record.uuid)
+    if (!uuids.size) this.hashes.delete(record.hash)
+  }
+
+  /**
+  Replace records of a directory
+  */
+  update (dir, xstats) {
+    let drive = dir.root().uuid
+    let prev = this.dirs.get(dir.uuid)
+    let next = new Set(xstats.map(x => x.uuid))
+
+    if (prev) {
+      prev.forEach(uuid => {
+        // the entry may have been moved into another directory
+        let record = this.records.get(uuid)
+        if (!record || record.dir !== dir.uuid) return
+        this.unindexHash(record)
+        if (!next.has(uuid)) this.records.delete(uuid)
+      })
+    }
+
+    xstats.forEach(x => this.records.set(x.uuid, x.type === 'file'
+      ? {
+        uuid: x.uuid,
+        name: x.name,
+        drive,
+        dir: dir.uuid,
+        type: 'file',
+        size: x.size,
+        mtime: x.mtime,
+        magic: x.magic,
+        hash: x.hash,
+        tags: x.tags
+      }
+      : {
+        uuid: x.uuid,
+        name: x.name,
+        drive,
+        dir: dir.uuid,
+        type: 'directory',
+        mtime: x.mtime
+      }))
+
+    xstats.forEach(x => x.type === 'file' && this.indexHash(this.records.get(x.uuid)))
+
+    this.dirs.set(dir.uuid, next)
+    debug('update', dir.name, xstats.length)
+  }
+
+  /**
+  Drop records of a directory
+  */
+  drop (dirUUID) {
+    let uuids = this.dirs.get(dirUUID)
+    if (!uuids) return
+    uuids.forEach(uuid => {
+      let record = this.records.get(uuid)
+      if (!record || record.dir !== dirUUID) return
+      this.unindexHash(record)
+      this.records.delete(uuid)
+    })
+    this.dirs.delete(dirUUID)
+    debug('drop', dirUUID, uuids.size)
+  }
+
+  /**
+  Returns all records passing the predicate
+
+  @param {function} pred - `record => boolean`
+  @returns {Record[]}
+  */
+  filter (pred) {
+    let arr = []
+    this.records.forEach(record => pred(record) && arr.push(record))
+    return arr
+  }
+
+  /**
+  Returns file records with the given fingerprint
+
+  @param {string} hash
+  @returns {Record[]}
+  */
+  findByHash (hash) {
+    let uuids = this.hashes.get(hash)
+    if (!uuids) return []
+    return Array.from(uuids)
+      .map(uuid => this.records.get(uuid))
+      .filter(record => record && record.hash === hash)
+  }
+
+  destroy () {
+    this.forest.removeListener('DirEntriesUpdated', this.onDirEntriesUpdated)
+    this.forest.removeListener('DirUnindexed', this.onDirUnindexed)
+    this.forest.removeListener('FileEnterHashed', this.onFileEnterHashed)
+  }
+}
+
+module.exports = SearchIndex
@@ -0,0 +1,215 @@
+const Promise = require('bluebird')
+const path = require('path')
+const fs = Promise.promisifyAll(require('fs'))
+const UUID = require('uuid')
+const mkdirp = require('mkdirp')
+const mkdirpAsync = Promise.promisify(mkdirp)
+const deepFreeze = require('deep-freeze')
+
+const E = require('../lib/error')
+const { saveObjectAsync } = require('../lib/utils')
+const { btrfsSnapshot, btrfsSubvolumeDelete } = require('../lib/btrfs')
+const btrfsSnapshotAsync = Promise.promisify(btrfsSnapshot)
+const btrfsSubvolumeDeleteAsync = Promise.promisify(btrfsSubvolumeDelete)
+
+const Debug = require('debug')
+const debug = Debug('snapshots')
+
+// 24 hours
+const DEFAULT_INTERVAL = 24 * 3600 * 1000
+
+// keep 7 scheduled snapshots per drive
+const DEFAULT_KEEP = 7
+
+// 1 hour
+const SCHEDULE_INTERVAL = 3600 * 1000
+
+/**
+Snapshots keeps read-only btrfs snapshots of drive subvolumes.
+
+Each drive directory (`drives/<driveUUID>`) is a btrfs subvolume (see `VFS.createDriveDirAsync`).
+A snapshot is taken by `btrfs subvolume snapshot -r` into `snapshots/<driveUUID>/<snapshotUUID>`,
+which shares all extents with the drive, and keeps the xattr of all files and directories.
+
+Snapshot records are saved in `snapshots.json`.
+
+```
+Snapshot {
+  uuid,       // snapshot uuid, also the snapshot directory name
+  drive,      // drive uuid
+  tag,        // 'scheduled', 'manual' or 'backup' (see backupapi)
+  ctime       // timestamp when the snapshot is taken
+}
+```
+
+A scheduled snapshot is taken for each drive if its latest scheduled one is older than
+`interval`. Only the latest `keep` scheduled snapshots are kept. Manual snapshots are
+never pruned automatically. Backup snapshots are managed by backup jobs.
+
+@module Snapshots
+*/
+class Snapshots {
+
+  /**
+  @param {string} froot - fruitmix root
+  @param {object} driveList - VFS instance, providing drives and drive directories
+  @param {object} [opts]
+  @param {number} [opts.interval] - scheduled snapshot interval in milliseconds, defaults to 24 hours
+  @param {number} [opts.keep] - number of scheduled snapshots kept for each drive, defaults to 7
+  */
+  constructor (froot, driveList, opts = {}) {
+    this.filePath = path.join(froot, 'snapshots.json')
+    this.dir = path.join(froot, 'snapshots')
+    this.tmpDir = path.join(froot, 'tmp')
+    this.driveList = driveList
+    this.interval = opts.interval || DEFAULT_INTERVAL
+    this.keep = opts.keep || DEFAULT_KEEP
+
+    mkdirp.sync(this.dir)
+
+    try {
+      this.snapshots = JSON.parse(fs.readFileSync(this.filePath))
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e
+      this.snapshots = []
+    }
+
+    deepFreeze(this.snapshots)
+
+    /**
+    @member {boolean} lock - internal file operation lock
+    */
+    this.lock = false
+    this.last = Promise.resolve()
+
+    this.timer = setInterval(() => this.scheduleAsync()
+      .then(() => {})
+      .catch(e => debug('snapshot schedule error', e)), SCHEDULE_INTERVAL)
+    this.timer.unref()
+  }
+
+  /**
+  Save snapshots to file. This operation use opportunistic lock.
+  */
+  async commitSnapshotsAsync (currSnapshots, nextSnapshots) {
+    if (currSnapshots !== this.snapshots) throw new E.ECOMMITFAIL()
+    if (this.lock === true) throw new E.ECOMMITFAIL()
+
+    this.lock = true
+    try {
+      await saveObjectAsync(this.filePath, this.tmpDir, nextSnapshots)
+      this.snapshots = nextSnapshots
+      deepFreeze(this.snapshots)
+    } finally {
+      this.lock = false
+    }
+  }
+
+  serialize (f) {
+    let p = this.last.then(() => f())
+    this.last = p.then(() => {}, () => {})
+    return p
+  }
+
+  /**
+  Returns the absolute path of a snapshot
+  */
+  snapshotPath (snapshot) {
+    return path.join(this.dir, snapshot.drive, snapshot.uuid)
+  }
+
+  findSnapshot (snapshotUUID) {
+    return this.snapshots.find(x => x.uuid === snapshotUUID)
+  }
+
+  /**
+  Returns all snapshots of given drive, latest first
+  */
+  getSnapshots (driveUUID) {
+    return this.snapshots
+      .filter(x => x.drive === driveUUID)
+      .sort((a, b) => b.ctime - a.ctime)
+  }
+
+  /**
+  Take a read-only snapshot of drive
+
+  @param {string} driveUUID
+  @param {string} [tag] - 'scheduled', 'manual' or 'backup', defaults to 'manual'
+  @returns {Snapshot}
+  */
+  async createSnapshotAsync (driveUUID, tag = 'manual') {
+    return this.serialize(async () => {
+      let root = this.driveList.roots.get(driveUUID)
+      if (!root) throw new E.ENOENT('drive not found')
+
+      let snapshot = {
+        uuid: UUID.v4(),
+        drive: driveUUID,
+        tag,
+        ctime: new Date().getTime()
+      }
+
+      let target = this.snapshotPath(snapshot)
+      await mkdirpAsync(path.dirname(target))
+      await btrfsSnapshotAsync(root.abspath(), target)
+      try {
+        await this.commitSnapshotsAsync(this.snapshots, [...this.snapshots, snapshot])
+      } catch (e) {
+        await btrfsSubvolumeDeleteAsync(target).catch(() => {})
+        throw e
+      }
+
+      debug('create', snapshot)
+      return snapshot
+    })
+  }
+
+  /**
+  Delete snapshots
+
+  @param {string[]} snapshotUUIDs
+  */
+  async deleteSnapshotsAsync (snapshotUUIDs) {
+    return this.serialize(async () => {
+      let deleted = this.snapshots.filter(x => snapshotUUIDs.includes(x.uuid))
+      if (deleted.length === 0) return
+
+      await this.commitSnapshotsAsync(this.snapshots, this.snapshots.filter(x => !deleted.includes(x)))
+      await Promise.mapSeries(deleted, x => btrfsSubvolumeDeleteAsync(this.snapshotPath(x))
+        .catch(e => debug('failed to delete snapshot', x.uuid, e.message)))
+
+      debug('delete', deleted.map(x => x.uuid))
+    })
+  }
+
+  /**
+  Take scheduled snapshots for drives if due, and prune old scheduled snapshots
+  */
+  async scheduleAsync (now = new Date().getTime()) {
+    let drives = this.driveList.drives.filter(drv => this.driveList.roots.has(drv.uuid))
+    for (let drive of drives) {
+      let scheduled = this.getSnapshots(drive.uuid).filter(x => x.tag === 'scheduled')
+      if (scheduled.length && now - scheduled[0].ctime < this.interval) continue
+      try {
+        await this.createSnapshotAsync(drive.uuid, 'scheduled')
+      } catch (e) {
+        debug('failed to create scheduled snapshot for drive', drive.uuid, e.message)
+      }
+    }
+
+    let pruned = []
+    drives.forEach(drive => {
+      let scheduled = this.getSnapshots(drive.uuid).filter(x => x.tag === 'scheduled')
+      pruned.push(...scheduled.slice(this.keep).map(x => x.uuid))
+    })
+    await this.deleteSnapshotsAsync(pruned)
+  }
+
+  destroy () {
+    clearInterval(this.timer)
+  }
+
+}
+
+module.exports = Snapshots
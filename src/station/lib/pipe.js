@@ -19,6 +19,7 @@ const btrfs = require('../../lib/btrfs')
 const requestAsync = require('./request').requestHelperAsync
 const broadcast = require('../../common/broadcast')
 const Fingerprint = require('../../lib/fingerprint2')
+const { etagOf, evaluate, prepareBody, pipeBody } = require('../../lib/range')
 // const boxData = require('../../box/boxData')
 
 const getFruit = require('../../fruitmix')
@@ -31,6 +32,14 @@ const Transform = stream.Transform
 Promise.promisifyAll(fs)
 
 
+// conditional and range headers are relayed in body, as pipe message has no headers
+const rangeHeaders = body => ({
+  'range': body.range,
+  'if-match': body.ifMatch,
+  'if-none-match': body.ifNoneMatch,
+  'if-range': body.ifRange
+})
+
 let asCallback = (fn) => {
   return (props, callback) => {
     fn(props)
@@ -372,7 +381,9 @@ class Pipe {
     let { serverAddr, sessionId, user } = data
     let fruit = getFruit()
     if (!fruit) return await this.errorResponseAsync(serverAddr, sessionId, new Error('fruitmix not start'))
-    let token = fruit.getToken(user)
+    // one session per user via this station, the former one is replaced on each token request
+    let device = { id: `cloud-${this.stationId}`, name: 'cloud', type: 'cloud' }
+    let token = await fruit.createTokenAsync(user, { device, via: 'cloud' })
     return await this.successResponseJsonAsync(serverAddr, sessionId, token)
   }
   /***********************************Dirves**************************/
@@ -421,7 +432,21 @@ class Pipe {
   }
 
   async deleteDriveAsync(data) {
-    // not implemented yet
+    let { serverAddr, sessionId, user, paths } = data
+    let fruit = getFruit()
+
+    if (!fruit) return await this.errorResponseAsync(serverAddr, sessionId, new Error('fruitmix not start'))
+    if (paths.length !== 2 || !isUUID(paths[1])) return await this.errorResponseAsync(serverAddr, sessionId, new Error('resource error'))
+    let driveUUID = paths[1]
+
+    let asyncDeleteDrive = Promise.promisify(fruit.deleteDrive).bind(fruit)
+    let drive
+    try {
+      drive = await asyncDeleteDrive(user, driveUUID)
+    } catch (e) {
+      return await this.errorResponseAsync(serverAddr, sessionId, e)
+    }
+    return await this.successResponseJsonAsync(serverAddr, sessionId, drive)
   }
 
   //fetch
@@ -589,7 +614,7 @@ class Pipe {
     let fruit = getFruit()
     if (!fruit) return await this.errorStoreResponseAsync(serverAddr, sessionId, new Error('fruitmix not start'))
     data.subType = 'WriteDirNewFile'
-    let store = new StoreFile(this.tmp, body.size, body.sha256)
+    let store = new StoreFile(fruit.getTmpDir(body.driveUUID), body.size, body.sha256)
     let fpath = await store.storeFileAsync(serverAddr, sessionId, this.stationId, this.token)
     let asyncNewFile = Promise.promisify(fruit.createNewFile).bind(fruit)
     let xstat = await asyncNewFile(user, body.driveUUID, body.dirUUID, body.toName, fpath, body.sha256, body.overwrite)
@@ -623,9 +648,9 @@ class Pipe {
     let dirUUID = paths[3]
     let entryUUID = paths[5]
     let name = body.name
-    let dirPath = fruit.getDriveDirPath(user, driveUUID, dirUUID)
-    let filePath = path.join(dirPath, name)
-    return await this.fetchFileResponseAsync(filePath, serverAddr, sessionId)
+    let file = await Promise.promisify(fruit.getDriveFile).bind(fruit)(user, driveUUID, dirUUID, entryUUID, name)
+    let opts = { fingerprint: file.hash, headers: rangeHeaders(body) }
+    return await this.fetchFileResponseAsync(file.path, serverAddr, sessionId, opts)
   }
 
   /****************************************Media Api**************************************/
@@ -675,7 +700,8 @@ class Pipe {
           return await this.errorFetchResponseAsync(serverAddr, sessionId, new Error('media not found'))
         file = files[0]
       }
-      return await this.fetchFileResponseAsync(file, serverAddr, sessionId)
+      let opts = { fingerprint, headers: rangeHeaders(body) }
+      return await this.fetchFileResponseAsync(file, serverAddr, sessionId, opts)
     }
     else if (body.alt === 'thumbnail') {
       data.subType = 'GetMediaThumbnail'
@@ -1264,12 +1290,19 @@ class Pipe {
    * @param {*} fpath -local file path
    * @param {*} cloudAddr 
    * @param {*} sessionId -cloud session id
+   * @param {object} [opts]
+   * @param {string} [opts.fingerprint] - file hash, used as strong etag
+   * @param {object} [opts.headers] - conditional and range headers, see range module
    * @param {*} callback 
    */
-  fetchFileResponse(fpath, cloudAddr, sessionId, callback) {
+  fetchFileResponse(fpath, cloudAddr, sessionId, opts, callback) {
+    if (typeof opts === 'function') {
+      callback = opts
+      opts = {}
+    }
+    opts = opts || {}
+
     let finished = false
-    let url = cloudAddr + '/s/v1/stations/' + this.stationId + '/response/' + sessionId
-    let rs = fs.createReadStream(fpath)
     let addr = cloudAddr.split(':')
     let options = {
       hostname: addr[0],
@@ -1296,26 +1329,51 @@ class Pipe {
 
     if (addr.length === 2) options.port = addr[1]
 
-    let req = http.request(options, res => {
-      res.setEncoding('utf8')
-      res.on('error', error)
-      res.on('end', finish);
-    })
+    fs.stat(fpath, (err, stat) => {
+      if (err) return error(err)
+
+      let etag = etagOf(opts.fingerprint)
+      let { status, ranges } = evaluate(opts.headers || {}, stat.size, etag)
+      if (status === 304 || status === 412 || status === 416) {
+        let e = Object.assign(new Error(`download failed with status ${status}`), { status })
+        return this.errorFetchResponseAsync(cloudAddr, sessionId, e)
+          .then(() => finish())
+          .catch(error)
+      }
+
+      // status, etag and range headers are relayed to client by cloud
+      let { headers, body } = prepareBody(status, ranges, stat.size, 'application/octet-stream')
+      Object.assign(options.headers, headers, { 'X-Status': status, 'Accept-Ranges': 'bytes' })
+      if (etag) options.headers['ETag'] = etag
 
-    req.on('error', error)
+      let req = http.request(options, res => {
+        res.setEncoding('utf8')
+        res.on('error', error)
+        res.on('end', finish);
+      })
 
-    req.on('abort', error)
+      req.on('error', error)
 
-    rs.pipe(req)
+      req.on('abort', error)
+
+      pipeBody(fpath, body, req, err => {
+        if (err) {
+          req.abort()
+          error(err)
+        }
+      })
+    })
   }
 
-  async fetchFileResponseAsync(fpath, cloudAddr, sessionId) {
-    return Promise.promisify(this.fetchFileResponse).bind(this)(fpath, cloudAddr, sessionId)
+  async fetchFileResponseAsync(fpath, cloudAddr, sessionId, opts) {
+    return Promise.promisify(this.fetchFileResponse).bind(this)(fpath, cloudAddr, sessionId, opts || {})
   }
 
   async errorFetchResponseAsync(cloudAddr, sessionId, err) {
     let url = cloudAddr + '/s/v1/stations/' + this.stationId + '/response/' + sessionId + '/pipe/fetch'
-    let error = { code: 400, message: err.message }
+    // conditional and range failures keep their status, see fetchFileResponse
+    let code = [304, 412, 416].includes(err.status) ? err.status : 400
+    let error = { code, message: err.message }
     let params = { error }
     debug('pipe handle error', params)
     await requestAsync('POST', url, { params }, { 'Authorization': this.token })
@@ -10,6 +10,7 @@ const deepFreeze = require('deep-freeze')
 
 const Synchronized = require('../common/synchronized')
 const broadcast = require('../common/broadcast')
+const { createUdevMonitor } = require('../system/diskmon')
 
 const probePortsAsync = require('./probePortsAsync')
 const probeBlocksAsync = require('./probeBlocksAsync')
@@ -622,6 +623,13 @@ const singleton = new class extends Synchronized {
   finish (err, data) {
     super.finish(err, data)
     broadcast.emit('StorageUpdate', err, data)
+
+    // re-probe when block devices are added or removed, such as usb disks,
+    // StorageUpdate is broadcast and fruitmix updates native drives
+    if (!err && !this.udevmon) {
+      this.udevmon = createUdevMonitor()
+      this.udevmon.on('events', () => this.request())
+    }
   }
 
   run () {
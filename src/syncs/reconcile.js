@@ -0,0 +1,200 @@
+const path = require('path')
+
+/**
+Three-way reconciliation of a native directory tree and a drive directory tree against the
+baseline recorded by the last run.
+
+Trees are Maps of relative path (`/` separated, no leading slash) to entry:
+
+```
+native: { type, size, mtime }
+drive: { type, uuid, size, mtime, hash }
+baseline: { type, native: { size, mtime }, drive: { uuid, size, mtime } }
+```
+
+On each side, an entry is `created`, `deleted`, `modified` (type, size or mtime changed, or uuid
+changed on drive side) or `none`. A directory is `modified` if anything under it changed.
+
+If only one side changed, the change is applied to the other side. If both changed, it is a
+conflict resolved by policy:
+
++ `newer`, the newer entry wins, a modification always wins over a deletion
++ `native`, native side wins
++ `drive`, drive side wins
++ `keep-both`, native file is renamed with a conflict suffix and both are kept, otherwise as `newer`
+
+If a deleted directory is recreated because the other side wins, the whole subtree follows the
+winning side.
+
+@module reconcile
+*/
+
+const POLICIES = ['newer', 'native', 'drive', 'keep-both']
+
+const isUnder = (p, dir) => p.startsWith(dir + '/')
+
+const parentOf = p => {
+  let i = p.lastIndexOf('/')
+  return i === -1 ? '' : p.slice(0, i)
+}
+
+// change of an entry on one side, files only, directories are done later
+const change = (base, curr, isDrive) => {
+  if (!base && !curr) return 'none'
+  if (!base) return 'created'
+  if (!curr) return 'deleted'
+  if (base.type !== curr.type) return 'modified'
+  if (curr.type === 'directory') return 'none'
+  if (base.size !== curr.size || base.mtime !== curr.mtime) return 'modified'
+  if (isDrive && base.uuid !== curr.uuid) return 'modified'
+  return 'none'
+}
+
+/**
+Returns a name with conflict suffix which is not used in either tree, eg. `a (conflict 2017-12-01).txt`
+*/
+const conflictPath = (p, time, native, drive) => {
+  let ext = path.extname(p)
+  let base = p.slice(0, p.length - ext.length)
+  let date = new Date(time).toISOString().slice(0, 10)
+  for (let i = 1; ; i++) {
+    let candidate = `${base} (conflict ${date}${i > 1 ? ' ' + i : ''})${ext}`
+    if (!native.has(candidate) && !drive.has(candidate)) return candidate
+  }
+}
+
+/**
+Returns actions and conflicts
+
+```
+Action {
+  op,         // import, export, mkdir-drive, mkdir-native, delete-drive, delete-native, rename-native
+  path,
+  to          // rename-native only
+}
+```
+
+@param {Map} native
+@param {Map} drive
+@param {Map} baseline
+@param {string} policy
+@param {number} [now] - timestamp for conflict names
+@returns {object} `{ actions, conflicts }`
+*/
+const reconcile = (native, drive, baseline, policy, now = new Date().getTime()) => {
+  let paths = Array.from(new Set([...native.keys(), ...drive.keys(), ...baseline.keys()])).sort()
+
+  let changes = new Map()
+  let dirty = { native: new Set(), drive: new Set() }
+  paths.forEach(p => {
+    let b = baseline.get(p)
+    let n = change(b && Object.assign({ type: b.type }, b.native), native.get(p), false)
+    let d = change(b && Object.assign({ type: b.type }, b.drive), drive.get(p), true)
+    changes.set(p, { n, d })
+    for (let q = parentOf(p); q; q = parentOf(q)) {
+      if (n !== 'none') dirty.native.add(q)
+      if (d !== 'none') dirty.drive.add(q)
+    }
+  })
+
+  // directories with changes under them are modified
+  changes.forEach((c, p) => {
+    if (c.n === 'none' && native.has(p) && dirty.native.has(p)) c.n = 'modified'
+    if (c.d === 'none' && drive.has(p) && dirty.drive.has(p)) c.d = 'modified'
+  })
+
+  let actions = []
+  let conflicts = []
+  let skipped = []      // deleted subtrees
+  let forced = []       // [prefix, side], subtrees following one side
+
+  // apply native side to drive side
+  const toDrive = p => {
+    let N = native.get(p)
+    let D = drive.get(p)
+    if (!N) {
+      if (D) {
+        actions.push({ op: 'delete-drive', path: p })
+        if (D.type === 'directory') skipped.push(p)
+      }
+    } else if (N.type === 'directory') {
+      if (D && D.type !== 'directory') actions.push({ op: 'delete-drive', path: p })
+      if (!D || D.type !== 'directory') actions.push({ op: 'mkdir-drive', path: p })
+    } else {
+      if (D && D.type === 'directory') {
+        actions.push({ op: 'delete-drive', path: p })
+        skipped.push(p)
+      }
+      actions.push({ op: 'import', path: p })
+    }
+  }
+
+  // apply drive side to native side
+  const toNative = p => {
+    let N = native.get(p)
+    let D = drive.get(p)
+    if (!D) {
+      if (N) {
+        actions.push({ op: 'delete-native', path: p })
+        if (N.type === 'directory') skipped.push(p)
+      }
+    } else if (D.type === 'directory') {
+      if (N && N.type !== 'directory') actions.push({ op: 'delete-native', path: p })
+      if (!N || N.type !== 'directory') actions.push({ op: 'mkdir-native', path: p })
+    } else {
+      if (N && N.type === 'directory') {
+        actions.push({ op: 'delete-native', path: p })
+        skipped.push(p)
+      }
+      actions.push({ op: 'export', path: p })
+    }
+  }
+
+  const apply = (p, side) => side === 'native' ? toDrive(p) : toNative(p)
+
+  paths.forEach(p => {
+    if (skipped.some(s => isUnder(p, s))) return
+
+    let { n, d } = changes.get(p)
+    let N = native.get(p)
+    let D = drive.get(p)
+
+    let force = forced.find(([prefix]) => isUnder(p, prefix))
+    if (force) return apply(p, force[1])
+
+    if (n === 'none' && d === 'none') return
+    if (d === 'none') return toDrive(p)
+    if (n === 'none') return toNative(p)
+
+    // both changed
+    if (!N && !D) return
+    if (N && D && N.type === 'directory' && D.type === 'directory') return
+
+    let winner
+    if (policy === 'native' || policy === 'drive') {
+      winner = policy
+    } else if (!N || !D) {
+      winner = N ? 'native' : 'drive'
+    } else if (policy === 'keep-both' && N.type === 'file' && D.type === 'file') {
+      let to = conflictPath(p, now, native, drive)
+      actions.push({ op: 'rename-native', path: p, to })
+      actions.push({ op: 'import', path: to })
+      actions.push({ op: 'export', path: p })
+      conflicts.push({ path: p, native: n, drive: d, resolution: 'both', renamed: to })
+      return
+    } else {
+      winner = N.mtime > D.mtime ? 'native' : 'drive'
+    }
+
+    conflicts.push({ path: p, native: n, drive: d, resolution: winner })
+    apply(p, winner)
+
+    // a directory recreated or replacing a file, its subtree follows the winner
+    let W = winner === 'native' ? N : D
+    if (W && W.type === 'directory') forced.push([p, winner])
+  })
+
+  return { actions, conflicts }
+}
+
+module.exports = { reconcile, POLICIES }
@@ -0,0 +1,205 @@
+const Promise = require('bluebird')
+const path = require('path')
+const fs = Promise.promisifyAll(require('fs'))
+const UUID = require('uuid')
+const mkdirp = require('mkdirp')
+const rimraf = require('rimraf')
+const deepFreeze = require('deep-freeze')
+
+const E = require('../lib/error')
+const { saveObjectAsync } = require('../lib/utils')
+
+const Debug = require('debug')
+const debug = Debug('syncs')
+
+// runs kept in history of each job
+const HISTORY_SIZE = 20
+
+/**
+Syncs keeps two-way sync jobs between native drive directories and drive directories.
+
+Jobs are saved in `syncs.json`. A native drive is identified by its file system uuid, which does
+not change when the disk is re-attached to another port.
+
+```
+SyncJob {
+  uuid,
+  user,       // owner, runs as this user
+  name,
+  ndrive,     // file system uuid of native drive
+  path,       // relative path on native drive, '' for the root
+  drive,      // drive uuid
+  dir,        // directory uuid
+  policy,     // conflict policy, see reconcile
+  enabled,    // runs automatically when native drive is attached
+  ctime
+}
+```
+
+The state of each job is saved in `syncs/<uuid>.json`, including the baseline, that is, entries
+in both trees at the end of last run (see reconcile), and the history of recent runs.
+
+```
+Run {
+  trigger,    // 'attach' or 'manual'
+  start,
+  end,
+  status,     // 'success', 'partial' (some actions failed) or 'failed'
+  error,      // failed only, message
+  imported,   // files copied to drive
+  exported,   // files copied to native drive
+  deleted,    // entries deleted on either side
+  conflicts,  // [{ path, native, drive, resolution, renamed }]
+  errors      // [{ op, path, message }]
+}
+```
+
+@module Syncs
+*/
+class Syncs {
+
+  /**
+  @param {string} froot - fruitmix root
+  */
+  constructor (froot) {
+    this.filePath = path.join(froot, 'syncs.json')
+    this.dir = path.join(froot, 'syncs')
+    this.tmpDir = path.join(froot, 'tmp')
+
+    mkdirp.sync(this.dir)
+
+    try {
+      this.jobs = JSON.parse(fs.readFileSync(this.filePath))
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e
+      this.jobs = []
+    }
+
+    deepFreeze(this.jobs)
+
+    /**
+    @member {boolean} lock - internal file operation lock
+    */
+    this.lock = false
+    this.last = Promise.resolve()
+
+    /**
+    uuids of running jobs
+    */
+    this.running = new Set()
+  }
+
+  /**
+  Save jobs to file. This operation use opportunistic lock.
+  */
+  async commitJobsAsync (currJobs, nextJobs) {
+    if (currJobs !== this.jobs) throw new E.ECOMMITFAIL()
+    if (this.lock === true) throw new E.ECOMMITFAIL()
+
+    this.lock = true
+    try {
+      await saveObjectAsync(this.filePath, this.tmpDir, nextJobs)
+      this.jobs = nextJobs
+      deepFreeze(this.jobs)
+    } finally {
+      this.lock = false
+    }
+  }
+
+  serialize (f) {
+    let p = this.last.then(() => f())
+    this.last = p.then(() => {}, () => {})
+    return p
+  }
+
+  findJob (jobUUID) {
+    return this.jobs.find(x => x.uuid === jobUUID)
+  }
+
+  statePath (jobUUID) {
+    return path.join(this.dir, `${jobUUID}.json`)
+  }
+
+  /**
+  Create a job
+
+  @param {object} props - job props except uuid and ctime
+  @returns {SyncJob}
+  */
+  async createAsync (props) {
+    return this.serialize(async () => {
+      let job = Object.assign({ uuid: UUID.v4() }, props, { ctime: new Date().getTime() })
+      await this.commitJobsAsync(this.jobs, [...this.jobs, job])
+      debug('create', job)
+      return job
+    })
+  }
+
+  /**
+  Update a job
+
+  @param {string} jobUUID
+  @param {object} props - name, policy or enabled
+  */
+  async updateAsync (jobUUID, props) {
+    return this.serialize(async () => {
+      let index = this.jobs.findIndex(x => x.uuid === jobUUID)
+      if (index === -1) throw new E.ENOENT('job not found')
+      let job = Object.assign({}, this.jobs[index], props)
+      await this.commitJobsAsync(this.jobs, [...this.jobs.slice(0, index), job, ...this.jobs.slice(index + 1)])
+      return job
+    })
+  }
+
+  /**
+  Delete a job and its state
+  */
+  async deleteAsync (jobUUID) {
+    return this.serialize(async () => {
+      if (!this.findJob(jobUUID)) return
+      await this.commitJobsAsync(this.jobs, this.jobs.filter(x => x.uuid !== jobUUID))
+      await Promise.promisify(rimraf)(this.statePath(jobUUID))
+      debug('delete', jobUUID)
+    })
+  }
+
+  /**
+  Load job state, returns `{ baseline, history }`, baseline is a Map
+  */
+  async loadStateAsync (jobUUID) {
+    try {
+      let state = JSON.parse(await fs.readFileAsync(this.statePath(jobUUID)))
+      return { baseline: new Map(state.baseline), history: state.history }
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e
+      return { baseline: new Map(), history: [] }
+    }
+  }
+
+  /**
+  Save job state. The run is appended to history. If baseline is not provided (run failed),
+  the old one is kept.
+
+  @param {string} jobUUID
+  @param {Run} run
+  @param {Map} [baseline]
+  */
+  async saveStateAsync (jobUUID, run, baseline) {
+    let state = await this.loadStateAsync(jobUUID)
+    let history = [...state.history, run].slice(-HISTORY_SIZE)
+    await saveObjectAsync(this.statePath(jobUUID), this.tmpDir, {
+      baseline: Array.from((baseline || state.baseline).entries()),
+      history
+    })
+  }
+
+  /**
+  Returns runs of a job, latest first
+  */
+  async getHistoryAsync (jobUUID) {
+    let { history } = await this.loadStateAsync(jobUUID)
+    return history.slice().reverse()
+  }
+}
+
+module.exports = Syncs
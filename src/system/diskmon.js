@@ -2,6 +2,8 @@ const child = require('child_process')
 const EventEmitter = require('events')
 const readline = require('readline')
 
+const debug = require('debug')('diskmon')
+
 class UdevMonitor extends EventEmitter {
   constructor (rl) {
     super()
@@ -37,28 +39,24 @@ class UdevMonitor extends EventEmitter {
     })
 
     rl.on('close', () => {
-      console.log('unexpected close of udev monitor')
+      debug('unexpected close of udev monitor')
     })
   }
 }
 
+/**
+Spawn `udevadm monitor` and returns the monitor. Block device `add` and `remove` events are
+emitted as `events`, debounced. Nothing is spawned until this function is called, storage
+starts the monitor after the first probe, and re-probes on these events.
+*/
 const createUdevMonitor = () => {
   const spawn = child.spawn('stdbuf', ['-oL', 'udevadm', 'monitor', '--udev', '-s', 'block'])
+  spawn.on('error', err => debug('udev monitor error', err.message))
   const rl = readline.createInterface({ input: spawn.stdout })
 
-  return new UdevMonitor(rl)
+  const udevmon = new UdevMonitor(rl)
+  udevmon.on('events', events => debug('udev events', events))
+  return udevmon
 }
 
-const udevmon = createUdevMonitor()
-
-udevmon.on('events', events => {
-  console.log('udev events', events)
-
-  let add = false
-  let remove = false
-
-  events.forEach(evt => {
-    if (evt.action === 'add') add = true
-    if (evt.action === 'remove') remove = true
-  })
-})
+module.exports = { createUdevMonitor }
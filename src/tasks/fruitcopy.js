@@ -114,7 +114,7 @@ class CopyTask extends EventEmitter {
           this.pending.push({
             name: file.name,
             src: path.join(src, file.name),
-            tmp: path.join(ctx.getTmpDir(), UUID.v4()),
+            tmp: path.join(ctx.getTmpDir(dstdrv), UUID.v4()),
             dst: path.join(dst, file.name),
             xstat: file
           })
@@ -0,0 +1,150 @@
+const Promise = require('bluebird')
+const path = require('path')
+const fs = Promise.promisifyAll(require('fs'))
+const mkdirp = require('mkdirp')
+const rimraf = require('rimraf')
+
+const { saveObjectAsync } = require('../lib/utils')
+
+const rimrafAsync = Promise.promisify(rimraf)
+
+const Debug = require('debug')
+const debug = Debug('taskstore')
+
+/**
+TaskStore persists xcopy tasks, so they can be restored after restart.
+
+Each task is saved in `tasks/<uuid>.json` under fruitmix root.
+
+```
+TaskRecord {
+  uuid,
+  user,       // user uuid
+  type,       // copy, move, import or export
+  policies,
+  src,
+  dst,
+  entries,    // [{ uuid, name }], root entries
+  finished,   // paths of finished source entries, see xcopy
+  started,    // paths of created destination directories, see xcopy
+  paused,
+  bandwidth,  // bytes per second, 0 for unlimited
+  ctime
+}
+```
+
+Settings for all tasks are saved in `taskSettings.json`.
+
+```
+TaskSettings {
+  bandwidth,    // total bytes per second of all tasks, 0 for unlimited
+  concurrency   // max number of running tasks, 0 for unlimited
+}
+```
+
+Writes of the same task never overlap, and intermediate records are dropped if a write is
+still in progress.
+
+@module TaskStore
+*/
+class TaskStore {
+
+  /**
+  @param {string} froot - fruitmix root
+  */
+  constructor (froot) {
+    this.dir = path.join(froot, 'tasks')
+    this.tmpDir = path.join(froot, 'tmp')
+    this.settingsPath = path.join(froot, 'taskSettings.json')
+    mkdirp.sync(this.dir)
+
+    try {
+      this.settings = JSON.parse(fs.readFileSync(this.settingsPath))
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e
+      this.settings = { bandwidth: 0, concurrency: 0 }
+    }
+
+    /**
+    task uuid -> { record, removed }, pending write of a task being written
+    */
+    this.writing = new Map()
+  }
+
+  /**
+  Save settings
+  */
+  async saveSettingsAsync (settings) {
+    await saveObjectAsync(this.settingsPath, this.tmpDir, settings)
+    this.settings = settings
+  }
+
+  recordPath (uuid) {
+    return path.join(this.dir, `${uuid}.json`)
+  }
+
+  /**
+  Returns all records, broken ones are removed
+  */
+  async loadAllAsync () {
+    let names = await fs.readdirAsync(this.dir)
+    let records = []
+    for (let name of names.filter(x => x.endsWith('.json'))) {
+      try {
+        records.push(JSON.parse(await fs.readFileAsync(path.join(this.dir, name))))
+      } catch (e) {
+        debug('failed to load task', name, e.message)
+        await rimrafAsync(path.join(this.dir, name))
+      }
+    }
+    return records.sort((a, b) => a.ctime - b.ctime)
+  }
+
+  async flushAsync (uuid, w) {
+    this.writing.set(uuid, w)
+    while (w.record || w.removed) {
+      let { record, removed } = w
+      w.record = null
+      w.removed = false
+      try {
+        if (removed) {
+          await rimrafAsync(this.recordPath(uuid))
+        } else {
+          await saveObjectAsync(this.recordPath(uuid), this.tmpDir, record)
+        }
+      } catch (e) {
+        debug('failed to save task', uuid, e.message)
+      }
+    }
+    this.writing.delete(uuid)
+  }
+
+  /**
+  Save a record
+  */
+  save (record) {
+    let w = this.writing.get(record.uuid)
+    if (w) {
+      w.record = record
+      w.removed = false
+    } else {
+      this.flushAsync(record.uuid, { record, removed: false })
+    }
+  }
+
+  /**
+  Remove a record
+  */
+  remove (uuid) {
+    let w = this.writing.get(uuid)
+    if (w) {
+      w.record = null
+      w.removed = true
+    } else {
+      this.flushAsync(uuid, { record: null, removed: true })
+    }
+    debug('remove', uuid)
+  }
+}
+
+module.exports = TaskStore
@@ -142,6 +142,8 @@ class Read extends State {
   enter (xstats) {
     this.ctx.ctx.indexReadDir(this.ctx)
 
+    // entries finished before the task is restored
+    xstats = xstats.filter(x => !this.ctx.ctx.isFinished(this.ctx, x.name))
     this.dstats = xstats.filter(x => x.type === 'directory')
     this.fstats = xstats.filter(x => x.type === 'file')
     this.next()
@@ -283,7 +285,8 @@ class Dir extends Node {
 
   getPolicy () {
     return [
-      this.policy[0] || this.ctx.policies.dir[0] || null,
+      // merge into the directory created before the task is restored
+      this.policy[0] || this.ctx.policies.dir[0] || (this.ctx.isStarted(this) ? 'keep' : null),
       this.policy[1] || this.ctx.policies.dir[1] || null
     ]
   }
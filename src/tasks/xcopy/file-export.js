@@ -17,7 +17,8 @@ class Working extends File.prototype.Working {
       name: this.ctx.src.name
     }
 
-    this.ctx.ctx.clone(src, (err, tmpPath) => {
+    let task = this.ctx.ctx
+    task.clone(src, (err, tmpPath) => {
       if (err) {
         this.setState('Failed', err)
       } else {
@@ -35,7 +36,15 @@ class Working extends File.prototype.Working {
             if (fd) {
               this.rs = fs.createReadStream(tmpPath) 
               this.ws = fs.createWriteStream(null, { fd })
-              this.rs.pipe(this.ws)
+
+              // paused or rate limited, aborted if task is destroyed
+              let throttle = task.throttle()
+              throttle.on('error', () => {
+                this.rs.destroy()
+                this.ws.destroy()
+                rimraf(tmpPath, () => {})
+              })
+              this.rs.pipe(throttle).pipe(this.ws)
 
               this.ws.on('finish', () => {
                 rimraf(tmpPath, () => {})
@@ -10,14 +10,23 @@ class Working extends File.prototype.Working {
   enter () {
     super.enter()
 
-    let tmpPath = this.ctx.ctx.genTmpPath()  
+    let task = this.ctx.ctx
+    let tmpPath = task.genTmpPath()  
     fs.open(this.ctx.src.path, 'r', (err, fd) => {
       if (err) {
         // TODO
       } else {
         this.rs = fs.createReadStream(null, { fd })
         this.ws = fs.createWriteStream(tmpPath)
-        this.rs.pipe(this.ws)
+
+        // paused or rate limited, aborted if task is destroyed
+        let throttle = task.throttle()
+        throttle.on('error', () => {
+          this.rs.destroy()
+          this.ws.destroy()
+          rimraf(tmpPath, () => {})
+        })
+        this.rs.pipe(throttle).pipe(this.ws)
         this.ws.on('finish', () => {
        
           let tmp = { path: tmpPath }
@@ -5,6 +5,7 @@ const EventEmitter = require('events')
 const UUID = require('uuid')
 const debug = require('debug')('xcopy')
 
+const { Limiter, Throttle } = require('../../lib/throttle')
 const { Dir, DirCopy, DirMove, DirImport, DirExport } = require('./directory')
 const { File, FileCopy, FileMove, FileImport, FileExport } = require('./file')
 
@@ -24,11 +25,12 @@ Base class
 class Base extends EventEmitter {
 
   // if user is not provided, ctx is vfs, otherwise, it is fruitmix
-  constructor (ctx, user, policies, src, dst, entries) {
+  // opts is provided when the task is restored, see `xcopy`
+  constructor (ctx, user, policies, src, dst, entries, opts = {}) {
     super()
     this.ctx = ctx
     this.user = user
-    this.uuid = UUID.v4()
+    this.uuid = opts.uuid || UUID.v4()
     this.policies = policies || { dir: [], file: [] }
     this.src = src
     this.dst = dst
@@ -45,18 +47,101 @@ class Base extends EventEmitter {
     this.readDirs = new Set()
     this.conflictDirs = new Set()
     this.failedDirs = new Set()
+
+    /**
+    Progress, names of finished source entries grouped by the path of their parent directory
+    (relative to src dir, '' for root), and paths of directories which are created in dst but not
+    finished yet. A finished directory covers its descendants, so its own group is dropped.
+    */
+    this.resumed = !!opts.finished
+    this.finished = new Map()
+    this.started = new Set(opts.started)
+    ;(opts.finished || []).forEach(p => {
+      let i = p.lastIndexOf('/')
+      this.addFinished(i === -1 ? '' : p.slice(0, i), p.slice(i + 1))
+    })
+
+    // paused task starts no sub-task, and data streams of working files are held
+    this.paused = !!opts.paused
+    this.resumeWaiters = []
+
+    // bytes per second of data streams, 0 for unlimited
+    this.bandwidth = opts.bandwidth || 0
+    this.limiter = new Limiter(this.bandwidth)
   }
 
   destroy () {
+    this.destroyed = true
+    let waiters = this.resumeWaiters
+    this.resumeWaiters = []
+    waiters.forEach(f => f(new Error('task destroyed')))
     this.root.destroy()
   }
 
-  // not implemented TODO
   pause () {
-  } 
+    if (this.paused) return
+    this.paused = true
+    this.emit('progress')
+  }
 
-  // not implemented TODO
   resume () {
+    if (!this.paused) return
+    this.paused = false
+    let waiters = this.resumeWaiters
+    this.resumeWaiters = []
+    waiters.forEach(f => f())
+    this.reqSched()
+    this.emit('progress')
+  }
+
+  /**
+  Set bandwidth limit, in bytes per second, 0 for unlimited
+  */
+  setBandwidth (bandwidth) {
+    this.bandwidth = bandwidth || 0
+    this.limiter.setRate(this.bandwidth)
+    this.emit('progress')
+  }
+
+  /**
+  Call back when task is not paused, or with an error if task is destroyed
+  */
+  waitResume (callback) {
+    if (this.destroyed) {
+      process.nextTick(() => callback(new Error('task destroyed')))
+    } else if (this.paused) {
+      this.resumeWaiters.push(callback)
+    } else {
+      process.nextTick(() => callback())
+    }
+  }
+
+  /**
+  Returns a pass-through stream for file data, which holds data when task is paused, and
+  limits the rate by task bandwidth and the global one of fruitmix (`ctx.taskLimiter`).
+  */
+  throttle () {
+    let gates = [(n, callback) => this.limiter.take(n, callback)]
+    if (this.ctx.taskLimiter) gates.push((n, callback) => this.ctx.taskLimiter.take(n, callback))
+    // checked last, data is never pushed after pause or destroy
+    gates.push((n, callback) => this.waitResume(callback))
+    return new Throttle(gates)
+  }
+
+  /**
+  Returns true if there are sub-tasks to run or running
+  */
+  hasWork () {
+    return this.pendingFiles.size + this.workingFiles.size +
+      this.pendingDirs.size + this.workingDirs.size + this.readingDirs.size > 0
+  }
+
+  /**
+  Returns true if new sub-tasks can be started. Fruitmix may limit the number of running tasks.
+  */
+  isRunnable () {
+    if (this.paused || this.destroyed) return false
+    return typeof this.ctx.isTaskAdmitted === 'function' ? this.ctx.isTaskAdmitted(this) : true
   }
 
   //////////////////////////////////////////////////////////////////////////////
@@ -99,6 +184,7 @@ class Base extends EventEmitter {
 
   indexFinishedFile (file) {
     debug(`${this.formatFile(file)} enter finished`) 
+    this.finishNode(file)
   }
 
   unindexFinishedFile (file) {
@@ -150,6 +236,11 @@ class Base extends EventEmitter {
   indexReadingDir (dir) {
     debug(`${this.formatDir(dir)} enter reading (src)`)
     this.readingDirs.add(dir)
+    let p = dir.parent && this.nodePath(dir)
+    if (p && !this.started.has(p)) {
+      this.started.add(p)
+      this.emit('progress')
+    }
   }
 
   unindexReadingDir (dir) {
@@ -170,6 +261,7 @@ class Base extends EventEmitter {
 
   indexFinishedDir (dir) {
     debug(`${this.formatDir(dir)} enter finished`)
+    this.finishNode(dir)
   }
 
   unindexFinishedDir (dir) {
@@ -196,6 +288,74 @@ class Base extends EventEmitter {
     this.failedDirs.delete(dir) 
   }
 
+  //////////////////////////////////////////////////////////////////////////////
+  //
+  // progress
+  //
+  //////////////////////////////////////////////////////////////////////////////
+
+  /**
+  Returns the path of a node relative to task root, '' for root
+  */
+  nodePath (node) {
+    let names = []
+    for (let n = node; n.parent; n = n.parent) names.unshift(n.src.name)
+    return names.join('/')
+  }
+
+  /**
+  Returns true if the source entry with given name in directory is finished in a previous run
+  */
+  isFinished (dir, name) {
+    let names = this.finished.get(this.nodePath(dir))
+    return !!names && names.has(name)
+  }
+
+  addFinished (dirPath, name) {
+    let names = this.finished.get(dirPath)
+    if (!names) this.finished.set(dirPath, names = new Set())
+    names.add(name)
+  }
+
+  /**
+  Returns paths of finished source entries, for persistence
+  */
+  finishedPaths () {
+    let paths = []
+    this.finished.forEach((names, dirPath) =>
+      names.forEach(name => paths.push(dirPath ? `${dirPath}/${name}` : name)))
+    return paths
+  }
+
+  /**
+  Returns true if the destination of directory is created in a previous run
+  */
+  isStarted (dir) {
+    return this.started.has(this.nodePath(dir))
+  }
+
+  /**
+  A directory finishes after its children, whose own groups are already dropped by then, so only
+  the group of itself is dropped here.
+  */
+  finishNode (node) {
+    if (node.parent) {
+      let dirPath = this.nodePath(node.parent)
+      let p = dirPath ? `${dirPath}/${node.src.name}` : node.src.name
+      this.finished.delete(p)
+      this.started.delete(p)
+      this.addFinished(dirPath, node.src.name)
+    }
+    this.emit('progress')
+  }
+
+  /**
+  Returns true if all entries are finished
+  */
+  isFinishedAll () {
+    return !!this.root && !this.root.isDestroyed() && this.root.getState() === 'Finished'
+  }
+
   reqSched () {
     if (this.scheduled) return
     this.scheduled = true
@@ -210,15 +370,16 @@ class Base extends EventEmitter {
   // dir pending -> making -> reading -> read
   schedule () {
     this.scheduled = false
+    let runnable = this.isRunnable()
 
     // schedule file job
-    while (this.pendingFiles.size > 0 && this.workingFiles.size < 1) {
+    while (runnable && this.pendingFiles.size > 0 && this.workingFiles.size < 1) {
       let file = this.pendingFiles[Symbol.iterator]().next().value
       file.setState('Working')
     }
 
     // schedule dir job
-    while (this.pendingDirs.size > 0 && 
+    while (runnable && this.pendingDirs.size > 0 && 
       this.activeParents().size + this.workingDirs.size + this.readingDirs.size < 2) { 
       let dir = this.pendingDirs[Symbol.iterator]().next().value
       dir.setState('Working')  
@@ -236,7 +397,7 @@ class Base extends EventEmitter {
   //
   //  1. view hierarchy
   //  2. update policy
-  //  3. pause / resume (not implemented)
+  //  3. pause / resume
   //  4. destroy (cancel)
   //
   //////////////////////////////////////////////////////////////////////////////
@@ -247,6 +408,12 @@ class Base extends EventEmitter {
     return {
       uuid: this.uuid,
       type: this.mode,
+      status: this.isFinishedAll() ? 'finished'
+        : this.paused ? 'paused'
+          : this.hasWork() && !this.isRunnable() ? 'queued'
+            : this.resumed ? 'resumed' : 'running',
+      paused: this.paused,
+      bandwidth: this.bandwidth,
       src: this.src,
       dst: this.dst,
       entries: this.entries,
@@ -314,8 +481,8 @@ class Base extends EventEmitter {
 
 class Copy extends Base {
 
-  constructor (ctx, user, policies, src, dst, xstats) {
-    super(ctx, user, policies, src, dst, xstats)
+  constructor (ctx, user, policies, src, dst, xstats, opts) {
+    super(ctx, user, policies, src, dst, xstats, opts)
     this.mode = 'copy'
     this.srcDriveUUID = src.drive
     this.dstDriveUUID = dst.drive
@@ -350,8 +517,8 @@ class Copy extends Base {
 
 class Move extends Base {
 
-  constructor (ctx, user, policies, src, dst, xstats) {
-    super(ctx, user, policies, src, dst, xstats)
+  constructor (ctx, user, policies, src, dst, xstats, opts) {
+    super(ctx, user, policies, src, dst, xstats, opts)
     this.mode = 'move'
     this.srcDriveUUID = src.drive
     this.dstDriveUUID = dst.drive
@@ -386,8 +553,8 @@ class Move extends Base {
 
 class Import extends Base {
 
-  constructor (ctx, user, policies, src, dst, stats) {
-    super(ctx, user, policies, src, dst, stats)
+  constructor (ctx, user, policies, src, dst, stats, opts) {
+    super(ctx, user, policies, src, dst, stats, opts)
     this.mode = 'import'
     this.srcPath = src.path
     this.dstDriveUUID = dst.drive
@@ -405,8 +572,13 @@ class Import extends Base {
     this.root = new DirImport(this, null, _src, _dst, stats)
   }
 
+  // files are prepared in tmp dir of dst drive
   genTmpPath () {
-    return this.ctx.genTmpPath()
+    if (this.user) {
+      return this.ctx.genTmpPath(this.user, this.dstDriveUUID)
+    } else {
+      return this.ctx.genTmpPath(this.dstDriveUUID)
+    }
   }
 
   mkdir (dst, policy, callback) {
@@ -433,8 +605,8 @@ class Import extends Base {
 
 class Export extends Base {
 
-  constructor (ctx, user, policies, src, dst, xstats) {
-    super(ctx, user, policies, src, dst, xstats)
+  constructor (ctx, user, policies, src, dst, xstats, opts) {
+    super(ctx, user, policies, src, dst, xstats, opts)
     this.mode = 'export'
     this.srcDriveUUID = src.drive
     this.dstPath = dst.path
@@ -585,9 +757,19 @@ Create a xcopy machine.
 @param {object} dst - { drive, dir } or { path }
 @param {object} entries - array of uuid or names to be copied
 @param {object} policies - { dir, file }
+@param {object} [opts] - provided when a persisted task is restored
+@param {string} opts.uuid - task uuid
+@param {string[]} opts.finished - finished source entries, see `Base`
+@param {string[]} opts.started - created destination directories, see `Base`
+@param {boolean} [opts.paused]
+@param {number} [opts.bandwidth]
 @param {function} callback - `(err, xcopy) => {}`
 */
-const xcopy = (ctx, user, mode, policies, src, dst, entries, callback) => {
+const xcopy = (ctx, user, mode, policies, src, dst, entries, opts, callback) => {
+  if (typeof opts === 'function') {
+    callback = opts
+    opts = undefined
+  }
 
   try {
     policies = formatPolicies(policies) 
@@ -602,12 +784,12 @@ const xcopy = (ctx, user, mode, policies, src, dst, entries, callback) => {
     entriesToXstats(ctx, user, src.drive, src.dir, entries, (err, xstats) => {
       if (err) return callback(err)
       let X = mode === 'copy' ? Copy : mode === 'move' ? Move : Export
-      callback(null, new X(ctx, user, policies, src, dst, xstats))
+      callback(null, new X(ctx, user, policies, src, dst, xstats, opts))
     })
   } else if (mode === 'import') {
     entriesToStats(src.path, entries, (err, stats) => {
       if (err) return callback(err) 
-      callback(null, new Import(ctx, user, policies, src, dst, stats))
+      callback(null, new Import(ctx, user, policies, src, dst, stats, opts))
     })
   }
 }
@@ -0,0 +1,238 @@
+const Promise = require('bluebird')
+const path = require('path')
+const fs = require('fs')
+const crypto = require('crypto')
+const mkdirp = require('mkdirp')
+const deepFreeze = require('deep-freeze')
+
+const E = require('../lib/error')
+const { saveObjectAsync } = require('../lib/utils')
+
+const Debug = require('debug')
+const debug = Debug('tokens')
+
+// default time to live of access token and refresh token, in milliseconds
+const ACCESS_TTL = 3600 * 1000
+const REFRESH_TTL = 30 * 24 * 3600 * 1000
+
+const sha256 = text => crypto.createHash('sha256').update(text).digest('hex')
+
+/**
+Tokens keeps the signing secret of access tokens, the policy of token issuance, and the
+sessions of refresh tokens.
+
+All are saved in `tokens.json`. The secret is randomly generated for each installation when
+the file is created.
+
+```
+Tokens {
+  secret,
+  policy,     // { adminTOTP }, admins are required to use two-factor authentication
+  sessions    // [Session]
+}
+
+Session {
+  id,         // random hex
+  user,       // user uuid
+  device,     // { id, name, type }, provided by client
+  via,        // 'basic' (lan login) or 'cloud' (station pipe)
+  ip,         // last seen ip
+  hash,       // sha256 of refresh token
+  ctime,
+  atime,      // last seen
+  expires     // refresh token expires
+}
+```
+
+Each use of an access token is recorded in memory (`touch`), and saved with next change of
+sessions.
+
+A session is created each time a user logs in, replacing the former session of the same user
+on the same device. The refresh token is `<session id>.<random hex>`, rotated on each refresh.
+The access token is a JWT `{ uuid, sid, iat, exp }`, valid as long as the session exists and
+the token has not expired.
+
+@module Tokens
+*/
+class Tokens {
+
+  /**
+  @param {string} froot - fruitmix root
+  @param {object} [opts]
+  @param {number} [opts.accessTTL] - access token time to live, in milliseconds
+  @param {number} [opts.refreshTTL] - refresh token time to live, in milliseconds
+  */
+  constructor (froot, opts = {}) {
+    this.filePath = path.join(froot, 'tokens.json')
+    this.tmpDir = path.join(froot, 'tmp')
+    this.accessTTL = opts.accessTTL || ACCESS_TTL
+    this.refreshTTL = opts.refreshTTL || REFRESH_TTL
+
+    let data
+    try {
+      data = JSON.parse(fs.readFileSync(this.filePath))
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e
+      data = { secret: crypto.randomBytes(32).toString('hex'), sessions: [] }
+      mkdirp.sync(froot)
+      fs.writeFileSync(this.filePath, JSON.stringify(data, null, '  '))
+    }
+
+    /**
+    @member {string} secret - signing secret of access tokens
+    */
+    this.secret = data.secret
+    this.policy = data.policy || { adminTOTP: false }
+    this.sessions = data.sessions
+    deepFreeze(this.sessions)
+
+    /**
+    @member {boolean} lock - internal file operation lock
+    */
+    this.lock = false
+    this.last = Promise.resolve()
+
+    /**
+    session id -> { atime, ip }, last use not saved yet
+    */
+    this.seen = new Map()
+  }
+
+  // returns session with last use merged
+  merge (session) {
+    let seen = this.seen.get(session.id)
+    return seen && seen.atime > session.atime ? Object.assign({}, session, seen) : session
+  }
+
+  /**
+  Save sessions to file, expired ones are dropped. This operation use opportunistic lock.
+  */
+  async commitSessionsAsync (currSessions, nextSessions) {
+    if (currSessions !== this.sessions) throw new E.ECOMMITFAIL()
+    if (this.lock === true) throw new E.ECOMMITFAIL()
+
+    let now = new Date().getTime()
+    let seen = new Map(this.seen)
+    nextSessions = nextSessions
+      .filter(s => s.expires > now)
+      .map(s => this.merge(s))
+
+    this.lock = true
+    try {
+      await saveObjectAsync(this.filePath, this.tmpDir, { secret: this.secret, policy: this.policy, sessions: nextSessions })
+      this.sessions = nextSessions
+      deepFreeze(this.sessions)
+      seen.forEach((v, k) => this.seen.get(k) === v && this.seen.delete(k))
+    } finally {
+      this.lock = false
+    }
+  }
+
+  serialize (f) {
+    let p = this.last.then(() => f())
+    this.last = p.then(() => {}, () => {})
+    return p
+  }
+
+  /**
+  Save policy
+  */
+  async savePolicyAsync (policy) {
+    return this.serialize(async () => {
+      await saveObjectAsync(this.filePath, this.tmpDir, { secret: this.secret, policy, sessions: this.sessions })
+      this.policy = policy
+    })
+  }
+
+  /**
+  Returns the session if it exists and has not expired
+  */
+  findSession (sid) {
+    let session = this.sessions.find(s => s.id === sid)
+    return session && session.expires > new Date().getTime() ? session : undefined
+  }
+
+  /**
+  Returns sessions matching the predicate, not expired, with last use merged
+  */
+  list (pred) {
+    let now = new Date().getTime()
+    return this.sessions.filter(s => s.expires > now && pred(s)).map(s => this.merge(s))
+  }
+
+  /**
+  Record a use of session
+  */
+  touch (sid, ip) {
+    this.seen.set(sid, { atime: new Date().getTime(), ip })
+  }
+
+  // returns a new refresh token and its session props
+  renew (sid) {
+    let refreshToken = `${sid}.${crypto.randomBytes(32).toString('hex')}`
+    let now = new Date().getTime()
+    return {
+      refreshToken,
+      props: { hash: sha256(refreshToken), atime: now, expires: now + this.refreshTTL }
+    }
+  }
+
+  /**
+  Create a session, the former session of the same user on the same device is replaced.
+
+  @param {string} userUUID
+  @param {object} props
+  @param {object} props.device - `{ id, name, type }`
+  @param {string} props.via - `basic` or `cloud`
+  @param {string} props.ip
+  @returns `{ session, refreshToken }`
+  */
+  async createAsync (userUUID, { device, via, ip }) {
+    return this.serialize(async () => {
+      let id = crypto.randomBytes(16).toString('hex')
+      let { refreshToken, props } = this.renew(id)
+      let session = Object.assign({ id, user: userUUID, device, via, ip, ctime: props.atime }, props)
+      let sessions = this.sessions.filter(s => !(s.user === userUUID && device.id && s.device.id === device.id))
+      await this.commitSessionsAsync(this.sessions, [...sessions, session])
+      debug('create', id, userUUID)
+      return { session, refreshToken }
+    })
+  }
+
+  /**
+  Rotate a refresh token
+
+  @param {string} refreshToken
+  @param {string} ip
+  @returns `{ session, refreshToken }`, or undefined if refresh token is invalid or expired
+  */
+  async refreshAsync (refreshToken, ip) {
+    return this.serialize(async () => {
+      let session = this.findSession(refreshToken.split('.')[0])
+      if (!session) return
+
+      let a = Buffer.from(session.hash, 'hex')
+      let b = Buffer.from(sha256(refreshToken), 'hex')
+      if (!crypto.timingSafeEqual(a, b)) return
+
+      let renewed = this.renew(session.id)
+      let next = Object.assign({}, session, renewed.props, { ip })
+      await this.commitSessionsAsync(this.sessions, this.sessions.map(s => s === session ? next : s))
+      return { session: next, refreshToken: renewed.refreshToken }
+    })
+  }
+
+  /**
+  Remove sessions matching the predicate
+  */
+  async revokeAsync (pred) {
+    return this.serialize(async () => {
+      let sessions = this.sessions.filter(s => !pred(s))
+      if (sessions.length === this.sessions.length) return
+      await this.commitSessionsAsync(this.sessions, sessions)
+      debug('revoke', this.sessions.length, 'sessions left')
+    })
+  }
+}
+
+module.exports = Tokens
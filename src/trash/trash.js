@@ -0,0 +1,224 @@
+const Promise = require('bluebird')
+const path = require('path')
+const fs = Promise.promisifyAll(require('fs'))
+const UUID = require('uuid')
+const mkdirpAsync = Promise.promisify(require('mkdirp'))
+const rimrafAsync = Promise.promisify(require('rimraf'))
+const deepFreeze = require('deep-freeze')
+
+const E = require('../lib/error')
+const { saveObjectAsync } = require('../lib/utils')
+const meta = require('../vfs/meta')
+
+const Debug = require('debug')
+const debug = Debug('trash')
+
+// 30 days
+const DEFAULT_RETENTION = 30 * 24 * 3600 * 1000
+
+// 1 hour
+const PURGE_INTERVAL = 3600 * 1000
+
+/**
+Trash keeps files and directories removed from drives.
+
+Removed entries are renamed into the trash dir of their drive (see {@link module:DriveMeta}),
+which is on the same btrfs subvolume as drive data. So both removing and restoring are cheap
+renames and the entry keeps its xattr (uuid, hash, tags etc.).
+
+Each entry in trash is named after the trash item uuid. Item records of all drives are saved
+in `trash.json` under fruitmix root.
+
+```
+TrashItem {
+  uuid,       // trash item uuid, also the entry name in trash dir
+  drive,      // original drive uuid
+  dir,        // original parent directory uuid
+  name,       // original name
+  entry,      // entry uuid (xstat uuid)
+  type,       // 'file' or 'directory'
+  size,       // file size, 0 for directory
+  user,       // uuid of the user who removed the entry
+  ctime       // timestamp when entry is removed
+}
+```
+
+Items older than `retention` are purged automatically.
+
+@module Trash
+*/
+class Trash {
+
+  /**
+  @param {string} froot - fruitmix root
+  @param {object} [opts]
+  @param {number} [opts.retention] - retention in milliseconds, defaults to 30 days
+  */
+  constructor (froot, opts = {}) {
+    this.filePath = path.join(froot, 'trash.json')
+    this.drivesDir = path.join(froot, 'drives')
+    this.tmpDir = path.join(froot, 'tmp')
+    this.retention = opts.retention || DEFAULT_RETENTION
+
+    try {
+      this.items = JSON.parse(fs.readFileSync(this.filePath))
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e
+      this.items = []
+    }
+
+    deepFreeze(this.items)
+
+    /**
+    @member {boolean} lock - internal file operation lock
+    */
+    this.lock = false
+
+    /**
+    all mutating operations are serialized, otherwise concurrent removes in a single
+    writedir request will fail on commit lock.
+    */
+    this.last = Promise.resolve()
+
+    this.timer = setInterval(() => this.purgeExpiredAsync()
+      .then(() => {})
+      .catch(e => debug('trash purge error', e)), PURGE_INTERVAL)
+    this.timer.unref()
+  }
+
+  /**
+  Save items to file. This operation use opportunistic lock.
+  */
+  async commitItemsAsync (currItems, nextItems) {
+    if (currItems !== this.items) throw new E.ECOMMITFAIL()
+    if (this.lock === true) throw new E.ECOMMITFAIL()
+
+    this.lock = true
+    try {
+      await saveObjectAsync(this.filePath, this.tmpDir, nextItems)
+      this.items = nextItems
+      deepFreeze(this.items)
+    } finally {
+      this.lock = false
+    }
+  }
+
+  serialize (f) {
+    let p = this.last.then(() => f())
+    this.last = p.then(() => {}, () => {})
+    return p
+  }
+
+  /**
+  Returns the absolute path of a trash item, in the trash dir of its drive
+  */
+  itemPath (item) {
+    return path.join(meta.trashDir(path.join(this.drivesDir, item.drive)), item.uuid)
+  }
+
+  findItem (itemUUID) {
+    return this.items.find(x => x.uuid === itemUUID)
+  }
+
+  /**
+  Returns all items of given drive, latest first
+  */
+  getItems (driveUUID) {
+    return this.items
+      .filter(x => x.drive === driveUUID)
+      .sort((a, b) => b.ctime - a.ctime)
+  }
+
+  /**
+  Move an entry into trash
+
+  @param {string} entryPath - absolute path of the file or directory to be removed
+  @param {object} props - drive, dir, name, entry, type, size, user
+  @returns {TrashItem}
+  */
+  async putAsync (entryPath, props) {
+    return this.serialize(async () => {
+      let item = {
+        uuid: UUID.v4(),
+        drive: props.drive,
+        dir: props.dir,
+        name: props.name,
+        entry: props.entry,
+        type: props.type,
+        size: props.type === 'file' ? props.size : 0,
+        user: props.user,
+        ctime: new Date().getTime()
+      }
+
+      let itemPath = this.itemPath(item)
+      await mkdirpAsync(path.dirname(itemPath))
+      await fs.renameAsync(entryPath, itemPath)
+      try {
+        await this.commitItemsAsync(this.items, [...this.items, item])
+      } catch (e) {
+        await fs.renameAsync(itemPath, entryPath)
+        throw e
+      }
+
+      debug('put', item)
+      return item
+    })
+  }
+
+  /**
+  Move an entry out of trash
+
+  @param {string} itemUUID - trash item uuid
+  @param {string} targetPath - absolute path the entry is restored to
+  */
+  async restoreAsync (itemUUID, targetPath) {
+    return this.serialize(async () => {
+      let item = this.findItem(itemUUID)
+      if (!item) throw new E.ENOENT('trash item not found')
+
+      let itemPath = this.itemPath(item)
+      await fs.renameAsync(itemPath, targetPath)
+      try {
+        await this.commitItemsAsync(this.items, this.items.filter(x => x !== item))
+      } catch (e) {
+        await fs.renameAsync(targetPath, itemPath)
+        throw e
+      }
+
+      debug('restore', item, targetPath)
+      return item
+    })
+  }
+
+  /**
+  Permanently remove trash items
+
+  @param {string[]} itemUUIDs
+  */
+  async purgeAsync (itemUUIDs) {
+    return this.serialize(async () => {
+      let purged = this.items.filter(x => itemUUIDs.includes(x.uuid))
+      if (purged.length === 0) return
+
+      await this.commitItemsAsync(this.items, this.items.filter(x => !purged.includes(x)))
+      await Promise.map(purged, x => rimrafAsync(this.itemPath(x)))
+
+      debug('purge', purged.map(x => x.uuid))
+    })
+  }
+
+  /**
+  Purge all items older than retention
+  */
+  async purgeExpiredAsync (now = new Date().getTime()) {
+    let expired = this.items.filter(x => now - x.ctime > this.retention)
+    await this.purgeAsync(expired.map(x => x.uuid))
+  }
+
+  destroy () {
+    clearInterval(this.timer)
+  }
+
+}
+
+module.exports = Trash
@@ -0,0 +1,400 @@
+const Promise = require('bluebird')
+const path = require('path')
+const fs = Promise.promisifyAll(require('fs'))
+const UUID = require('uuid')
+const mkdirp = require('mkdirp')
+const mkdirpAsync = Promise.promisify(mkdirp)
+const rimrafAsync = Promise.promisify(require('rimraf'))
+const deepFreeze = require('deep-freeze')
+
+const E = require('../lib/error')
+const { saveObjectAsync } = require('../lib/utils')
+const { btrfsConcat, btrfsClone } = require('../lib/btrfs')
+const btrfsConcatAsync = Promise.promisify(btrfsConcat)
+const btrfsCloneAsync = Promise.promisify(btrfsClone)
+const Fingerprint = require('../lib/fingerprint2')
+const combineHash = require('../lib/combineHash')
+
+const Debug = require('debug')
+const debug = Debug('uploads')
+
+/** fingerprint segment size, also the size of segment files */
+const SEGMENT = 1024 * 1024 * 1024
+
+// 7 days
+const DEFAULT_MAX_IDLE = 7 * 24 * 3600 * 1000
+
+// 1 hour
+const PRUNE_INTERVAL = 3600 * 1000
+
+// merge a range [start, end) into sorted, disjoint ranges
+const mergeRange = (ranges, start, end) => {
+  let next = []
+  ranges.forEach(([s, e]) => {
+    if (e < start || s > end) {
+      next.push([s, e])
+    } else {
+      start = Math.min(start, s)
+      end = Math.max(end, e)
+    }
+  })
+  next.push([start, end])
+  return next.sort((a, b) => a[0] - b[0])
+}
+
+// sha256 of a file no larger than a segment, as a buffer
+const segmentHashAsync = filePath => new Promise((resolve, reject) => {
+  let fp = new Fingerprint(filePath)
+  fp.on('error', reject)
+  fp.on('data', data => data instanceof Error ? reject(data) : resolve(Buffer.from(data, 'hex')))
+})
+
+/**
+Uploads maintains resumable upload sessions.
+
+A session is created with the total size and expected fingerprint of a file. The file is
+divided into 1GB segments, each segment is stored as a (sparse) file in
+`uploads/<session uuid>` under fruitmix root. Chunks can be written at any offset, in any
+order, and the received ranges are recorded. Sessions are saved in `uploads.json` so they
+survive server restart.
+
+When all bytes are received, the session is committed: the segment hashes are combined
+into the fingerprint (the same algorithm as `fingerprint2` and append), verified against
+the expected one, then segment files are concatenated by `btrfsConcat`.
+
+```
+Upload {
+  uuid,       // session uuid
+  user,       // user uuid
+  drive,      // target drive uuid
+  dir,        // target directory uuid
+  name,       // target file name
+  size,       // file size
+  sha256,     // expected fingerprint
+  overwrite,  // file uuid to overwrite, optional
+  ranges,     // received ranges, [[start, end)]
+  ctime,
+  mtime       // last time a chunk is received
+}
+```
+
+Sessions idle longer than `maxIdle` are removed.
+
+@module Uploads
+*/
+class Uploads {
+
+  /**
+  @param {string} froot - fruitmix root
+  @param {object} [opts]
+  @param {number} [opts.maxIdle] - max idle time in milliseconds
+  */
+  constructor (froot, opts = {}) {
+    this.filePath = path.join(froot, 'uploads.json')
+    this.dir = path.join(froot, 'uploads')
+    this.tmpDir = path.join(froot, 'tmp')
+    this.maxIdle = opts.maxIdle || DEFAULT_MAX_IDLE
+
+    mkdirp.sync(this.dir)
+
+    try {
+      this.uploads = JSON.parse(fs.readFileSync(this.filePath))
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e
+      this.uploads = []
+    }
+
+    deepFreeze(this.uploads)
+
+    /**
+    @member {boolean} lock - internal file operation lock
+    */
+    this.lock = false
+    this.last = Promise.resolve()
+
+    /**
+    number of ongoing chunk writes, indexed by session uuid
+    */
+    this.writing = new Map()
+
+    /**
+    uuids of sessions being committed
+    */
+    this.committing = new Set()
+
+    this.timer = setInterval(() => this.pruneAsync()
+      .then(() => {})
+      .catch(e => debug('uploads prune error', e)), PRUNE_INTERVAL)
+    this.timer.unref()
+  }
+
+  /**
+  Save uploads to file. This operation use opportunistic lock.
+  */
+  async commitUploadsAsync (currUploads, nextUploads) {
+    if (currUploads !== this.uploads) throw new E.ECOMMITFAIL()
+    if (this.lock === true) throw new E.ECOMMITFAIL()
+
+    this.lock = true
+    try {
+      await saveObjectAsync(this.filePath, this.tmpDir, nextUploads)
+      this.uploads = nextUploads
+      deepFreeze(this.uploads)
+    } finally {
+      this.lock = false
+    }
+  }
+
+  serialize (f) {
+    let p = this.last.then(() => f())
+    this.last = p.then(() => {}, () => {})
+    return p
+  }
+
+  findUpload (uploadUUID) {
+    return this.uploads.find(x => x.uuid === uploadUUID)
+  }
+
+  /**
+  Returns segment file paths of a session
+  */
+  segmentPaths (upload) {
+    let count = Math.max(Math.ceil(upload.size / SEGMENT), 1)
+    return Array.from({ length: count }, (x, i) => path.join(this.dir, upload.uuid, String(i)))
+  }
+
+  /**
+  Returns true if all bytes are received
+  */
+  isComplete (upload) {
+    return upload.size === 0 ||
+      (upload.ranges.length === 1 && upload.ranges[0][0] === 0 && upload.ranges[0][1] === upload.size)
+  }
+
+  /**
+  Create a session, segment files are created as sparse files
+
+  @param {object} props - user, drive, dir, name, size, sha256, overwrite
+  @returns {Upload}
+  */
+  async createAsync (props) {
+    let now = new Date().getTime()
+    let upload = Object.assign({}, props, { uuid: UUID.v4(), ranges: [], ctime: now, mtime: now })
+
+    let sessionDir = path.join(this.dir, upload.uuid)
+    await mkdirpAsync(sessionDir)
+    let paths = this.segmentPaths(upload)
+    for (let i = 0; i < paths.length; i++) {
+      let length = Math.min(upload.size - i * SEGMENT, SEGMENT)
+      await fs.writeFileAsync(paths[i], '')
+      await fs.truncateAsync(paths[i], length)
+    }
+
+    return this.serialize(async () => {
+      await this.commitUploadsAsync(this.uploads, [...this.uploads, upload])
+      debug('create', upload.uuid, upload.size)
+      return upload
+    })
+  }
+
+  /**
+  Write a chunk at offset. Received bytes are recorded even if the stream is broken.
+
+  @param {string} uploadUUID
+  @param {number} offset
+  @param {number} length - expected chunk length
+  @param {stream.Readable} rs - chunk data
+  @returns {Upload}
+  */
+  async writeAsync (uploadUUID, offset, length, rs) {
+    let upload = this.findUpload(uploadUUID)
+    if (!upload) throw Object.assign(new Error('upload not found'), { status: 404 })
+    if (this.committing.has(uploadUUID)) throw Object.assign(new Error('upload is being committed'), { status: 409 })
+    if (offset + length > upload.size) throw Object.assign(new Error('chunk exceeds file size'), { status: 400 })
+
+    this.writing.set(uploadUUID, (this.writing.get(uploadUUID) || 0) + 1)
+    let received = 0
+    let error
+    try {
+      received = await this.writeChunkAsync(upload, offset, length, rs)
+      if (received !== length) error = Object.assign(new Error('chunk size mismatch'), { status: 400 })
+    } catch (e) {
+      received = e.received || 0
+      error = e
+    } finally {
+      let count = this.writing.get(uploadUUID) - 1
+      count ? this.writing.set(uploadUUID, count) : this.writing.delete(uploadUUID)
+    }
+
+    let next = !received ? this.findUpload(uploadUUID) : await this.serialize(async () => {
+      let curr = this.findUpload(uploadUUID)
+      if (!curr) return
+      let next = Object.assign({}, curr, {
+        ranges: mergeRange(curr.ranges, offset, offset + received),
+        mtime: new Date().getTime()
+      })
+      await this.commitUploadsAsync(this.uploads, this.uploads.map(x => x === curr ? next : x))
+      return next
+    })
+
+    if (error) throw error
+    if (!next) throw Object.assign(new Error('upload not found'), { status: 404 })
+    debug('write', uploadUUID, offset, received)
+    return next
+  }
+
+  /**
+  Write stream into segment files from offset, at most length bytes, returns bytes written.
+  On error, `received` is attached to the error.
+  */
+  writeChunkAsync (upload, offset, length, rs) {
+    let paths = this.segmentPaths(upload)
+    let fds = new Map()
+    let received = 0
+
+    const openAsync = async index => {
+      if (!fds.has(index)) fds.set(index, await fs.openAsync(paths[index], 'r+'))
+      return fds.get(index)
+    }
+
+    // write data at position, may span segments
+    const writeAsync = async data => {
+      let pos = offset + received
+      let written = 0
+      while (written < data.length) {
+        let index = Math.floor((pos + written) / SEGMENT)
+        let segOffset = (pos + written) % SEGMENT
+        let len = Math.min(data.length - written, SEGMENT - segOffset)
+        let fd = await openAsync(index)
+        await fs.writeAsync(fd, data, written, len, segOffset)
+        written += len
+      }
+      received += written
+    }
+
+    const closeAll = () => Promise.all(Array.from(fds.values()).map(fd => fs.closeAsync(fd).catch(() => {})))
+
+    return new Promise((resolve, reject) => {
+      let finished = false
+      let writing = Promise.resolve()
+
+      const finish = err => {
+        if (finished) return
+        finished = true
+        rs.removeListener('data', onData)
+        writing
+          .catch(e => { err = err || e })
+          .then(() => closeAll())
+          .then(() => err
+          ? reject(Object.assign(err, { received }))
+          : resolve(received))
+      }
+
+      const onData = data => {
+        if (offset + received + data.length > upload.size || received + data.length > length) {
+          data = data.slice(0, Math.max(Math.min(upload.size - offset, length) - received, 0))
+          rs.pause()
+          writing = writing.then(() => writeAsync(data))
+          return finish(Object.assign(new Error('chunk exceeds declared length'), { status: 400 }))
+        }
+
+        rs.pause()
+        writing = writing
+          .then(() => writeAsync(data))
+          .then(() => finished || rs.resume())
+          .catch(e => finish(e))
+      }
+
+      rs.on('data', onData)
+      rs.on('error', err => finish(err))
+      rs.on('aborted', () => finish(new Error('request aborted')))
+      rs.on('close', () => finish(new Error('request closed')))
+      rs.on('end', () => finish(null))
+    })
+  }
+
+  /**
+  Verify fingerprint and assemble the file into given tmp dir.
+
+  The assembled file should be moved into drive by caller, so tmp dir should be the one of
+  target drive. The session stays in committing state until it is deleted, or released if 
+  the file can not be created.
+
+  @param {string} uploadUUID
+  @param {string} tmpDir
+  @returns {string} path of assembled file in tmp dir
+  */
+  async commitAsync (uploadUUID, tmpDir) {
+    let upload = this.findUpload(uploadUUID)
+    if (!upload) throw Object.assign(new Error('upload not found'), { status: 404 })
+    if (this.committing.has(uploadUUID)) throw Object.assign(new Error('upload is being committed'), { status: 409 })
+    if (this.writing.has(uploadUUID)) throw Object.assign(new Error('upload has ongoing writes'), { status: 409 })
+    if (!this.isComplete(upload)) throw Object.assign(new Error('upload is incomplete'), { status: 409 })
+
+    this.committing.add(uploadUUID)
+    try {
+      let paths = this.segmentPaths(upload)
+      let hashes = []
+      for (let i = 0; i < paths.length; i++) hashes.push(await segmentHashAsync(paths[i]))
+      let fingerprint = combineHash(hashes).toString('hex')
+      if (fingerprint !== upload.sha256) {
+        throw Object.assign(new Error(`fingerprint mismatch, actual: ${fingerprint}`), { code: 'EFINGERPRINT', status: 400 })
+      }
+
+      let tmp = path.join(tmpDir, UUID.v4() + path.extname(upload.name))
+      if (paths.length === 1) {
+        // tmp dir of drive is on another subvolume
+        await fs.linkAsync(paths[0], tmp).catch(e => {
+          if (e.code !== 'EXDEV') throw e
+          return btrfsCloneAsync(tmp, paths[0])
+        })
+      } else {
+        await btrfsConcatAsync(tmp, paths)
+      }
+      return tmp
+    } catch (e) {
+      this.committing.delete(uploadUUID)
+      throw e
+    }
+  }
+
+  /**
+  Release a session from committing state
+  */
+  release (uploadUUID) {
+    this.committing.delete(uploadUUID)
+  }
+
+  /**
+  Remove a session and its segment files
+  */
+  async deleteAsync (uploadUUID) {
+    await this.serialize(async () => {
+      let upload = this.findUpload(uploadUUID)
+      if (!upload) return
+      await this.commitUploadsAsync(this.uploads, this.uploads.filter(x => x !== upload))
+    })
+    await rimrafAsync(path.join(this.dir, uploadUUID))
+    this.committing.delete(uploadUUID)
+    debug('delete', uploadUUID)
+  }
+
+  /**
+  Remove idle sessions
+  */
+  async pruneAsync () {
+    let now = new Date().getTime()
+    let expired = this.uploads.filter(x => now - x.mtime > this.maxIdle &&
+      !this.writing.has(x.uuid) && !this.committing.has(x.uuid))
+    for (let upload of expired) await this.deleteAsync(upload.uuid)
+  }
+
+  destroy () {
+    clearInterval(this.timer)
+  }
+}
+
+Uploads.SEGMENT = SEGMENT
+Uploads.mergeRange = mergeRange
+
+module.exports = Uploads
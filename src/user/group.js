@@ -0,0 +1,220 @@
+const Promise = require('bluebird')
+const path = require('path')
+const fs = Promise.promisifyAll(require('fs'))
+const EventEmitter = require('events')
+const UUID = require('uuid')
+const deepFreeze = require('deep-freeze')
+const E = require('../lib/error')
+
+const broadcast = require('../common/broadcast')
+
+const { isUUID, isNonNullObject, isNonEmptyString } = require('../lib/assertion')
+const { saveObjectAsync } = require('../lib/utils')
+
+/**
+Group module exports a GroupList class.
+
+A group is a named set of users. Group uuid can be used wherever a list of user uuids is
+expected for permission, including public drive `writelist`, `readlist` and directory acls.
+
+Groups are persisted in `groups.json` under fruitmix root, in the same way as users.
+
+@module Group
+*/
+
+/**
+@typedef {Object} Group
+@prop {string} uuid - group identity
+@prop {string} name - group name, unique
+@prop {string[]} members - member user uuids
+@prop {number} ctime - creation time
+@prop {number} mtime - last modification time
+*/
+
+const groupMProps = ['uuid', 'name', 'members', 'ctime', 'mtime']
+
+const assert = (predicate, message) => {
+  if (!predicate)
+    throw Object.assign(new Error(message), { status: 403 })
+}
+
+const unique = arr => new Set(arr).size === arr.length
+
+const isUniqueUUIDArray = arr => Array.isArray(arr) && unique(arr) && arr.every(i => isUUID(i))
+
+const validateGroup = g => {
+  assert(Object.keys(g).length === groupMProps.length &&
+    groupMProps.every(name => g.hasOwnProperty(name)), 'invalid object props')
+  assert(isUUID(g.uuid), 'invalid group uuid')
+  assert(isNonEmptyString(g.name), 'name must be non-empty string')
+  assert(isUniqueUUIDArray(g.members), 'members must be an unique uuid array')
+  assert(Number.isInteger(g.ctime), 'ctime must be integer')
+  assert(Number.isInteger(g.mtime), 'mtime must be integer')
+  return true
+}
+
+const validateGroups = groups => {
+  assert(groups.every(g => validateGroup(g)), 'invalid group')
+  assert(unique(groups.map(g => g.uuid)), 'duplicate group uuid')
+  assert(unique(groups.map(g => g.name)), 'duplicate group name')
+}
+
+/**
+@event GroupListChanged
+@global
+*/
+
+/**
+GroupList manages groups.
+
+Internally, opportunistic lock is used to avoid race for transactional file operation.
+*/
+class GroupList extends EventEmitter {
+
+  /**
+  @param {string} froot - fruitmix root
+  */
+  constructor (froot) {
+    super()
+
+    this.filePath = path.join(froot, 'groups.json')
+    this.tmpDir = path.join(froot, 'tmp')
+
+    try {
+      this.groups = JSON.parse(fs.readFileSync(this.filePath))
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e
+      this.groups = []
+    }
+
+    validateGroups(this.groups)
+    deepFreeze(this.groups)
+
+    /**
+    @member {boolean} lock - internal file operation lock
+    */
+    this.lock = false
+  }
+
+  /**
+  Save groups to file. This operation use opportunistic lock.
+
+  @param {Object} currGroups - current groups, should be preserved right before transactional update
+  @param {Object} nextGroups - next groups, object created during transactional update
+  */
+  async commitGroupsAsync (currGroups, nextGroups) {
+
+    // referential equality check
+    if (currGroups !== this.groups) throw new E.ECOMMITFAIL()
+
+    // check atomic operation lock
+    if (this.lock === true) throw new E.ECOMMITFAIL()
+
+    validateGroups(nextGroups)
+
+    this.lock = true
+    try {
+      await saveObjectAsync(this.filePath, this.tmpDir, nextGroups)
+      this.groups = nextGroups
+      deepFreeze(this.groups)
+    } finally {
+      this.lock = false
+    }
+
+    // notify, fruitmix listens on the instance, others on broadcast
+    this.emit('GroupListChanged')
+    broadcast.emit('GroupListChanged', null)
+  }
+
+  findGroup (uuid) {
+    return this.groups.find(g => g.uuid === uuid)
+  }
+
+  /**
+  Returns uuids of groups the user belongs to
+  */
+  userGroups (userUUID) {
+    return this.groups.filter(g => g.members.includes(userUUID)).map(g => g.uuid)
+  }
+
+  /**
+  Create a group
+
+  @param {Object} props
+  @param {string} props.name - non-empty string, no conflict with existing group name
+  @param {string[]} [props.members] - member user uuids
+  */
+  async createGroupAsync (props) {
+    if (!isNonNullObject(props)) throw new E.EINVAL('props must be non-null object')
+    if (!isNonEmptyString(props.name)) throw new E.EINVAL('name must be non-empty string')
+
+    let currGroups = this.groups
+    let now = new Date().getTime()
+    let group = {
+      uuid: UUID.v4(),
+      name: props.name,
+      members: props.members ? Array.from(new Set(props.members)).sort() : [],
+      ctime: now,
+      mtime: now
+    }
+
+    await this.commitGroupsAsync(currGroups, [...currGroups, group])
+    return group
+  }
+
+  /**
+  Update a group
+
+  @param {string} uuid - group uuid
+  @param {Object} props
+  @param {string} [props.name]
+  @param {string[]} [props.members] - member user uuids, replacing existing ones
+  */
+  async updateGroupAsync (uuid, props) {
+    let currGroups = this.groups
+    let index = currGroups.findIndex(g => g.uuid === uuid)
+    if (index === -1) throw new E.ENOENT('group not found')
+
+    let nextGroup = Object.assign({}, currGroups[index], props, { mtime: new Date().getTime() })
+    if (props.members) nextGroup.members = Array.from(new Set(props.members)).sort()
+
+    let nextGroups = [
+      ...currGroups.slice(0, index),
+      nextGroup,
+      ...currGroups.slice(index + 1)
+    ]
+
+    await this.commitGroupsAsync(currGroups, nextGroups)
+    return nextGroup
+  }
+
+  /**
+  Delete a group
+
+  @param {string} uuid - group uuid
+  */
+  async deleteGroupAsync (uuid) {
+    let currGroups = this.groups
+    if (!currGroups.find(g => g.uuid === uuid)) throw new E.ENOENT('group not found')
+    await this.commitGroupsAsync(currGroups, currGroups.filter(g => g.uuid !== uuid))
+  }
+
+  /**
+  Remove a user from all groups
+
+  @param {string} userUUID
+  */
+  async removeMemberAsync (userUUID) {
+    let currGroups = this.groups
+    if (!currGroups.find(g => g.members.includes(userUUID))) return
+
+    let now = new Date().getTime()
+    let nextGroups = currGroups.map(g => g.members.includes(userUUID)
+      ? Object.assign({}, g, { members: g.members.filter(m => m !== userUUID), mtime: now })
+      : g)
+
+    await this.commitGroupsAsync(currGroups, nextGroups)
+  }
+}
+
+module.exports = GroupList
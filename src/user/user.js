@@ -79,6 +79,7 @@ All props defined below are mandatory. If there is no value assigned, it should
 @prop {(null|string)} avatar - avatar identity, not used. null
 
 @prop {object} global - global
+@prop {(null|object)} [totp] - two-factor authentication, optional, see validateTOTP
 */
 // TODO: disabled
 
@@ -138,10 +139,20 @@ Besides the following props, password is a prop when user serviced as restful re
 
 const userGlobalProps = ['id', 'wx']
 
+/**
+`{ secret, enabled, recoveryCodes }`, secret is base32 encoded, recovery codes are sha256 hashes.
+The secret is pending until enabled, see totpapi.
+*/
+const validateTOTP = totp => totp === null || (isNonNullObject(totp) &&
+  validateProps(totp, ['secret', 'enabled', 'recoveryCodes']) &&
+  isNonEmptyString(totp.secret) &&
+  typeof totp.enabled === 'boolean' &&
+  Array.isArray(totp.recoveryCodes) && totp.recoveryCodes.every(x => isSHA256(x)))
+
 // FIXME: old user's disabled undefined
 const validateUserEntry = u => {
   if(u.disabled === undefined) u.disabled = false // add disabled property
-  assert(validateProps(u, userEntryMProps), 'invalid object props')
+  assert(validateProps(u, userEntryMProps, ['totp']), 'invalid object props')
   assert(isUUID(u.uuid), 'invalid user uuid')
   assert(isNonEmptyString(u.username), 'username must be non-empty string')
   assert(isNonEmptyString(u.password), 'password must be non-empty string')
@@ -153,6 +164,7 @@ const validateUserEntry = u => {
   assert(Number.isInteger(u.lastChangeTime), 'lastChangeTime must be integer')
   assert(u.avatar === null ? true : isSHA256(u.avatar), 'avatar must be null or sha256')
   assert(u.global === null ? true : validateProps(u.global, userGlobalProps), 'global must be null or { id, wx: [ <unionId> ] }')
+  assert(u.totp === undefined || validateTOTP(u.totp), 'invalid totp')
   return true
 }
 
@@ -235,6 +247,14 @@ class UserList extends EventEmitter {
     if (user) return this.stripUser(user)
   }
 
+  /**
+  Returns two-factor authentication of user, or null if not enrolled
+  */
+  getTOTP(uuid) {
+    let user = this.users.find(u => u.uuid === uuid)
+    return (user && user.totp) || null
+  }
+
   verifyPassword(userUUID, password, done) {
 
     let user = this.users.find(u => u.uuid === userUUID)
@@ -376,6 +396,21 @@ class UserList extends EventEmitter {
     await this.commitUsersAsync(currUsers, nextUsers)
   } 
 
+  /**
+  Delete a user, first user can not be deleted
+
+  @param {string} userUUID
+  */
+  async deleteUserAsync(userUUID) {
+
+    let currUsers = this.users
+    let user = currUsers.find(u => u.uuid === userUUID)
+    if (!user) throw new Error('user not found')
+    if (user.isFirstUser) throw Object.assign(new Error('first user can not be deleted'), { status: 403 })
+
+    await this.commitUsersAsync(currUsers, currUsers.filter(u => u.uuid !== userUUID))
+  }
+
   /**
   update a user's union
   */
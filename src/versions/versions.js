@@ -0,0 +1,243 @@
+const Promise = require('bluebird')
+const path = require('path')
+const fs = Promise.promisifyAll(require('fs'))
+const UUID = require('uuid')
+const mkdirp = require('mkdirp')
+const rimrafAsync = Promise.promisify(require('rimraf'))
+const deepFreeze = require('deep-freeze')
+
+const E = require('../lib/error')
+const { saveObjectAsync } = require('../lib/utils')
+const { btrfsClone } = require('../lib/btrfs')
+const btrfsCloneAsync = Promise.promisify(btrfsClone)
+
+const Debug = require('debug')
+const debug = Debug('versions')
+
+// keep at most 10 versions for each file
+const DEFAULT_MAX_VERSIONS = 10
+
+// 30 days
+const DEFAULT_MAX_AGE = 30 * 24 * 3600 * 1000
+
+// 1 hour
+const PRUNE_INTERVAL = 3600 * 1000
+
+/**
+Versions keeps prior contents of files overwritten in drives with versioning enabled.
+
+Before a file is overwritten (or appended), its content is reflinked (btrfs clone) into
+`versions` directory under fruitmix root. The cloned file is named after its sha256
+fingerprint, so identical contents share a single copy. Version records are saved in
+`versions.json`.
+
+```
+Version {
+  uuid,       // version uuid
+  drive,      // drive uuid
+  file,       // file uuid (xstat uuid)
+  name,       // file name when the version is created
+  hash,       // sha256 fingerprint, also the name of cloned file
+  size,       // file size
+  mtime,      // file mtime of this version
+  user,       // uuid of the user who overwrites the file
+  ctime       // timestamp when this version is created
+}
+```
+
+Pruning policy is configured per drive by `drive.versioning`, `{ enabled, maxVersions, maxAge }`.
+Versions beyond `maxVersions` (for each file) or older than `maxAge` are pruned. A cloned
+file is removed when no version references it.
+
+@module Versions
+*/
+class Versions {
+
+  /**
+  @param {string} froot - fruitmix root
+  @param {object} driveList - VFS instance, providing drives
+  @param {object} [opts]
+  @param {number} [opts.maxVersions] - default max versions for each file
+  @param {number} [opts.maxAge] - default max age in milliseconds
+  */
+  constructor (froot, driveList, opts = {}) {
+    this.filePath = path.join(froot, 'versions.json')
+    this.dir = path.join(froot, 'versions')
+    this.tmpDir = path.join(froot, 'tmp')
+    this.driveList = driveList
+    this.maxVersions = opts.maxVersions || DEFAULT_MAX_VERSIONS
+    this.maxAge = opts.maxAge || DEFAULT_MAX_AGE
+
+    mkdirp.sync(this.dir)
+
+    try {
+      this.versions = JSON.parse(fs.readFileSync(this.filePath))
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e
+      this.versions = []
+    }
+
+    deepFreeze(this.versions)
+
+    /**
+    @member {boolean} lock - internal file operation lock
+    */
+    this.lock = false
+    this.last = Promise.resolve()
+
+    this.timer = setInterval(() => this.pruneAsync()
+      .then(() => {})
+      .catch(e => debug('versions prune error', e)), PRUNE_INTERVAL)
+    this.timer.unref()
+  }
+
+  /**
+  Save versions to file. This operation use opportunistic lock.
+  */
+  async commitVersionsAsync (currVersions, nextVersions) {
+    if (currVersions !== this.versions) throw new E.ECOMMITFAIL()
+    if (this.lock === true) throw new E.ECOMMITFAIL()
+
+    this.lock = true
+    try {
+      await saveObjectAsync(this.filePath, this.tmpDir, nextVersions)
+      this.versions = nextVersions
+      deepFreeze(this.versions)
+    } finally {
+      this.lock = false
+    }
+  }
+
+  serialize (f) {
+    let p = this.last.then(() => f())
+    this.last = p.then(() => {}, () => {})
+    return p
+  }
+
+  /**
+  Returns the versioning policy of given drive, or null if versioning is not enabled
+  */
+  policy (driveUUID) {
+    let drive = this.driveList.drives.find(drv => drv.uuid === driveUUID)
+    if (!drive || !drive.versioning || !drive.versioning.enabled) return null
+    return {
+      maxVersions: drive.versioning.maxVersions || this.maxVersions,
+      maxAge: drive.versioning.maxAge || this.maxAge
+    }
+  }
+
+  /**
+  Returns the absolute path of the cloned file of a version
+  */
+  versionPath (version) {
+    return path.join(this.dir, version.hash)
+  }
+
+  findVersion (versionUUID) {
+    return this.versions.find(x => x.uuid === versionUUID)
+  }
+
+  /**
+  Returns all versions of given file, latest first
+  */
+  getVersions (fileUUID) {
+    return this.versions
+      .filter(x => x.file === fileUUID)
+      .sort((a, b) => b.ctime - a.ctime)
+  }
+
+  /**
+  Keep the current content of a file as a version, if versioning is enabled for the drive.
+
+  @param {string} filePath - absolute path of the file to be overwritten
+  @param {object} props - drive, file, name, hash, size, mtime, user
+  @returns {Version} the version created, or null if versioning is disabled or file has no hash
+  */
+  async putAsync (filePath, props) {
+    if (!this.policy(props.drive) || !props.hash) return null
+
+    return this.serialize(async () => {
+      let version = {
+        uuid: UUID.v4(),
+        drive: props.drive,
+        file: props.file,
+        name: props.name,
+        hash: props.hash,
+        size: props.size,
+        mtime: props.mtime,
+        user: props.user,
+        ctime: new Date().getTime()
+      }
+
+      let target = this.versionPath(version)
+      let cloned = false
+      try {
+        await fs.lstatAsync(target)
+      } catch (e) {
+        if (e.code !== 'ENOENT') throw e
+        let tmp = path.join(this.tmpDir, UUID.v4())
+        await btrfsCloneAsync(tmp, filePath)
+        await fs.renameAsync(tmp, target)
+        cloned = true
+      }
+
+      try {
+        await this.commitVersionsAsync(this.versions, [...this.versions, version])
+      } catch (e) {
+        if (cloned) await rimrafAsync(target)
+        throw e
+      }
+
+      debug('put', version)
+      return version
+    }).then(version => this.pruneAsync().then(() => version))
+  }
+
+  /**
+  Remove versions and cloned files no longer referenced
+
+  @param {string[]} versionUUIDs
+  */
+  async deleteAsync (versionUUIDs) {
+    return this.serialize(async () => {
+      let deleted = this.versions.filter(x => versionUUIDs.includes(x.uuid))
+      if (deleted.length === 0) return
+
+      let nextVersions = this.versions.filter(x => !deleted.includes(x))
+      await this.commitVersionsAsync(this.versions, nextVersions)
+
+      let hashes = Array.from(new Set(deleted.map(x => x.hash)))
+        .filter(hash => !nextVersions.find(x => x.hash === hash))
+      await Promise.map(hashes, hash => rimrafAsync(path.join(this.dir, hash)))
+
+      debug('delete', deleted.map(x => x.uuid))
+    })
+  }
+
+  /**
+  Prune versions according to drive policies. Versions of drives with versioning
+  disabled are kept, until versioning is enabled again or the versions are deleted explicitly.
+  */
+  async pruneAsync (now = new Date().getTime()) {
+    let pruned = []
+    let files = new Map()
+    this.versions.forEach(x => files.has(x.file) ? files.get(x.file).push(x) : files.set(x.file, [x]))
+    files.forEach(versions => {
+      let policy = this.policy(versions[0].drive)
+      if (!policy) return
+      versions
+        .sort((a, b) => b.ctime - a.ctime)
+        .forEach((x, i) => {
+          if (i >= policy.maxVersions || now - x.ctime > policy.maxAge) pruned.push(x.uuid)
+        })
+    })
+    await this.deleteAsync(pruned)
+  }
+
+  destroy () {
+    clearInterval(this.timer)
+  }
+
+}
+
+module.exports = Versions
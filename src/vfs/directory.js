@@ -7,6 +7,7 @@ const mkdirp = require('mkdirp')
 const Node = require('./node')
 const File = require('./file')
 const readdir = require('./readdir')
+const { META } = require('./meta')
 
 const Debug = require('debug')
 const debug = process.env.hasOwnProperty('DEBUG') ? Debug('directory') : () => {}
@@ -152,6 +153,9 @@ class Reading extends Base {
       // change to debug
       debug('readdir done', err || (xstats ? xstats.length : xstats), mtime, transient)
 
+      // hidden meta directory of drive, see module:DriveMeta
+      if (xstats && !this.dir.parent) xstats = xstats.filter(x => x.name !== META)
+
       if (dirPath !== this.dir.abspath()) {
         err = new Error('path changed during readdir operation')
         err.code = 'EINTERRUPTED'
@@ -206,10 +210,15 @@ class Reading extends Base {
     this.dir.dirCount = xstats.filter(x => x.type === 'directory').length
     let files = xstats.filter(x => x.type === 'file')
     this.dir.fileCount = files.length
-    this.dir.fileSize = files.reduce((acc, f) => acc + f.size, 0)
+    let fileSize = files.reduce((acc, f) => acc + f.size, 0)
+    this.dir.ctx.dirFileSizeUpdated(this.dir, fileSize - this.dir.fileSize)
+    this.dir.fileSize = fileSize
+
+    // notify observers before non-interested files are dropped
+    this.dir.ctx.dirEntriesUpdated(this.dir, xstats)
     
     // remove non-interested files
-    xstats = xstats.filter(x => x.type === 'directory' || (x.type === 'file' && (typeof x.magic === 'string' || (Array.isArray(x.tags) && x.tags.length !== 0))))
+    xstats = xstats.filter(Directory.isInterested)
 
     // convert to a map
     let map = new Map(xstats.map(x => [x.uuid, x]))
@@ -355,6 +364,7 @@ class Directory extends Node {
     // [...this.children].forEach(child => child.destroy()) 
     Array.from(this.children).forEach(c => c.destroy())
     this.state.destroy()
+    this.ctx.dirFileSizeUpdated(this, -this.fileSize)
     this.ctx.unindexDirectory(this) 
     super.destroy(detach)
 
@@ -450,6 +460,12 @@ Directory.Idle = Idle
 Directory.Pending = Pending
 Directory.Reading = Reading
 
+/**
+Returns true if the entry is kept in `children`, that is, a directory or a file with interested type or tags
+*/
+Directory.isInterested = x => x.type === 'directory' || 
+  (x.type === 'file' && (typeof x.magic === 'string' || (Array.isArray(x.tags) && x.tags.length !== 0)))
+
 module.exports = Directory
 
 
@@ -8,6 +8,7 @@ const debug = process.env.hasOwnProperty('DEBUG') ? Debug('forest') : () => {}
 
 const mkdirp = require('mkdirp')
 const { forceXstat } = require('../lib/xstat') 
+const Magic = require('../lib/magic')
 const Directory = require('./directory')
 const File = require('./file')
 
@@ -78,6 +79,12 @@ class Forest extends EventEmitter {
     All directories indexed by uuid
     */
     this.uuidMap = new Map()
+
+    /**
+    Total size of files in each tree, indexed by root uuid (drive uuid), maintained from
+    directory reads, see `dirFileSizeUpdated`
+    */
+    this.fileSizes = new Map()
     
     /**
      * 
@@ -156,9 +163,11 @@ class Forest extends EventEmitter {
     this.hashFailedFiles.delete(file)
   }
 
+  // documents are hashed for full-text search, but have no media metadata
   fileEnterHashed (file) {
     debug(`file ${file.name} enter hashed`)
-    this.mediaMap.indexFile(file)
+    if (Magic.isMedia(file.magic)) this.mediaMap.indexFile(file)
+    this.emit('FileEnterHashed', file)
   }
 
   /**
@@ -166,12 +175,13 @@ class Forest extends EventEmitter {
   */
   hashedFileNameUpdated (file) {
     debug(`hashed file ${file.name} name path updated`)
-    this.mediaMap.fileNameUpdated(file)
+    if (Magic.isMedia(file.magic)) this.mediaMap.fileNameUpdated(file)
   }
 
   fileExitHashed (file) {
     debug(`file ${file.name} exit hashed`)
-    this.mediaMap.unindexFile(file)
+    if (Magic.isMedia(file.magic)) this.mediaMap.unindexFile(file)
+    this.emit('FileExitHashed', file)
   }
 
   reqSchedFileHash () {
@@ -203,6 +213,40 @@ class Forest extends EventEmitter {
   unindexDirectory (dir) {
     debug(`unindex dir ${dir.name}`)
     this.uuidMap.delete(dir.uuid)
+    this.emit('DirUnindexed', dir)
+  }
+
+  /**
+  Called by directory when the total size of its files changes, including on destroy.
+  */
+  dirFileSizeUpdated (dir, delta) {
+    if (!delta) return
+    let uuid = dir.root().uuid
+    let size = (this.fileSizes.get(uuid) || 0) + delta
+    if (size) {
+      this.fileSizes.set(uuid, size)
+    } else {
+      this.fileSizes.delete(uuid)
+    }
+  }
+
+  /**
+  Returns the total size of files in a drive, 0 if drive not loaded
+
+  @param {string} driveUUID
+  @returns {number} size in bytes
+  */
+  getDriveFileSize (driveUUID) {
+    return this.fileSizes.get(driveUUID) || 0
+  }
+
+  /**
+  Called by directory when xstats of all entries, including non-interested files, are read.
+  Forest does not keep them, but observers (such as search index) may.
+  */
+  dirEntriesUpdated (dir, xstats) {
+    debug(`dir ${dir.name} entries updated`)
+    this.emit('DirEntriesUpdated', dir, xstats)
   }
 
   dirEnterIdle (dir) {
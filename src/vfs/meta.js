@@ -0,0 +1,47 @@
+const path = require('path')
+
+/**
+Each drive keeps its temporary files and trash in a hidden directory in drive root.
+
+Drive directory is a btrfs subvolume, and rename (or link) across subvolumes fails with
+EXDEV. Files to be moved into drive are prepared in its own tmp dir, which is on the same
+subvolume as drive data. For the same reason, removed entries are kept in its own trash dir.
+
+The directory is not loaded into forest, and vetoed in samba shares. The name is reserved in
+drive root, users can not create, remove, rename or overwrite an entry with this name there.
+A directory of the same name created by users before (without MARKER file) is moved aside
+when the drive is loaded, see `VFS.createDriveAsync`.
+
+@module DriveMeta
+*/
+
+/** name of hidden directory in drive root */
+const META = '.fruitmix'
+
+/** name of the file marking the hidden directory as created by fruitmix */
+const MARKER = '.drive-meta'
+
+const reserved = () => Object.assign(new Error(`${META} is reserved in drive root`),
+  { code: 'EINVAL', status: 400 })
+
+module.exports = {
+  META,
+  MARKER,
+
+  /** returns the tmp dir of a drive, given drive directory */
+  tmpDir: drivePath => path.join(drivePath, META, 'tmp'),
+
+  /** returns the trash dir of a drive, given drive directory */
+  trashDir: drivePath => path.join(drivePath, META, 'trash'),
+
+  /** returns the marker file of a drive, given drive directory */
+  markerPath: drivePath => path.join(drivePath, META, MARKER),
+
+  /**
+  Returns an error (400) if name is reserved in given forest directory, otherwise null
+
+  @param {Directory} dir
+  @param {string} name - entry name
+  */
+  checkName: (dir, name) => !dir.parent && name === META ? reserved() : null
+}
@@ -85,6 +85,18 @@ const link = (target, tmp, uuid, hash, opt, callback) => {
   })
 }
 
+/**
+Rename, or copy (reflink) and remove if oldPath and newPath are on different subvolumes, such
+as moving between drives. xattr are copied, so uuid is kept as rename does.
+*/
+const renameAcross = (oldPath, newPath, callback) =>
+  fs.rename(oldPath, newPath, err => {
+    if (!err || err.code !== 'EXDEV') return callback(err)
+    btrfs.reflinkCopy(oldPath, newPath, err => err
+      ? rimraf(newPath, () => callback(err))
+      : rimraf(oldPath, callback))
+  })
+
 const renameNoReplace = (oldPath, newPath, callback) =>
   // stat parent directory
   fs.lstat(path.dirname(newPath), (err, stat) => {
@@ -98,7 +110,7 @@ const renameNoReplace = (oldPath, newPath, callback) =>
       // stat target
       fs.lstat(newPath, (err, stat) => {
         if (err && err.code === 'ENOENT') {
-          fs.rename(oldPath, newPath, callback)
+          renameAcross(oldPath, newPath, callback)
         } else if (err) {
           callback(err)
         } else {
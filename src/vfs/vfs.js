@@ -18,7 +18,14 @@ const Node = require('./node')
 const File = require('./file')
 const Directory = require('./directory')
 
-const { btrfsConcat, btrfsClone, btrfsClone2 } = require('../lib/btrfs')
+const { 
+  btrfsConcat, btrfsClone, btrfsClone2, 
+  btrfsSubvolumeCreate, btrfsSubvolumeDelete, isBtrfsSubvolume, reflinkCopy
+} = require('../lib/btrfs')
+const btrfsSubvolumeCreateAsync = Promise.promisify(btrfsSubvolumeCreate)
+const btrfsSubvolumeDeleteAsync = Promise.promisify(btrfsSubvolumeDelete)
+const isBtrfsSubvolumeAsync = Promise.promisify(isBtrfsSubvolume)
+const reflinkCopyAsync = Promise.promisify(reflinkCopy)
 
 const { 
   readXstatAsync, forceXstatAsync, forceXstat, 
@@ -32,6 +39,7 @@ const debugi = require('debug')('fruitmix:indexing')
 const debug = Debug('vfs')
 
 const Forest = require('./forest')
+const meta = require('./meta')
 const { mkdir, mkfile, mvdir, mvfile, clone, send } = require('./underlying')
 
 // TODO move to lib
@@ -86,7 +94,14 @@ class VFS extends Forest {
     deepFreeze(this.drives)
     this.lock = false
 
-    this.drives.forEach(drive => this.createDriveAsync(drive).then(x => x))
+    /**
+    @member {Promise} ready - resolved when existing drives are loaded. Drive directories may be
+    converted to subvolume, so they must not be shared (samba) before then.
+    */
+    this.ready = Promise.mapSeries(this.drives.filter(drive => !drive.deleted),
+      drive => this.createDriveAsync(drive)
+        .catch(e => debug('failed to create drive', drive.uuid, e.message)))
+      .then(() => {})
   }
 
   async commitDrivesAsync (currDrives, nextDrives) {
@@ -152,6 +167,16 @@ class VFS extends Forest {
   }
 
   async updatePublicDriveAsync (driveUUID, props) {
+    return this.updateDriveAsync(driveUUID, props)
+  }
+
+  /**
+  Update drive props, props are not validated
+
+  @param {string} driveUUID
+  @param {object} props
+  */
+  async updateDriveAsync (driveUUID, props) {
     let currDrives = this.drives
 
     let index = this.drives.findIndex(drv => drv.uuid === driveUUID)
@@ -168,6 +193,39 @@ class VFS extends Forest {
     return nextDrive
   }
 
+  /**
+  Convert a private drive to a public drive, data are kept
+
+  @param {string} driveUUID
+  @param {object} props - `{ writelist, readlist, label }`
+  @returns {PublicDrive}
+  */
+  async convertToPublicDriveAsync (driveUUID, props) {
+    let currDrives = this.drives
+
+    let index = this.drives.findIndex(drv => drv.uuid === driveUUID)
+    if (index === -1) throw new Error('drive not found')
+
+    let { uuid, deleted } = this.drives[index]
+    let nextDrive = {
+      uuid,
+      type: 'public',
+      writelist: props.writelist || [],
+      readlist: props.readlist || [],
+      label: props.label || ''
+    }
+    if (deleted) nextDrive.deleted = deleted
+
+    let nextDrives = [
+      ...currDrives.slice(0, index),
+      nextDrive,
+      ...currDrives.slice(index + 1)
+    ]
+
+    await this.commitDrivesAsync(currDrives, nextDrives)
+    return nextDrive
+  }
+
   // are we using this function ? TODO
   isDriveUUID (driveUUID) {
     return !!this.roots.get(driveUUID)
@@ -203,13 +261,113 @@ class VFS extends Forest {
     debug('vfs.createDriveAsync', drive)
 
     let dirPath = path.join(this.dir, drive.uuid)
-    await mkdirpAsync(dirPath)
+    await this.createDriveDirAsync(dirPath)
+    await this.createMetaDirAsync(dirPath)
+
+    // leftover of last run
+    let tmpDir = meta.tmpDir(dirPath)
+    await rimrafAsync(tmpDir)
+    await mkdirpAsync(tmpDir)
 
     let xstat = await forceXstatAsync(dirPath, { uuid: drive.uuid })
     let root = new Directory(this, null, xstat)
     this.roots.set(root.uuid, root)
   }
 
+  /**
+  Create the hidden meta dir in drive root, see {@link module:DriveMeta}.
+
+  An existing directory (or file) of the same name without marker is created by users before
+  the name is reserved. It is renamed to a free name (such as `.fruitmix (2)`) and kept as user data.
+
+  @param {string} dirPath - absolute path of drive directory
+  */
+  async createMetaDirAsync (dirPath) {
+    let metaPath = path.join(dirPath, meta.META)
+    let owned = await fs.lstatAsync(meta.markerPath(dirPath)).then(() => true, () => false)
+    if (owned) return
+
+    let names = await fs.readdirAsync(dirPath)
+    if (names.includes(meta.META)) {
+      let n = 2
+      while (names.includes(`${meta.META} (${n})`)) n++
+      let newPath = path.join(dirPath, `${meta.META} (${n})`)
+      debug('move user-created meta dir aside', metaPath, newPath)
+      await fs.renameAsync(metaPath, newPath)
+    }
+
+    await mkdirpAsync(metaPath)
+    await fs.writeFileAsync(meta.markerPath(dirPath), '')
+  }
+
+  /**
+  Create drive directory as a btrfs subvolume, so it can be snapshotted.
+
+  An existing plain directory is converted by reflink-copying its content into a new 
+  subvolume and swapping them. This must be done before the drive is served or shared, 
+  otherwise changes during copy are lost. If subvolume is not supported by underlying file
+  system, a plain directory is created (or kept).
+
+  A conversion interrupted after the old directory is renamed away is resumed (or rolled back).
+
+  @param {string} dirPath - absolute path of drive directory
+  */
+  async createDriveDirAsync (dirPath) {
+    let name = path.basename(dirPath)
+    let subvolPath = path.join(this.dir, `.${name}.subvol`)
+    let oldPath = path.join(this.dir, `.${name}.old`)
+
+    let isSubvol = await isBtrfsSubvolumeAsync(dirPath).catch(e => {
+      if (e.code !== 'ENOENT') throw e
+      return null
+    })
+
+    const existsAsync = target => fs.lstatAsync(target).then(() => true, () => false)
+
+    let hasOld = await existsAsync(oldPath)
+    if (hasOld && isSubvol === null) {
+      await fs.renameAsync(oldPath, dirPath)
+      isSubvol = false
+    } else if (hasOld && isSubvol) {
+      await rimrafAsync(oldPath)
+    }
+
+    // leftover of an interrupted conversion
+    if (await existsAsync(subvolPath)) {
+      await btrfsSubvolumeDeleteAsync(subvolPath).catch(() => rimrafAsync(subvolPath))
+    }
+
+    if (isSubvol === null) {
+      try {
+        await btrfsSubvolumeCreateAsync(dirPath)
+      } catch (e) {
+        debug(`failed to create subvolume ${dirPath}, fallback to directory`, e.message)
+        await mkdirpAsync(dirPath)
+      }
+      return
+    }
+
+    if (isSubvol) return
+
+    try {
+      await btrfsSubvolumeCreateAsync(subvolPath)
+    } catch (e) {
+      return
+    }
+
+    try {
+      await reflinkCopyAsync(dirPath + '/.', subvolPath)
+    } catch (e) {
+      debug(`failed to convert ${dirPath} to subvolume`, e.message)
+      await btrfsSubvolumeDeleteAsync(subvolPath).catch(() => {})
+      return
+    }
+
+    await fs.renameAsync(dirPath, oldPath)
+    await fs.renameAsync(subvolPath, dirPath)
+    await rimrafAsync(oldPath)
+  }
+
   // 
   createDrive (drive, callback) {
     let dirPath = path.join(this.dir, drive.uuid)
@@ -230,11 +388,68 @@ class VFS extends Forest {
   @param {string} driveUUID
   */
   deleteDrive (driveUUID) {
-    let index = this.roots.findIndex(d => d.uuid === driveUUID)
-    if (index === -1) return
+    let root = this.roots.get(driveUUID)
+    if (!root) return
+
+    root.destroy()
+    this.roots.delete(driveUUID)
+  }
 
-    this.roots[index].destroy()
-    this.roots.splice(index, 1)
+  /**
+  Soft delete a drive. The drive is marked as `deleted` and detached from forest.
+  Its data are kept on disk until purged.
+
+  @param {string} driveUUID
+  @returns {Drive} deleted drive
+  */
+  async softDeleteDriveAsync (driveUUID) {
+    let drive = await this.updateDriveAsync(driveUUID, { deleted: new Date().getTime() })
+    this.deleteDrive(driveUUID)
+    return drive
+  }
+
+  /**
+  Restore a soft deleted drive and attach it to forest again
+
+  @param {string} driveUUID
+  @returns {Drive} restored drive
+  */
+  async restoreDriveAsync (driveUUID) {
+    let currDrives = this.drives
+    let index = currDrives.findIndex(drv => drv.uuid === driveUUID)
+    if (index === -1) throw new Error('drive not found')
+
+    let nextDrive = Object.assign({}, currDrives[index])
+    delete nextDrive.deleted
+    let nextDrives = [
+      ...currDrives.slice(0, index),
+      nextDrive,
+      ...currDrives.slice(index + 1)
+    ]
+
+    await this.commitDrivesAsync(currDrives, nextDrives)
+    await this.createDriveAsync(nextDrive)
+    return nextDrive
+  }
+
+  /**
+  Permanently remove a drive and its data
+
+  @param {string} driveUUID
+  */
+  async purgeDriveAsync (driveUUID) {
+    let currDrives = this.drives
+    if (!currDrives.find(drv => drv.uuid === driveUUID)) return
+
+    await this.commitDrivesAsync(currDrives, currDrives.filter(drv => drv.uuid !== driveUUID))
+    this.deleteDrive(driveUUID)
+
+    let dirPath = path.join(this.dir, driveUUID)
+    try {
+      await btrfsSubvolumeDeleteAsync(dirPath)
+    } catch (e) {
+      await rimrafAsync(dirPath)
+    }
   }
 
   /**
@@ -410,8 +625,17 @@ class VFS extends Forest {
   //                                                                          //
   //////////////////////////////////////////////////////////////////////////////
 
-  genTmpPath () {
-    return path.join(this.tmpDir, UUID.v4())
+  /**
+  Returns the tmp dir of a drive. Files to be moved into drive must be prepared there.
+  If the drive is not found, fruitmix tmp dir is returned, and moving will fail anyway.
+  */
+  driveTmpDir (driveUUID) {
+    let root = this.roots.get(driveUUID)
+    return root ? meta.tmpDir(root.abspath()) : this.tmpDir
+  }
+
+  genTmpPath (driveUUID) {
+    return path.join(this.driveTmpDir(driveUUID), UUID.v4())
   }
 
   absolutePath (node) {
@@ -509,6 +733,8 @@ class VFS extends Forest {
 
     try {
       dir = this.getDriveDirSync(dst.drive, dst.dir)
+      let err = meta.checkName(dir, dst.name)
+      if (err) throw err
     } catch (e) {
       return process.nextTick(() => callback(e))
     }
@@ -577,6 +803,8 @@ class VFS extends Forest {
   
     try {
       dir = this.getDriveDirSync(dst.drive, dst.dir)
+      let err = meta.checkName(dir, dst.name)
+      if (err) throw err
     } catch (e) {
       return process.nextTick(() => callback(e))
     }
@@ -592,6 +820,8 @@ class VFS extends Forest {
     try {
       srcDir = this.getDriveDirSync(src.drive, src.dir)
       dstDir = this.getDriveDirSync(dst.drive, dst.dir)
+      let err = meta.checkName(dstDir, src.name)
+      if (err) throw err
     } catch (e) {
       return process.nextTick(() => callback(e))
     }
@@ -599,7 +829,7 @@ class VFS extends Forest {
     let srcFilePath = path.join(this.absolutePath(srcDir), src.name)
     let dstFilePath = path.join(this.absolutePath(dstDir), src.name)
 
-    let tmp = this.genTmpPath()
+    let tmp = this.genTmpPath(dst.drive)
     clone(srcFilePath, src.uuid, tmp, (err, xstat) => {
       if (err) return callback(err)
       mkfile(dstFilePath, tmp, xstat.hash, policy, (err, xstats, resolved) => {
@@ -628,6 +858,8 @@ class VFS extends Forest {
     try {
       srcDir = this.getDriveDirSync(src.drive, src.dir)
       dstDir = this.getDriveDirSync(dst.drive, dst.dir)
+      let err = meta.checkName(dstDir, srcDir.name)
+      if (err) throw err
     } catch (e) {
       return process.nextTick(() => callback(e))
     }
@@ -662,6 +894,8 @@ class VFS extends Forest {
     try {
       srcDir = this.getDriveDirSync(src.drive, src.dir)
       dstDir = this.getDriveDirSync(dst.drive, dst.dir)
+      let err = meta.checkName(srcDir, src.name) || meta.checkName(dstDir, src.name)
+      if (err) throw err
     } catch (e) {
       return process.nextTick(() => callback(e))
     }
@@ -686,7 +920,7 @@ class VFS extends Forest {
     }
 
     let srcFilePath = path.join(this.absolutePath(dir), src.name)
-    let tmpPath = this.genTmpPath()
+    let tmpPath = this.genTmpPath(src.drive)
     
     clone(srcFilePath, src.uuid, tmpPath, (err, xstat) => {
       if (err) return callback(err)
@@ -0,0 +1,346 @@
+const path = require('path')
+const fs = require('fs')
+const url = require('url')
+const UUID = require('uuid')
+const rimraf = require('rimraf')
+const router = require('express').Router()
+
+const auth = require('../middleware/auth')
+const getFruit = require('../fruitmix')
+const { sendFile } = require('../middleware/download')
+const xml = require('./xml')
+
+/**
+WebDAV server (class 1 and 2) on top of fruitmix drives.
+
+Paths are mapped onto drives and directories, see {@link davapi}. Users are authenticated
+by basic (user uuid and password) or JWT strategies. Users with two-factor authentication
+enabled must use JWT.
+
++ PROPFIND, depth 0 and 1, all live properties are returned regardless of the request body
++ GET, HEAD, with etag, conditional and range requests for files
++ PUT, MKCOL, DELETE (into trash), COPY, MOVE
++ LOCK, UNLOCK, exclusive write locks only, see {@link module:Locks}
+
+@module webdav
+*/
+
+const fruit = (req, res, next) => {
+  req.fruit = getFruit()
+  if (req.fruit) {
+    next()
+  } else {
+    res.status(503).json({ message: 'fruitmix not available' })
+  }
+}
+
+const authenticate = auth.jwtOrBasic()
+
+const ALLOW = 'OPTIONS, PROPFIND, GET, HEAD, PUT, MKCOL, DELETE, COPY, MOVE, LOCK, UNLOCK'
+
+// decode path into names, throws 400
+const namesOf = pathname => {
+  try {
+    return pathname.split('/').filter(x => x.length).map(x => decodeURIComponent(x))
+  } catch (e) {
+    throw Object.assign(new Error('invalid path'), { status: 400 })
+  }
+}
+
+const hrefOf = (baseUrl, names, collection) =>
+  baseUrl + '/' + names.map(name => encodeURIComponent(name)).join('/') +
+  (collection && names.length ? '/' : '')
+
+// canonical lock path, drive uuid followed by entry names
+const lockPath = (target, names) => target.root ? '' : [target.drive.uuid, ...names.slice(1)].join('/')
+
+// read and discard request body, or collect it as string
+const readBody = (req, callback) => {
+  let bufs = []
+  req.on('data', data => bufs.length < 64 && bufs.push(data))
+  req.on('end', () => callback(Buffer.concat(bufs).toString()))
+}
+
+const hasBody = req => !!req.get('Transfer-Encoding') || parseInt(req.get('Content-Length') || '0') > 0
+
+// resolve request path into req.names and req.target
+const resolve = (req, res, next) => {
+  try {
+    req.names = namesOf(req.path)
+  } catch (e) {
+    return next(e)
+  }
+
+  req.fruit.resolveDav(req.user, req.names, (err, target) => {
+    if (err) {
+      // missing parent collection is a conflict only if the request creates the resource
+      if (err.status === 409 && !['PUT', 'MKCOL', 'LOCK'].includes(req.method)) err.status = 404
+      return next(err)
+    }
+    req.target = target
+    req.lockPath = lockPath(target, req.names)
+    req.tokens = xml.parseTokens(req.get('If'))
+    next()
+  })
+}
+
+// resolve destination header into req.dst, for COPY and MOVE
+const destination = (req, res, next) => {
+  let dest = req.get('Destination')
+  if (!dest) return next(Object.assign(new Error('destination required'), { status: 400 }))
+
+  let pathname = url.parse(dest).pathname || ''
+  if (pathname !== req.baseUrl && !pathname.startsWith(req.baseUrl + '/')) {
+    return next(Object.assign(new Error('destination is not on this server'), { status: 502 }))
+  }
+
+  let names
+  try {
+    names = namesOf(pathname.slice(req.baseUrl.length))
+  } catch (e) {
+    return next(e)
+  }
+
+  req.fruit.resolveDav(req.user, names, (err, dst) => {
+    if (err) return next(err)
+    if (dst.root) return next(Object.assign(new Error('invalid destination'), { status: 403 }))
+    req.dst = dst
+    req.dstLockPath = lockPath(dst, names)
+    next()
+  })
+}
+
+// check locks, throws 423
+const checkLock = (req, lockPath, opts) => req.fruit.davLocks.check(req.user, lockPath, req.tokens, opts)
+
+const activelocks = (req, lockPath, href) => req.fruit.davLocks.find(lockPath)
+  .map(lock => xml.activelock(lock, href))
+  .join('')
+
+router.options('*', (req, res) => {
+  res.set('DAV', '1, 2')
+  res.set('MS-Author-Via', 'DAV')
+  res.set('Allow', ALLOW)
+  res.status(200).end()
+})
+
+router.use(fruit, authenticate, resolve)
+
+router.propfind('*', (req, res, next) => {
+  let depth = req.get('Depth') || 'infinity'
+  if (depth !== '0' && depth !== '1') {
+    return res.status(403).type('application/xml').send(xml.error('propfind-finite-depth'))
+  }
+
+  let { target, names } = req
+  if (!target.root && !target.xstat) return next(Object.assign(new Error('not found'), { status: 404 }))
+
+  readBody(req, () => {
+    let responses = []
+    let isCollection = target.root || target.xstat.type === 'directory'
+    let href = hrefOf(req.baseUrl, names, isCollection)
+    if (target.root) {
+      responses.push(xml.response(href, { type: 'directory', name: '', mtime: 0 }))
+    } else {
+      responses.push(xml.response(href, target.xstat, activelocks(req, req.lockPath, href)))
+    }
+
+    if (depth === '0' || !isCollection) {
+      return res.status(207).type('application/xml').send(xml.multistatus(responses))
+    }
+
+    req.fruit.davReaddir(req.user, target, (err, entries) => {
+      if (err) return next(err)
+      entries.forEach(({ name, xstat }) => {
+        let childNames = [...names, name]
+        let childHref = hrefOf(req.baseUrl, childNames, xstat.type === 'directory')
+        let childLockPath = target.root ? xstat.uuid : `${req.lockPath}/${name}`
+        responses.push(xml.response(childHref, xstat, activelocks(req, childLockPath, childHref)))
+      })
+      res.status(207).type('application/xml').send(xml.multistatus(responses))
+    })
+  })
+})
+
+router.get('*', (req, res, next) => {
+  let { target } = req
+  if (target.root || (target.xstat && target.xstat.type === 'directory')) {
+    return next(Object.assign(new Error('collection can not be downloaded'), { status: 405 }))
+  }
+
+  if (!target.xstat) return next(Object.assign(new Error('not found'), { status: 404 }))
+  sendFile(req, res, next, path.join(target.parent.abspath(), target.name), target.xstat.hash)
+})
+
+router.put('*', (req, res, next) => {
+  let { target } = req
+  try {
+    if (target.root) throw Object.assign(new Error('forbidden'), { status: 403 })
+    req.fruit.davAssertWritable(req.user, target)
+    if (target.xstat && target.xstat.type !== 'file') {
+      throw Object.assign(new Error('target is a collection'), { status: 405 })
+    }
+
+    checkLock(req, req.lockPath, { parent: !target.xstat })
+
+    // overwriting is charged the difference in size only, as davPutFile does
+    let length = parseInt(req.get('Content-Length'))
+    if (length > 0) {
+      req.fruit.assertDriveQuota(target.drive.uuid, length - (target.xstat ? target.xstat.size : 0))
+    }
+  } catch (e) {
+    req.resume()
+    return next(e)
+  }
+
+  let tmpPath = path.join(req.fruit.getTmpDir(target.drive.uuid), UUID.v4() + path.extname(target.name))
+  let ws = fs.createWriteStream(tmpPath)
+  let finished = false
+  const abort = err => {
+    if (finished) return
+    finished = true
+    ws.destroy()
+    rimraf(tmpPath, () => {})
+    next(err)
+  }
+
+  req.on('aborted', () => abort(new Error('request aborted')))
+  ws.on('error', abort)
+  ws.on('finish', () => {
+    if (finished) return
+    finished = true
+    req.fruit.davPutFile(req.user, target, tmpPath, err =>
+      err ? next(err) : res.status(target.xstat ? 204 : 201).end())
+  })
+  req.pipe(ws)
+})
+
+router.mkcol('*', (req, res, next) => {
+  if (hasBody(req)) {
+    req.resume()
+    return next(Object.assign(new Error('request body not supported'), { status: 415 }))
+  }
+
+  let { target } = req
+  try {
+    if (target.root) throw Object.assign(new Error('forbidden'), { status: 403 })
+    checkLock(req, req.lockPath, { parent: true })
+  } catch (e) {
+    return next(e)
+  }
+
+  req.fruit.davMkcol(req.user, target, err => err ? next(err) : res.status(201).end())
+})
+
+router.delete('*', (req, res, next) => {
+  let { target } = req
+  try {
+    if (target.root) throw Object.assign(new Error('forbidden'), { status: 403 })
+    checkLock(req, req.lockPath, { deep: true, parent: true })
+  } catch (e) {
+    return next(e)
+  }
+
+  req.fruit.davDelete(req.user, target, err => {
+    if (err) return next(err)
+    req.fruit.davLocks.release(req.lockPath)
+    res.status(204).end()
+  })
+})
+
+router.copy('*', destination, (req, res, next) => {
+  let depth = req.get('Depth') || 'infinity'
+  if (depth !== '0' && depth !== 'infinity') {
+    return next(Object.assign(new Error('invalid depth'), { status: 400 }))
+  }
+
+  try {
+    checkLock(req, req.dstLockPath, { deep: true, parent: true })
+  } catch (e) {
+    return next(e)
+  }
+
+  let props = { overwrite: req.get('Overwrite') !== 'F', depth: depth === '0' ? 0 : Infinity }
+  req.fruit.davCopy(req.user, req.target, req.dst, props, (err, existed) =>
+    err ? next(err) : res.status(existed ? 204 : 201).end())
+})
+
+router.move('*', destination, (req, res, next) => {
+  let depth = req.get('Depth') || 'infinity'
+  if (depth !== 'infinity') return next(Object.assign(new Error('invalid depth'), { status: 400 }))
+
+  try {
+    checkLock(req, req.lockPath, { deep: true, parent: true })
+    checkLock(req, req.dstLockPath, { deep: true, parent: true })
+  } catch (e) {
+    return next(e)
+  }
+
+  let props = { overwrite: req.get('Overwrite') !== 'F' }
+  req.fruit.davMove(req.user, req.target, req.dst, props, (err, existed) => {
+    if (err) return next(err)
+    req.fruit.davLocks.release(req.lockPath)
+    res.status(existed ? 204 : 201).end()
+  })
+})
+
+router.lock('*', (req, res, next) => {
+  let { target, names } = req
+  if (target.root) return next(Object.assign(new Error('forbidden'), { status: 403 }))
+
+  let m = /^Second-(\d+)$/i.exec((req.get('Timeout') || '').split(',')[0].trim())
+  let timeout = m ? parseInt(m[1]) : undefined
+  let href = hrefOf(req.baseUrl, names, target.xstat && target.xstat.type === 'directory')
+
+  readBody(req, body => {
+    // refresh
+    if (!body.trim()) {
+      let lock = req.tokens.map(token => req.fruit.davLocks.refresh(req.user, token, timeout)).find(x => !!x)
+      if (!lock) return next(Object.assign(new Error('lock not found'), { status: 412 }))
+      return res.status(200).type('application/xml').send(xml.lockResponse(lock, href))
+    }
+
+    let lock
+    try {
+      req.fruit.davAssertWritable(req.user, target)
+      lock = req.fruit.davLocks.lock(req.user, {
+        path: req.lockPath,
+        depth: req.get('Depth') === '0' ? 0 : Infinity,
+        owner: xml.parseOwner(body),
+        timeout
+      })
+    } catch (e) {
+      return next(e)
+    }
+
+    const send = status => {
+      res.set('Lock-Token', `<${lock.token}>`)
+      res.status(status).type('application/xml').send(xml.lockResponse(lock, href))
+    }
+
+    if (target.xstat) return send(200)
+
+    // lock on unmapped url creates an empty file
+    let tmpPath = path.join(req.fruit.getTmpDir(target.drive.uuid), UUID.v4())
+    fs.writeFile(tmpPath, '', err => {
+      if (err) return next(err)
+      req.fruit.davPutFile(req.user, target, tmpPath, err => {
+        if (err) {
+          req.fruit.davLocks.unlock(req.user, lock.token)
+          return next(err)
+        }
+        send(201)
+      })
+    })
+  })
+})
+
+router.unlock('*', (req, res, next) => {
+  let token = (req.get('Lock-Token') || '').replace(/^\s*<|>\s*$/g, '')
+  if (!req.fruit.davLocks.unlock(req.user, token)) {
+    return res.status(409).type('application/xml').send(xml.error('lock-token-matches-request-uri'))
+  }
+  res.status(204).end()
+})
+
+module.exports = router
@@ -0,0 +1,150 @@
+const UUID = require('uuid')
+
+// 1 hour
+const DEFAULT_TIMEOUT = 3600
+
+// 1 day
+const MAX_TIMEOUT = 24 * 3600
+
+const locked = message => Object.assign(new Error(message), { code: 'ELOCKED', status: 423 })
+
+/**
+In-memory WebDAV lock manager.
+
+Only exclusive write locks are supported. Locks are not persisted, they expire after timeout and
+are all released when the process restarts. Lock paths are canonical, that is, drive uuid followed
+by entry names, joined by `/`.
+
+```
+Lock {
+  token,      // opaquelocktoken uri
+  path,       // canonical path
+  depth,      // 0 or Infinity
+  owner,      // text content of owner element provided by client
+  user,       // user uuid
+  timeout,    // seconds
+  expires     // timestamp
+}
+```
+
+@module Locks
+*/
+class Locks {
+
+  constructor () {
+    /**
+    locks indexed by token
+    */
+    this.locks = new Map()
+  }
+
+  // drop expired locks
+  purge () {
+    let now = new Date().getTime()
+    this.locks.forEach((lock, token) => lock.expires <= now && this.locks.delete(token))
+  }
+
+  /**
+  Returns locks applying to path. If deep, locks on descendants are included. If parent,
+  the lock on parent collection is included, for its membership is changed.
+
+  @param {string} path
+  @param {object} [opts]
+  @param {boolean} [opts.deep]
+  @param {boolean} [opts.parent]
+  @returns {Lock[]}
+  */
+  find (path, opts = {}) {
+    this.purge()
+    let parentPath = path.split('/').slice(0, -1).join('/')
+    return Array.from(this.locks.values()).filter(lock =>
+      lock.path === path ||
+      (lock.depth === Infinity && path.startsWith(lock.path + '/')) ||
+      (opts.deep && lock.path.startsWith(path + '/')) ||
+      (opts.parent && lock.path === parentPath))
+  }
+
+  /**
+  Throws 423 if any lock applying to path is not submitted by the user
+
+  @param {object} user
+  @param {string} path
+  @param {string[]} tokens - tokens in `If` header
+  @param {object} [opts] - see `find`
+  */
+  check (user, path, tokens, opts) {
+    let lock = this.find(path, opts).find(lock => lock.user !== user.uuid || !tokens.includes(lock.token))
+    if (lock) throw locked('resource is locked')
+  }
+
+  /**
+  Create a lock, throws 423 if conflicting with an existing one
+
+  @param {object} user
+  @param {object} props
+  @param {string} props.path
+  @param {number} props.depth - 0 or Infinity
+  @param {string} [props.owner]
+  @param {number} [props.timeout] - seconds
+  @returns {Lock}
+  */
+  lock (user, props) {
+    if (this.find(props.path, { deep: props.depth === Infinity }).length) {
+      throw locked('resource is locked')
+    }
+
+    let timeout = Math.min(props.timeout || DEFAULT_TIMEOUT, MAX_TIMEOUT)
+    let lock = {
+      token: `opaquelocktoken:${UUID.v4()}`,
+      path: props.path,
+      depth: props.depth,
+      owner: props.owner || '',
+      user: user.uuid,
+      timeout,
+      expires: new Date().getTime() + timeout * 1000
+    }
+
+    this.locks.set(lock.token, lock)
+    return lock
+  }
+
+  /**
+  Refresh a lock, returns the lock or undefined if not found
+
+  @param {object} user
+  @param {string} token
+  @param {number} [timeout] - seconds
+  */
+  refresh (user, token, timeout) {
+    this.purge()
+    let lock = this.locks.get(token)
+    if (!lock || lock.user !== user.uuid) return
+
+    lock.timeout = Math.min(timeout || DEFAULT_TIMEOUT, MAX_TIMEOUT)
+    lock.expires = new Date().getTime() + lock.timeout * 1000
+    return lock
+  }
+
+  /**
+  Release a lock, returns false if not found
+
+  @param {object} user
+  @param {string} token
+  */
+  unlock (user, token) {
+    let lock = this.locks.get(token)
+    if (!lock || lock.user !== user.uuid) return false
+    this.locks.delete(token)
+    return true
+  }
+
+  /**
+  Release locks on path and its descendants, after the resource is deleted or moved
+  */
+  release (path) {
+    this.locks.forEach((lock, token) =>
+      (lock.path === path || lock.path.startsWith(path + '/')) && this.locks.delete(token))
+  }
+}
+
+module.exports = Locks
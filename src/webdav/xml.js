@@ -0,0 +1,117 @@
+/**
+Minimal WebDAV xml generation and parsing. Request bodies are not fully parsed, only the
+elements used by this server are extracted.
+
+@module davxml
+*/
+
+const escape = str => String(str)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+
+const HEADER = '<?xml version="1.0" encoding="utf-8"?>\n'
+
+const supportedlock =
+  '<D:supportedlock><D:lockentry>' +
+  '<D:lockscope><D:exclusive/></D:lockscope><D:locktype><D:write/></D:locktype>' +
+  '</D:lockentry></D:supportedlock>'
+
+/**
+Returns activelock element
+
+@param {Lock} lock
+@param {string} root - href of lock root
+*/
+const activelock = (lock, root) =>
+  '<D:activelock>' +
+  '<D:locktype><D:write/></D:locktype><D:lockscope><D:exclusive/></D:lockscope>' +
+  `<D:depth>${lock.depth === Infinity ? 'infinity' : '0'}</D:depth>` +
+  (lock.owner ? `<D:owner>${escape(lock.owner)}</D:owner>` : '') +
+  `<D:timeout>Second-${lock.timeout}</D:timeout>` +
+  `<D:locktoken><D:href>${escape(lock.token)}</D:href></D:locktoken>` +
+  `<D:lockroot><D:href>${escape(root)}</D:href></D:lockroot>` +
+  '</D:activelock>'
+
+/**
+Returns a response element with all supported live properties
+
+@param {string} href
+@param {xstat} xstat
+@param {string} [lockdiscovery] - activelock elements
+*/
+const response = (href, xstat, lockdiscovery) => {
+  let props = [
+    `<D:displayname>${escape(xstat.name)}</D:displayname>`,
+    `<D:getlastmodified>${new Date(xstat.mtime).toUTCString()}</D:getlastmodified>`
+  ]
+
+  if (xstat.type === 'directory') {
+    props.push('<D:resourcetype><D:collection/></D:resourcetype>')
+  } else {
+    props.push('<D:resourcetype/>')
+    props.push(`<D:getcontentlength>${xstat.size}</D:getcontentlength>`)
+    if (xstat.hash) props.push(`<D:getetag>"${xstat.hash}"</D:getetag>`)
+  }
+
+  props.push(supportedlock)
+  props.push(`<D:lockdiscovery>${lockdiscovery || ''}</D:lockdiscovery>`)
+
+  return `<D:response><D:href>${escape(href)}</D:href>` +
+    `<D:propstat><D:prop>${props.join('')}</D:prop>` +
+    '<D:status>HTTP/1.1 200 OK</D:status></D:propstat></D:response>'
+}
+
+/**
+Returns a multistatus document
+
+@param {string[]} responses
+*/
+const multistatus = responses =>
+  `${HEADER}<D:multistatus xmlns:D="DAV:">${responses.join('')}</D:multistatus>`
+
+/**
+Returns a lock response document
+
+@param {Lock} lock
+@param {string} root - href of lock root
+*/
+const lockResponse = (lock, root) =>
+  `${HEADER}<D:prop xmlns:D="DAV:"><D:lockdiscovery>${activelock(lock, root)}</D:lockdiscovery></D:prop>`
+
+/**
+Returns an error document with a precondition element, such as `propfind-finite-depth`
+*/
+const error = condition => `${HEADER}<D:error xmlns:D="DAV:"><D:${condition}/></D:error>`
+
+/**
+Returns the text content of owner element in lockinfo, or undefined. Namespace prefixes of the
+request can not be kept in response, so tags are stripped.
+*/
+const parseOwner = body => {
+  let m = /<(?:[\w-]+:)?owner(?:\s[^>]*)?>([\s\S]*?)<\/(?:[\w-]+:)?owner>/.exec(body)
+  return m ? m[1].replace(/<[^>]*>/g, '').trim() : undefined
+}
+
+/**
+Returns lock tokens in `If` header
+*/
+const parseTokens = header => {
+  let tokens = []
+  let re = /<(opaquelocktoken:[^>]+)>/g
+  let m
+  while ((m = re.exec(header || ''))) tokens.push(m[1])
+  return tokens
+}
+
+module.exports = {
+  escape,
+  activelock,
+  response,
+  multistatus,
+  lockResponse,
+  error,
+  parseOwner,
+  parseTokens
+}
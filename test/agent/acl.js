@@ -0,0 +1,190 @@
+const Promise = require('bluebird')
+const path = require('path')
+const request = require('supertest')
+const rimrafAsync = Promise.promisify(require('rimraf'))
+const mkdirpAsync = Promise.promisify(require('mkdirp'))
+const chai = require('chai').use(require('chai-as-promised'))
+const expect = chai.expect
+
+const debug = require('debug')('divider')
+
+const app = require('src/app')
+const broadcast = require('src/common/broadcast')
+
+const {
+  IDS,
+  FILES,
+  createUserAsync,
+  retrieveTokenAsync,
+  createPublicDriveAsync
+} = require('./lib')
+
+const cwd = process.cwd()
+const tmptest = path.join(cwd, 'tmptest')
+const tmpDir = path.join(tmptest, 'tmp')
+
+const resetAsync = async () => {
+  broadcast.emit('FruitmixStop')
+  await Promise.delay(500)
+  await rimrafAsync(tmptest)
+  await mkdirpAsync(tmpDir)
+  broadcast.emit('FruitmixStart', tmptest)
+  await broadcast.until('FruitmixStarted')
+}
+
+const drive1 = IDS.publicDrive1.uuid
+
+const mkdirAsync = async (token, dirUUID, name) => (await request(app)
+  .post(`/drives/${drive1}/dirs/${dirUUID}/entries`)
+  .set('Authorization', 'JWT ' + token)
+  .field(name, JSON.stringify({ op: 'mkdir' }))
+  .expect(200)).body[0].data
+
+const setACLAsync = (token, dirUUID, entries, status) => request(app)
+  .put(`/drives/${drive1}/dirs/${dirUUID}/acl`)
+  .set('Authorization', 'JWT ' + token)
+  .send({ entries })
+  .expect(status)
+
+const uploadAsync = (token, dirUUID, status) => request(app)
+  .post(`/drives/${drive1}/dirs/${dirUUID}/entries`)
+  .set('Authorization', 'JWT ' + token)
+  .attach(FILES.hello.name, FILES.hello.path, JSON.stringify({
+    size: FILES.hello.size,
+    sha256: FILES.hello.hash
+  }))
+  .expect(status)
+
+/**
++ set and get acl of a directory
++ acl is inherited by sub-directories
++ read acl restricts writer from uploading
++ none acl hides directory from listing
+- 403 if removing directory with read-only sub-directory
+- write acl does not grant access to user without drive access
+- 403 if non-admin sets acl
+- 403 if setting acl on private drive
+- 400 if acl entry invalid
+*/
+describe(path.basename(__filename), () => {
+
+  let aliceToken, bobToken, foo, bar
+  beforeEach(async () => {
+    debug('------ I am a beautiful divider ------')
+    await Promise.delay(50)
+    await resetAsync()
+    await createUserAsync('alice')
+    aliceToken = await retrieveTokenAsync('alice')
+    await createUserAsync('bob', aliceToken)
+    bobToken = await retrieveTokenAsync('bob')
+    await createPublicDriveAsync({
+      writelist: [IDS.alice.uuid, IDS.bob.uuid],
+      label: 'foobar'
+    }, aliceToken, drive1)
+    foo = await mkdirAsync(aliceToken, drive1, 'foo')
+    bar = await mkdirAsync(aliceToken, foo.uuid, 'bar')
+  })
+
+  it('set and get acl of a directory, 5d8a3f21', async () => {
+    let entries = [{ user: IDS.bob.uuid, access: 'read' }]
+    let res = await setACLAsync(aliceToken, foo.uuid, entries, 200)
+    expect(res.body).to.deep.equal({ dir: foo.uuid, drive: drive1, entries })
+
+    res = await request(app)
+      .get(`/drives/${drive1}/dirs/${foo.uuid}/acl`)
+      .set('Authorization', 'JWT ' + aliceToken)
+      .expect(200)
+
+    expect(res.body).to.deep.equal({ dir: foo.uuid, drive: drive1, entries, inherited: null })
+  })
+
+  it('acl is inherited by sub-directories, 0b6c94e7', async () => {
+    await setACLAsync(aliceToken, foo.uuid, [{ user: IDS.bob.uuid, access: 'read' }], 200)
+
+    let res = await request(app)
+      .get(`/drives/${drive1}/dirs/${bar.uuid}/acl`)
+      .set('Authorization', 'JWT ' + aliceToken)
+      .expect(200)
+
+    expect(res.body).to.include({ inherited: foo.uuid })
+    await uploadAsync(bobToken, bar.uuid, 403)
+    await uploadAsync(aliceToken, bar.uuid, 200)
+  })
+
+  it('read acl restricts writer from uploading, 7e31c5a8', async () => {
+    await setACLAsync(aliceToken, foo.uuid, [{ user: IDS.bob.uuid, access: 'read' }], 200)
+    await uploadAsync(bobToken, foo.uuid, 403)
+
+    await request(app)
+      .get(`/drives/${drive1}/dirs/${foo.uuid}`)
+      .set('Authorization', 'JWT ' + bobToken)
+      .expect(200)
+  })
+
+  it('none acl hides directory from listing, c4f2e096', async () => {
+    await setACLAsync(aliceToken, foo.uuid, [{ user: IDS.bob.uuid, access: 'none' }], 200)
+
+    let res = await request(app)
+      .get(`/drives/${drive1}/dirs/${drive1}`)
+      .set('Authorization', 'JWT ' + bobToken)
+      .expect(200)
+    expect(res.body.entries.find(x => x.uuid === foo.uuid)).to.be.undefined
+
+    res = await request(app)
+      .get(`/drives/${drive1}/dirs`)
+      .set('Authorization', 'JWT ' + bobToken)
+      .expect(200)
+    expect(res.body.map(x => x.uuid)).to.deep.equal([drive1])
+
+    await request(app)
+      .get(`/drives/${drive1}/dirs/${bar.uuid}`)
+      .set('Authorization', 'JWT ' + bobToken)
+      .expect(403)
+  })
+
+  it('403 if removing directory with read-only sub-directory, 1d94e6a0', async () => {
+    await setACLAsync(aliceToken, bar.uuid, [{ user: IDS.bob.uuid, access: 'read' }], 200)
+
+    let res = await request(app)
+      .post(`/drives/${drive1}/dirs/${drive1}/entries`)
+      .set('Authorization', 'JWT ' + bobToken)
+      .field('foo', JSON.stringify({ op: 'remove', uuid: foo.uuid }))
+      .expect(403)
+
+    expect(res.body[0].error.code).to.equal('EFORBIDDEN')
+
+    await request(app)
+      .get(`/drives/${drive1}/dirs/${bar.uuid}`)
+      .set('Authorization', 'JWT ' + aliceToken)
+      .expect(200)
+  })
+
+  it('write acl does not grant access to user without drive access, 92ad7b3f', async () => {
+    await request(app)
+      .patch(`/drives/${drive1}`)
+      .set('Authorization', 'JWT ' + aliceToken)
+      .send({ writelist: [IDS.alice.uuid] })
+      .expect(200)
+
+    await setACLAsync(aliceToken, foo.uuid, [{ user: IDS.bob.uuid, access: 'write' }], 200)
+    await uploadAsync(bobToken, foo.uuid, 403)
+  })
+
+  it('403 if non-admin sets acl, 3f0e85bd', async () => {
+    await setACLAsync(bobToken, foo.uuid, [{ user: IDS.bob.uuid, access: 'write' }], 403)
+  })
+
+  it('403 if setting acl on private drive, a81b6d52', async () => {
+    await request(app)
+      .put(`/drives/${IDS.alice.home}/dirs/${IDS.alice.home}/acl`)
+      .set('Authorization', 'JWT ' + aliceToken)
+      .send({ entries: [] })
+      .expect(403)
+  })
+
+  it('400 if acl entry invalid, e6c03b19', async () => {
+    await setACLAsync(aliceToken, foo.uuid, [{ user: IDS.bob.uuid, access: 'admin' }], 400)
+    await setACLAsync(aliceToken, foo.uuid, [{ user: IDS.bob.uuid, group: IDS.bob.uuid, access: 'read' }], 400)
+    await setACLAsync(aliceToken, foo.uuid, [{ group: '39c70142-04cb-49de-b8e0-ab50810e19cb', access: 'read' }], 400)
+  })
+})
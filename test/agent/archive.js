@@ -0,0 +1,187 @@
+const Promise = require('bluebird')
+const path = require('path')
+const fs = require('fs')
+const request = require('supertest')
+const rimrafAsync = Promise.promisify(require('rimraf'))
+const mkdirpAsync = Promise.promisify(require('mkdirp'))
+const UUID = require('uuid')
+const chai = require('chai').use(require('chai-as-promised'))
+const expect = chai.expect
+
+const debug = require('debug')('divider')
+
+const app = require('src/app')
+const broadcast = require('src/common/broadcast')
+const Archive = require('src/lib/archive')
+
+const {
+  IDS,
+  FILES,
+  createUserAsync,
+  retrieveTokenAsync
+} = require('./lib')
+
+const cwd = process.cwd()
+const tmptest = path.join(cwd, 'tmptest')
+const tmpDir = path.join(tmptest, 'tmp')
+
+const resetAsync = async () => {
+  broadcast.emit('FruitmixStop')
+  await Promise.delay(500)
+  await rimrafAsync(tmptest)
+  await mkdirpAsync(tmpDir)
+  broadcast.emit('FruitmixStart', tmptest)
+  await broadcast.until('FruitmixStarted')
+}
+
+const home = IDS.alice.home
+const entriesUrl = dirUUID => `/drives/${home}/dirs/${dirUUID}/entries`
+
+const binaryParser = (res, callback) => {
+  let bufs = []
+  res.on('data', data => bufs.push(data))
+  res.on('end', () => callback(null, Buffer.concat(bufs)))
+}
+
+const archiveAsync = async (token, dirUUID, query, status = 200) => (await request(app)
+  .get(`/drives/${home}/dirs/${dirUUID}/archive`)
+  .query(query)
+  .set('Authorization', 'JWT ' + token)
+  .buffer(true)
+  .parse(binaryParser)
+  .expect(status))
+
+// list entries in zip central directory
+const zipEntries = buf => {
+  let entries = []
+  let end = buf.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]))
+  let count = buf.readUInt16LE(end + 10)
+  let pos = buf.readUInt32LE(end + 16)
+  for (let i = 0; i < count; i++) {
+    let nameLen = buf.readUInt16LE(pos + 28)
+    let extraLen = buf.readUInt16LE(pos + 30)
+    entries.push({
+      name: buf.slice(pos + 46, pos + 46 + nameLen).toString(),
+      crc: buf.readUInt32LE(pos + 16),
+      size: buf.readUInt32LE(pos + 24)
+    })
+    pos += 46 + nameLen + extraLen
+  }
+  return entries
+}
+
+// list entries in tar
+const tarEntries = buf => {
+  let entries = []
+  let pos = 0
+  while (pos + 512 <= buf.length && buf[pos] !== 0) {
+    let name = buf.slice(pos, pos + 100).toString().replace(/\0.*$/, '')
+    let size = parseInt(buf.slice(pos + 124, pos + 136).toString(), 8)
+    entries.push({ name, size, data: buf.slice(pos + 512, pos + 512 + size) })
+    pos += 512 + Math.ceil(size / 512) * 512
+  }
+  return entries
+}
+
+/**
++ download home as zip
++ download home as tar
++ download selected entries
++ subdirectory is archived recursively
+- 400 if format invalid
+- 403 if user can not read the directory
+- 404 if entry not found
+*/
+describe(path.basename(__filename), () => {
+
+  let aliceToken, bobToken, foo
+  beforeEach(async () => {
+    debug('------ I am a beautiful divider ------')
+    await Promise.delay(50)
+    await resetAsync()
+    await createUserAsync('alice')
+    aliceToken = await retrieveTokenAsync('alice')
+    await createUserAsync('bob', aliceToken)
+    bobToken = await retrieveTokenAsync('bob')
+
+    let res = await request(app)
+      .post(entriesUrl(home))
+      .set('Authorization', 'JWT ' + aliceToken)
+      .field('foo', JSON.stringify({ op: 'mkdir' }))
+      .expect(200)
+    foo = res.body[0].data
+
+    await request(app)
+      .post(entriesUrl(home))
+      .set('Authorization', 'JWT ' + aliceToken)
+      .attach(FILES.hello.name, FILES.hello.path, JSON.stringify({
+        size: FILES.hello.size,
+        sha256: FILES.hello.hash
+      }))
+      .expect(200)
+
+    await request(app)
+      .post(entriesUrl(foo.uuid))
+      .set('Authorization', 'JWT ' + aliceToken)
+      .attach(FILES.alonzo.name, FILES.alonzo.path, JSON.stringify({
+        size: FILES.alonzo.size,
+        sha256: FILES.alonzo.hash
+      }))
+      .expect(200)
+  })
+
+  it('download home as zip, 4b1e7d09', async () => {
+    let res = await archiveAsync(aliceToken, home, {})
+    expect(res.headers['content-disposition']).to.include('.zip')
+
+    let entries = zipEntries(res.body)
+    expect(entries.map(e => e.name).sort())
+      .to.deep.equal(['foo/', `foo/${FILES.alonzo.name}`, FILES.hello.name])
+
+    let hello = entries.find(e => e.name === FILES.hello.name)
+    let data = fs.readFileSync(FILES.hello.path)
+    expect(hello).to.include({ size: FILES.hello.size, crc: Archive.crc32(data) })
+  })
+
+  it('download home as tar, 9a6c3e52', async () => {
+    let res = await archiveAsync(aliceToken, home, { format: 'tar' })
+    expect(res.headers['content-disposition']).to.include('.tar')
+
+    let entries = tarEntries(res.body)
+    expect(entries.map(e => e.name).sort())
+      .to.deep.equal(['foo/', `foo/${FILES.alonzo.name}`, FILES.hello.name])
+
+    let hello = entries.find(e => e.name === FILES.hello.name)
+    expect(hello.data.equals(fs.readFileSync(FILES.hello.path))).to.be.true
+  })
+
+  it('download selected entries, e07d5f18', async () => {
+    let res = await request(app)
+      .get(`/drives/${home}/dirs/${home}`)
+      .set('Authorization', 'JWT ' + aliceToken)
+      .expect(200)
+    let hello = res.body.entries.find(x => x.name === FILES.hello.name)
+
+    res = await archiveAsync(aliceToken, home, { format: 'tar', entries: hello.uuid })
+    expect(res.headers['content-disposition']).to.include(`${FILES.hello.name}.tar`)
+    expect(tarEntries(res.body).map(e => e.name)).to.deep.equal([FILES.hello.name])
+  })
+
+  it('subdirectory is archived recursively, 31f8a6cd', async () => {
+    let res = await archiveAsync(aliceToken, foo.uuid, {})
+    expect(res.headers['content-disposition']).to.include('foo.zip')
+    expect(zipEntries(res.body).map(e => e.name)).to.deep.equal([FILES.alonzo.name])
+  })
+
+  it('400 if format invalid, 6d28b0e4', async () => {
+    await archiveAsync(aliceToken, home, { format: 'rar' }, 400)
+  })
+
+  it('403 if user can not read the directory, c5e91a27', async () => {
+    await archiveAsync(bobToken, home, {}, 403)
+  })
+
+  it('404 if entry not found, 8f3d7c61', async () => {
+    await archiveAsync(aliceToken, home, { entries: UUID.v4() }, 404)
+  })
+})
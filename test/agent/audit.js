@@ -0,0 +1,175 @@
+const Promise = require('bluebird')
+const path = require('path')
+const fs = require('fs')
+const request = require('supertest')
+const rimrafAsync = Promise.promisify(require('rimraf'))
+const mkdirpAsync = Promise.promisify(require('mkdirp'))
+const chai = require('chai').use(require('chai-as-promised'))
+const expect = chai.expect
+
+const app = require('src/app')
+const broadcast = require('src/common/broadcast')
+const totp = require('src/lib/totp')
+
+const {
+  IDS,
+  createUserAsync,
+  retrieveTokenAsync
+} = require('./lib')
+
+const cwd = process.cwd()
+const tmptest = path.join(cwd, 'tmptest')
+const tmpDir = path.join(tmptest, 'tmp')
+
+const resetAsync = async () => {
+  broadcast.emit('FruitmixStop')
+  await Promise.delay(500)
+  await rimrafAsync(tmptest)
+  await mkdirpAsync(tmpDir)
+  broadcast.emit('FruitmixStart', tmptest)
+  await broadcast.until('FruitmixStarted')
+}
+
+/**
++ user is locked after failed attempts, even with correct password
++ user is locked after failed totp codes across challenges
++ admin queries auth audit log by user and time range
++ query reads rotated log files, latest first, up to limit
+- 403 if non-admin queries auth audit log
+- 400 if time range invalid
+*/
+describe(path.basename(__filename), () => {
+
+  let aliceToken, bobToken
+
+  const failAsync = () => request(app)
+    .get('/token')
+    .auth(IDS.bob.uuid, 'wrong')
+    .expect(401)
+
+  beforeEach(async () => {
+    await resetAsync()
+    await createUserAsync('alice')
+    aliceToken = await retrieveTokenAsync('alice')
+    await createUserAsync('bob', aliceToken)
+    bobToken = await retrieveTokenAsync('bob')
+  })
+
+  it('user is locked after failed attempts, even with correct password, 6b2d09e4', async () => {
+    for (let i = 0; i < 4; i++) await failAsync()
+
+    await request(app)
+      .get('/token')
+      .auth(IDS.bob.uuid, 'wrong')
+      .expect(401)
+
+    let res = await request(app)
+      .get('/token')
+      .auth(IDS.bob.uuid, 'bob')
+      .expect(429)
+
+    expect(res.body.code).to.equal('ELOCKED')
+
+    // alice is not affected
+    await request(app)
+      .get('/token')
+      .auth(IDS.alice.uuid, 'alice')
+      .expect(200)
+  })
+
+  it('user is locked after failed totp codes across challenges, 3e9b7d25', async () => {
+    let res = await request(app)
+      .post(`/users/${IDS.bob.uuid}/totp`)
+      .auth(IDS.bob.uuid, 'bob')
+      .expect(200)
+
+    let secret = res.body.secret
+    let counter = totp.counterOf()
+
+    await request(app)
+      .put(`/users/${IDS.bob.uuid}/totp`)
+      .auth(IDS.bob.uuid, 'bob')
+      .send({ code: totp.hotp(secret, counter) })
+      .expect(200)
+
+    // a new challenge for each attempt
+    const verifyAsync = async (code, status) => {
+      let challenge = (await request(app)
+        .get('/token')
+        .auth(IDS.bob.uuid, 'bob')
+        .expect(200)).body.challenge
+
+      return request(app)
+        .post('/token/totp')
+        .send({ challenge, code })
+        .expect(status)
+    }
+
+    for (let i = 0; i < 5; i++) await verifyAsync('000000', 401)
+
+    res = await verifyAsync(totp.hotp(secret, counter + 1), 429)
+    expect(res.body.code).to.equal('ELOCKED')
+  })
+
+  it('admin queries auth audit log by user and time range, d83a5f17', async () => {
+    let start = new Date().getTime()
+    await failAsync()
+
+    let res = await request(app)
+      .get('/audit/auth')
+      .query({ user: IDS.bob.uuid, start })
+      .set('Authorization', 'JWT ' + aliceToken)
+      .expect(200)
+
+    expect(res.body.length).to.equal(1)
+    expect(res.body[0]).to.include({ type: 'failure', method: 'basic', user: IDS.bob.uuid })
+
+    res = await request(app)
+      .get('/audit/auth')
+      .query({ user: IDS.bob.uuid })
+      .set('Authorization', 'JWT ' + aliceToken)
+      .expect(200)
+
+    expect(res.body.map(x => x.type)).to.deep.equal(['failure', 'success'])
+  })
+
+  it('query reads rotated log files, latest first, up to limit, 7c1e5b94', async () => {
+    // as if rotated before
+    let old = { time: 1, type: 'failure', method: 'basic', user: IDS.bob.uuid }
+    fs.writeFileSync(path.join(tmptest, 'audit', 'auth.log.1'), JSON.stringify(old) + '\n')
+    await failAsync()
+
+    let res = await request(app)
+      .get('/audit/auth')
+      .query({ user: IDS.bob.uuid })
+      .set('Authorization', 'JWT ' + aliceToken)
+      .expect(200)
+
+    expect(res.body.map(x => x.type)).to.deep.equal(['failure', 'success', 'failure'])
+    expect(res.body[2]).to.deep.equal(old)
+
+    res = await request(app)
+      .get('/audit/auth')
+      .query({ user: IDS.bob.uuid, limit: 2 })
+      .set('Authorization', 'JWT ' + aliceToken)
+      .expect(200)
+
+    expect(res.body.map(x => x.time).every(t => t > 1)).to.be.true
+    expect(res.body.length).to.equal(2)
+  })
+
+  it('403 if non-admin queries auth audit log, 0f9c4e72', async () => {
+    await request(app)
+      .get('/audit/auth')
+      .set('Authorization', 'JWT ' + bobToken)
+      .expect(403)
+  })
+
+  it('400 if time range invalid, a4e61b38', async () => {
+    await request(app)
+      .get('/audit/auth')
+      .query({ start: 'yesterday' })
+      .set('Authorization', 'JWT ' + aliceToken)
+      .expect(400)
+  })
+})
@@ -0,0 +1,188 @@
+const Promise = require('bluebird')
+const path = require('path')
+const fs = require('fs')
+const request = require('supertest')
+const rimrafAsync = Promise.promisify(require('rimraf'))
+const mkdirpAsync = Promise.promisify(require('mkdirp'))
+const chai = require('chai').use(require('chai-as-promised'))
+const expect = chai.expect
+
+const debug = require('debug')('divider')
+
+const app = require('src/app')
+const broadcast = require('src/common/broadcast')
+const getFruit = require('src/fruitmix')
+
+const {
+  IDS,
+  FILES,
+  createUserAsync,
+  retrieveTokenAsync
+} = require('./lib')
+
+const cwd = process.cwd()
+const tmptest = path.join(cwd, 'tmptest')
+const tmpDir = path.join(tmptest, 'tmp')
+const usb = path.join(cwd, 'tmpusb')
+
+const resetAsync = async () => {
+  broadcast.emit('FruitmixStop')
+  await Promise.delay(500)
+  await rimrafAsync(tmptest)
+  await mkdirpAsync(tmpDir)
+  broadcast.emit('FruitmixStart', tmptest)
+  await broadcast.until('FruitmixStarted')
+}
+
+const FSUUID = '7c2e4a10-5d3b-4f6e-9a8c-1b2d3e4f5a6b'
+
+// attach or detach the fake usb disk
+const setUsb = attached => getFruit().setStorage({
+  blocks: attached
+    ? [{
+      name: 'sdz1',
+      isFileSystem: true,
+      isMounted: true,
+      isVolumeDevice: false,
+      fileSystemType: 'vfat',
+      fileSystemUUID: FSUUID,
+      mountpoint: usb
+    }]
+    : [],
+  volumes: []
+})
+
+/**
++ manual run exports drive files to target
++ unchanged files are linked to previous generation
++ old generations are pruned
+- 403 if user is not admin
+- 404 if target not found
+- 409 if target not attached when running
+- 400 if drives invalid
+*/
+describe(path.basename(__filename), () => {
+
+  let aliceToken, bobToken
+  const home = IDS.alice.home
+
+  const createJobAsync = (props, status = 200, token = aliceToken) => request(app)
+    .post('/backups')
+    .set('Authorization', 'JWT ' + token)
+    .send(Object.assign({ target: FSUUID, drives: [home], enabled: false }, props))
+    .expect(status)
+
+  const getJobAsync = async jobUUID => (await request(app)
+    .get(`/backups/${jobUUID}`)
+    .set('Authorization', 'JWT ' + aliceToken)
+    .expect(200)).body
+
+  // start a run and wait until the job has n runs, returns the latest one
+  const runAsync = async (jobUUID, n) => {
+    await request(app)
+      .post(`/backups/${jobUUID}/run`)
+      .set('Authorization', 'JWT ' + aliceToken)
+      .expect(200)
+
+    for (let i = 0; i < 50; i++) {
+      let runs = (await request(app)
+        .get(`/backups/${jobUUID}/history`)
+        .set('Authorization', 'JWT ' + aliceToken)
+        .expect(200)).body
+      if (runs.length >= n) return runs[0]
+      await Promise.delay(100)
+    }
+    throw new Error('timeout')
+  }
+
+  const genPath = (jobUUID, genUUID, ...names) =>
+    path.join(usb, 'wisnuc-backups', jobUUID, genUUID, home, ...names)
+
+  beforeEach(async () => {
+    debug('------ I am a beautiful divider ------')
+    await Promise.delay(50)
+    await resetAsync()
+    await rimrafAsync(usb)
+    await mkdirpAsync(usb)
+    await createUserAsync('alice')
+    aliceToken = await retrieveTokenAsync('alice')
+    await createUserAsync('bob', aliceToken)
+    bobToken = await retrieveTokenAsync('bob')
+    setUsb(true)
+
+    await request(app)
+      .post(`/drives/${home}/dirs/${home}/entries`)
+      .set('Authorization', 'JWT ' + aliceToken)
+      .attach(FILES.hello.name, FILES.hello.path, JSON.stringify({
+        size: FILES.hello.size,
+        sha256: FILES.hello.hash
+      }))
+      .expect(200)
+  })
+
+  after(async () => rimrafAsync(usb))
+
+  it('manual run exports drive files to target, 1d8e5f3a', async () => {
+    let job = (await createJobAsync()).body
+    expect(job).to.include({ target: FSUUID, keep: 7, attached: true, running: false })
+
+    let run = await runAsync(job.uuid, 1)
+    expect(run).to.include({ trigger: 'manual', status: 'success', method: 'file' })
+    expect(run.drives).to.deep.equal([{
+      drive: home,
+      incremental: false,
+      files: 1,
+      bytes: FILES.hello.size
+    }])
+
+    expect(fs.readFileSync(genPath(job.uuid, run.generation, FILES.hello.name)))
+      .to.deep.equal(fs.readFileSync(FILES.hello.path))
+
+    job = await getJobAsync(job.uuid)
+    expect(job.generations.map(x => x.uuid)).to.deep.equal([run.generation])
+    expect(job.last).to.deep.equal(run)
+  })
+
+  it('unchanged files are linked to previous generation, 6b0c2e97', async () => {
+    let job = (await createJobAsync()).body
+    let run1 = await runAsync(job.uuid, 1)
+    let run2 = await runAsync(job.uuid, 2)
+    expect(run2.drives[0]).to.include({ incremental: true, files: 0, bytes: 0 })
+
+    let stat1 = fs.lstatSync(genPath(job.uuid, run1.generation, FILES.hello.name))
+    let stat2 = fs.lstatSync(genPath(job.uuid, run2.generation, FILES.hello.name))
+    expect(stat2.ino).to.equal(stat1.ino)
+  })
+
+  it('old generations are pruned, a47f9d02', async () => {
+    let job = (await createJobAsync({ keep: 1 })).body
+    let run1 = await runAsync(job.uuid, 1)
+    let run2 = await runAsync(job.uuid, 2)
+
+    expect(fs.existsSync(genPath(job.uuid, run1.generation))).to.equal(false)
+    expect(fs.existsSync(genPath(job.uuid, run2.generation, FILES.hello.name))).to.equal(true)
+    expect((await getJobAsync(job.uuid)).generations.map(x => x.uuid)).to.deep.equal([run2.generation])
+  })
+
+  it('403 if user is not admin, 52c8e1b6', async () => {
+    await createJobAsync({}, 403, bobToken)
+  })
+
+  it('404 if target not found, 0f3d6a85', async () => {
+    await createJobAsync({ target: 'e2f1a0b9-1111-4222-8333-944455556666' }, 404)
+  })
+
+  it('409 if target not attached when running, c3e9b472', async () => {
+    let job = (await createJobAsync()).body
+    setUsb(false)
+    await request(app)
+      .post(`/backups/${job.uuid}/run`)
+      .set('Authorization', 'JWT ' + aliceToken)
+      .expect(409)
+  })
+
+  it('400 if drives invalid, 8e61f5d0', async () => {
+    await createJobAsync({ drives: [] }, 400)
+    await createJobAsync({ drives: 'hello' }, 400)
+  })
+})
@@ -0,0 +1,184 @@
+const Promise = require('bluebird')
+const path = require('path')
+const http = require('http')
+const request = require('supertest')
+const rimrafAsync = Promise.promisify(require('rimraf'))
+const mkdirpAsync = Promise.promisify(require('mkdirp'))
+const chai = require('chai').use(require('chai-as-promised'))
+const expect = chai.expect
+
+const debug = require('debug')('divider')
+
+const app = require('src/app')
+const broadcast = require('src/common/broadcast')
+
+const {
+  IDS,
+  createUserAsync,
+  retrieveTokenAsync
+} = require('./lib')
+
+const cwd = process.cwd()
+const tmptest = path.join(cwd, 'tmptest')
+const tmpDir = path.join(tmptest, 'tmp')
+
+const resetAsync = async () => {
+  broadcast.emit('FruitmixStop')
+  await Promise.delay(500)
+  await rimrafAsync(tmptest)
+  await mkdirpAsync(tmpDir)
+  broadcast.emit('FruitmixStart', tmptest)
+  await broadcast.until('FruitmixStarted')
+}
+
+const entriesUrl = (driveUUID, dirUUID) => `/drives/${driveUUID}/dirs/${dirUUID}/entries`
+
+/**
++ polling returns create, rename and delete events after cursor
++ subscription to a directory covers its subtree only
++ event stream sends missed events, ready and live events
++ reset if cursor can not be resumed
+- 404 if drive not readable
+- 400 if dir uuid invalid
+*/
+describe(path.basename(__filename), () => {
+
+  let aliceToken, bobToken
+  const home = IDS.alice.home
+
+  const writedirAsync = (token, driveUUID, dirUUID, name, op) => request(app)
+    .post(entriesUrl(driveUUID, dirUUID))
+    .set('Authorization', 'JWT ' + token)
+    .field(name, JSON.stringify({ op }))
+    .expect(200)
+
+  const changesAsync = (token, query, status = 200) => request(app)
+    .get('/changes')
+    .set('Authorization', 'JWT ' + token)
+    .query(query)
+    .expect(status)
+
+  const summary = events => events.map(e => [e.type, e.name])
+
+  beforeEach(async () => {
+    debug('------ I am a beautiful divider ------')
+    await Promise.delay(50)
+    await resetAsync()
+    await createUserAsync('alice')
+    aliceToken = await retrieveTokenAsync('alice')
+    await createUserAsync('bob', aliceToken)
+    bobToken = await retrieveTokenAsync('bob')
+
+    // changes are diffed against the first read
+    await request(app)
+      .get(`/drives/${home}/dirs/${home}`)
+      .set('Authorization', 'JWT ' + aliceToken)
+      .expect(200)
+    await Promise.delay(200)
+  })
+
+  it('polling returns create, rename and delete events after cursor, 5a0e93c7', async () => {
+    let res = await changesAsync(aliceToken, { drives: home })
+    expect(res.body).to.deep.equal({ cursor: res.body.cursor, reset: false, events: [] })
+    let cursor = res.body.cursor
+
+    await writedirAsync(aliceToken, home, home, 'foo', 'mkdir')
+    await writedirAsync(aliceToken, home, home, 'foo|bar', 'rename')
+    await Promise.delay(200)
+
+    res = await changesAsync(aliceToken, { drives: home, cursor })
+    expect(summary(res.body.events)).to.deep.equal([['create', 'foo'], ['rename', 'bar']])
+    expect(res.body.events[1]).to.include({ drive: home, dir: home, oldName: 'foo', entryType: 'directory' })
+    cursor = res.body.cursor
+
+    let bar = res.body.events[0].uuid
+    await request(app)
+      .post(entriesUrl(home, home))
+      .set('Authorization', 'JWT ' + aliceToken)
+      .field('bar', JSON.stringify({ op: 'remove', uuid: bar }))
+      .expect(200)
+    await Promise.delay(200)
+
+    res = await changesAsync(aliceToken, { cursor })
+    expect(summary(res.body.events)).to.deep.equal([['delete', 'bar']])
+  })
+
+  it('subscription to a directory covers its subtree only, 3c6f1b28', async () => {
+    let res = await writedirAsync(aliceToken, home, home, 'foo', 'mkdir')
+    let foo = res.body[0].data.uuid
+    await Promise.delay(200)
+
+    res = await request(app)
+      .get(`/drives/${home}/dirs/${foo}`)
+      .set('Authorization', 'JWT ' + aliceToken)
+      .expect(200)
+    await Promise.delay(200)
+
+    let cursor = (await changesAsync(aliceToken, { dirs: foo })).body.cursor
+    await writedirAsync(aliceToken, home, home, 'baz', 'mkdir')
+    await writedirAsync(aliceToken, home, foo, 'bar', 'mkdir')
+    await Promise.delay(200)
+
+    res = await changesAsync(aliceToken, { dirs: foo, cursor })
+    expect(summary(res.body.events)).to.deep.equal([['create', 'bar']])
+    expect(res.body.events[0].dir).to.equal(foo)
+  })
+
+  it('event stream sends missed events, ready and live events, 8e24d07b', done => {
+    changesAsync(aliceToken, { drives: home })
+      .then(res => writedirAsync(aliceToken, home, home, 'foo', 'mkdir')
+        .then(() => Promise.delay(200))
+        .then(() => res.body.cursor))
+      .then(cursor => {
+        let server = app.listen(0, () => {
+          let req = http.get({
+            port: server.address().port,
+            path: `/changes?drives=${home}`,
+            headers: {
+              'Authorization': 'JWT ' + aliceToken,
+              'Accept': 'text/event-stream',
+              'Last-Event-ID': cursor
+            }
+          }, res => {
+            expect(res.statusCode).to.equal(200)
+            expect(res.headers['content-type']).to.include('text/event-stream')
+
+            let text = ''
+            let ready = false
+            res.on('data', data => {
+              text += data
+              if (!ready && text.includes('event: ready')) {
+                ready = true
+                writedirAsync(aliceToken, home, home, 'bar', 'mkdir').catch(done)
+              }
+
+              if (!text.includes('"bar"')) return
+              let blocks = text.split('\n\n').filter(x => x.length)
+              expect(blocks[0]).to.match(/^id: [0-9a-f]{8}:\d+\ndata: .*"foo"/)
+              expect(blocks[1]).to.match(/^id: [0-9a-f]{8}:\d+\nevent: ready\n/)
+              expect(blocks[2]).to.match(/^id: [0-9a-f]{8}:\d+\ndata: .*"create".*"bar"/)
+              req.abort()
+              server.close()
+              done()
+            })
+          })
+          req.on('error', () => {})
+        })
+      })
+      .catch(done)
+  })
+
+  it('reset if cursor can not be resumed, 61d9fa02', async () => {
+    let res = await changesAsync(aliceToken, { cursor: '00000000:1' })
+    expect(res.body.reset).to.equal(true)
+    expect(res.body.events).to.deep.equal([])
+  })
+
+  it('404 if drive not readable, d74b05ae', async () => {
+    await changesAsync(bobToken, { drives: home }, 404)
+  })
+
+  it('400 if dir uuid invalid, 0f3e8c51', async () => {
+    await changesAsync(aliceToken, { dirs: 'hello' }, 400)
+  })
+})
@@ -0,0 +1,148 @@
+const Promise = require('bluebird')
+const path = require('path')
+const request = require('supertest')
+const rimrafAsync = Promise.promisify(require('rimraf'))
+const mkdirpAsync = Promise.promisify(require('mkdirp'))
+const chai = require('chai').use(require('chai-as-promised'))
+const expect = chai.expect
+
+const debug = require('debug')('divider')
+
+const app = require('src/app')
+const broadcast = require('src/common/broadcast')
+const { createIBF, IBFEncode, IBFSerialize } = require('src/lib/iblt')
+const { ELEMENT_LENGTH, encodeElement } = require('src/lib/delta')
+
+const {
+  IDS,
+  FILES,
+  createUserAsync,
+  retrieveTokenAsync
+} = require('./lib')
+
+const cwd = process.cwd()
+const tmptest = path.join(cwd, 'tmptest')
+const tmpDir = path.join(tmptest, 'tmp')
+
+const resetAsync = async () => {
+  broadcast.emit('FruitmixStop')
+  await Promise.delay(500)
+  await rimrafAsync(tmptest)
+  await mkdirpAsync(tmpDir)
+  broadcast.emit('FruitmixStart', tmptest)
+  await broadcast.until('FruitmixStarted')
+}
+
+const entriesUrl = (driveUUID, dirUUID) => `/drives/${driveUUID}/dirs/${dirUUID}/entries`
+
+const serialize = (entries, exponent = 6) => {
+  let ibf = createIBF(exponent, ELEMENT_LENGTH, 3, 1234)
+  IBFEncode(ibf, entries.map(x => encodeElement(x.uuid, x.hash, x.mtime)))
+  return IBFSerialize(ibf)
+}
+
+/**
++ empty client set returns all entries in subtree
++ same client set returns no difference
++ modified and removed entries
++ decoded is false if ibf is too small
+- 400 if ibf length invalid
+- 403 if user can not read the directory
+*/
+describe(path.basename(__filename), () => {
+
+  let aliceToken, bobToken, foo
+  const home = IDS.alice.home
+
+  const deltaAsync = (token, buf, status = 200, query = { k: 3, seed: 1234 }) => request(app)
+    .post(`/drives/${home}/dirs/${home}/delta`)
+    .set('Authorization', 'JWT ' + token)
+    .set('Content-Type', 'application/octet-stream')
+    .query(query)
+    .send(buf)
+    .expect(status)
+
+  beforeEach(async () => {
+    debug('------ I am a beautiful divider ------')
+    await Promise.delay(50)
+    await resetAsync()
+    await createUserAsync('alice')
+    aliceToken = await retrieveTokenAsync('alice')
+    await createUserAsync('bob', aliceToken)
+    bobToken = await retrieveTokenAsync('bob')
+
+    let res = await request(app)
+      .post(entriesUrl(home, home))
+      .set('Authorization', 'JWT ' + aliceToken)
+      .field('foo', JSON.stringify({ op: 'mkdir' }))
+      .expect(200)
+    foo = res.body[0].data
+
+    await request(app)
+      .post(entriesUrl(home, foo.uuid))
+      .set('Authorization', 'JWT ' + aliceToken)
+      .attach(FILES.hello.name, FILES.hello.path, JSON.stringify({
+        size: FILES.hello.size,
+        sha256: FILES.hello.hash
+      }))
+      .expect(200)
+
+    // entries are indexed after forest reads the directories
+    await request(app)
+      .get(`/drives/${home}/dirs/${foo.uuid}`)
+      .set('Authorization', 'JWT ' + aliceToken)
+      .expect(200)
+    await Promise.delay(200)
+  })
+
+  it('empty client set returns all entries in subtree, 2c7e91d5', async () => {
+    let res = await deltaAsync(aliceToken, serialize([]))
+    expect(res.body.decoded).to.equal(true)
+    expect(res.body.count).to.equal(2)
+    expect(res.body.changed.map(x => x.name).sort()).to.deep.equal([FILES.hello.name, 'foo'])
+    expect(res.body.changed.find(x => x.type === 'file'))
+      .to.include({ dir: foo.uuid, size: FILES.hello.size, hash: FILES.hello.hash })
+    expect(res.body.removed).to.deep.equal([])
+  })
+
+  it('same client set returns no difference, 7f0b3a64', async () => {
+    let res = await deltaAsync(aliceToken, serialize([]))
+    res = await deltaAsync(aliceToken, serialize(res.body.changed))
+    expect(res.body).to.deep.equal({ decoded: true, count: 2, changed: [], removed: [] })
+  })
+
+  it('modified and removed entries, 94d1e6a8', async () => {
+    let res = await deltaAsync(aliceToken, serialize([]))
+    let entries = res.body.changed
+    let hello = entries.find(x => x.type === 'file')
+    let ghost = { uuid: '0a54e78c-3093-498a-b728-466a49c1e091', mtime: 1 }
+
+    let client = [
+      entries.find(x => x.type === 'directory'),
+      Object.assign({}, hello, { mtime: hello.mtime - 1000 }),
+      ghost
+    ]
+
+    res = await deltaAsync(aliceToken, serialize(client))
+    expect(res.body.changed).to.deep.equal([hello])
+    expect(res.body.removed).to.deep.equal([ghost])
+  })
+
+  it('decoded is false if ibf is too small, 5be04f17', async () => {
+    let many = Array.from({ length: 200 }, (_, i) => ({
+      uuid: `0a54e78c-3093-498a-b728-${(i + 1).toString().padStart(12, '0')}`,
+      mtime: i
+    }))
+
+    let res = await deltaAsync(aliceToken, serialize(many, 4))
+    expect(res.body).to.deep.equal({ decoded: false, count: 2 })
+  })
+
+  it('400 if ibf length invalid, e01c58b9', async () => {
+    await deltaAsync(aliceToken, Buffer.alloc(100), 400)
+  })
+
+  it('403 if user can not read the directory, 3a8f62d0', async () => {
+    await deltaAsync(bobToken, serialize([]), 403)
+  })
+})
@@ -0,0 +1,173 @@
+const Promise = require('bluebird')
+const path = require('path')
+const fs = require('fs')
+const request = require('supertest')
+const rimrafAsync = Promise.promisify(require('rimraf'))
+const mkdirpAsync = Promise.promisify(require('mkdirp'))
+const UUID = require('uuid')
+const chai = require('chai').use(require('chai-as-promised'))
+const expect = chai.expect
+
+const debug = require('debug')('divider')
+
+const app = require('src/app')
+const broadcast = require('src/common/broadcast')
+
+const {
+  IDS,
+  FILES,
+  createUserAsync,
+  retrieveTokenAsync
+} = require('./lib')
+
+const cwd = process.cwd()
+const tmptest = path.join(cwd, 'tmptest')
+const tmpDir = path.join(tmptest, 'tmp')
+
+const resetAsync = async () => {
+  broadcast.emit('FruitmixStop')
+  await Promise.delay(500)
+  await rimrafAsync(tmptest)
+  await mkdirpAsync(tmpDir)
+  broadcast.emit('FruitmixStart', tmptest)
+  await broadcast.until('FruitmixStarted')
+}
+
+const home = IDS.alice.home
+
+const binaryParser = (res, callback) => {
+  let bufs = []
+  res.on('data', data => bufs.push(data))
+  res.on('end', () => callback(null, Buffer.concat(bufs)))
+}
+
+/**
++ entry GET sends fingerprint etag
++ 304 if If-None-Match matches
++ single range
++ multiple ranges
++ overlapping ranges coalesced
++ too many ranges ignored
++ range ignored if If-Range mismatch
++ media data sends fingerprint etag
+- 412 if If-Match mismatch
+- 416 if range not satisfiable
+- 404 if entry uuid mismatch
+*/
+describe(path.basename(__filename), () => {
+
+  let token, alonzo, data
+  const etag = `"${FILES.alonzo.hash}"`
+
+  const downloadAsync = (headers, status, uuid) => {
+    let req = request(app)
+      .get(`/drives/${home}/dirs/${home}/entries/${uuid || alonzo.uuid}`)
+      .query({ name: FILES.alonzo.name })
+      .set('Authorization', 'JWT ' + token)
+    Object.keys(headers).forEach(key => req.set(key, headers[key]))
+    return req.buffer(true).parse(binaryParser).expect(status)
+  }
+
+  beforeEach(async () => {
+    debug('------ I am a beautiful divider ------')
+    await Promise.delay(50)
+    await resetAsync()
+    await createUserAsync('alice')
+    token = await retrieveTokenAsync('alice')
+
+    let res = await request(app)
+      .post(`/drives/${home}/dirs/${home}/entries`)
+      .set('Authorization', 'JWT ' + token)
+      .attach(FILES.alonzo.name, FILES.alonzo.path, JSON.stringify({
+        size: FILES.alonzo.size,
+        sha256: FILES.alonzo.hash
+      }))
+      .expect(200)
+    alonzo = res.body[0].data
+    data = fs.readFileSync(FILES.alonzo.path)
+  })
+
+  it('entry GET sends fingerprint etag, 5c0e8a13', async () => {
+    let res = await downloadAsync({}, 200)
+    expect(res.headers.etag).to.equal(etag)
+    expect(res.headers['accept-ranges']).to.equal('bytes')
+    expect(res.body.equals(data)).to.be.true
+  })
+
+  it('304 if If-None-Match matches, 9e7b2f40', async () => {
+    await downloadAsync({ 'If-None-Match': etag }, 304)
+  })
+
+  it('single range, 21d6c8ab', async () => {
+    let res = await downloadAsync({ 'Range': 'bytes=100-199' }, 206)
+    expect(res.headers['content-range']).to.equal(`bytes 100-199/${FILES.alonzo.size}`)
+    expect(res.body.equals(data.slice(100, 200))).to.be.true
+  })
+
+  it('multiple ranges, b84f1e67', async () => {
+    let res = await downloadAsync({ 'Range': 'bytes=0-9,-10' }, 206)
+    let type = res.headers['content-type']
+    expect(type).to.match(/^multipart\/byteranges; boundary=/)
+    let boundary = type.split('boundary=')[1]
+    let body = res.body.toString('binary')
+    let parts = body.split(`--${boundary}`).slice(1, -1)
+    expect(parts.length).to.equal(2)
+    expect(parts[1]).to.include(`Content-Range: bytes ${FILES.alonzo.size - 10}-${FILES.alonzo.size - 1}/${FILES.alonzo.size}`)
+    expect(parts[0].split('\r\n\r\n')[1].slice(0, 10)).to.equal(data.slice(0, 10).toString('binary'))
+  })
+
+  it('overlapping ranges coalesced, 5d2b7e90', async () => {
+    let res = await downloadAsync({ 'Range': 'bytes=100-199,0-9,150-249,250-299' }, 206)
+    expect(res.headers['content-type']).to.match(/^multipart\/byteranges; boundary=/)
+    let boundary = res.headers['content-type'].split('boundary=')[1]
+    let parts = res.body.toString('binary').split(`--${boundary}`).slice(1, -1)
+    expect(parts.length).to.equal(2)
+    expect(parts[0]).to.include(`Content-Range: bytes 0-9/${FILES.alonzo.size}`)
+    expect(parts[1]).to.include(`Content-Range: bytes 100-299/${FILES.alonzo.size}`)
+  })
+
+  it('too many ranges ignored, a41c6f08', async () => {
+    let specs = Array.from({ length: 17 }, (_, i) => `${i * 10}-${i * 10 + 4}`)
+    let res = await downloadAsync({ 'Range': `bytes=${specs.join(',')}` }, 200)
+    expect(res.body.length).to.equal(FILES.alonzo.size)
+  })
+
+  it('range ignored if If-Range mismatch, 3f95a0d2', async () => {
+    let res = await downloadAsync({ 'Range': 'bytes=0-9', 'If-Range': '"foo"' }, 200)
+    expect(res.body.length).to.equal(FILES.alonzo.size)
+  })
+
+  it('media data sends fingerprint etag, 6a13e9c5', async () => {
+    // file is indexed by fingerprint after forest reads the directory
+    await request(app)
+      .get(`/drives/${home}/dirs/${home}`)
+      .set('Authorization', 'JWT ' + token)
+      .expect(200)
+    await Promise.delay(200)
+
+    let res = await request(app)
+      .get(`/media/${FILES.alonzo.hash}`)
+      .query({ alt: 'data' })
+      .set('Authorization', 'JWT ' + token)
+      .set('Range', 'bytes=0-0')
+      .buffer(true)
+      .parse(binaryParser)
+      .expect(206)
+    expect(res.headers.etag).to.equal(etag)
+    expect(res.body.equals(data.slice(0, 1))).to.be.true
+  })
+
+  it('412 if If-Match mismatch, d0c47b18', async () => {
+    await downloadAsync({ 'If-Match': '"foo"' }, 412)
+    await downloadAsync({ 'If-Match': etag }, 200)
+  })
+
+  it('416 if range not satisfiable, 7e2a5d96', async () => {
+    let res = await downloadAsync({ 'Range': `bytes=${FILES.alonzo.size}-` }, 416)
+    expect(res.headers['content-range']).to.equal(`bytes */${FILES.alonzo.size}`)
+  })
+
+  it('404 if entry uuid mismatch, 48b3f07e', async () => {
+    await downloadAsync({}, 404, UUID.v4())
+  })
+})
@@ -0,0 +1,151 @@
+const Promise = require('bluebird')
+const path = require('path')
+const fs = require('fs')
+const request = require('supertest')
+const rimrafAsync = Promise.promisify(require('rimraf'))
+const mkdirpAsync = Promise.promisify(require('mkdirp'))
+const chai = require('chai').use(require('chai-as-promised'))
+const expect = chai.expect
+
+const debug = require('debug')('divider')
+
+const app = require('src/app')
+const broadcast = require('src/common/broadcast')
+
+const {
+  IDS,
+  createUserAsync,
+  retrieveTokenAsync
+} = require('./lib')
+
+const cwd = process.cwd()
+const tmptest = path.join(cwd, 'tmptest')
+const tmpDir = path.join(tmptest, 'tmp')
+const DrivesDir = path.join(tmptest, 'drives')
+
+const resetAsync = async () => {
+  broadcast.emit('FruitmixStop')
+  await Promise.delay(500)
+  await rimrafAsync(tmptest)
+  await mkdirpAsync(tmpDir)
+  broadcast.emit('FruitmixStart', tmptest)
+  await broadcast.until('FruitmixStarted')
+}
+
+// restart fruitmix on the same root
+const restartAsync = async () => {
+  broadcast.emit('FruitmixStop')
+  await Promise.delay(500)
+  broadcast.emit('FruitmixStart', tmptest)
+  await broadcast.until('FruitmixStarted')
+}
+
+const home = IDS.alice.home
+const homePath = path.join(DrivesDir, home)
+const entriesUrl = dirUUID => `/drives/${home}/dirs/${dirUUID}/entries`
+
+/**
++ user-created .fruitmix in drive root is moved aside on load
++ .fruitmix is allowed in sub-directory
++ xcopy into .fruitmix in drive root fails
+- 400 if mkdir .fruitmix in drive root
+- 400 if rename into or from .fruitmix in drive root
+- 400 if remove .fruitmix in drive root
+- 400 if restoring trash item named .fruitmix into drive root
+*/
+describe(path.basename(__filename), () => {
+
+  let token, foo
+
+  const writedirAsync = (dirUUID, name, props, status = 200) => request(app)
+    .post(entriesUrl(dirUUID))
+    .set('Authorization', 'JWT ' + token)
+    .field(name, JSON.stringify(props))
+    .expect(status)
+
+  const listAsync = async dirUUID => (await request(app)
+    .get(`/drives/${home}/dirs/${dirUUID}`)
+    .set('Authorization', 'JWT ' + token)
+    .expect(200)).body.entries
+
+  beforeEach(async () => {
+    debug('------ I am a beautiful divider ------')
+    await Promise.delay(50)
+    await resetAsync()
+    await createUserAsync('alice')
+    token = await retrieveTokenAsync('alice')
+    foo = (await writedirAsync(home, 'foo', { op: 'mkdir' })).body[0].data
+  })
+
+  it('user-created .fruitmix in drive root is moved aside on load, 0c7e4a19', async () => {
+    // as if created by user before the name is reserved
+    await rimrafAsync(path.join(homePath, '.fruitmix'))
+    await mkdirpAsync(path.join(homePath, '.fruitmix', 'tmp'))
+    fs.writeFileSync(path.join(homePath, '.fruitmix', 'tmp', 'mine'), 'mine')
+
+    await restartAsync()
+
+    let names = (await listAsync(home)).map(x => x.name).sort()
+    expect(names).to.deep.equal(['.fruitmix (2)', 'foo'])
+    expect(fs.readFileSync(path.join(homePath, '.fruitmix (2)', 'tmp', 'mine')).toString()).to.equal('mine')
+    expect(fs.readdirSync(path.join(homePath, '.fruitmix', 'tmp'))).to.deep.equal([])
+  })
+
+  it('.fruitmix is allowed in sub-directory, 5a8d2f61', async () => {
+    await writedirAsync(foo.uuid, '.fruitmix', { op: 'mkdir' })
+    expect((await listAsync(foo.uuid)).map(x => x.name)).to.deep.equal(['.fruitmix'])
+  })
+
+  it('xcopy into .fruitmix in drive root fails, b92e06d4', async () => {
+    let sub = (await writedirAsync(foo.uuid, '.fruitmix', { op: 'mkdir' })).body[0].data
+    let task = (await request(app)
+      .post('/tasks')
+      .set('Authorization', 'JWT ' + token)
+      .send({
+        type: 'copy',
+        src: { drive: home, dir: foo.uuid },
+        dst: { drive: home, dir: home },
+        entries: [sub.uuid]
+      })
+      .expect(200)).body
+
+    await Promise.delay(500)
+    task = (await request(app)
+      .get(`/tasks/${task.uuid}`)
+      .set('Authorization', 'JWT ' + token)
+      .expect(200)).body
+
+    expect(task.nodes.find(n => n.src.uuid === sub.uuid).state).to.equal('Failed')
+    expect(fs.readdirSync(path.join(homePath, '.fruitmix'))).to.include('tmp')
+  })
+
+  it('400 if mkdir .fruitmix in drive root, 3e1f7b5c', async () => {
+    await writedirAsync(home, '.fruitmix', { op: 'mkdir' }, 400)
+  })
+
+  it('400 if rename into or from .fruitmix in drive root, d4a60c83', async () => {
+    await writedirAsync(home, 'foo|.fruitmix', { op: 'rename' }, 400)
+    await writedirAsync(home, '.fruitmix|bar', { op: 'rename' }, 400)
+  })
+
+  it('400 if remove .fruitmix in drive root, 71c5e2a8', async () => {
+    await writedirAsync(home, '.fruitmix', { op: 'remove', uuid: foo.uuid }, 400)
+  })
+
+  it('400 if restoring trash item named .fruitmix into drive root, 8f03b6de', async () => {
+    let sub = (await writedirAsync(foo.uuid, '.fruitmix', { op: 'mkdir' })).body[0].data
+    await writedirAsync(foo.uuid, '.fruitmix', { op: 'remove', uuid: sub.uuid })
+    await writedirAsync(home, 'foo', { op: 'remove', uuid: foo.uuid })
+
+    let items = (await request(app)
+      .get(`/drives/${home}/trash`)
+      .set('Authorization', 'JWT ' + token)
+      .expect(200)).body
+
+    let item = items.find(x => x.entry === sub.uuid)
+    await request(app)
+      .post(`/drives/${home}/trash/${item.uuid}/restore`)
+      .set('Authorization', 'JWT ' + token)
+      .expect(400)
+  })
+})
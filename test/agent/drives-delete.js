@@ -0,0 +1,185 @@
+const Promise = require('bluebird')
+const path = require('path')
+const fs = Promise.promisifyAll(require('fs'))
+const request = require('supertest')
+const rimrafAsync = Promise.promisify(require('rimraf'))
+const mkdirpAsync = Promise.promisify(require('mkdirp'))
+const chai = require('chai').use(require('chai-as-promised'))
+const expect = chai.expect
+
+const debug = require('debug')('divider')
+
+const app = require('src/app')
+const broadcast = require('src/common/broadcast')
+
+const {
+  IDS,
+  createUserAsync,
+  retrieveTokenAsync,
+  createPublicDriveAsync
+} = require('./lib')
+
+const cwd = process.cwd()
+const tmptest = path.join(cwd, 'tmptest')
+const tmpDir = path.join(tmptest, 'tmp')
+const DrivesDir = path.join(tmptest, 'drives')
+
+const resetAsync = async () => {
+  broadcast.emit('FruitmixStop')
+  await Promise.delay(500)
+  await rimrafAsync(tmptest)
+  await mkdirpAsync(tmpDir)
+  broadcast.emit('FruitmixStart', tmptest)
+  await broadcast.until('FruitmixStarted')
+}
+
+const getDrivesAsync = async (token, deleted) => (await request(app)
+  .get('/drives')
+  .query(deleted ? { deleted: 'true' } : {})
+  .set('Authorization', 'JWT ' + token)
+  .expect(200)).body
+
+/**
++ delete public drive, hidden from drive list
++ restore deleted public drive
++ purge deleted public drive
++ private drive of disabled user is deleted, and restored when enabled
+- 403 if non-admin deletes public drive
+- 403 if deleting built-in drive
+- 403 if deleting private drive
+- 404 if dir of deleted drive is listed
+*/
+describe(path.basename(__filename), () => {
+
+  let aliceToken, bobToken
+  const drive1 = IDS.publicDrive1.uuid
+
+  beforeEach(async () => {
+    debug('------ I am a beautiful divider ------')
+    await Promise.delay(50)
+    await resetAsync()
+    await createUserAsync('alice')
+    aliceToken = await retrieveTokenAsync('alice')
+    await createUserAsync('bob', aliceToken)
+    bobToken = await retrieveTokenAsync('bob')
+    await createPublicDriveAsync({
+      writelist: [IDS.alice.uuid, IDS.bob.uuid],
+      label: 'foobar'
+    }, aliceToken, drive1)
+  })
+
+  it('delete public drive, hidden from drive list, 7c1b3e5a', async () => {
+    let res = await request(app)
+      .delete(`/drives/${drive1}`)
+      .set('Authorization', 'JWT ' + aliceToken)
+      .expect(200)
+
+    expect(res.body.uuid).to.equal(drive1)
+    expect(res.body.deleted).to.be.a('number')
+
+    let drives = await getDrivesAsync(aliceToken)
+    expect(drives.find(drv => drv.uuid === drive1)).to.be.undefined
+
+    let deleted = await getDrivesAsync(aliceToken, true)
+    expect(deleted.map(drv => drv.uuid)).to.deep.equal([drive1])
+
+    // data kept on disk
+    let stat = await fs.lstatAsync(path.join(DrivesDir, drive1))
+    expect(stat.isDirectory()).to.be.true
+  })
+
+  it('restore deleted public drive, 0a94d7f2', async () => {
+    await request(app)
+      .delete(`/drives/${drive1}`)
+      .set('Authorization', 'JWT ' + aliceToken)
+      .expect(200)
+
+    let res = await request(app)
+      .post(`/drives/${drive1}/restore`)
+      .set('Authorization', 'JWT ' + aliceToken)
+      .expect(200)
+
+    expect(res.body.deleted).to.be.undefined
+
+    await request(app)
+      .get(`/drives/${drive1}/dirs/${drive1}`)
+      .set('Authorization', 'JWT ' + bobToken)
+      .expect(200)
+
+    expect(await getDrivesAsync(aliceToken, true)).to.deep.equal([])
+  })
+
+  it('purge deleted public drive, e5f2c816', async () => {
+    await request(app)
+      .delete(`/drives/${drive1}`)
+      .set('Authorization', 'JWT ' + aliceToken)
+      .expect(200)
+
+    await request(app)
+      .delete(`/drives/${drive1}`)
+      .query({ purge: 'true' })
+      .set('Authorization', 'JWT ' + aliceToken)
+      .expect(200)
+
+    expect(await getDrivesAsync(aliceToken, true)).to.deep.equal([])
+    await expect(fs.lstatAsync(path.join(DrivesDir, drive1))).to.be.rejectedWith(Error)
+  })
+
+  it('private drive of disabled user is deleted, and restored when enabled, 4bd80e97', async () => {
+    await request(app)
+      .patch(`/users/${IDS.bob.uuid}`)
+      .set('Authorization', 'JWT ' + aliceToken)
+      .send({ disabled: true })
+      .expect(200)
+
+    let deleted = await getDrivesAsync(aliceToken, true)
+    expect(deleted.map(drv => drv.uuid)).to.deep.equal([IDS.bob.home])
+
+    await request(app)
+      .patch(`/users/${IDS.bob.uuid}`)
+      .set('Authorization', 'JWT ' + aliceToken)
+      .send({ disabled: false })
+      .expect(200)
+
+    expect(await getDrivesAsync(aliceToken, true)).to.deep.equal([])
+    await request(app)
+      .get(`/drives/${IDS.bob.home}/dirs/${IDS.bob.home}`)
+      .set('Authorization', 'JWT ' + bobToken)
+      .expect(200)
+  })
+
+  it('403 if non-admin deletes public drive, 92e6a0cd', async () => {
+    await request(app)
+      .delete(`/drives/${drive1}`)
+      .set('Authorization', 'JWT ' + bobToken)
+      .expect(403)
+  })
+
+  it('403 if deleting built-in drive, 1f7d53b9', async () => {
+    let drives = await getDrivesAsync(aliceToken)
+    let bid = drives.find(drv => drv.type === 'public' && drv.tag === 'built-in')
+    await request(app)
+      .delete(`/drives/${bid.uuid}`)
+      .set('Authorization', 'JWT ' + aliceToken)
+      .expect(403)
+  })
+
+  it('403 if deleting private drive, 6ac4b20e', async () => {
+    await request(app)
+      .delete(`/drives/${IDS.alice.home}`)
+      .set('Authorization', 'JWT ' + aliceToken)
+      .expect(403)
+  })
+
+  it('404 if dir of deleted drive is listed, b38e9f14', async () => {
+    await request(app)
+      .delete(`/drives/${drive1}`)
+      .set('Authorization', 'JWT ' + aliceToken)
+      .expect(200)
+
+    await request(app)
+      .get(`/drives/${drive1}/dirs/${drive1}`)
+      .set('Authorization', 'JWT ' + bobToken)
+      .expect(404)
+  })
+})
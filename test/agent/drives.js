@@ -133,6 +133,9 @@ describe(path.basename(__filename) + ', Alice only', () => {
       .expect(200)
       .end((err, res) => {
         if (err) return done(err)
+        expect(res.body.usage).to.include({ available: null })
+        expect(res.body.usage.used).to.be.a('number')
+        delete res.body.usage
         expect(res.body).to.deep.equal({
           uuid: IDS.alice.home,
           type: 'private',
@@ -159,6 +162,8 @@ describe(path.basename(__filename) + ', Alice only', () => {
           .expect(200)
           .end((err, res) => {
             if (err) return done(err)
+            expect(res.body.usage).to.be.an('object')
+            delete res.body.usage
             expect(res.body).to.deep.equal(bid)
             done()
           })
@@ -220,15 +225,28 @@ describe(path.basename(__filename) + ', Alice only', () => {
     })
   }) 
 
-  it('Patch A Public Drive, change readlist should fail with 403', done => {
+  it('Patch A Public Drive, change readlist should succeed', done => {
     let foobar = { writelist: [IDS.alice.uuid], label: 'foobar' }
     createPublicDrive(token, IDS.publicDrive1.uuid, foobar, (err, drive) => {
       if (err) return done(err)
-      let body = { readlist: [] }
-      patchPublicDrive(token, IDS.publicDrive1.uuid, body, 403, done) 
+      let body = { readlist: [IDS.alice.uuid, IDS.alice.uuid] }
+      patchPublicDrive(token, IDS.publicDrive1.uuid, body, 200, (err, res) => {
+        if (err) return done(err)
+        expect(res.body.readlist).to.deep.equal([IDS.alice.uuid])
+        done()
+      }) 
     })
   }) 
 
+  it('Patch A Public Drive, change readlist to invalid uuid user array should fail with 400, 8e1d4b27', done => {
+    let foobar = { writelist: [IDS.alice.uuid], label: 'foobar' }
+    createPublicDrive(token, IDS.publicDrive1.uuid, foobar, (err, drive) => {
+      if (err) return done(err)
+      let body = { readlist: ['39c70142-04cb-49de-b8e0-ab50810e19cb'] }
+      patchPublicDrive(token, IDS.publicDrive1.uuid, body, 400, done) 
+    })
+  })
+
   it('Patch A Public Drive, change label should succeed', done => {
     let foobar = { writelist: [IDS.alice.uuid], label: 'foobar' }
     createPublicDrive(token, IDS.publicDrive1.uuid, foobar, (err, drive) => {
@@ -262,7 +280,11 @@ describe(path.basename(__filename) + ', Alice only', () => {
     createPublicDrive(token, IDS.publicDrive1.uuid, foobar, (err, drive) => {
       if (err) return done(err)
       let body = { writelist: ['39c70142-04cb-49de-b8e0-ab50810e19cb'] }
-      patchPublicDrive(token, IDS.publicDrive1.uuid, body, 400, done) 
+      patchPublicDrive(token, IDS.publicDrive1.uuid, body, 400, (err, res) => {
+        if (err) return done(err)
+        expect(res.body.message).to.include('39c70142-04cb-49de-b8e0-ab50810e19cb')
+        done()
+      })
     })
   })
 
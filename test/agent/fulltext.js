@@ -0,0 +1,133 @@
+const Promise = require('bluebird')
+const path = require('path')
+const crypto = require('crypto')
+const request = require('supertest')
+const rimrafAsync = Promise.promisify(require('rimraf'))
+const mkdirpAsync = Promise.promisify(require('mkdirp'))
+const chai = require('chai').use(require('chai-as-promised'))
+const expect = chai.expect
+
+const debug = require('debug')('divider')
+
+const app = require('src/app')
+const broadcast = require('src/common/broadcast')
+const Magic = require('src/lib/magic')
+
+const {
+  IDS,
+  createUserAsync,
+  retrieveTokenAsync
+} = require('./lib')
+
+const cwd = process.cwd()
+const tmptest = path.join(cwd, 'tmptest')
+const tmpDir = path.join(tmptest, 'tmp')
+
+const resetAsync = async () => {
+  broadcast.emit('FruitmixStop')
+  await Promise.delay(500)
+  await rimrafAsync(tmptest)
+  await mkdirpAsync(tmpDir)
+  broadcast.emit('FruitmixStart', tmptest)
+  await broadcast.until('FruitmixStarted')
+}
+
+const entriesUrl = `/drives/${IDS.alice.home}/dirs/${IDS.alice.home}/entries`
+
+const uploadTextAsync = async (token, name, text) => {
+  let buf = Buffer.from(text)
+  return (await request(app)
+    .post(entriesUrl)
+    .set('Authorization', 'JWT ' + token)
+    .attach(name, buf, JSON.stringify({
+      size: buf.length,
+      sha256: crypto.createHash('sha256').update(buf).digest('hex')
+    }))
+    .expect(200)).body
+}
+
+const searchAsync = async (token, query, status = 200) => (await request(app)
+  .get('/search')
+  .query(query)
+  .set('Authorization', 'JWT ' + token)
+  .expect(status)).body
+
+// text extraction is asynchronous
+const searchUntilAsync = async (token, query, count) => {
+  for (let i = 0; i < 20; i++) {
+    let results = await searchAsync(token, query)
+    if (results.length >= count) return results
+    await Promise.delay(100)
+  }
+  return searchAsync(token, query)
+}
+
+/**
++ txt and md files have doc magic
++ search text in txt file
++ all words must present
++ search cjk text
+- file without doc extension is not indexed
+- entries in drives user can not read are excluded
+- 400 if text empty
+*/
+describe(path.basename(__filename), () => {
+
+  let aliceToken, bobToken
+  beforeEach(async () => {
+    debug('------ I am a beautiful divider ------')
+    await Promise.delay(50)
+    await resetAsync()
+    await createUserAsync('alice')
+    aliceToken = await retrieveTokenAsync('alice')
+    await createUserAsync('bob', aliceToken)
+    bobToken = await retrieveTokenAsync('bob')
+
+    await uploadTextAsync(aliceToken, 'fox.txt', 'The quick brown fox jumps over the lazy dog.\n')
+    await uploadTextAsync(aliceToken, 'readme.md', '# Readme\n\nThe lazy cat, 你好世界\n')
+    await uploadTextAsync(aliceToken, 'plain', 'the quick brown fox again\n')
+
+    // listing dir forces a read, which updates search index
+    await request(app)
+      .get(`/drives/${IDS.alice.home}/dirs/${IDS.alice.home}`)
+      .set('Authorization', 'JWT ' + aliceToken)
+      .expect(200)
+  })
+
+  it('txt and md files have doc magic, 2d7e9a41', async () => {
+    let results = await searchAsync(aliceToken, { type: 'file' })
+    let magics = results.reduce((m, r) => Object.assign(m, { [r.name]: r.magic }), {})
+    expect(magics).to.deep.equal({ 'fox.txt': 'TXT', 'readme.md': 'MD', plain: Magic.ver })
+  })
+
+  it('search text in txt file, 8c3f1b06', async () => {
+    let results = await searchUntilAsync(aliceToken, { text: 'Fox' }, 1)
+    expect(results.map(x => x.name)).to.deep.equal(['fox.txt'])
+  })
+
+  it('all words must present, 5a90e7c2', async () => {
+    await searchUntilAsync(aliceToken, { text: 'lazy' }, 2)
+    let results = await searchAsync(aliceToken, { text: 'lazy cat' })
+    expect(results.map(x => x.name)).to.deep.equal(['readme.md'])
+  })
+
+  it('search cjk text, e4b1d873', async () => {
+    let results = await searchUntilAsync(aliceToken, { text: '世界' }, 1)
+    expect(results.map(x => x.name)).to.deep.equal(['readme.md'])
+  })
+
+  it('file without doc extension is not indexed, 71c6f0ad', async () => {
+    await searchUntilAsync(aliceToken, { text: 'quick' }, 1)
+    let results = await searchAsync(aliceToken, { text: 'again' })
+    expect(results).to.deep.equal([])
+  })
+
+  it('entries in drives user can not read are excluded, 0f5d28b9', async () => {
+    await searchUntilAsync(aliceToken, { text: 'fox' }, 1)
+    expect(await searchAsync(bobToken, { text: 'fox' })).to.deep.equal([])
+  })
+
+  it('400 if text empty, b3e6c95f', async () => {
+    await searchAsync(aliceToken, { text: ' ' }, 400)
+  })
+})
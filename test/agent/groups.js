@@ -0,0 +1,177 @@
+const Promise = require('bluebird')
+const path = require('path')
+const request = require('supertest')
+const rimrafAsync = Promise.promisify(require('rimraf'))
+const mkdirpAsync = Promise.promisify(require('mkdirp'))
+const UUID = require('uuid')
+const chai = require('chai').use(require('chai-as-promised'))
+const expect = chai.expect
+
+const debug = require('debug')('divider')
+
+const app = require('src/app')
+const broadcast = require('src/common/broadcast')
+
+const {
+  IDS,
+  createUserAsync,
+  retrieveTokenAsync,
+  createPublicDriveAsync
+} = require('./lib')
+
+const cwd = process.cwd()
+const tmptest = path.join(cwd, 'tmptest')
+const tmpDir = path.join(tmptest, 'tmp')
+
+const resetAsync = async () => {
+  broadcast.emit('FruitmixStop')
+  await Promise.delay(500)
+  await rimrafAsync(tmptest)
+  await mkdirpAsync(tmpDir)
+  broadcast.emit('FruitmixStart', tmptest)
+  await broadcast.until('FruitmixStarted')
+}
+
+const createGroupAsync = async (token, props) => (await request(app)
+  .post('/groups')
+  .set('Authorization', 'JWT ' + token)
+  .send(props)
+  .expect(200)).body
+
+/**
++ admin creates a group
++ admin updates group members
++ member lists own groups
++ group in drive writelist grants access
++ delete group removes it from drive writelist
+- 403 if non-admin creates group
+- 400 if member not found
+- 400 if group name exists
+- 404 if group not found
+*/
+describe(path.basename(__filename), () => {
+
+  let aliceToken, bobToken
+  const drive1 = IDS.publicDrive1.uuid
+
+  beforeEach(async () => {
+    debug('------ I am a beautiful divider ------')
+    await Promise.delay(50)
+    await resetAsync()
+    await createUserAsync('alice')
+    aliceToken = await retrieveTokenAsync('alice')
+    await createUserAsync('bob', aliceToken)
+    bobToken = await retrieveTokenAsync('bob')
+  })
+
+  it('admin creates a group, 6f2a8c13', async () => {
+    let group = await createGroupAsync(aliceToken, { name: 'staff', members: [IDS.bob.uuid] })
+    expect(group).to.include({ name: 'staff' })
+    expect(group.members).to.deep.equal([IDS.bob.uuid])
+
+    let res = await request(app)
+      .get('/groups')
+      .set('Authorization', 'JWT ' + aliceToken)
+      .expect(200)
+
+    expect(res.body).to.deep.equal([group])
+  })
+
+  it('admin updates group members, b08e4d27', async () => {
+    let group = await createGroupAsync(aliceToken, { name: 'staff' })
+    let res = await request(app)
+      .patch(`/groups/${group.uuid}`)
+      .set('Authorization', 'JWT ' + aliceToken)
+      .send({ members: [IDS.alice.uuid, IDS.bob.uuid] })
+      .expect(200)
+
+    expect(res.body.members).to.deep.equal([IDS.alice.uuid, IDS.bob.uuid].sort())
+  })
+
+  it('member lists own groups, 1c9d5e70', async () => {
+    let staff = await createGroupAsync(aliceToken, { name: 'staff', members: [IDS.bob.uuid] })
+    await createGroupAsync(aliceToken, { name: 'others' })
+
+    let res = await request(app)
+      .get('/groups')
+      .set('Authorization', 'JWT ' + bobToken)
+      .expect(200)
+
+    expect(res.body.map(g => g.uuid)).to.deep.equal([staff.uuid])
+  })
+
+  it('group in drive writelist grants access, 43e7a0b9', async () => {
+    let staff = await createGroupAsync(aliceToken, { name: 'staff', members: [IDS.bob.uuid] })
+    await createPublicDriveAsync({ writelist: [IDS.alice.uuid], label: 'foobar' }, aliceToken, drive1)
+
+    await request(app)
+      .get(`/drives/${drive1}/dirs/${drive1}`)
+      .set('Authorization', 'JWT ' + bobToken)
+      .expect(401)
+
+    await request(app)
+      .patch(`/drives/${drive1}`)
+      .set('Authorization', 'JWT ' + aliceToken)
+      .send({ writelist: [IDS.alice.uuid, staff.uuid] })
+      .expect(200)
+
+    await request(app)
+      .get(`/drives/${drive1}/dirs/${drive1}`)
+      .set('Authorization', 'JWT ' + bobToken)
+      .expect(200)
+  })
+
+  it('delete group removes it from drive writelist, d5a31f86', async () => {
+    let staff = await createGroupAsync(aliceToken, { name: 'staff', members: [IDS.bob.uuid] })
+    await createPublicDriveAsync({ writelist: [IDS.alice.uuid], label: 'foobar' }, aliceToken, drive1)
+    await request(app)
+      .patch(`/drives/${drive1}`)
+      .set('Authorization', 'JWT ' + aliceToken)
+      .send({ writelist: [IDS.alice.uuid, staff.uuid] })
+      .expect(200)
+
+    await request(app)
+      .delete(`/groups/${staff.uuid}`)
+      .set('Authorization', 'JWT ' + aliceToken)
+      .expect(200)
+
+    let res = await request(app)
+      .get(`/drives/${drive1}`)
+      .set('Authorization', 'JWT ' + aliceToken)
+      .expect(200)
+
+    expect(res.body.writelist).to.deep.equal([IDS.alice.uuid])
+  })
+
+  it('403 if non-admin creates group, 8a4c62d1', async () => {
+    await request(app)
+      .post('/groups')
+      .set('Authorization', 'JWT ' + bobToken)
+      .send({ name: 'staff' })
+      .expect(403)
+  })
+
+  it('400 if member not found, e27f9b34', async () => {
+    await request(app)
+      .post('/groups')
+      .set('Authorization', 'JWT ' + aliceToken)
+      .send({ name: 'staff', members: [UUID.v4()] })
+      .expect(400)
+  })
+
+  it('400 if group name exists, 5b0d8e6a', async () => {
+    await createGroupAsync(aliceToken, { name: 'staff' })
+    await request(app)
+      .post('/groups')
+      .set('Authorization', 'JWT ' + aliceToken)
+      .send({ name: 'staff' })
+      .expect(400)
+  })
+
+  it('404 if group not found, 90c3a7f5', async () => {
+    await request(app)
+      .get(`/groups/${UUID.v4()}`)
+      .set('Authorization', 'JWT ' + aliceToken)
+      .expect(404)
+  })
+})
@@ -0,0 +1,125 @@
+const Promise = require('bluebird')
+const path = require('path')
+const request = require('supertest')
+const rimrafAsync = Promise.promisify(require('rimraf'))
+const mkdirpAsync = Promise.promisify(require('mkdirp'))
+const crypto = require('crypto')
+const chai = require('chai').use(require('chai-as-promised'))
+const expect = chai.expect
+
+const debug = require('debug')('divider')
+
+const app = require('src/app')
+const broadcast = require('src/common/broadcast')
+
+const {
+  IDS,
+  FILES,
+  createUserAsync,
+  retrieveTokenAsync
+} = require('./lib')
+
+const cwd = process.cwd()
+const tmptest = path.join(cwd, 'tmptest')
+const tmpDir = path.join(tmptest, 'tmp')
+
+const resetAsync = async () => {
+  broadcast.emit('FruitmixStop')
+  await Promise.delay(500)
+  await rimrafAsync(tmptest)
+  await mkdirpAsync(tmpDir)
+  broadcast.emit('FruitmixStart', tmptest)
+  await broadcast.until('FruitmixStarted')
+}
+
+const entriesUrl = (driveUUID, dirUUID) => `/drives/${driveUUID}/dirs/${dirUUID}/entries`
+
+/**
++ newfile clones a readable file with the same fingerprint
++ newfile overwrites an existing file
+- 404 if no file with the fingerprint
+- 404 if user can not read the only file with the fingerprint
+- 400 if sha256 invalid
+*/
+describe(path.basename(__filename), () => {
+
+  let aliceToken, bobToken, alonzo
+  const home = IDS.alice.home
+
+  const newfileAsync = (token, driveUUID, name, props, status = 200) => request(app)
+    .post(entriesUrl(driveUUID, driveUUID))
+    .set('Authorization', 'JWT ' + token)
+    .field(name, JSON.stringify(Object.assign({ op: 'newfile' }, props)))
+    .expect(status)
+
+  beforeEach(async () => {
+    debug('------ I am a beautiful divider ------')
+    await Promise.delay(50)
+    await resetAsync()
+    await createUserAsync('alice')
+    aliceToken = await retrieveTokenAsync('alice')
+    await createUserAsync('bob', aliceToken)
+    bobToken = await retrieveTokenAsync('bob')
+
+    let res = await request(app)
+      .post(entriesUrl(home, home))
+      .set('Authorization', 'JWT ' + aliceToken)
+      .attach(FILES.alonzo.name, FILES.alonzo.path, JSON.stringify({
+        size: FILES.alonzo.size,
+        sha256: FILES.alonzo.hash
+      }))
+      .expect(200)
+    alonzo = res.body[0].data
+
+    // file is indexed by fingerprint after forest reads the directory
+    await request(app)
+      .get(`/drives/${home}/dirs/${home}`)
+      .set('Authorization', 'JWT ' + aliceToken)
+      .expect(200)
+    await Promise.delay(200)
+  })
+
+  it('newfile clones a readable file with the same fingerprint, 7d3a05e1', async () => {
+    let res = await newfileAsync(aliceToken, home, 'copy.jpg', { sha256: FILES.alonzo.hash })
+    let xstat = res.body[0].data
+    expect(xstat).to.include({ name: 'copy.jpg', size: FILES.alonzo.size, hash: FILES.alonzo.hash })
+    expect(xstat.uuid).to.not.equal(alonzo.uuid)
+
+    res = await request(app)
+      .get(`/drives/${home}/dirs/${home}`)
+      .set('Authorization', 'JWT ' + aliceToken)
+      .expect(200)
+    expect(res.body.entries.map(x => x.name).sort()).to.deep.equal([FILES.alonzo.name, 'copy.jpg'].sort())
+  })
+
+  it('newfile overwrites an existing file, b60e4f92', async () => {
+    let res = await request(app)
+      .post(entriesUrl(home, home))
+      .set('Authorization', 'JWT ' + aliceToken)
+      .attach(FILES.hello.name, FILES.hello.path, JSON.stringify({
+        size: FILES.hello.size,
+        sha256: FILES.hello.hash
+      }))
+      .expect(200)
+    let hello = res.body[0].data
+
+    res = await newfileAsync(aliceToken, home, FILES.hello.name, {
+      sha256: FILES.alonzo.hash,
+      overwrite: hello.uuid
+    })
+    expect(res.body[0].data).to.include({ uuid: hello.uuid, hash: FILES.alonzo.hash, size: FILES.alonzo.size })
+  })
+
+  it('404 if no file with the fingerprint, 1f8c92d4', async () => {
+    let sha256 = crypto.createHash('sha256').update('foo').digest('hex')
+    await newfileAsync(aliceToken, home, 'copy.jpg', { sha256 }, 404)
+  })
+
+  it('404 if user can not read the only file with the fingerprint, e2479ab3', async () => {
+    await newfileAsync(bobToken, IDS.bob.home, 'copy.jpg', { sha256: FILES.alonzo.hash }, 404)
+  })
+
+  it('400 if sha256 invalid, 3ac5d716', async () => {
+    await newfileAsync(aliceToken, home, 'copy.jpg', { sha256: 'foo' }, 400)
+  })
+})
@@ -0,0 +1,153 @@
+const Promise = require('bluebird')
+const path = require('path')
+const request = require('supertest')
+const rimrafAsync = Promise.promisify(require('rimraf'))
+const mkdirpAsync = Promise.promisify(require('mkdirp'))
+const chai = require('chai').use(require('chai-as-promised'))
+const expect = chai.expect
+
+const debug = require('debug')('divider')
+
+const app = require('src/app')
+const broadcast = require('src/common/broadcast')
+
+const {
+  IDS,
+  FILES,
+  createUserAsync,
+  retrieveTokenAsync
+} = require('./lib')
+
+const cwd = process.cwd()
+const tmptest = path.join(cwd, 'tmptest')
+const tmpDir = path.join(tmptest, 'tmp')
+
+const resetAsync = async () => {
+  broadcast.emit('FruitmixStop')
+  await Promise.delay(500)
+  await rimrafAsync(tmptest)
+  await mkdirpAsync(tmpDir)
+  broadcast.emit('FruitmixStart', tmptest)
+  await broadcast.until('FruitmixStarted')
+}
+
+const setQuotaAsync = (token, driveUUID, quota, status) => request(app)
+  .put(`/drives/${driveUUID}/quota`)
+  .set('Authorization', 'JWT ' + token)
+  .send({ quota })
+  .expect(status)
+
+const uploadAsync = (token, file, status) => request(app)
+  .post(`/drives/${IDS.bob.home}/dirs/${IDS.bob.home}/entries`)
+  .set('Authorization', 'JWT ' + token)
+  .attach(file.name, file.path, JSON.stringify({
+    size: file.size,
+    sha256: file.hash
+  }))
+  .expect(status)
+
+/**
++ admin sets quota on private drive
++ admin clears quota
++ upload within quota succeeds
++ usage is the size checked against quota
++ upload session overwriting a file is charged the difference in size
+- upload exceeding quota fails with 403 EDQUOT
+- dup exceeding quota fails with 403 EDQUOT
+- 403 if non-admin sets quota
+- 400 if quota invalid
+*/
+describe(path.basename(__filename), () => {
+
+  let aliceToken, bobToken
+  beforeEach(async () => {
+    debug('------ I am a beautiful divider ------')
+    await Promise.delay(50)
+    await resetAsync()
+    await createUserAsync('alice')
+    aliceToken = await retrieveTokenAsync('alice')
+    await createUserAsync('bob', aliceToken)
+    bobToken = await retrieveTokenAsync('bob')
+  })
+
+  it('admin sets quota on private drive, 2b7f4c91', async () => {
+    let res = await setQuotaAsync(aliceToken, IDS.bob.home, 1024 * 1024, 200)
+    expect(res.body).to.include({ uuid: IDS.bob.home, quota: 1024 * 1024 })
+
+    res = await request(app)
+      .get(`/drives/${IDS.bob.home}`)
+      .set('Authorization', 'JWT ' + bobToken)
+      .expect(200)
+
+    expect(res.body.quota).to.equal(1024 * 1024)
+    expect(res.body.usage.available).to.be.at.most(1024 * 1024)
+  })
+
+  it('admin clears quota, 8d03a5e6', async () => {
+    await setQuotaAsync(aliceToken, IDS.bob.home, 1024 * 1024, 200)
+    let res = await setQuotaAsync(aliceToken, IDS.bob.home, null, 200)
+    expect(res.body.quota).to.be.null
+  })
+
+  it('upload within quota succeeds, f1c96b27', async () => {
+    await setQuotaAsync(aliceToken, IDS.bob.home, 1024 * 1024, 200)
+    await uploadAsync(bobToken, FILES.hello, 200)
+  })
+
+  it('usage is the size checked against quota, 4e8c17a3', async () => {
+    await uploadAsync(bobToken, FILES.alonzo, 200)
+    await setQuotaAsync(aliceToken, IDS.bob.home, FILES.alonzo.size + 1, 200)
+
+    let res = await request(app)
+      .get(`/drives/${IDS.bob.home}`)
+      .set('Authorization', 'JWT ' + bobToken)
+      .expect(200)
+
+    expect(res.body.usage).to.deep.equal({ used: FILES.alonzo.size, available: 1 })
+  })
+
+  it('upload session overwriting a file is charged the difference in size, b05f92d6', async () => {
+    let alonzo = (await uploadAsync(bobToken, FILES.alonzo, 200)).body[0].data
+    await setQuotaAsync(aliceToken, IDS.bob.home, FILES.alonzo.size + 1, 200)
+
+    await request(app)
+      .post('/uploads')
+      .set('Authorization', 'JWT ' + bobToken)
+      .send({
+        driveUUID: IDS.bob.home,
+        dirUUID: IDS.bob.home,
+        name: FILES.alonzo.name,
+        size: FILES.alonzo.size,
+        sha256: FILES.alonzo.hash,
+        overwrite: alonzo.uuid
+      })
+      .expect(200)
+  })
+
+  it('upload exceeding quota fails with 403 EDQUOT, 53ae0d8c', async () => {
+    await setQuotaAsync(aliceToken, IDS.bob.home, FILES.alonzo.size - 1, 200)
+    let res = await uploadAsync(bobToken, FILES.alonzo, 403)
+    expect(res.body[0].error.code).to.equal('EDQUOT')
+  })
+
+  it('dup exceeding quota fails with 403 EDQUOT, 6a41d2f8', async () => {
+    await uploadAsync(bobToken, FILES.alonzo, 200)
+    await setQuotaAsync(aliceToken, IDS.bob.home, FILES.alonzo.size + 1, 200)
+
+    let res = await request(app)
+      .post(`/drives/${IDS.bob.home}/dirs/${IDS.bob.home}/entries`)
+      .set('Authorization', 'JWT ' + bobToken)
+      .field(`${FILES.alonzo.name}|copy`, JSON.stringify({ op: 'dup' }))
+      .expect(403)
+
+    expect(res.body[0].error.code).to.equal('EDQUOT')
+  })
+
+    it('403 if non-admin sets quota, 0c6e1fb4', async () => {
+    await setQuotaAsync(bobToken, IDS.bob.home, 1024 * 1024, 403)
+  })
+
+  it('400 if quota invalid, 97b2e840', async () => {
+    await setQuotaAsync(aliceToken, IDS.bob.home, -1, 400)
+  })
+})
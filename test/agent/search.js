@@ -0,0 +1,120 @@
+const Promise = require('bluebird')
+const path = require('path')
+const request = require('supertest')
+const rimrafAsync = Promise.promisify(require('rimraf'))
+const mkdirpAsync = Promise.promisify(require('mkdirp'))
+const chai = require('chai').use(require('chai-as-promised'))
+const expect = chai.expect
+
+const debug = require('debug')('divider')
+
+const app = require('src/app')
+const broadcast = require('src/common/broadcast')
+
+const {
+  IDS,
+  FILES,
+  createUserAsync,
+  retrieveTokenAsync
+} = require('./lib')
+
+const cwd = process.cwd()
+const tmptest = path.join(cwd, 'tmptest')
+const tmpDir = path.join(tmptest, 'tmp')
+
+const resetAsync = async () => {
+  broadcast.emit('FruitmixStop')
+  await Promise.delay(500)
+  await rimrafAsync(tmptest)
+  await mkdirpAsync(tmpDir)
+  broadcast.emit('FruitmixStart', tmptest)
+  await broadcast.until('FruitmixStarted')
+}
+
+const entriesUrl = `/drives/${IDS.alice.home}/dirs/${IDS.alice.home}/entries`
+
+const uploadAsync = (token, file) => request(app)
+  .post(entriesUrl)
+  .set('Authorization', 'JWT ' + token)
+  .attach(file.name, file.path, JSON.stringify({
+    size: file.size,
+    sha256: file.hash
+  }))
+  .expect(200)
+
+const searchAsync = async (token, query, status = 200) => (await request(app)
+  .get('/search')
+  .query(query)
+  .set('Authorization', 'JWT ' + token)
+  .expect(status)).body
+
+/**
++ search by name substring
++ search by glob pattern
++ search directories
++ search by size range
+- entries in drives user can not read are excluded
+- 400 if query invalid
+*/
+describe(path.basename(__filename), () => {
+
+  let aliceToken, bobToken
+  beforeEach(async () => {
+    debug('------ I am a beautiful divider ------')
+    await Promise.delay(50)
+    await resetAsync()
+    await createUserAsync('alice')
+    aliceToken = await retrieveTokenAsync('alice')
+    await createUserAsync('bob', aliceToken)
+    bobToken = await retrieveTokenAsync('bob')
+
+    await uploadAsync(aliceToken, FILES.hello)
+    await uploadAsync(aliceToken, FILES.alonzo)
+    await request(app)
+      .post(entriesUrl)
+      .set('Authorization', 'JWT ' + aliceToken)
+      .field('foo', JSON.stringify({ op: 'mkdir' }))
+      .expect(200)
+
+    // listing dir forces a read, which updates search index
+    await request(app)
+      .get(`/drives/${IDS.alice.home}/dirs/${IDS.alice.home}`)
+      .set('Authorization', 'JWT ' + aliceToken)
+      .expect(200)
+  })
+
+  it('search by name substring, 3a7f0c52', async () => {
+    let results = await searchAsync(aliceToken, { name: 'ELL' })
+    expect(results.map(x => x.name)).to.deep.equal([FILES.hello.name])
+    expect(results[0]).to.include({
+      drive: IDS.alice.home,
+      dir: IDS.alice.home,
+      type: 'file',
+      size: FILES.hello.size
+    })
+  })
+
+  it('search by glob pattern, 8e15b9d4', async () => {
+    let results = await searchAsync(aliceToken, { name: 'al*' })
+    expect(results.map(x => x.name)).to.deep.equal([FILES.alonzo.name])
+  })
+
+  it('search directories, c60d2e87', async () => {
+    let results = await searchAsync(aliceToken, { type: 'directory' })
+    expect(results.map(x => x.name)).to.deep.equal(['foo'])
+  })
+
+  it('search by size range, 47b9a1f3', async () => {
+    let results = await searchAsync(aliceToken, { type: 'file', minSize: FILES.hello.size + 1 })
+    expect(results.map(x => x.name)).to.deep.equal([FILES.alonzo.name])
+  })
+
+  it('entries in drives user can not read are excluded, f2c84a6e', async () => {
+    expect(await searchAsync(bobToken, { name: FILES.hello.name })).to.deep.equal([])
+  })
+
+  it('400 if query invalid, 15d3e7b0', async () => {
+    await searchAsync(aliceToken, { minSize: 'abc' }, 400)
+    await searchAsync(aliceToken, { type: 'link' }, 400)
+  })
+})
@@ -0,0 +1,123 @@
+const Promise = require('bluebird')
+const path = require('path')
+const request = require('supertest')
+const rimrafAsync = Promise.promisify(require('rimraf'))
+const mkdirpAsync = Promise.promisify(require('mkdirp'))
+const chai = require('chai').use(require('chai-as-promised'))
+const expect = chai.expect
+
+const app = require('src/app')
+const broadcast = require('src/common/broadcast')
+
+const {
+  IDS,
+  createUserAsync,
+  retrieveTokenAsync
+} = require('./lib')
+
+const cwd = process.cwd()
+const tmptest = path.join(cwd, 'tmptest')
+const tmpDir = path.join(tmptest, 'tmp')
+
+const resetAsync = async () => {
+  broadcast.emit('FruitmixStop')
+  await Promise.delay(500)
+  await rimrafAsync(tmptest)
+  await mkdirpAsync(tmpDir)
+  broadcast.emit('FruitmixStart', tmptest)
+  await broadcast.until('FruitmixStarted')
+}
+
+/**
++ list own sessions with device, via and current
++ revoke own session
++ admin lists and revokes sessions of other user
+- 403 if non-admin lists sessions of other user
+- 404 if session not found
+*/
+describe(path.basename(__filename), () => {
+
+  let aliceToken, bobToken
+
+  const sessionsAsync = async (token, userUUID) => (await request(app)
+    .get(`/users/${userUUID}/sessions`)
+    .set('Authorization', 'JWT ' + token)
+    .expect(200)).body
+
+  beforeEach(async () => {
+    await resetAsync()
+    await createUserAsync('alice')
+    aliceToken = await retrieveTokenAsync('alice')
+    await createUserAsync('bob', aliceToken)
+    bobToken = await retrieveTokenAsync('bob')
+  })
+
+  it('list own sessions with device, via and current, 4e8b1c27', async () => {
+    await request(app)
+      .get('/token')
+      .query({ deviceId: 'phone', deviceName: 'my phone', deviceType: 'mobile' })
+      .auth(IDS.bob.uuid, 'bob')
+      .expect(200)
+
+    let sessions = await sessionsAsync(bobToken, IDS.bob.uuid)
+    expect(sessions.length).to.equal(2)
+
+    let current = sessions.find(s => s.current)
+    let phone = sessions.find(s => !s.current)
+    expect(current.via).to.equal('basic')
+    expect(phone.device).to.deep.equal({ id: 'phone', name: 'my phone', type: 'mobile' })
+    expect(phone).to.not.have.property('hash')
+  })
+
+  it('revoke own session, a05d93f1', async () => {
+    let res = await request(app)
+      .get('/token')
+      .auth(IDS.bob.uuid, 'bob')
+      .expect(200)
+
+    let sessions = await sessionsAsync(bobToken, IDS.bob.uuid)
+    let other = sessions.find(s => !s.current)
+
+    await request(app)
+      .delete(`/users/${IDS.bob.uuid}/sessions/${other.id}`)
+      .set('Authorization', 'JWT ' + bobToken)
+      .expect(200)
+
+    await request(app)
+      .get('/token/verify')
+      .set('Authorization', 'JWT ' + res.body.token)
+      .expect(401)
+
+    expect((await sessionsAsync(bobToken, IDS.bob.uuid)).length).to.equal(1)
+  })
+
+  it('admin lists and revokes sessions of other user, 6c1f7a48', async () => {
+    let sessions = await sessionsAsync(aliceToken, IDS.bob.uuid)
+    expect(sessions.length).to.equal(1)
+    expect(sessions[0].current).to.be.false
+
+    await request(app)
+      .delete(`/users/${IDS.bob.uuid}/sessions/${sessions[0].id}`)
+      .set('Authorization', 'JWT ' + aliceToken)
+      .expect(200)
+
+    await request(app)
+      .get('/token/verify')
+      .set('Authorization', 'JWT ' + bobToken)
+      .expect(401)
+  })
+
+  it('403 if non-admin lists sessions of other user, d27e5b90', async () => {
+    await request(app)
+      .get(`/users/${IDS.alice.uuid}/sessions`)
+      .set('Authorization', 'JWT ' + bobToken)
+      .expect(403)
+  })
+
+  it('404 if session not found, 19b4f6c3', async () => {
+    await request(app)
+      .delete(`/users/${IDS.bob.uuid}/sessions/0123456789abcdef0123456789abcdef`)
+      .set('Authorization', 'JWT ' + bobToken)
+      .expect(404)
+  })
+})
@@ -0,0 +1,231 @@
+const Promise = require('bluebird')
+const path = require('path')
+const fs = Promise.promisifyAll(require('fs'))
+const request = require('supertest')
+const rimrafAsync = Promise.promisify(require('rimraf'))
+const mkdirpAsync = Promise.promisify(require('mkdirp'))
+const UUID = require('uuid')
+const chai = require('chai').use(require('chai-as-promised'))
+const expect = chai.expect
+
+const debug = require('debug')('divider')
+
+const app = require('src/app')
+const broadcast = require('src/common/broadcast')
+
+const {
+  IDS,
+  FILES,
+  createUserAsync,
+  retrieveTokenAsync,
+  createPublicDriveAsync
+} = require('./lib')
+
+const cwd = process.cwd()
+const tmptest = path.join(cwd, 'tmptest')
+const tmpDir = path.join(tmptest, 'tmp')
+const DrivesDir = path.join(tmptest, 'drives')
+const SnapshotsDir = path.join(tmptest, 'snapshots')
+
+const resetAsync = async () => {
+  broadcast.emit('FruitmixStop')
+  await Promise.delay(500)
+  await rimrafAsync(tmptest)
+  await mkdirpAsync(tmpDir)
+  broadcast.emit('FruitmixStart', tmptest)
+  await broadcast.until('FruitmixStarted')
+}
+
+const uploadHelloAsync = async token => (await request(app)
+  .post(`/drives/${IDS.alice.home}/dirs/${IDS.alice.home}/entries`)
+  .set('Authorization', 'JWT ' + token)
+  .attach('hello', 'testdata/hello', JSON.stringify({
+    size: FILES.hello.size,
+    sha256: FILES.hello.hash
+  }))
+  .expect(200)).body[0].data
+
+const removeAsync = async (token, name, uuid) => request(app)
+  .post(`/drives/${IDS.alice.home}/dirs/${IDS.alice.home}/entries`)
+  .set('Authorization', 'JWT ' + token)
+  .field(name, JSON.stringify({ op: 'remove', uuid }))
+  .expect(200)
+
+const createSnapshotAsync = async token => (await request(app)
+  .post(`/drives/${IDS.alice.home}/snapshots`)
+  .set('Authorization', 'JWT ' + token)
+  .expect(200)).body
+
+const getSnapshotsAsync = async token => (await request(app)
+  .get(`/drives/${IDS.alice.home}/snapshots`)
+  .set('Authorization', 'JWT ' + token)
+  .expect(200)).body
+
+/**
++ drive dir is a btrfs subvolume
++ create manual snapshot
++ list snapshot root dir
++ restore removed file from snapshot
++ delete snapshot
+- 404 if snapshot not found
+- 404 if bob lists alice's snapshots
+- 403 if acl of snapshot dir or its ancestor denies listing or restoring
+*/
+describe(path.basename(__filename), () => {
+
+  let token, hello
+  beforeEach(async () => {
+    debug('------ I am a beautiful divider ------')
+    await Promise.delay(50)
+    await resetAsync()
+    await createUserAsync('alice')
+    token = await retrieveTokenAsync('alice')
+    hello = await uploadHelloAsync(token)
+  })
+
+  // read-only snapshots can not be removed by rimraf
+  afterEach(async () => {
+    let snapshots = await getSnapshotsAsync(token)
+    for (let snapshot of snapshots) {
+      await request(app)
+        .delete(`/drives/${IDS.alice.home}/snapshots/${snapshot.uuid}`)
+        .set('Authorization', 'JWT ' + token)
+        .expect(200)
+    }
+  })
+
+  it('drive dir is a btrfs subvolume, 3a7e0d5c', async () => {
+    let stat = await fs.lstatAsync(path.join(DrivesDir, IDS.alice.home))
+    expect(stat.ino).to.equal(256)
+  })
+
+  it('create manual snapshot, b81c4f92', async () => {
+    let snapshot = await createSnapshotAsync(token)
+    expect(snapshot).to.include({ drive: IDS.alice.home, tag: 'manual' })
+
+    let snapshots = await getSnapshotsAsync(token)
+    expect(snapshots).to.deep.equal([snapshot])
+
+    let target = path.join(SnapshotsDir, IDS.alice.home, snapshot.uuid, 'hello')
+    expect(fs.readFileSync(target).toString()).to.equal(fs.readFileSync('testdata/hello').toString())
+  })
+
+  it('list snapshot root dir, 6f29d1e8', async () => {
+    let snapshot = await createSnapshotAsync(token)
+    await removeAsync(token, 'hello', hello.uuid)
+
+    let res = await request(app)
+      .get(`/drives/${IDS.alice.home}/snapshots/${snapshot.uuid}/dirs/${IDS.alice.home}`)
+      .set('Authorization', 'JWT ' + token)
+      .expect(200)
+
+    expect(res.body.path.map(x => x.uuid)).to.deep.equal([IDS.alice.home])
+    expect(res.body.entries.length).to.equal(1)
+    expect(res.body.entries[0]).to.include({
+      uuid: hello.uuid,
+      type: 'file',
+      name: 'hello',
+      hash: FILES.hello.hash
+    })
+  })
+
+  it('restore removed file from snapshot, d0a35b71', async () => {
+    let snapshot = await createSnapshotAsync(token)
+    await removeAsync(token, 'hello', hello.uuid)
+
+    let task = (await request(app)
+      .post(`/drives/${IDS.alice.home}/snapshots/${snapshot.uuid}/restore`)
+      .set('Authorization', 'JWT ' + token)
+      .send({ dir: IDS.alice.home, entries: ['hello'] })
+      .expect(200)).body
+
+    expect(task.type).to.equal('import')
+    await Promise.delay(200)
+
+    let dir = await request(app)
+      .get(`/drives/${IDS.alice.home}/dirs/${IDS.alice.home}`)
+      .set('Authorization', 'JWT ' + token)
+      .expect(200)
+
+    expect(dir.body.entries.length).to.equal(1)
+    expect(dir.body.entries[0]).to.include({ name: 'hello', hash: FILES.hello.hash })
+  })
+
+  it('delete snapshot, 4c9be5f0', async () => {
+    let snapshot = await createSnapshotAsync(token)
+
+    await request(app)
+      .delete(`/drives/${IDS.alice.home}/snapshots/${snapshot.uuid}`)
+      .set('Authorization', 'JWT ' + token)
+      .expect(200)
+
+    expect(await getSnapshotsAsync(token)).to.deep.equal([])
+    await expect(fs.lstatAsync(path.join(SnapshotsDir, IDS.alice.home, snapshot.uuid)))
+      .to.be.rejectedWith(Error)
+  })
+
+  it('404 if snapshot not found, 1e8f7a26', async () => {
+    await request(app)
+      .get(`/drives/${IDS.alice.home}/snapshots/${UUID.v4()}/dirs/${IDS.alice.home}`)
+      .set('Authorization', 'JWT ' + token)
+      .expect(404)
+  })
+
+  it("404 if bob lists alice's snapshots, 97d4c03b", async () => {
+    await createUserAsync('bob', token, true)
+    let bobToken = await retrieveTokenAsync('bob')
+    await request(app)
+      .get(`/drives/${IDS.alice.home}/snapshots`)
+      .set('Authorization', 'JWT ' + bobToken)
+      .expect(404)
+  })
+
+  it('403 if acl of snapshot dir or its ancestor denies listing or restoring, 2b7d5e0f', async () => {
+    let drive1 = IDS.publicDrive1.uuid
+    await createUserAsync('bob', token)
+    let bobToken = await retrieveTokenAsync('bob')
+    await createPublicDriveAsync({ writelist: [IDS.alice.uuid, IDS.bob.uuid], label: 'foobar' }, token, drive1)
+
+    const mkdirAsync = async (dirUUID, name) => (await request(app)
+      .post(`/drives/${drive1}/dirs/${dirUUID}/entries`)
+      .set('Authorization', 'JWT ' + token)
+      .field(name, JSON.stringify({ op: 'mkdir' }))
+      .expect(200)).body[0].data
+
+    let foo = await mkdirAsync(drive1, 'foo')
+    let bar = await mkdirAsync(foo.uuid, 'bar')
+    await request(app)
+      .put(`/drives/${drive1}/dirs/${foo.uuid}/acl`)
+      .set('Authorization', 'JWT ' + token)
+      .send({ entries: [{ user: IDS.bob.uuid, access: 'none' }] })
+      .expect(200)
+
+    let snapshot = (await request(app)
+      .post(`/drives/${drive1}/snapshots`)
+      .set('Authorization', 'JWT ' + token)
+      .expect(200)).body
+
+    for (let dir of [foo, bar]) {
+      await request(app)
+        .get(`/drives/${drive1}/snapshots/${snapshot.uuid}/dirs/${dir.uuid}`)
+        .set('Authorization', 'JWT ' + bobToken)
+        .expect(403)
+
+      await request(app)
+        .post(`/drives/${drive1}/snapshots/${snapshot.uuid}/restore`)
+        .set('Authorization', 'JWT ' + bobToken)
+        .send({ dir: dir.uuid, dst: { drive: drive1, dir: drive1 }, entries: ['bar'] })
+        .expect(403)
+    }
+
+    await request(app)
+      .get(`/drives/${drive1}/snapshots/${snapshot.uuid}/dirs/${bar.uuid}`)
+      .set('Authorization', 'JWT ' + token)
+      .expect(200)
+
+    await request(app)
+      .delete(`/drives/${drive1}/snapshots/${snapshot.uuid}`)
+      .set('Authorization', 'JWT ' + token)
+      .expect(200)
+  })
+})
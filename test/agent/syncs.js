@@ -0,0 +1,212 @@
+const Promise = require('bluebird')
+const path = require('path')
+const fs = require('fs')
+const request = require('supertest')
+const rimrafAsync = Promise.promisify(require('rimraf'))
+const mkdirpAsync = Promise.promisify(require('mkdirp'))
+const chai = require('chai').use(require('chai-as-promised'))
+const expect = chai.expect
+
+const debug = require('debug')('divider')
+
+const app = require('src/app')
+const broadcast = require('src/common/broadcast')
+const getFruit = require('src/fruitmix')
+
+const {
+  IDS,
+  FILES,
+  createUserAsync,
+  retrieveTokenAsync
+} = require('./lib')
+
+const cwd = process.cwd()
+const tmptest = path.join(cwd, 'tmptest')
+const tmpDir = path.join(tmptest, 'tmp')
+const usb = path.join(cwd, 'tmpusb')
+
+const resetAsync = async () => {
+  broadcast.emit('FruitmixStop')
+  await Promise.delay(500)
+  await rimrafAsync(tmptest)
+  await mkdirpAsync(tmpDir)
+  broadcast.emit('FruitmixStart', tmptest)
+  await broadcast.until('FruitmixStarted')
+}
+
+const FSUUID = '5b1d2c3e-0f4a-4b6c-8d7e-9f0a1b2c3d4e'
+
+// attach or detach the fake usb disk
+const setUsb = attached => getFruit().setStorage({
+  blocks: attached
+    ? [{
+      name: 'sdz1',
+      isFileSystem: true,
+      isMounted: true,
+      isVolumeDevice: false,
+      fileSystemType: 'vfat',
+      fileSystemUUID: FSUUID,
+      mountpoint: usb
+    }]
+    : [],
+  volumes: []
+})
+
+/**
++ manual run copies files in both directions
++ enabled job runs when native drive is attached
++ deletion on native drive moves drive entry into trash
++ keep-both keeps both versions on conflict
+- 404 if native drive not found
+- 409 if native drive not attached when running
+- 400 if policy invalid
+*/
+describe(path.basename(__filename), () => {
+
+  let token
+  const home = IDS.alice.home
+
+  const createJobAsync = (props, status = 200) => request(app)
+    .post('/syncs')
+    .set('Authorization', 'JWT ' + token)
+    .send(Object.assign({ ndrive: FSUUID, path: 'photos', driveUUID: home, dirUUID: home }, props))
+    .expect(status)
+
+  const historyAsync = async jobUUID => (await request(app)
+    .get(`/syncs/${jobUUID}/history`)
+    .set('Authorization', 'JWT ' + token)
+    .expect(200)).body
+
+  // wait until the job has n runs, returns the latest one
+  const waitRunAsync = async (jobUUID, n) => {
+    for (let i = 0; i < 50; i++) {
+      let runs = await historyAsync(jobUUID)
+      if (runs.length >= n) return runs[0]
+      await Promise.delay(100)
+    }
+    throw new Error('timeout')
+  }
+
+  const runAsync = async (jobUUID, n) => {
+    await request(app)
+      .post(`/syncs/${jobUUID}/run`)
+      .set('Authorization', 'JWT ' + token)
+      .expect(200)
+    return waitRunAsync(jobUUID, n)
+  }
+
+  const listAsync = async () => (await request(app)
+    .get(`/drives/${home}/dirs/${home}`)
+    .set('Authorization', 'JWT ' + token)
+    .expect(200)).body.entries
+
+  beforeEach(async () => {
+    debug('------ I am a beautiful divider ------')
+    await Promise.delay(50)
+    await resetAsync()
+    await rimrafAsync(usb)
+    await mkdirpAsync(path.join(usb, 'photos'))
+    await createUserAsync('alice')
+    token = await retrieveTokenAsync('alice')
+    setUsb(true)
+  })
+
+  after(async () => rimrafAsync(usb))
+
+  it('manual run copies files in both directions, 3f6a9d21', async () => {
+    fs.writeFileSync(path.join(usb, 'photos', 'hello'), fs.readFileSync(FILES.hello.path))
+    await request(app)
+      .post(`/drives/${home}/dirs/${home}/entries`)
+      .set('Authorization', 'JWT ' + token)
+      .attach(FILES.world.name, FILES.world.path, JSON.stringify({
+        size: FILES.world.size,
+        sha256: FILES.world.hash
+      }))
+      .expect(200)
+
+    let job = (await createJobAsync({ enabled: false })).body
+    expect(job).to.include({ ndrive: FSUUID, path: 'photos', policy: 'newer', attached: true })
+
+    let run = await runAsync(job.uuid, 1)
+    expect(run).to.include({ trigger: 'manual', status: 'success', imported: 1, exported: 1 })
+
+    let entries = await listAsync()
+    expect(entries.find(x => x.name === 'hello').hash).to.equal(FILES.hello.hash)
+    expect(fs.readFileSync(path.join(usb, 'photos', FILES.world.name)))
+      .to.deep.equal(fs.readFileSync(FILES.world.path))
+
+    run = await runAsync(job.uuid, 2)
+    expect(run).to.include({ status: 'success', imported: 0, exported: 0, deleted: 0 })
+  })
+
+  it('enabled job runs when native drive is attached, 8b24e0c6', async () => {
+    let job = (await createJobAsync()).body
+    setUsb(false)
+    fs.writeFileSync(path.join(usb, 'photos', 'hello'), fs.readFileSync(FILES.hello.path))
+    setUsb(true)
+
+    let run = await waitRunAsync(job.uuid, 1)
+    expect(run).to.include({ trigger: 'attach', status: 'success', imported: 1 })
+  })
+
+  it('deletion on native drive moves drive entry into trash, c95e13b7', async () => {
+    fs.writeFileSync(path.join(usb, 'photos', 'hello'), fs.readFileSync(FILES.hello.path))
+    let job = (await createJobAsync({ enabled: false })).body
+    await runAsync(job.uuid, 1)
+
+    fs.unlinkSync(path.join(usb, 'photos', 'hello'))
+    let run = await runAsync(job.uuid, 2)
+    expect(run).to.include({ status: 'success', deleted: 1 })
+    expect((await listAsync()).map(x => x.name)).to.not.include('hello')
+
+    let res = await request(app)
+      .get(`/drives/${home}/trash`)
+      .set('Authorization', 'JWT ' + token)
+      .expect(200)
+    expect(res.body.map(x => x.name)).to.deep.equal(['hello'])
+  })
+
+  it('keep-both keeps both versions on conflict, 41d7fa08', async () => {
+    fs.writeFileSync(path.join(usb, 'photos', 'hello'), fs.readFileSync(FILES.hello.path))
+    let job = (await createJobAsync({ enabled: false, policy: 'keep-both' })).body
+    await runAsync(job.uuid, 1)
+
+    let hello = (await listAsync()).find(x => x.name === 'hello')
+    await request(app)
+      .post(`/drives/${home}/dirs/${home}/entries`)
+      .set('Authorization', 'JWT ' + token)
+      .attach('hello', FILES.world.path, JSON.stringify({
+        size: FILES.world.size,
+        sha256: FILES.world.hash,
+        overwrite: hello.uuid
+      }))
+      .expect(200)
+    fs.writeFileSync(path.join(usb, 'photos', 'hello'), 'modified on usb')
+
+    let run = await runAsync(job.uuid, 2)
+    expect(run.conflicts.length).to.equal(1)
+    expect(run.conflicts[0]).to.include({ path: 'hello', resolution: 'both' })
+
+    let renamed = run.conflicts[0].renamed
+    expect(fs.readFileSync(path.join(usb, 'photos', 'hello'))).to.deep.equal(fs.readFileSync(FILES.world.path))
+    expect(fs.readFileSync(path.join(usb, 'photos', renamed)).toString()).to.equal('modified on usb')
+    expect((await listAsync()).map(x => x.name)).to.include(renamed)
+  })
+
+  it('404 if native drive not found, 0e5c7b92', async () => {
+    await createJobAsync({ ndrive: 'e2f1a0b9-1111-4222-8333-944455556666' }, 404)
+  })
+
+  it('409 if native drive not attached when running, 76a3d4e1', async () => {
+    let job = (await createJobAsync({ enabled: false })).body
+    setUsb(false)
+    await request(app)
+      .post(`/syncs/${job.uuid}/run`)
+      .set('Authorization', 'JWT ' + token)
+      .expect(409)
+  })
+
+  it('400 if policy invalid, b58e2f3a', async () => {
+    await createJobAsync({ policy: 'whatever' }, 400)
+  })
+})
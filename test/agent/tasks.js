@@ -0,0 +1,243 @@
+const Promise = require('bluebird')
+const path = require('path')
+const fs = require('fs')
+const request = require('supertest')
+const rimrafAsync = Promise.promisify(require('rimraf'))
+const mkdirpAsync = Promise.promisify(require('mkdirp'))
+const chai = require('chai').use(require('chai-as-promised'))
+const expect = chai.expect
+
+const debug = require('debug')('divider')
+
+const app = require('src/app')
+const broadcast = require('src/common/broadcast')
+
+const {
+  IDS,
+  FILES,
+  createUserAsync,
+  retrieveTokenAsync
+} = require('./lib')
+
+const cwd = process.cwd()
+const tmptest = path.join(cwd, 'tmptest')
+const tmpDir = path.join(tmptest, 'tmp')
+const tasksDir = path.join(tmptest, 'tasks')
+const tmpimport = path.join(cwd, 'tmpimport')
+
+const resetAsync = async () => {
+  broadcast.emit('FruitmixStop')
+  await Promise.delay(500)
+  await rimrafAsync(tmptest)
+  await mkdirpAsync(tmpDir)
+  broadcast.emit('FruitmixStart', tmptest)
+  await broadcast.until('FruitmixStarted')
+}
+
+// restart fruitmix on the same root
+const restartAsync = async () => {
+  broadcast.emit('FruitmixStop')
+  await Promise.delay(500)
+  broadcast.emit('FruitmixStart', tmptest)
+  await broadcast.until('FruitmixStarted')
+}
+
+const entriesUrl = (driveUUID, dirUUID) => `/drives/${driveUUID}/dirs/${dirUUID}/entries`
+
+/**
++ task record is removed when finished
++ persisted task is restored with resumed status, skipping finished entries
+- task record is removed if user not found
++ pause and resume an import task
++ task exceeding concurrency is queued
+- 400 if task props invalid
+- 403 if non-admin updates task settings
+*/
+describe(path.basename(__filename), () => {
+
+  let token, dst, a, hello, world
+  const home = IDS.alice.home
+
+  const mkdirAsync = async (dirUUID, name) => (await request(app)
+    .post(entriesUrl(home, dirUUID))
+    .set('Authorization', 'JWT ' + token)
+    .field(name, JSON.stringify({ op: 'mkdir' }))
+    .expect(200)).body[0].data
+
+  const uploadAsync = async (dirUUID, file) => (await request(app)
+    .post(entriesUrl(home, dirUUID))
+    .set('Authorization', 'JWT ' + token)
+    .attach(file.name, file.path, JSON.stringify({ size: file.size, sha256: file.hash }))
+    .expect(200)).body[0].data
+
+  const listAsync = async dirUUID => (await request(app)
+    .get(`/drives/${home}/dirs/${dirUUID}`)
+    .set('Authorization', 'JWT ' + token)
+    .expect(200)).body.entries
+
+  const tasksAsync = async () => (await request(app)
+    .get('/tasks')
+    .set('Authorization', 'JWT ' + token)
+    .expect(200)).body
+
+  // copy [a, hello, world] from home to dst, hello is already finished
+  const writeRecord = user => fs.writeFileSync(path.join(tasksDir, 'f1d2c3b4-a596-4786-9a8b-7c6d5e4f3a21.json'),
+    JSON.stringify({
+      uuid: 'f1d2c3b4-a596-4786-9a8b-7c6d5e4f3a21',
+      user,
+      type: 'copy',
+      policies: { dir: [], file: [] },
+      src: { drive: home, dir: home },
+      dst: { drive: home, dir: dst.uuid },
+      entries: [a, hello, world].map(x => ({ uuid: x.uuid, name: x.name })),
+      finished: [hello.name],
+      started: [],
+      ctime: 1
+    }))
+
+  const settingsAsync = (props, status = 200, t = token) => request(app)
+    .patch('/tasks/settings')
+    .set('Authorization', 'JWT ' + t)
+    .send(props)
+    .expect(status)
+
+  const importAsync = async name => (await request(app)
+    .post('/tasks')
+    .set('Authorization', 'JWT ' + token)
+    .send({
+      type: 'import',
+      src: { path: tmpimport },
+      dst: { drive: home, dir: dst.uuid },
+      entries: [name]
+    })
+    .expect(200)).body
+
+  const patchTaskAsync = async (taskUUID, props, status = 200) => (await request(app)
+    .patch(`/tasks/${taskUUID}`)
+    .set('Authorization', 'JWT ' + token)
+    .send(props)
+    .expect(status)).body
+
+  const statusAsync = async taskUUID => (await tasksAsync()).find(t => t.uuid === taskUUID).status
+
+  const waitFinishedAsync = async taskUUID => {
+    for (let i = 0; i < 50; i++) {
+      if (await statusAsync(taskUUID) === 'finished') return
+      await Promise.delay(100)
+    }
+    throw new Error('timeout')
+  }
+
+  after(async () => rimrafAsync(tmpimport))
+
+  beforeEach(async () => {
+    debug('------ I am a beautiful divider ------')
+    await Promise.delay(50)
+    await resetAsync()
+    await createUserAsync('alice')
+    token = await retrieveTokenAsync('alice')
+    dst = await mkdirAsync(home, 'dst')
+    a = await mkdirAsync(home, 'a')
+    hello = await uploadAsync(home, FILES.hello)
+    world = await uploadAsync(home, FILES.world)
+
+    await rimrafAsync(tmpimport)
+    await mkdirpAsync(tmpimport)
+    fs.writeFileSync(path.join(tmpimport, 'large'), Buffer.alloc(300000, 1))
+    fs.writeFileSync(path.join(tmpimport, 'small'), 'small')
+  })
+
+  it('task record is removed when finished, 5e1a9c07', async () => {
+    let task = (await request(app)
+      .post('/tasks')
+      .set('Authorization', 'JWT ' + token)
+      .send({
+        type: 'copy',
+        src: { drive: home, dir: home },
+        dst: { drive: home, dir: dst.uuid },
+        entries: [a.uuid, hello.uuid]
+      })
+      .expect(200)).body
+
+    await Promise.delay(500)
+    expect((await tasksAsync()).find(t => t.uuid === task.uuid).status).to.equal('finished')
+    expect(fs.readdirSync(tasksDir)).to.deep.equal([])
+  })
+
+  it('persisted task is restored with resumed status, skipping finished entries, 93c4d2b8', async () => {
+    // world conflicts in dst, so the task stays unfinished
+    await uploadAsync(dst.uuid, FILES.world)
+    writeRecord(IDS.alice.uuid)
+
+    await restartAsync()
+    await Promise.delay(500)
+
+    let tasks = await tasksAsync()
+    expect(tasks.length).to.equal(1)
+    expect(tasks[0]).to.include({ uuid: 'f1d2c3b4-a596-4786-9a8b-7c6d5e4f3a21', type: 'copy', status: 'resumed' })
+    expect(tasks[0].nodes.find(n => n.src.uuid === world.uuid).state).to.equal('Conflict')
+
+    let names = (await listAsync(dst.uuid)).map(x => x.name).sort()
+    expect(names).to.deep.equal(['a', FILES.world.name])
+
+    let record = JSON.parse(fs.readFileSync(path.join(tasksDir, `${tasks[0].uuid}.json`)))
+    expect(record.finished).to.include.members([hello.name, 'a'])
+  })
+
+  it('task record is removed if user not found, 2b8f6e41', async () => {
+    writeRecord('0a54e78c-3093-498a-b728-466a49c1e091')
+    await restartAsync()
+    await Promise.delay(500)
+    expect(await tasksAsync()).to.deep.equal([])
+    expect(fs.readdirSync(tasksDir)).to.deep.equal([])
+  })
+
+  it('pause and resume an import task, 7d3e0a96', async () => {
+    // about 2 seconds for the large file
+    await settingsAsync({ bandwidth: 150000 })
+    let task = await importAsync('large')
+    task = await patchTaskAsync(task.uuid, { paused: true })
+    expect(task).to.include({ status: 'paused', paused: true })
+
+    await Promise.delay(500)
+    expect((await listAsync(dst.uuid)).map(x => x.name)).to.not.include('large')
+    let record = JSON.parse(fs.readFileSync(path.join(tasksDir, `${task.uuid}.json`)))
+    expect(record.paused).to.equal(true)
+
+    await settingsAsync({ bandwidth: 0 })
+    task = await patchTaskAsync(task.uuid, { paused: false })
+    expect(task.paused).to.equal(false)
+    await waitFinishedAsync(task.uuid)
+
+    let large = (await listAsync(dst.uuid)).find(x => x.name === 'large')
+    expect(large.size).to.equal(300000)
+  })
+
+  it('task exceeding concurrency is queued, c60b8f14', async () => {
+    let settings = (await settingsAsync({ concurrency: 1, bandwidth: 150000 })).body
+    expect(settings).to.deep.equal({ concurrency: 1, bandwidth: 150000 })
+
+    let large = await importAsync('large')
+    let small = await importAsync('small')
+    expect(await statusAsync(small.uuid)).to.equal('queued')
+
+    // paused task frees its slot
+    await patchTaskAsync(large.uuid, { paused: true })
+    await waitFinishedAsync(small.uuid)
+    expect(await statusAsync(large.uuid)).to.equal('paused')
+  })
+
+  it('400 if task props invalid, 18a5c7e3', async () => {
+    let task = await importAsync('large')
+    await patchTaskAsync(task.uuid, { paused: 'yes' }, 400)
+    await patchTaskAsync(task.uuid, { bandwidth: -1 }, 400)
+    await patchTaskAsync(task.uuid, { hello: 1 }, 400)
+  })
+
+  it('403 if non-admin updates task settings, e4f92b5c', async () => {
+    await createUserAsync('bob', token)
+    let bobToken = await retrieveTokenAsync('bob')
+    await settingsAsync({ concurrency: 1 }, 403, bobToken)
+    await settingsAsync({ concurrency: -1 }, 400)
+  })
+})
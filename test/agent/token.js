@@ -0,0 +1,150 @@
+const Promise = require('bluebird')
+const path = require('path')
+const fs = require('fs')
+const request = require('supertest')
+const jwt = require('jwt-simple')
+const rimrafAsync = Promise.promisify(require('rimraf'))
+const mkdirpAsync = Promise.promisify(require('mkdirp'))
+const chai = require('chai').use(require('chai-as-promised'))
+const expect = chai.expect
+
+const app = require('src/app')
+const broadcast = require('src/common/broadcast')
+
+const {
+  IDS,
+  createUserAsync
+} = require('./lib')
+
+const cwd = process.cwd()
+const tmptest = path.join(cwd, 'tmptest')
+const tmpDir = path.join(tmptest, 'tmp')
+
+const resetAsync = async () => {
+  broadcast.emit('FruitmixStop')
+  await Promise.delay(500)
+  await rimrafAsync(tmptest)
+  await mkdirpAsync(tmpDir)
+  broadcast.emit('FruitmixStart', tmptest)
+  await broadcast.until('FruitmixStarted')
+}
+
+/**
++ GET /token returns expiring token and refresh token
++ POST /token/refresh rotates refresh token
++ DELETE /token revokes current session only
++ DELETE /token with all=true signs out everywhere
++ login on same device replaces former session
+- 401 if access token expired
+- 401 if refresh token invalid
+- 400 if refresh token missing
+*/
+describe(path.basename(__filename), () => {
+
+  const loginAsync = async (query = {}) => (await request(app)
+    .get('/token')
+    .query(query)
+    .auth(IDS.alice.uuid, 'alice')
+    .expect(200)).body
+
+  const verifyAsync = (token, status) => request(app)
+    .get('/token/verify')
+    .set('Authorization', 'JWT ' + token)
+    .expect(status)
+
+  beforeEach(async () => {
+    await resetAsync()
+    await createUserAsync('alice')
+  })
+
+  it('GET /token returns expiring token and refresh token, 5a0c2e91', async () => {
+    let before = new Date().getTime()
+    let token = await loginAsync()
+    expect(token.type).to.equal('JWT')
+    expect(token.refreshToken).to.be.a('string')
+    expect(token.expires).to.be.above(before)
+
+    let secret = JSON.parse(fs.readFileSync(path.join(tmptest, 'tokens.json'))).secret
+    let payload = jwt.decode(token.token, secret)
+    expect(payload.uuid).to.equal(IDS.alice.uuid)
+    expect(payload.exp * 1000).to.equal(token.expires)
+    await verifyAsync(token.token, 200)
+  })
+
+  it('POST /token/refresh rotates refresh token, 1b7e4d3a', async () => {
+    let token = await loginAsync()
+    let res = await request(app)
+      .post('/token/refresh')
+      .send({ refreshToken: token.refreshToken })
+      .expect(200)
+
+    expect(res.body.refreshToken).to.not.equal(token.refreshToken)
+    await verifyAsync(res.body.token, 200)
+
+    await request(app)
+      .post('/token/refresh')
+      .send({ refreshToken: token.refreshToken })
+      .expect(401)
+  })
+
+  it('DELETE /token revokes current session only, 8c2f6b05', async () => {
+    let t1 = await loginAsync()
+    let t2 = await loginAsync()
+
+    await request(app)
+      .delete('/token')
+      .set('Authorization', 'JWT ' + t1.token)
+      .expect(200)
+
+    await verifyAsync(t1.token, 401)
+    await verifyAsync(t2.token, 200)
+    await request(app)
+      .post('/token/refresh')
+      .send({ refreshToken: t1.refreshToken })
+      .expect(401)
+  })
+
+  it('DELETE /token with all=true signs out everywhere, e4a19d72', async () => {
+    let t1 = await loginAsync()
+    let t2 = await loginAsync()
+
+    await request(app)
+      .delete('/token')
+      .query({ all: true })
+      .set('Authorization', 'JWT ' + t1.token)
+      .expect(200)
+
+    await verifyAsync(t1.token, 401)
+    await verifyAsync(t2.token, 401)
+  })
+
+  it('login on same device replaces former session, 3d5b8f60', async () => {
+    let t1 = await loginAsync({ deviceId: 'phone', deviceType: 'mobile' })
+    let t2 = await loginAsync({ deviceId: 'phone', deviceType: 'mobile' })
+    await verifyAsync(t1.token, 401)
+    await verifyAsync(t2.token, 200)
+  })
+
+  it('401 if access token expired, 7f03c6e8', async () => {
+    let token = await loginAsync()
+    let secret = JSON.parse(fs.readFileSync(path.join(tmptest, 'tokens.json'))).secret
+    let payload = jwt.decode(token.token, secret)
+    let expired = jwt.encode(Object.assign({}, payload, { exp: payload.iat - 1 }), secret)
+    await verifyAsync(expired, 401)
+  })
+
+  it('401 if refresh token invalid, 92d4a1bf', async () => {
+    let token = await loginAsync()
+    await request(app)
+      .post('/token/refresh')
+      .send({ refreshToken: token.refreshToken.slice(0, -1) + 'x' })
+      .expect(401)
+  })
+
+  it('400 if refresh token missing, c61e0b37', async () => {
+    await request(app)
+      .post('/token/refresh')
+      .send({})
+      .expect(400)
+  })
+})
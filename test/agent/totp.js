@@ -0,0 +1,186 @@
+const Promise = require('bluebird')
+const path = require('path')
+const request = require('supertest')
+const rimrafAsync = Promise.promisify(require('rimraf'))
+const mkdirpAsync = Promise.promisify(require('mkdirp'))
+const chai = require('chai').use(require('chai-as-promised'))
+const expect = chai.expect
+
+const app = require('src/app')
+const broadcast = require('src/common/broadcast')
+const totp = require('src/lib/totp')
+
+const {
+  IDS,
+  createUserAsync,
+  retrieveTokenAsync
+} = require('./lib')
+
+const cwd = process.cwd()
+const tmptest = path.join(cwd, 'tmptest')
+const tmpDir = path.join(tmptest, 'tmp')
+
+const resetAsync = async () => {
+  broadcast.emit('FruitmixStop')
+  await Promise.delay(500)
+  await rimrafAsync(tmptest)
+  await mkdirpAsync(tmpDir)
+  broadcast.emit('FruitmixStart', tmptest)
+  await broadcast.until('FruitmixStarted')
+}
+
+/**
++ enroll and enable, returns recovery codes
++ login with challenge and code
++ recovery code can be used once
++ admin policy requires admin to use two-factor authentication
+- 403 if enabled with invalid code
+- 401 if code reused
+- 400 if challenge missing
+- 403 if password alone used for webdav or password change after enabled
+*/
+describe(path.basename(__filename), () => {
+
+  let token, secret, counter
+
+  // enroll and enable two-factor authentication for alice
+  const enrollAsync = async () => {
+    let res = await request(app)
+      .post(`/users/${IDS.alice.uuid}/totp`)
+      .auth(IDS.alice.uuid, 'alice')
+      .expect(200)
+
+    secret = res.body.secret
+    counter = totp.counterOf()
+
+    return (await request(app)
+      .put(`/users/${IDS.alice.uuid}/totp`)
+      .auth(IDS.alice.uuid, 'alice')
+      .send({ code: totp.hotp(secret, counter) })
+      .expect(200)).body
+  }
+
+  const challengeAsync = async () => (await request(app)
+    .get('/token')
+    .auth(IDS.alice.uuid, 'alice')
+    .expect(200)).body
+
+  beforeEach(async () => {
+    await resetAsync()
+    await createUserAsync('alice')
+    token = await retrieveTokenAsync('alice')
+  })
+
+  it('enroll and enable, returns recovery codes, 2b8e0f51', async () => {
+    let { recoveryCodes } = await enrollAsync()
+    expect(recoveryCodes.length).to.equal(10)
+
+    let res = await request(app)
+      .get(`/users/${IDS.alice.uuid}/totp`)
+      .set('Authorization', 'JWT ' + token)
+      .expect(200)
+
+    expect(res.body).to.deep.equal({ enabled: true, recoveryCodes: 10 })
+  })
+
+  it('login with challenge and code, 95c3a7d0', async () => {
+    await enrollAsync()
+    let body = await challengeAsync()
+    expect(body.type).to.equal('TOTP')
+    expect(body).to.not.have.property('token')
+
+    let res = await request(app)
+      .post('/token/totp')
+      .send({ challenge: body.challenge, code: totp.hotp(secret, counter + 1) })
+      .expect(200)
+
+    await request(app)
+      .get('/token/verify')
+      .set('Authorization', 'JWT ' + res.body.token)
+      .expect(200)
+  })
+
+  it('recovery code can be used once, e70a4c2b', async () => {
+    let { recoveryCodes } = await enrollAsync()
+
+    let body = await challengeAsync()
+    await request(app)
+      .post('/token/totp')
+      .send({ challenge: body.challenge, code: recoveryCodes[0] })
+      .expect(200)
+
+    body = await challengeAsync()
+    await request(app)
+      .post('/token/totp')
+      .send({ challenge: body.challenge, code: recoveryCodes[0] })
+      .expect(401)
+  })
+
+  it('admin policy requires admin to use two-factor authentication, 4d16b9e8', async () => {
+    await request(app)
+      .patch('/token/policy')
+      .set('Authorization', 'JWT ' + token)
+      .send({ adminTOTP: true })
+      .expect(200)
+
+    await request(app)
+      .get('/token')
+      .auth(IDS.alice.uuid, 'alice')
+      .expect(403)
+
+    await enrollAsync()
+    expect((await challengeAsync()).type).to.equal('TOTP')
+  })
+
+  it('403 if enabled with invalid code, 7a2f58c6', async () => {
+    let res = await request(app)
+      .post(`/users/${IDS.alice.uuid}/totp`)
+      .auth(IDS.alice.uuid, 'alice')
+      .expect(200)
+
+    let code = totp.hotp(res.body.secret, totp.counterOf() + 5)
+    await request(app)
+      .put(`/users/${IDS.alice.uuid}/totp`)
+      .auth(IDS.alice.uuid, 'alice')
+      .send({ code })
+      .expect(403)
+  })
+
+  it('401 if code reused, c0e93d14', async () => {
+    await enrollAsync()
+    let body = await challengeAsync()
+    await request(app)
+      .post('/token/totp')
+      .send({ challenge: body.challenge, code: totp.hotp(secret, counter) })
+      .expect(401)
+  })
+
+  it('400 if challenge missing, 583bf2a7', async () => {
+    await request(app)
+      .post('/token/totp')
+      .send({ code: '123456' })
+      .expect(400)
+  })
+
+  it('403 if password alone used for webdav or password change after enabled, 1c7f4e93', async () => {
+    await enrollAsync()
+
+    await request(app)
+      .propfind('/webdav/')
+      .auth(IDS.alice.uuid, 'alice')
+      .set('Depth', '0')
+      .expect(403)
+
+    await request(app)
+      .put(`/users/${IDS.alice.uuid}/password`)
+      .auth(IDS.alice.uuid, 'alice')
+      .send({ password: 'bob' })
+      .expect(403)
+
+    await request(app)
+      .put(`/users/${IDS.alice.uuid}/password`)
+      .set('Authorization', 'JWT ' + token)
+      .send({ password: 'bob' })
+      .expect(200)
+  })
+})
@@ -0,0 +1,199 @@
+const Promise = require('bluebird')
+const path = require('path')
+const fs = Promise.promisifyAll(require('fs'))
+const request = require('supertest')
+const rimrafAsync = Promise.promisify(require('rimraf'))
+const mkdirpAsync = Promise.promisify(require('mkdirp'))
+const UUID = require('uuid')
+const chai = require('chai').use(require('chai-as-promised'))
+const expect = chai.expect
+
+const debug = require('debug')('divider')
+
+const app = require('src/app')
+const broadcast = require('src/common/broadcast')
+
+const {
+  IDS,
+  FILES,
+  createUserAsync,
+  retrieveTokenAsync
+} = require('./lib')
+
+const cwd = process.cwd()
+const tmptest = path.join(cwd, 'tmptest')
+const tmpDir = path.join(tmptest, 'tmp')
+const DrivesDir = path.join(tmptest, 'drives')
+const TrashDir = path.join(DrivesDir, IDS.alice.home, '.fruitmix', 'trash')
+
+const resetAsync = async () => {
+  broadcast.emit('FruitmixStop')
+  await Promise.delay(500)
+  await rimrafAsync(tmptest)
+  await mkdirpAsync(tmpDir)
+  broadcast.emit('FruitmixStart', tmptest)
+  await broadcast.until('FruitmixStarted')
+}
+
+const uploadHelloAsync = async token => (await request(app)
+  .post(`/drives/${IDS.alice.home}/dirs/${IDS.alice.home}/entries`)
+  .set('Authorization', 'JWT ' + token)
+  .attach('hello', 'testdata/hello', JSON.stringify({
+    size: FILES.hello.size,
+    sha256: FILES.hello.hash
+  }))
+  .expect(200)).body[0].data
+
+const removeAsync = async (token, name, uuid) => request(app)
+  .post(`/drives/${IDS.alice.home}/dirs/${IDS.alice.home}/entries`)
+  .set('Authorization', 'JWT ' + token)
+  .field(name, JSON.stringify({ op: 'remove', uuid }))
+  .expect(200)
+
+const getTrashAsync = async token => (await request(app)
+  .get(`/drives/${IDS.alice.home}/trash`)
+  .set('Authorization', 'JWT ' + token)
+  .expect(200)).body
+
+/**
++ removed file is listed in trash
++ removed directory is listed in trash
++ restore removed file into original dir
++ restore removed file with auto-renaming if name taken
++ purge trash item
++ empty trash
+- 404 if trash item not found
+- 404 if bob lists alice's trash
+*/
+describe(path.basename(__filename), () => {
+
+  let token, hello
+  beforeEach(async () => {
+    debug('------ I am a beautiful divider ------')
+    await Promise.delay(50)
+    await resetAsync()
+    await createUserAsync('alice')
+    token = await retrieveTokenAsync('alice')
+    hello = await uploadHelloAsync(token)
+  })
+
+  it('removed file is listed in trash, 5c1f0f2e', async () => {
+    await removeAsync(token, 'hello', hello.uuid)
+
+    let items = await getTrashAsync(token)
+    expect(items.length).to.equal(1)
+    expect(items[0]).to.include({
+      drive: IDS.alice.home,
+      dir: IDS.alice.home,
+      name: 'hello',
+      entry: hello.uuid,
+      type: 'file',
+      size: FILES.hello.size,
+      user: IDS.alice.uuid
+    })
+
+    await expect(fs.lstatAsync(path.join(DrivesDir, IDS.alice.home, 'hello')))
+      .to.be.rejectedWith(Error)
+    let stat = await fs.lstatAsync(path.join(TrashDir, items[0].uuid))
+    expect(stat.isFile()).to.be.true
+  })
+
+  it('removed directory is listed in trash, 9b0c1a47', async () => {
+    let res = await request(app)
+      .post(`/drives/${IDS.alice.home}/dirs/${IDS.alice.home}/entries`)
+      .set('Authorization', 'JWT ' + token)
+      .field('foo', JSON.stringify({ op: 'mkdir' }))
+      .expect(200)
+
+    await removeAsync(token, 'foo', res.body[0].data.uuid)
+
+    let items = await getTrashAsync(token)
+    expect(items.length).to.equal(1)
+    expect(items[0]).to.include({ name: 'foo', type: 'directory', entry: res.body[0].data.uuid })
+  })
+
+  it('restore removed file into original dir, 2d8c4b90', async () => {
+    await removeAsync(token, 'hello', hello.uuid)
+    let items = await getTrashAsync(token)
+
+    let res = await request(app)
+      .post(`/drives/${IDS.alice.home}/trash/${items[0].uuid}/restore`)
+      .set('Authorization', 'JWT ' + token)
+      .expect(200)
+
+    expect(res.body.dir).to.equal(IDS.alice.home)
+    expect(res.body.xstat).to.include({ uuid: hello.uuid, name: 'hello', hash: FILES.hello.hash })
+    expect(await getTrashAsync(token)).to.deep.equal([])
+
+    let dir = await request(app)
+      .get(`/drives/${IDS.alice.home}/dirs/${IDS.alice.home}`)
+      .set('Authorization', 'JWT ' + token)
+      .expect(200)
+
+    expect(dir.body.entries.find(x => x.uuid === hello.uuid).name).to.equal('hello')
+  })
+
+  it('restore removed file as hello (2) if name taken, 7f3e6a15', async () => {
+    await removeAsync(token, 'hello', hello.uuid)
+    await uploadHelloAsync(token)
+    let items = await getTrashAsync(token)
+
+    let res = await request(app)
+      .post(`/drives/${IDS.alice.home}/trash/${items[0].uuid}/restore`)
+      .set('Authorization', 'JWT ' + token)
+      .expect(200)
+
+    expect(res.body.xstat).to.include({ uuid: hello.uuid, name: 'hello (2)' })
+  })
+
+  it('purge trash item, c40b8e6d', async () => {
+    await removeAsync(token, 'hello', hello.uuid)
+    let items = await getTrashAsync(token)
+
+    await request(app)
+      .delete(`/drives/${IDS.alice.home}/trash/${items[0].uuid}`)
+      .set('Authorization', 'JWT ' + token)
+      .expect(200)
+
+    expect(await getTrashAsync(token)).to.deep.equal([])
+    await expect(fs.lstatAsync(path.join(TrashDir, items[0].uuid))).to.be.rejectedWith(Error)
+  })
+
+  it('empty trash, 0e6f5d2a', async () => {
+    await removeAsync(token, 'hello', hello.uuid)
+    let world = (await request(app)
+      .post(`/drives/${IDS.alice.home}/dirs/${IDS.alice.home}/entries`)
+      .set('Authorization', 'JWT ' + token)
+      .attach('world', 'testdata/world', JSON.stringify({
+        size: FILES.world.size,
+        sha256: FILES.world.hash
+      }))
+      .expect(200)).body[0].data
+    await removeAsync(token, 'world', world.uuid)
+    expect((await getTrashAsync(token)).length).to.equal(2)
+
+    await request(app)
+      .delete(`/drives/${IDS.alice.home}/trash`)
+      .set('Authorization', 'JWT ' + token)
+      .expect(200)
+
+    expect(await getTrashAsync(token)).to.deep.equal([])
+    expect(await fs.readdirAsync(TrashDir)).to.deep.equal([])
+  })
+
+  it('404 if trash item not found, 61a9d7c3', async () => {
+    await request(app)
+      .post(`/drives/${IDS.alice.home}/trash/${UUID.v4()}/restore`)
+      .set('Authorization', 'JWT ' + token)
+      .expect(404)
+  })
+
+  it("404 if bob lists alice's trash, e8d21b74", async () => {
+    await createUserAsync('bob', token, true)
+    let bobToken = await retrieveTokenAsync('bob')
+    await request(app)
+      .get(`/drives/${IDS.alice.home}/trash`)
+      .set('Authorization', 'JWT ' + bobToken)
+      .expect(404)
+  })
+})
@@ -0,0 +1,188 @@
+const Promise = require('bluebird')
+const path = require('path')
+const fs = require('fs')
+const crypto = require('crypto')
+const request = require('supertest')
+const rimrafAsync = Promise.promisify(require('rimraf'))
+const mkdirpAsync = Promise.promisify(require('mkdirp'))
+const UUID = require('uuid')
+const chai = require('chai').use(require('chai-as-promised'))
+const expect = chai.expect
+
+const debug = require('debug')('divider')
+
+const app = require('src/app')
+const broadcast = require('src/common/broadcast')
+
+const {
+  IDS,
+  FILES,
+  createUserAsync,
+  retrieveTokenAsync
+} = require('./lib')
+
+const cwd = process.cwd()
+const tmptest = path.join(cwd, 'tmptest')
+const tmpDir = path.join(tmptest, 'tmp')
+
+const resetAsync = async () => {
+  broadcast.emit('FruitmixStop')
+  await Promise.delay(500)
+  await rimrafAsync(tmptest)
+  await mkdirpAsync(tmpDir)
+  broadcast.emit('FruitmixStart', tmptest)
+  await broadcast.until('FruitmixStarted')
+}
+
+const home = IDS.alice.home
+
+/**
++ create session and query received ranges
++ chunks in any order are committed into a file
++ session survives fruitmix restart
++ delete session
+- 400 if fingerprint mismatch
+- 409 if session incomplete
+- 403 if user can not write the directory
+- 404 if session belongs to another user
+*/
+describe(path.basename(__filename), () => {
+
+  let aliceToken, bobToken, data
+
+  const createAsync = (token, props, status = 200) => request(app)
+    .post('/uploads')
+    .set('Authorization', 'JWT ' + token)
+    .send(Object.assign({
+      driveUUID: home,
+      dirUUID: home,
+      name: FILES.alonzo.name,
+      size: FILES.alonzo.size,
+      sha256: FILES.alonzo.hash
+    }, props))
+    .expect(status)
+
+  const putAsync = (token, uploadUUID, offset, buf, status = 200) => request(app)
+    .put(`/uploads/${uploadUUID}/data`)
+    .query({ offset })
+    .set('Authorization', 'JWT ' + token)
+    .set('Content-Type', 'application/octet-stream')
+    .send(buf)
+    .expect(status)
+
+  const commitAsync = (token, uploadUUID, status = 200) => request(app)
+    .post(`/uploads/${uploadUUID}/commit`)
+    .set('Authorization', 'JWT ' + token)
+    .expect(status)
+
+  beforeEach(async () => {
+    debug('------ I am a beautiful divider ------')
+    await Promise.delay(50)
+    await resetAsync()
+    await createUserAsync('alice')
+    aliceToken = await retrieveTokenAsync('alice')
+    await createUserAsync('bob', aliceToken)
+    bobToken = await retrieveTokenAsync('bob')
+    data = fs.readFileSync(FILES.alonzo.path)
+  })
+
+  it('create session and query received ranges, 2c7f9e04', async () => {
+    let upload = (await createAsync(aliceToken, {})).body
+    expect(upload).to.include({ user: IDS.alice.uuid, size: FILES.alonzo.size, sha256: FILES.alonzo.hash })
+    expect(upload.ranges).to.deep.equal([])
+
+    await putAsync(aliceToken, upload.uuid, 1000, data.slice(1000, 2000))
+    await putAsync(aliceToken, upload.uuid, 0, data.slice(0, 500))
+
+    let res = await request(app)
+      .get(`/uploads/${upload.uuid}`)
+      .set('Authorization', 'JWT ' + aliceToken)
+      .expect(200)
+    expect(res.body.ranges).to.deep.equal([[0, 500], [1000, 2000]])
+  })
+
+  it('chunks in any order are committed into a file, 8b41d6a3', async () => {
+    let upload = (await createAsync(aliceToken, {})).body
+    let half = Math.floor(data.length / 2)
+    await putAsync(aliceToken, upload.uuid, half, data.slice(half))
+    await putAsync(aliceToken, upload.uuid, 0, data.slice(0, half))
+
+    let res = await commitAsync(aliceToken, upload.uuid)
+    expect(res.body).to.include({ name: FILES.alonzo.name, hash: FILES.alonzo.hash })
+
+    res = await request(app)
+      .get(`/drives/${home}/dirs/${home}`)
+      .set('Authorization', 'JWT ' + aliceToken)
+      .expect(200)
+    expect(res.body.entries.find(x => x.name === FILES.alonzo.name)).to.include({ size: FILES.alonzo.size })
+
+    res = await request(app)
+      .get('/uploads')
+      .set('Authorization', 'JWT ' + aliceToken)
+      .expect(200)
+    expect(res.body).to.deep.equal([])
+  })
+
+  it('session survives fruitmix restart, f3a0c58e', async () => {
+    let upload = (await createAsync(aliceToken, {})).body
+    await putAsync(aliceToken, upload.uuid, 0, data.slice(0, 1000))
+
+    broadcast.emit('FruitmixStop')
+    await Promise.delay(500)
+    broadcast.emit('FruitmixStart', tmptest)
+    await broadcast.until('FruitmixStarted')
+
+    let res = await request(app)
+      .get(`/uploads/${upload.uuid}`)
+      .set('Authorization', 'JWT ' + aliceToken)
+      .expect(200)
+    expect(res.body.ranges).to.deep.equal([[0, 1000]])
+
+    await putAsync(aliceToken, upload.uuid, 1000, data.slice(1000))
+    await commitAsync(aliceToken, upload.uuid)
+  })
+
+  it('delete session, 5e92b1d7', async () => {
+    let upload = (await createAsync(aliceToken, {})).body
+    await request(app)
+      .delete(`/uploads/${upload.uuid}`)
+      .set('Authorization', 'JWT ' + aliceToken)
+      .expect(200)
+
+    await request(app)
+      .get(`/uploads/${upload.uuid}`)
+      .set('Authorization', 'JWT ' + aliceToken)
+      .expect(404)
+    expect(fs.existsSync(path.join(tmptest, 'uploads', upload.uuid))).to.be.false
+  })
+
+  it('400 if fingerprint mismatch, 0d6e4a29', async () => {
+    let sha256 = crypto.createHash('sha256').update('foo').digest('hex')
+    let upload = (await createAsync(aliceToken, { sha256 })).body
+    await putAsync(aliceToken, upload.uuid, 0, data)
+    await commitAsync(aliceToken, upload.uuid, 400)
+  })
+
+  it('409 if session incomplete, a71c3f56', async () => {
+    let upload = (await createAsync(aliceToken, {})).body
+    await putAsync(aliceToken, upload.uuid, 0, data.slice(0, 1000))
+    await commitAsync(aliceToken, upload.uuid, 409)
+  })
+
+  it('403 if user can not write the directory, 6fb2e890', async () => {
+    await createAsync(bobToken, {}, 403)
+  })
+
+  it('404 if session belongs to another user, c48d17ba', async () => {
+    let upload = (await createAsync(aliceToken, {})).body
+    await putAsync(bobToken, upload.uuid, 0, data.slice(0, 1000), 404)
+    await request(app)
+      .get(`/uploads/${upload.uuid}`)
+      .set('Authorization', 'JWT ' + bobToken)
+      .expect(404)
+    await request(app)
+      .get(`/uploads/${UUID.v4()}`)
+      .set('Authorization', 'JWT ' + aliceToken)
+      .expect(404)
+  })
+})
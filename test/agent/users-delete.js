@@ -0,0 +1,137 @@
+const Promise = require('bluebird')
+const path = require('path')
+const request = require('supertest')
+const rimrafAsync = Promise.promisify(require('rimraf'))
+const mkdirpAsync = Promise.promisify(require('mkdirp'))
+const chai = require('chai').use(require('chai-as-promised'))
+const expect = chai.expect
+
+const app = require('src/app')
+const broadcast = require('src/common/broadcast')
+
+const {
+  IDS,
+  createUserAsync,
+  retrieveTokenAsync,
+  createPublicDriveAsync
+} = require('./lib')
+
+const cwd = process.cwd()
+const tmptest = path.join(cwd, 'tmptest')
+const tmpDir = path.join(tmptest, 'tmp')
+
+const resetAsync = async () => {
+  broadcast.emit('FruitmixStop')
+  await Promise.delay(500)
+  await rimrafAsync(tmptest)
+  await mkdirpAsync(tmpDir)
+  broadcast.emit('FruitmixStart', tmptest)
+  await broadcast.until('FruitmixStarted')
+}
+
+const getDrivesAsync = async (token, deleted) => (await request(app)
+  .get('/drives')
+  .query(deleted ? { deleted: 'true' } : {})
+  .set('Authorization', 'JWT ' + token)
+  .expect(200)).body
+
+/**
++ transfer private drive to another user
++ convert private drive to public drive
++ trash private drive, removed from writelist and audited
+- 403 if non-admin deletes user
+- 403 if deleting first user
+- 400 if disposition invalid
+- 400 if transferring to deleted user himself
+*/
+describe(path.basename(__filename), () => {
+
+  let aliceToken, bobToken, charlieToken
+  const drive1 = IDS.publicDrive1.uuid
+
+  const deleteBobAsync = (props, status = 200, token = aliceToken) => request(app)
+    .delete(`/users/${IDS.bob.uuid}`)
+    .set('Authorization', 'JWT ' + token)
+    .send(props)
+    .expect(status)
+
+  beforeEach(async () => {
+    await resetAsync()
+    await createUserAsync('alice')
+    aliceToken = await retrieveTokenAsync('alice')
+    await createUserAsync('bob', aliceToken)
+    bobToken = await retrieveTokenAsync('bob')
+    await createUserAsync('charlie', aliceToken)
+    charlieToken = await retrieveTokenAsync('charlie')
+    await createPublicDriveAsync({
+      writelist: [IDS.alice.uuid, IDS.bob.uuid],
+      label: 'foobar'
+    }, aliceToken, drive1)
+  })
+
+  it('transfer private drive to another user, 3f8a1d62', async () => {
+    await deleteBobAsync({ drive: 'transfer', to: IDS.charlie.uuid })
+
+    let drives = await getDrivesAsync(charlieToken)
+    let drive = drives.find(d => d.uuid === IDS.bob.home)
+    expect(drive).to.include({ type: 'private', owner: IDS.charlie.uuid, label: 'bob' })
+
+    await request(app)
+      .get('/token/verify')
+      .set('Authorization', 'JWT ' + bobToken)
+      .expect(401)
+  })
+
+  it('convert private drive to public drive, 9b27e4c0', async () => {
+    await deleteBobAsync({ drive: 'public' })
+
+    let drives = await getDrivesAsync(aliceToken)
+    let drive = drives.find(d => d.uuid === IDS.bob.home)
+    expect(drive).to.include({ type: 'public', label: 'bob' })
+    expect(drive.writelist).to.deep.equal([IDS.alice.uuid])
+    expect(drive).to.not.have.property('owner')
+  })
+
+  it('trash private drive, removed from writelist and audited, c5d0a813', async () => {
+    await deleteBobAsync({ drive: 'trash' })
+
+    let deleted = await getDrivesAsync(aliceToken, true)
+    expect(deleted.map(d => d.uuid)).to.include(IDS.bob.home)
+
+    let drives = await getDrivesAsync(aliceToken)
+    expect(drives.find(d => d.uuid === drive1).writelist).to.deep.equal([IDS.alice.uuid])
+
+    let res = await request(app)
+      .get('/audit/users')
+      .set('Authorization', 'JWT ' + aliceToken)
+      .expect(200)
+
+    expect(res.body.length).to.equal(1)
+    expect(res.body[0]).to.include({
+      type: 'delete',
+      user: IDS.bob.uuid,
+      operator: IDS.alice.uuid,
+      drive: 'trash'
+    })
+  })
+
+  it('403 if non-admin deletes user, 52e9b7fa', async () => {
+    await deleteBobAsync({ drive: 'trash' }, 403, charlieToken)
+  })
+
+  it('403 if deleting first user, e18c3f49', async () => {
+    await request(app)
+      .delete(`/users/${IDS.alice.uuid}`)
+      .set('Authorization', 'JWT ' + aliceToken)
+      .send({ drive: 'trash' })
+      .expect(403)
+  })
+
+  it('400 if disposition invalid, 7d4a06be', async () => {
+    await deleteBobAsync({ drive: 'keep' }, 400)
+  })
+
+  it('400 if transferring to deleted user himself, 0a6f2d95', async () => {
+    await deleteBobAsync({ drive: 'transfer', to: IDS.bob.uuid }, 400)
+  })
+})
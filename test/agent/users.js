@@ -532,6 +532,8 @@ describe(path.basename(__filename), () => {
             .expect(200)
             .end((err, res) => {
               if (err) return done(err)
+              expect(res.body.usage).to.be.an('object')
+              delete res.body.usage
               expect(res.body).to.deep.equal({
                 uuid: IDS.publicDrive1.uuid,
                 type: 'public',
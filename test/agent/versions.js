@@ -0,0 +1,162 @@
+const Promise = require('bluebird')
+const path = require('path')
+const fs = Promise.promisifyAll(require('fs'))
+const request = require('supertest')
+const rimrafAsync = Promise.promisify(require('rimraf'))
+const mkdirpAsync = Promise.promisify(require('mkdirp'))
+const UUID = require('uuid')
+const chai = require('chai').use(require('chai-as-promised'))
+const expect = chai.expect
+
+const debug = require('debug')('divider')
+
+const app = require('src/app')
+const broadcast = require('src/common/broadcast')
+
+const {
+  IDS,
+  FILES,
+  createUserAsync,
+  retrieveTokenAsync
+} = require('./lib')
+
+const cwd = process.cwd()
+const tmptest = path.join(cwd, 'tmptest')
+const tmpDir = path.join(tmptest, 'tmp')
+const VersionsDir = path.join(tmptest, 'versions')
+
+const resetAsync = async () => {
+  broadcast.emit('FruitmixStop')
+  await Promise.delay(500)
+  await rimrafAsync(tmptest)
+  await mkdirpAsync(tmpDir)
+  broadcast.emit('FruitmixStart', tmptest)
+  await broadcast.until('FruitmixStarted')
+}
+
+const entriesUrl = `/drives/${IDS.alice.home}/dirs/${IDS.alice.home}/entries`
+
+const uploadAsync = async (token, file, overwrite) => (await request(app)
+  .post(entriesUrl)
+  .set('Authorization', 'JWT ' + token)
+  .attach('hello', file.path, JSON.stringify(Object.assign({
+    size: file.size,
+    sha256: file.hash
+  }, overwrite ? { overwrite } : {})))
+  .expect(200)).body[0].data
+
+const setVersioningAsync = async (token, props) => (await request(app)
+  .put(`/drives/${IDS.alice.home}/versioning`)
+  .set('Authorization', 'JWT ' + token)
+  .send(props)
+  .expect(200)).body
+
+const getVersionsAsync = async (token, uuid) => (await request(app)
+  .get(`${entriesUrl}/${uuid}/versions`)
+  .set('Authorization', 'JWT ' + token)
+  .expect(200)).body
+
+/**
+- no version kept if versioning disabled
++ overwrite keeps prior content as a version
++ download a version
++ restore a version
++ prune versions beyond maxVersions
+- 400 if versioning props invalid
+- 404 if version not found
+*/
+describe(path.basename(__filename), () => {
+
+  let token, hello
+  beforeEach(async () => {
+    debug('------ I am a beautiful divider ------')
+    await Promise.delay(50)
+    await resetAsync()
+    await createUserAsync('alice')
+    token = await retrieveTokenAsync('alice')
+    hello = await uploadAsync(token, FILES.hello)
+  })
+
+  it('no version kept if versioning disabled, 5e2a91c4', async () => {
+    await uploadAsync(token, FILES.world, hello.uuid)
+    expect(await getVersionsAsync(token, hello.uuid)).to.deep.equal([])
+  })
+
+  it('overwrite keeps prior content as a version, a7d3f0b8', async () => {
+    let drive = await setVersioningAsync(token, { enabled: true })
+    expect(drive.versioning).to.deep.equal({ enabled: true })
+
+    let world = await uploadAsync(token, FILES.world, hello.uuid)
+    expect(world).to.include({ uuid: hello.uuid, hash: FILES.world.hash })
+
+    let versions = await getVersionsAsync(token, hello.uuid)
+    expect(versions.length).to.equal(1)
+    expect(versions[0]).to.include({
+      drive: IDS.alice.home,
+      file: hello.uuid,
+      name: 'hello',
+      hash: FILES.hello.hash,
+      size: FILES.hello.size,
+      user: IDS.alice.uuid
+    })
+
+    let stat = await fs.lstatAsync(path.join(VersionsDir, FILES.hello.hash))
+    expect(stat.size).to.equal(FILES.hello.size)
+  })
+
+  it('download a version, 30c8e6d2', async () => {
+    await setVersioningAsync(token, { enabled: true })
+    await uploadAsync(token, FILES.world, hello.uuid)
+    let versions = await getVersionsAsync(token, hello.uuid)
+
+    let res = await request(app)
+      .get(`${entriesUrl}/${hello.uuid}/versions/${versions[0].uuid}`)
+      .set('Authorization', 'JWT ' + token)
+      .expect(200)
+
+    expect(res.text).to.equal(fs.readFileSync(FILES.hello.path).toString())
+  })
+
+  it('restore a version, f4b16a93', async () => {
+    await setVersioningAsync(token, { enabled: true })
+    await uploadAsync(token, FILES.world, hello.uuid)
+    let versions = await getVersionsAsync(token, hello.uuid)
+
+    let res = await request(app)
+      .post(`${entriesUrl}/${hello.uuid}/versions/${versions[0].uuid}/restore`)
+      .set('Authorization', 'JWT ' + token)
+      .expect(200)
+
+    expect(res.body).to.include({ uuid: hello.uuid, name: 'hello', hash: FILES.hello.hash })
+
+    // the overwritten content (world) is kept as a new version
+    versions = await getVersionsAsync(token, hello.uuid)
+    expect(versions.map(x => x.hash)).to.deep.equal([FILES.world.hash, FILES.hello.hash])
+  })
+
+  it('prune versions beyond maxVersions, 8b5c27e0', async () => {
+    await setVersioningAsync(token, { enabled: true, maxVersions: 1 })
+    await uploadAsync(token, FILES.world, hello.uuid)
+    await uploadAsync(token, FILES.hello, hello.uuid)
+
+    let versions = await getVersionsAsync(token, hello.uuid)
+    expect(versions.length).to.equal(1)
+    expect(versions[0].hash).to.equal(FILES.world.hash)
+    await expect(fs.lstatAsync(path.join(VersionsDir, FILES.hello.hash))).to.be.rejectedWith(Error)
+  })
+
+  it('400 if versioning props invalid, 2f9d4e6a', async () => {
+    await request(app)
+      .put(`/drives/${IDS.alice.home}/versioning`)
+      .set('Authorization', 'JWT ' + token)
+      .send({ enabled: true, maxVersions: 0 })
+      .expect(400)
+  })
+
+  it('404 if version not found, c61e8a05', async () => {
+    await request(app)
+      .get(`${entriesUrl}/${hello.uuid}/versions/${UUID.v4()}`)
+      .set('Authorization', 'JWT ' + token)
+      .expect(404)
+  })
+})
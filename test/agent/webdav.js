@@ -0,0 +1,202 @@
+const Promise = require('bluebird')
+const path = require('path')
+const fs = require('fs')
+const request = require('supertest')
+const rimrafAsync = Promise.promisify(require('rimraf'))
+const mkdirpAsync = Promise.promisify(require('mkdirp'))
+const chai = require('chai').use(require('chai-as-promised'))
+const expect = chai.expect
+
+const debug = require('debug')('divider')
+
+const app = require('src/app')
+const broadcast = require('src/common/broadcast')
+
+const {
+  IDS,
+  FILES,
+  createUserAsync,
+  retrieveTokenAsync
+} = require('./lib')
+
+const cwd = process.cwd()
+const tmptest = path.join(cwd, 'tmptest')
+const tmpDir = path.join(tmptest, 'tmp')
+
+const resetAsync = async () => {
+  broadcast.emit('FruitmixStop')
+  await Promise.delay(500)
+  await rimrafAsync(tmptest)
+  await mkdirpAsync(tmpDir)
+  broadcast.emit('FruitmixStart', tmptest)
+  await broadcast.until('FruitmixStarted')
+}
+
+const home = IDS.alice.home
+
+// hrefs in multistatus
+const hrefs = text => (text.match(/<D:href>[^<]*<\/D:href>/g) || [])
+  .map(x => decodeURIComponent(x.slice(8, -9)))
+  .filter(x => !x.startsWith('opaquelocktoken:'))
+
+/**
++ OPTIONS advertises dav class 1 and 2
++ PROPFIND root lists drives
++ PUT creates a file, GET returns content
++ MKCOL then PROPFIND depth 1 lists the collection
++ COPY and MOVE a file
++ MOVE a collection into another
++ DELETE moves entry into trash
++ basic auth
++ LOCK protects resource until UNLOCK
+- 401 without credentials
+- 409 if parent collection missing
+- 412 if destination exists and Overwrite is F
+- 403 if PROPFIND depth is infinity
+- 403 if MKCOL, PUT or MOVE to .fruitmix in drive root
+*/
+describe(path.basename(__filename), () => {
+
+  let token, data
+
+  const dav = (method, url) => request(app)[method]('/webdav' + url)
+    .set('Authorization', 'JWT ' + token)
+
+  const text = req => req.buffer(true).parse((res, callback) => {
+    let bufs = []
+    res.on('data', buf => bufs.push(buf))
+    res.on('end', () => callback(null, Buffer.concat(bufs).toString()))
+  })
+
+  beforeEach(async () => {
+    debug('------ I am a beautiful divider ------')
+    await Promise.delay(50)
+    await resetAsync()
+    await createUserAsync('alice')
+    token = await retrieveTokenAsync('alice')
+    data = fs.readFileSync(FILES.hello.path)
+  })
+
+  it('OPTIONS advertises dav class 1 and 2, 0a6e3c71', async () => {
+    let res = await request(app).options('/webdav/').expect(200)
+    expect(res.headers.dav).to.equal('1, 2')
+    expect(res.headers.allow).to.include('PROPFIND')
+  })
+
+  it('PROPFIND root lists drives, 4f21d8b6', async () => {
+    let res = await text(dav('propfind', '/').set('Depth', '1')).expect(207)
+    expect(hrefs(res.body)).to.include.members(['/webdav/', '/webdav/home/'])
+    expect(res.body).to.include('<D:collection/>')
+  })
+
+  it('PUT creates a file, GET returns content, c85e07a2', async () => {
+    await dav('put', '/home/hello.txt').send(data).expect(201)
+    await dav('put', '/home/hello.txt').send(data).expect(204)
+
+    let res = await text(dav('get', '/home/hello.txt')).expect(200)
+    expect(res.body).to.equal(data.toString())
+    expect(res.headers.etag).to.equal(`"${FILES.hello.hash}"`)
+
+    res = await text(dav('propfind', '/home/hello.txt').set('Depth', '0')).expect(207)
+    expect(res.body).to.include(`<D:getcontentlength>${data.length}</D:getcontentlength>`)
+  })
+
+  it('MKCOL then PROPFIND depth 1 lists the collection, 93b0f4ed', async () => {
+    await dav('mkcol', '/home/foo').expect(201)
+    await dav('mkcol', '/home/foo').expect(405)
+
+    let res = await text(dav('propfind', '/home/').set('Depth', '1')).expect(207)
+    expect(hrefs(res.body)).to.deep.equal(['/webdav/home/', '/webdav/home/foo/'])
+  })
+
+  it('COPY and MOVE a file, 6d4b92ae', async () => {
+    await dav('put', '/home/hello.txt').send(data).expect(201)
+    await dav('copy', '/home/hello.txt').set('Destination', '/webdav/home/copy.txt').expect(201)
+    await dav('move', '/home/hello.txt').set('Destination', 'http://localhost/webdav/home/moved.txt').expect(201)
+
+    await dav('get', '/home/hello.txt').expect(404)
+    let res = await text(dav('get', '/home/copy.txt')).expect(200)
+    expect(res.body).to.equal(data.toString())
+    res = await text(dav('get', '/home/moved.txt')).expect(200)
+    expect(res.body).to.equal(data.toString())
+  })
+
+  it('MOVE a collection into another, 2e7ac815', async () => {
+    await dav('mkcol', '/home/foo').expect(201)
+    await dav('mkcol', '/home/bar').expect(201)
+    await dav('put', '/home/foo/hello.txt').send(data).expect(201)
+    await dav('move', '/home/foo').set('Destination', '/webdav/home/bar/baz').expect(201)
+
+    await dav('propfind', '/home/foo').set('Depth', '0').expect(404)
+    let res = await text(dav('get', '/home/bar/baz/hello.txt')).expect(200)
+    expect(res.body).to.equal(data.toString())
+  })
+
+  it('DELETE moves entry into trash, f4093d6c', async () => {
+    await dav('put', '/home/hello.txt').send(data).expect(201)
+    await dav('delete', '/home/hello.txt').expect(204)
+    await dav('get', '/home/hello.txt').expect(404)
+
+    let res = await request(app)
+      .get(`/drives/${home}/trash`)
+      .set('Authorization', 'JWT ' + token)
+      .expect(200)
+    expect(res.body.map(x => x.name)).to.deep.equal(['hello.txt'])
+  })
+
+  it('basic auth, 58c1e9f0', async () => {
+    await request(app)
+      .propfind('/webdav/home/')
+      .auth(IDS.alice.uuid, 'alice')
+      .set('Depth', '0')
+      .expect(207)
+  })
+
+  it('LOCK protects resource until UNLOCK, b3d6a04f', async () => {
+    let res = await text(dav('lock', '/home/hello.txt')
+      .set('Content-Type', 'application/xml')
+      .send('<?xml version="1.0"?><D:lockinfo xmlns:D="DAV:"><D:lockscope><D:exclusive/></D:lockscope>' +
+        '<D:locktype><D:write/></D:locktype><D:owner>alice</D:owner></D:lockinfo>'))
+      .expect(201)
+    let lockToken = res.headers['lock-token']
+    expect(lockToken).to.match(/^<opaquelocktoken:/)
+    expect(res.body).to.include('<D:owner>alice</D:owner>')
+
+    await dav('put', '/home/hello.txt').send(data).expect(423)
+    await dav('put', '/home/hello.txt').set('If', `(${lockToken})`).send(data).expect(204)
+    await dav('unlock', '/home/hello.txt').set('Lock-Token', lockToken).expect(204)
+    await dav('put', '/home/hello.txt').send(data).expect(204)
+  })
+
+  it('401 without credentials, 7c2f58d3', async () => {
+    await request(app).propfind('/webdav/').expect(401)
+  })
+
+  it('409 if parent collection missing, 1be9a6c0', async () => {
+    await dav('put', '/home/foo/hello.txt').send(data).expect(409)
+    await dav('mkcol', '/home/foo/bar').expect(409)
+  })
+
+  it('412 if destination exists and Overwrite is F, e8f31b57', async () => {
+    await dav('put', '/home/hello.txt').send(data).expect(201)
+    await dav('put', '/home/world.txt').send(data).expect(201)
+    await dav('move', '/home/hello.txt')
+      .set('Destination', '/webdav/home/world.txt')
+      .set('Overwrite', 'F')
+      .expect(412)
+  })
+
+  it('403 if PROPFIND depth is infinity, 0d75c2e4', async () => {
+    await dav('propfind', '/home/').expect(403)
+  })
+
+  it('403 if MKCOL, PUT or MOVE to .fruitmix in drive root, 6b3e9d02', async () => {
+    await dav('mkcol', '/home/.fruitmix').expect(403)
+    await dav('put', '/home/.fruitmix/tmp/hello.txt').send(data).expect(403)
+    await dav('mkcol', '/home/foo').expect(201)
+    await dav('move', '/home/foo').set('Destination', '/webdav/home/.fruitmix').expect(403)
+
+    // allowed in sub-directory
+    await dav('mkcol', '/home/foo/.fruitmix').expect(201)
+  })
+})
@@ -14,7 +14,12 @@ const {
   IBFEncode,
   IBFSubtract,
   IBFDecode,
-  isZero 
+  IBFSerialize,
+  isZero,
+  createFlatIBF,
+  flatInsert,
+  flatSubtract,
+  flatDecode
 } = require('src/lib/iblt')
 
 
@@ -318,3 +323,33 @@ describe('test buffer allocate', function() {
   })
 })
 
+describe('flat ibf', function() {
+
+  const keys = n => Array.from({ length: n }, () => new Buffer(UUID.v4().replace(/-/g, ''), 'hex'))
+
+  it('decodes the same difference as object ibf', function() {
+    let common = keys(1000), mine = keys(10), theirs = keys(5)
+
+    let client = createIBF(8, 16, 3, 1234)
+    IBFEncode(client, common.concat(theirs))
+    let buf = IBFSerialize(client)
+
+    let server = createIBF(8, 16, 3, 1234)
+    IBFEncode(server, common.concat(mine))
+    let diff = IBFSubtract(server, client)
+    expect(IBFDecode(diff)).to.be.true
+
+    let flat = createFlatIBF(256, 16, 3, 1234)
+    common.concat(mine).forEach(key => flatInsert(flat, key))
+    expect(flatSubtract(flat, buf)).to.be.true
+    expect(flatDecode(flat)).to.be.true
+
+    const hex = list => list.map(b => b.toString('hex')).sort()
+    expect(hex(flat.decode.positive)).to.deep.equal(hex(diff.decode.positive))
+    expect(hex(flat.decode.negative)).to.deep.equal(hex(theirs))
+  })
+
+  it('flatSubtract returns false if buffer length mismatch', function() {
+    expect(flatSubtract(createFlatIBF(16, 16, 3, 1234), Buffer.alloc(16 * 24 + 1))).to.be.false
+  })
+})